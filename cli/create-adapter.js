@@ -0,0 +1,360 @@
+#!/usr/bin/env node
+/**
+ * 検索アダプターの雛形を作成する
+ * BaseSearchAdapterを継承したアダプターを js/adapters/ に作成し、index.html にスクリプトタグを追加する
+ *
+ * 使用例:
+ *   npm run create-adapter -- my-wiki "社内Wiki" https://wiki.example.com/search --query-param query
+ *   npm run create-adapter -- my-api "社内API" https://api.example.com/search --type json
+ *
+ * 終了コード:
+ *   0: 作成に成功
+ *   1: ファイルの作成に失敗
+ *   2: 引数の誤り
+ */
+const fs = require('fs');
+const path = require('path');
+
+const ROOT_DIR = path.resolve(__dirname, '..');
+
+const EXIT_OK = 0;
+const EXIT_FAILED = 1;
+const EXIT_USAGE = 2;
+
+const TYPES = ['html', 'json'];
+
+const USAGE = `使い方: create-adapter <name> <表示名> <検索URL> [オプション]
+
+引数:
+  name                   エンジンの識別子（英小文字・数字・-・_）
+  表示名                 カラム見出しやエラーメッセージに使う名前
+  検索URL                検索結果のページ（またはAPI）のURL（クエリ文字列を除く）
+
+オプション:
+  -t, --type <type>        応答の形式 html | json（既定: html）
+  -q, --query-param <name> 検索キーワードを渡すパラメータ名（既定: q）
+      --no-register        index.html にスクリプトタグを追加しない
+      --dry-run            ファイルを作成せずに内容を表示
+  -h, --help               このヘルプを表示`;
+
+/**
+ * 引数の誤りを表すエラーを作成
+ */
+function usageError(message) {
+    const error = new Error(message);
+    error.usage = true;
+    return error;
+}
+
+/**
+ * コマンドライン引数の解析
+ */
+function parseArgs(argv) {
+    const options = {
+        positional: [],
+        type: 'html',
+        queryParameter: 'q',
+        register: true,
+        dryRun: false,
+        help: false
+    };
+
+    const valueOptions = {
+        '-t': 'type', '--type': 'type',
+        '-q': 'queryParameter', '--query-param': 'queryParameter'
+    };
+
+    for (let i = 0; i < argv.length; i++) {
+        let arg = argv[i];
+        let inlineValue = null;
+
+        // --type=json 形式
+        const equalsIndex = arg.indexOf('=');
+        if (arg.startsWith('--') && equalsIndex !== -1) {
+            inlineValue = arg.slice(equalsIndex + 1);
+            arg = arg.slice(0, equalsIndex);
+        }
+
+        if (valueOptions[arg]) {
+            const value = inlineValue !== null ? inlineValue : argv[++i];
+            if (value === undefined || value === '') {
+                throw usageError(`${arg} には値が必要です`);
+            }
+            options[valueOptions[arg]] = value;
+        } else if (arg === '--no-register') {
+            options.register = false;
+        } else if (arg === '--dry-run') {
+            options.dryRun = true;
+        } else if (arg === '-h' || arg === '--help') {
+            options.help = true;
+        } else if (arg.startsWith('-')) {
+            throw usageError(`不明なオプション: ${arg}`);
+        } else {
+            options.positional.push(arg);
+        }
+    }
+
+    if (options.help) {
+        return options;
+    }
+
+    const [name, displayName, baseUrl] = options.positional;
+    if (options.positional.length !== 3) {
+        throw usageError('name・表示名・検索URLを指定してください');
+    }
+
+    if (!/^[a-z0-9_-]+$/.test(name)) {
+        throw usageError(`nameには英小文字・数字・-・_ のみ使用できます: ${name}`);
+    }
+
+    if (displayName.trim() === '') {
+        throw usageError('表示名を指定してください');
+    }
+
+    let url;
+    try {
+        url = new URL(baseUrl);
+    } catch (error) {
+        throw usageError(`検索URLが正しくありません: ${baseUrl}`);
+    }
+    if (!['http:', 'https:'].includes(url.protocol) || url.search) {
+        throw usageError(`検索URLにはクエリ文字列を含まないhttp(s)のURLを指定してください: ${baseUrl}`);
+    }
+
+    if (!TYPES.includes(options.type)) {
+        throw usageError(`不明な応答の形式: ${options.type}（${TYPES.join(' | ')}）`);
+    }
+
+    return {
+        ...options,
+        name: name,
+        displayName: displayName.trim(),
+        baseUrl: url.href
+    };
+}
+
+/**
+ * エンジン名からクラス名を作成（my-wiki → MyWikiSearchAdapter）
+ */
+function toClassName(name) {
+    const pascal = name
+        .split(/[-_]/)
+        .filter(Boolean)
+        .map(part => part.charAt(0).toUpperCase() + part.slice(1))
+        .join('');
+    // 識別子は数字で始められない
+    return `${/^[0-9]/.test(pascal) ? 'Engine' : ''}${pascal}SearchAdapter`;
+}
+
+/**
+ * エンジン名からファイル名を作成（my-wiki → myWikiSearchAdapter.js）
+ */
+function toFileName(name) {
+    const className = toClassName(name);
+    return `${className.charAt(0).toLowerCase()}${className.slice(1)}.js`;
+}
+
+/**
+ * JavaScriptの文字列リテラルを作成
+ */
+function quote(value) {
+    return `'${String(value).replace(/\\/g, '\\\\').replace(/'/g, "\\'")}'`;
+}
+
+/**
+ * HTMLを解析するアダプターの本体
+ */
+function htmlBody() {
+    return `        // 結果の解析に使うセレクター（各項目は先頭から順に試し、最初に一致したものを使う）
+        // SelectorConfig.defaults に同じ内容を追加すると、設定パネルから上書きできるようになる
+        this.selectors = {
+            result: ['.result'],
+            title: ['h3 a'],
+            snippet: ['.snippet'],
+            displayUrl: [],
+            noResults: ['.no-results']
+        };
+    }
+
+    /**
+     * 2ページ目以降を指定するパラメータ
+     */
+    getPageParameters(page) {
+        return { page: String(page) };
+    }
+`;
+}
+
+/**
+ * JSONを返すAPIのアダプターの本体
+ */
+function jsonBody() {
+    return `        this.responseType = 'json';
+    }
+
+    /**
+     * APIの応答を解析
+     * 応答の形式に合わせて変更する
+     */
+    parse(data, context) {
+        const items = Array.isArray(data.items) ? data.items : [];
+
+        return items.slice(0, this.pageSize)
+            .map(item => ({
+                title: this.cleanText(item.title),
+                url: this.cleanUrl(item.url),
+                snippet: this.cleanText(item.snippet),
+                displayUrl: this.extractDisplayUrl(item.url)
+            }))
+            .filter(result => result.title && result.url);
+    }
+
+    /**
+     * 2ページ目以降を指定するパラメータ
+     */
+    getPageParameters(page) {
+        return { page: String(page) };
+    }
+`;
+}
+
+/**
+ * アダプターのソースコードを作成
+ */
+function createAdapterSource(options) {
+    const { name, displayName, baseUrl, type = 'html', queryParameter = 'q' } = options;
+    const className = toClassName(name);
+    const host = new URL(baseUrl).hostname;
+
+    return `/**
+ * ${displayName}検索アダプター
+ * ${displayName}の検索結果を取得・解析する
+ */
+class ${className} extends BaseSearchAdapter {
+    constructor() {
+        super();
+        this.name = ${quote(name)};
+        this.displayName = ${quote(displayName)};
+        this.baseUrl = ${quote(baseUrl)};
+        this.queryParameter = ${quote(queryParameter)};
+        // 言語ごとの検索パラメータ（例: { ja: { hl: 'ja' }, en: { hl: 'en' }, default: {} }）
+        this.languageParameters = {
+            default: {}
+        };
+${type === 'json' ? jsonBody() : htmlBody()}
+    /**
+     * モックデータを取得（デモモード・CORS制限時の代替）
+     */
+    getMockResults(query, language) {
+        const mockResults = [
+            {
+                title: \`\${query} - ${displayName.replace(/[`\\$]/g, '\\$&')}のサンプル結果\`,
+                url: \`${baseUrl}?${encodeURIComponent(queryParameter)}=\${encodeURIComponent(query)}\`,
+                snippet: \`\${query}に関するサンプルの検索結果です。\`,
+                displayUrl: ${quote(host)}
+            }
+        ];
+
+        return this.buildResponse(query, language, mockResults, { responseTime: 500, source: 'mock' });
+    }
+}
+
+// 組み込みアダプターとして宣言
+AdapterRegistry.define(${className});
+`;
+}
+
+/**
+ * index.html の最後のアダプターのスクリプトタグの後にスクリプトタグを追加
+ */
+function addScriptTag(html, fileName) {
+    const src = `js/adapters/${fileName}`;
+    if (html.includes(`src="${src}"`)) {
+        return html;
+    }
+
+    const tags = [...html.matchAll(/^([ \t]*)<script src="js\/adapters\/[^"]+"><\/script>\r?\n/gm)];
+    if (tags.length === 0) {
+        throw new Error('index.html にアダプターのスクリプトタグが見つかりません');
+    }
+
+    const last = tags[tags.length - 1];
+    const insertAt = last.index + last[0].length;
+    return `${html.slice(0, insertAt)}${last[1]}<script src="${src}"></script>\n${html.slice(insertAt)}`;
+}
+
+/**
+ * 雛形の作成
+ * 終了コードを返す
+ */
+function main(argv, io = { stdout: process.stdout, stderr: process.stderr }, rootDir = ROOT_DIR) {
+    let options;
+    try {
+        options = parseArgs(argv);
+    } catch (error) {
+        io.stderr.write(`${error.message}\n\n${USAGE}\n`);
+        return EXIT_USAGE;
+    }
+
+    if (options.help) {
+        io.stdout.write(`${USAGE}\n`);
+        return EXIT_OK;
+    }
+
+    const fileName = toFileName(options.name);
+    const filePath = path.join(rootDir, 'js', 'adapters', fileName);
+    const indexPath = path.join(rootDir, 'index.html');
+    const source = createAdapterSource(options);
+
+    if (options.dryRun) {
+        io.stdout.write(source);
+        return EXIT_OK;
+    }
+
+    if (fs.existsSync(filePath)) {
+        io.stderr.write(`すでに存在します: ${path.relative(rootDir, filePath)}\n`);
+        return EXIT_USAGE;
+    }
+
+    try {
+        fs.writeFileSync(filePath, source);
+        io.stdout.write(`作成しました: ${path.relative(rootDir, filePath)}\n`);
+
+        if (options.register) {
+            fs.writeFileSync(indexPath, addScriptTag(fs.readFileSync(indexPath, 'utf8'), fileName));
+            io.stdout.write('index.html にスクリプトタグを追加しました\n');
+        }
+    } catch (error) {
+        io.stderr.write(`雛形を作成できませんでした: ${error.message}\n`);
+        return EXIT_FAILED;
+    }
+
+    const relativePath = path.relative(rootDir, filePath);
+    const steps = options.type === 'json' ? [
+        `${relativePath} の parse()・getPageParameters()・languageParameters をAPIに合わせて変更`,
+        `test/fixtures/api/ に ${options.name}.json・${options.name}.expected.json・${options.name}.no-results.json を追加`,
+        'test/helpers.js・test/cleanUrl.test.js・test/adapterContract.test.js にエンジンの定義を追加して npm test を実行'
+    ] : [
+        `${relativePath} のセレクター（this.selectors）・getPageParameters()・languageParameters を検索エンジンに合わせて変更`,
+        `test/fixtures/pages/ に ${options.name}.html・${options.name}.expected.json・${options.name}.no-results.html を追加`,
+        'test/helpers.js・test/cleanUrl.test.js・test/adapterContract.test.js にエンジンの定義を追加して npm test を実行'
+    ];
+    io.stdout.write(`\n次の手順:\n${steps.map((step, index) => `  ${index + 1}. ${step}`).join('\n')}\n`);
+    return EXIT_OK;
+}
+
+if (require.main === module) {
+    process.exitCode = main(process.argv.slice(2));
+}
+
+module.exports = {
+    main,
+    parseArgs,
+    toClassName,
+    toFileName,
+    createAdapterSource,
+    addScriptTag,
+    EXIT_OK,
+    EXIT_FAILED,
+    EXIT_USAGE
+};
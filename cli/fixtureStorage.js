@@ -0,0 +1,107 @@
+/**
+ * CLI用フィクスチャ保存先
+ * FixtureRecorderの記録をファイルに保存し、記録したファイルやブラウザからエクスポートしたJSONを再生に使う
+ *
+ * ディレクトリ形式: <dir>/<エンジン>/<言語>-p<ページ>-<エンコードしたクエリ>.json
+ */
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// ファイル名の長さの上限（多くのファイルシステムは255バイト）
+const MAX_NAME_LENGTH = 200;
+
+/**
+ * フィクスチャのキー（エンジン/言語/ページ/クエリ）からファイルパスを作成
+ */
+function fixturePath(dir, key) {
+    const [engine, language, page, ...queryParts] = key.split('/');
+    let name = `${language}-p${page}-${encodeURIComponent(queryParts.join('/'))}`;
+
+    // 長いクエリは先頭とハッシュ値で表す
+    if (name.length > MAX_NAME_LENGTH) {
+        const hash = crypto.createHash('sha1').update(key).digest('hex').slice(0, 12);
+        name = `${name.slice(0, MAX_NAME_LENGTH - 13)}-${hash}`;
+    }
+
+    return path.join(dir, encodeURIComponent(engine), `${name}.json`);
+}
+
+/**
+ * ディレクトリを保存先とするストレージを作成
+ */
+function createFileFixtureStorage(dir) {
+    const root = path.resolve(dir);
+
+    const listFiles = () => {
+        if (!fs.existsSync(root)) return [];
+
+        return fs.readdirSync(root, { withFileTypes: true })
+            .filter(entry => entry.isDirectory())
+            .flatMap(entry => fs.readdirSync(path.join(root, entry.name))
+                .filter(name => name.endsWith('.json'))
+                .map(name => path.join(root, entry.name, name)));
+    };
+
+    return {
+        load(key) {
+            const file = fixturePath(root, key);
+            if (!fs.existsSync(file)) return null;
+            return JSON.parse(fs.readFileSync(file, 'utf8'));
+        },
+        save(key, fixture) {
+            const file = fixturePath(root, key);
+            fs.mkdirSync(path.dirname(file), { recursive: true });
+            fs.writeFileSync(file, `${JSON.stringify(fixture, null, 2)}\n`);
+        },
+        keys() {
+            return listFiles()
+                .map(file => JSON.parse(fs.readFileSync(file, 'utf8')).key)
+                .filter(Boolean);
+        },
+        clear() {
+            listFiles().forEach(file => fs.unlinkSync(file));
+        }
+    };
+}
+
+/**
+ * ブラウザからエクスポートしたJSONファイルを保存先とするストレージを作成
+ * 内容はメモリ上に読み込み、ファイルには書き戻さない
+ */
+function createBundleFixtureStorage(file) {
+    const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+    if (!data || !data.fixtures || typeof data.fixtures !== 'object') {
+        throw new Error(`フィクスチャの形式が正しくありません: ${file}`);
+    }
+
+    const fixtures = new Map(Object.entries(data.fixtures));
+
+    return {
+        load: key => fixtures.get(key) || null,
+        save: (key, fixture) => fixtures.set(key, fixture),
+        keys: () => Array.from(fixtures.keys()),
+        clear: () => fixtures.clear()
+    };
+}
+
+/**
+ * 再生用のストレージを開く
+ * ディレクトリの場合は記録したファイル、ファイルの場合はエクスポートしたJSONとして読み込む
+ */
+function openFixtureStorage(target) {
+    if (!fs.existsSync(target)) {
+        throw new Error(`フィクスチャが見つかりません: ${target}`);
+    }
+
+    return fs.statSync(target).isDirectory() ?
+        createFileFixtureStorage(target) :
+        createBundleFixtureStorage(target);
+}
+
+module.exports = {
+    createFileFixtureStorage,
+    createBundleFixtureStorage,
+    openFixtureStorage,
+    fixturePath
+};
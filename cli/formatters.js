@@ -0,0 +1,174 @@
+/**
+ * CLI出力フォーマッター
+ * 検索レポートを json / table / md 形式の文字列に変換する
+ */
+
+/**
+ * 表示幅を計算（全角文字は2桁として数える）
+ */
+function displayWidth(text) {
+    let width = 0;
+    for (const char of String(text)) {
+        width += /[ᄀ-ᅟ⺀-꓏가-힣豈-﫿︰-﹏＀-｠￠-￦]/.test(char) ? 2 : 1;
+    }
+    return width;
+}
+
+/**
+ * 表示幅に収まるように切り詰める
+ */
+function truncate(text, maxWidth) {
+    const value = String(text || '').replace(/\s+/g, ' ').trim();
+    if (displayWidth(value) <= maxWidth) {
+        return value;
+    }
+
+    let result = '';
+    for (const char of value) {
+        if (displayWidth(result + char) > maxWidth - 1) break;
+        result += char;
+    }
+    return `${result}…`;
+}
+
+/**
+ * 表示幅に合わせて右側を空白で埋める
+ */
+function padEnd(text, width) {
+    return text + ' '.repeat(Math.max(0, width - displayWidth(text)));
+}
+
+// 実際の検索結果以外は取得元を見出しに表示する
+const SOURCE_LABELS = {
+    mock: 'サンプル',
+    cache: 'キャッシュ'
+};
+
+/**
+ * エンジンの状態の見出しを作成
+ */
+function describeEngine(engine) {
+    if (engine.status === 'success') {
+        const label = SOURCE_LABELS[engine.source];
+        return `${engine.displayName} (${engine.results.length}件, ${engine.responseTime}ms)${label ? ` [${label}]` : ''}`;
+    }
+    if (engine.status === 'cancelled') {
+        return `${engine.displayName} (キャンセル)`;
+    }
+    return `${engine.displayName} (エラー)`;
+}
+
+/**
+ * サンプル結果を含むレポートかチェック
+ */
+function hasMockResults(report) {
+    return report.engines.some(engine => engine.status === 'success' && engine.source === 'mock');
+}
+
+/**
+ * JSON形式
+ */
+function formatJson(report) {
+    return JSON.stringify(report, null, 2);
+}
+
+/**
+ * 表形式（端末表示用）
+ */
+function formatTable(report, options = {}) {
+    const width = Math.max(60, options.width || 100);
+    const titleWidth = Math.floor((width - 8) * 0.45);
+    const urlWidth = width - 8 - titleWidth;
+    const lines = [];
+
+    lines.push(`検索: "${report.query}" (言語: ${report.language}, ${report.totalTime}ms)`);
+    lines.push(`成功 ${report.summary.successful} / 失敗 ${report.summary.failed} / 合計 ${report.summary.totalResults}件`);
+    if (hasMockResults(report)) {
+        lines.push('※ [サンプル] のエンジンは実際の検索結果ではありません');
+    }
+
+    report.engines.forEach(engine => {
+        lines.push('');
+        lines.push(`■ ${describeEngine(engine)}`);
+
+        engine.notices.forEach(notice => lines.push(`  ! ${notice}`));
+
+        if (engine.status === 'error') {
+            lines.push(`  ${engine.error}`);
+            return;
+        }
+
+        if (engine.results.length === 0) {
+            lines.push('  検索結果が見つかりませんでした');
+            return;
+        }
+
+        lines.push(`  ${padEnd('#', 3)} ${padEnd('タイトル', titleWidth)} URL`);
+        lines.push(`  ${'-'.repeat(3)} ${'-'.repeat(titleWidth)} ${'-'.repeat(urlWidth)}`);
+        engine.results.forEach(result => {
+            lines.push(`  ${padEnd(String(result.position), 3)} ${padEnd(truncate(result.title, titleWidth), titleWidth)} ${truncate(result.url, urlWidth)}`);
+        });
+    });
+
+    return lines.join('\n');
+}
+
+/**
+ * Markdown形式
+ */
+function formatMarkdown(report) {
+    const escape = text => String(text || '').replace(/([\\[\]*_`])/g, '\\$1');
+    const lines = [];
+
+    lines.push(`# 検索結果: ${escape(report.query)}`);
+    lines.push('');
+    lines.push(`- 言語: ${report.language}`);
+    lines.push(`- 検索時間: ${report.totalTime}ms`);
+    lines.push(`- 成功: ${report.summary.successful} / 失敗: ${report.summary.failed}`);
+    if (hasMockResults(report)) {
+        lines.push('- ※ [サンプル] のエンジンは実際の検索結果ではありません');
+    }
+
+    report.engines.forEach(engine => {
+        lines.push('');
+        lines.push(`## ${escape(describeEngine(engine))}`);
+        lines.push('');
+
+        engine.notices.forEach(notice => lines.push(`> ${escape(notice)}`));
+        if (engine.notices.length > 0) lines.push('');
+
+        if (engine.status === 'error') {
+            lines.push(`_${escape(engine.error)}_`);
+            return;
+        }
+
+        if (engine.results.length === 0) {
+            lines.push('_検索結果が見つかりませんでした_');
+            return;
+        }
+
+        engine.results.forEach(result => {
+            lines.push(`${result.position}. [${escape(result.title)}](${result.url})`);
+            if (result.snippet) {
+                lines.push(`   ${escape(result.snippet)}`);
+            }
+        });
+    });
+
+    return lines.join('\n');
+}
+
+const formatters = {
+    json: formatJson,
+    table: formatTable,
+    md: formatMarkdown
+};
+
+module.exports = {
+    formatters,
+    formatJson,
+    formatTable,
+    formatMarkdown,
+    displayWidth,
+    truncate
+};
@@ -0,0 +1,309 @@
+#!/usr/bin/env node
+/**
+ * マルチサーチエンジン CLI
+ * ブラウザ版と同じSearchManager・アダプターで複数の検索エンジンを同時検索する
+ *
+ * 使用例:
+ *   kiro-search "検索キーワード" --engines google,bing --lang en --format json
+ *
+ * 終了コード:
+ *   0: 1つ以上のエンジンで実際の検索結果（ライブまたはキャッシュ）を取得（--demo の場合はサンプル結果）
+ *   1: すべてのエンジンで検索に失敗
+ *   2: 引数の誤り
+ */
+const fs = require('fs');
+const { createRuntime } = require('./runtime');
+const { formatters } = require('./formatters');
+const { createFileFixtureStorage, openFixtureStorage } = require('./fixtureStorage');
+
+const EXIT_OK = 0;
+const EXIT_ALL_FAILED = 1;
+const EXIT_USAGE = 2;
+
+const USAGE = `使い方: kiro-search <検索キーワード> [オプション]
+
+オプション:
+  -e, --engines <list>   検索するエンジン（カンマ区切り、既定: すべて）
+  -l, --lang <code>      検索言語 ja | en | zh | ko（既定: ja）
+  -f, --format <format>  出力形式 json | table | md（既定: table）
+  -n, --limit <number>   エンジンごとの最大表示件数（既定: 10）
+      --list-engines     利用可能なエンジンの一覧を表示
+      --demo             検索せずにサンプル結果を表示（デモモード）
+      --record <dir>     検索エンジンとの通信をフィクスチャとしてディレクトリに記録
+      --replay <path>    記録したフィクスチャ（ディレクトリまたはエクスポートしたJSON）を再生
+      --selectors <file> セレクターの上書き設定（JSON）を読み込んで解析に使用
+  -v, --verbose          動作ログを標準エラー出力に表示
+  -h, --help             このヘルプを表示`;
+
+/**
+ * 引数の誤りを表すエラーを作成
+ */
+function usageError(message) {
+    const error = new Error(message);
+    error.usage = true;
+    return error;
+}
+
+/**
+ * コマンドライン引数の解析
+ */
+function parseArgs(argv) {
+    const options = {
+        queryParts: [],
+        engines: null,
+        language: 'ja',
+        format: 'table',
+        limit: 10,
+        listEngines: false,
+        demo: false,
+        record: null,
+        replay: null,
+        selectors: null,
+        verbose: false,
+        help: false
+    };
+
+    const valueOptions = {
+        '-e': 'engines', '--engines': 'engines',
+        '-l': 'language', '--lang': 'language',
+        '-f': 'format', '--format': 'format',
+        '-n': 'limit', '--limit': 'limit',
+        '--record': 'record',
+        '--replay': 'replay',
+        '--selectors': 'selectors'
+    };
+
+    for (let i = 0; i < argv.length; i++) {
+        let arg = argv[i];
+        let inlineValue = null;
+
+        // --engines=google,bing 形式
+        const equalsIndex = arg.indexOf('=');
+        if (arg.startsWith('--') && equalsIndex !== -1) {
+            inlineValue = arg.slice(equalsIndex + 1);
+            arg = arg.slice(0, equalsIndex);
+        }
+
+        if (valueOptions[arg]) {
+            const value = inlineValue !== null ? inlineValue : argv[++i];
+            if (value === undefined || value === '') {
+                throw usageError(`${arg} には値が必要です`);
+            }
+            options[valueOptions[arg]] = value;
+        } else if (arg === '--list-engines') {
+            options.listEngines = true;
+        } else if (arg === '--demo') {
+            options.demo = true;
+        } else if (arg === '-v' || arg === '--verbose') {
+            options.verbose = true;
+        } else if (arg === '-h' || arg === '--help') {
+            options.help = true;
+        } else if (arg === '--') {
+            options.queryParts.push(...argv.slice(i + 1));
+            break;
+        } else if (arg.startsWith('--') || /^-[a-zA-Z]$/.test(arg)) {
+            throw usageError(`不明なオプション: ${arg}`);
+        } else {
+            // 除外語（-spam、-site:example.com など）はクエリの一部として扱う
+            options.queryParts.push(argv[i]);
+        }
+    }
+
+    options.query = options.queryParts.join(' ').trim();
+    options.engines = options.engines ?
+        options.engines.split(',').map(engine => engine.trim().toLowerCase()).filter(Boolean) :
+        null;
+    options.limit = Number(options.limit);
+
+    if (!formatters[options.format]) {
+        throw usageError(`不明な出力形式: ${options.format}（json | table | md）`);
+    }
+
+    if (!Number.isInteger(options.limit) || options.limit < 1) {
+        throw usageError('--limit には1以上の整数を指定してください');
+    }
+
+    if (options.record && options.replay) {
+        throw usageError('--record と --replay は同時に指定できません');
+    }
+
+    return options;
+}
+
+/**
+ * 検索結果を出力用のレポートに変換
+ * デモモード（options.demo）以外でサンプル結果を返したエンジンは、実際の結果を取得できなかったものとして失敗にする
+ */
+function buildReport(searchManager, results, limit, options = {}) {
+    const engines = Object.entries(results.engines).map(([engine, engineResult]) => {
+        if (!options.demo && engineResult.status === 'success' && engineResult.source === 'mock') {
+            engineResult = {
+                ...engineResult,
+                status: 'error',
+                data: null,
+                error: { message: 'サンプル結果しか取得できませんでした（検索エンジンに接続できません）', type: 'mock' }
+            };
+        }
+
+        const data = engineResult.data || {};
+        const error = engineResult.error || {};
+
+        return {
+            engine: engine,
+            displayName: searchManager.registry.getDisplayName(engine),
+            status: engineResult.status,
+            source: engineResult.source || null,
+            responseTime: engineResult.responseTime,
+            results: (data.results || []).slice(0, limit).map((result, index) => ({
+                position: index + 1,
+                title: result.title || '',
+                url: result.url || '',
+                snippet: result.snippet || ''
+            })),
+            notices: (data.queryNotices || []).map(notice => notice.message),
+            error: engineResult.status === 'error' ? (error.userMessage || error.message || '不明なエラー') : null,
+            // 解析エラーのうちページ構造の変更によるものは selector_drift
+            errorType: engineResult.status === 'error' ? (error.subtype || error.type || null) : null
+        };
+    });
+
+    const succeeded = engines.filter(engine => engine.status === 'success');
+    return {
+        query: results.query,
+        language: results.language,
+        totalTime: results.totalTime,
+        summary: {
+            ...results.summary,
+            successful: succeeded.length,
+            failed: engines.filter(engine => engine.status === 'error').length,
+            totalResults: succeeded.reduce((total, engine) => total + (results.engines[engine.engine].resultCount || 0), 0)
+        },
+        engines: engines
+    };
+}
+
+/**
+ * 終了コードを決定
+ * 実際の結果（source が live または cache）を返したエンジンが1つもない場合は失敗とする（デモモードはサンプル結果を成功とする）
+ */
+function getExitCode(report, options = {}) {
+    const succeeded = report.engines.some(engine =>
+        engine.status === 'success' && (options.demo || ['live', 'cache'].includes(engine.source))
+    );
+    return succeeded ? EXIT_OK : EXIT_ALL_FAILED;
+}
+
+/**
+ * CLIの実行
+ * 終了コードを返す
+ */
+async function main(argv, io = { stdout: process.stdout, stderr: process.stderr }, runtimeOptions = {}) {
+    let options;
+    try {
+        options = parseArgs(argv);
+    } catch (error) {
+        io.stderr.write(`${error.message}\n\n${USAGE}\n`);
+        return EXIT_USAGE;
+    }
+
+    if (options.help) {
+        io.stdout.write(`${USAGE}\n`);
+        return EXIT_OK;
+    }
+
+    const runtime = createRuntime({ verbose: options.verbose, ...runtimeOptions });
+    const searchManager = runtime.createSearchManager();
+
+    try {
+        const available = searchManager.registry.getNames();
+
+        if (options.listEngines) {
+            available.forEach(engine => {
+                io.stdout.write(`${engine}\t${searchManager.registry.getDisplayName(engine)}\n`);
+            });
+            return EXIT_OK;
+        }
+
+        if (!options.query) {
+            io.stderr.write(`検索キーワードを指定してください\n\n${USAGE}\n`);
+            return EXIT_USAGE;
+        }
+
+        const languageManager = new (runtime.lookup('LanguageManager'))();
+        if (!languageManager.supportedLanguages[options.language]) {
+            io.stderr.write(`未対応の言語: ${options.language}（${Object.keys(languageManager.supportedLanguages).join(' | ')}）\n`);
+            return EXIT_USAGE;
+        }
+
+        if (options.engines) {
+            const unknown = options.engines.filter(engine => !available.includes(engine));
+            if (unknown.length > 0) {
+                io.stderr.write(`不明なエンジン: ${unknown.join(', ')}（${available.join(', ')}）\n`);
+                return EXIT_USAGE;
+            }
+        }
+
+        // 接続できないエンジンの結果をサンプル結果で代替しない（サンプル結果は --demo の場合のみ）
+        searchManager.updateSettings({ demoMode: options.demo, mockFallback: false });
+
+        // セレクターの上書き設定
+        if (options.selectors) {
+            try {
+                const SelectorConfig = runtime.lookup('SelectorConfig');
+                searchManager.updateSettings({
+                    selectorOverrides: SelectorConfig.parse(fs.readFileSync(options.selectors, 'utf8'))
+                });
+            } catch (error) {
+                io.stderr.write(`セレクター設定を読み込めません (${options.selectors}): ${error.message}\n`);
+                return EXIT_USAGE;
+            }
+        }
+
+        // フィクスチャの記録・再生
+        if (options.record) {
+            searchManager.fixtureRecorder.setStorage(createFileFixtureStorage(options.record));
+            searchManager.updateSettings({ fixtureMode: 'record' });
+        } else if (options.replay) {
+            try {
+                searchManager.fixtureRecorder.setStorage(openFixtureStorage(options.replay));
+            } catch (error) {
+                io.stderr.write(`${error.message}\n`);
+                return EXIT_USAGE;
+            }
+            searchManager.updateSettings({ fixtureMode: 'replay' });
+        }
+
+        const results = await searchManager.searchAll(options.query, options.language, {
+            engines: options.engines
+        });
+        const report = buildReport(searchManager, results, options.limit, { demo: options.demo });
+
+        io.stdout.write(`${formatters[options.format](report, { width: io.stdout.columns })}\n`);
+
+        return getExitCode(report, { demo: options.demo });
+
+    } catch (error) {
+        io.stderr.write(`検索エラー: ${error.message}\n`);
+        return EXIT_ALL_FAILED;
+
+    } finally {
+        // キャッシュのタイマーなどを停止してプロセスを終了できるようにする
+        searchManager.cleanup();
+    }
+}
+
+if (require.main === module) {
+    main(process.argv.slice(2)).then(code => {
+        process.exitCode = code;
+    });
+}
+
+module.exports = {
+    main,
+    parseArgs,
+    buildReport,
+    getExitCode,
+    EXIT_OK,
+    EXIT_ALL_FAILED,
+    EXIT_USAGE
+};
@@ -0,0 +1,152 @@
+/**
+ * CLI実行環境
+ * ブラウザ向けのスクリプト（SearchManager・各アダプター）をNode.js上で読み込む
+ *
+ * index.html の script タグの順序どおりに vm コンテキストへ読み込み、
+ * ブラウザにしかない機能（localStorage・DOMParser・document）を代替実装で補う
+ */
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { DOMParser, HTMLAnchorElement } = require('linkedom');
+
+const ROOT_DIR = path.resolve(__dirname, '..');
+
+// 画面表示に関するスクリプトはCLIでは読み込まない
+const BROWSER_ONLY_SCRIPTS = ['js/themeManager.js', 'js/ui.js', 'js/app.js'];
+
+/**
+ * メモリ上のlocalStorage互換ストレージを作成
+ */
+function createMemoryStorage(initialEntries = {}) {
+    const store = new Map(Object.entries(initialEntries));
+
+    return {
+        getItem: key => (store.has(key) ? store.get(key) : null),
+        setItem: (key, value) => store.set(key, String(value)),
+        removeItem: key => store.delete(key),
+        clear: () => store.clear(),
+        key: index => Array.from(store.keys())[index] || null,
+        get length() {
+            return store.size;
+        }
+    };
+}
+
+/**
+ * a要素のhrefをブラウザと同じ値にする
+ * linkedomはエンコード済みの文字（%3Aなど）を二重にエンコードするため、
+ * 絶対URLはURLとして正規化し、相対URLは属性値をそのまま返す
+ */
+function patchAnchorHref() {
+    Object.defineProperty(HTMLAnchorElement.prototype, 'href', {
+        configurable: true,
+        get() {
+            const href = (this.getAttribute('href') || '').trim();
+            try {
+                return new URL(href).href;
+            } catch (error) {
+                return href;
+            }
+        },
+        set(value) {
+            this.setAttribute('href', value);
+        }
+    });
+}
+
+/**
+ * index.html から読み込むスクリプトの一覧を取得
+ */
+function getScriptPaths() {
+    const html = fs.readFileSync(path.join(ROOT_DIR, 'index.html'), 'utf8');
+
+    return Array.from(html.matchAll(/<script\s+src="([^"]+)"/g))
+        .map(match => match[1])
+        .filter(src => !BROWSER_ONLY_SCRIPTS.includes(src));
+}
+
+/**
+ * vmコンテキストのconsoleを作成
+ * 標準出力は検索結果の出力に使うため、ログはverbose指定時のみ標準エラー出力に出す
+ */
+function createConsole(verbose) {
+    const noop = () => {};
+    const toStderr = (...args) => process.stderr.write(`${args.map(String).join(' ')}\n`);
+
+    return {
+        log: verbose ? toStderr : noop,
+        info: verbose ? toStderr : noop,
+        warn: verbose ? toStderr : noop,
+        error: verbose ? toStderr : noop
+    };
+}
+
+/**
+ * 検索機能を読み込んだ実行環境を作成
+ * options.storage: localStorage互換オブジェクト、options.fetch: fetchの差し替え、options.verbose: ログ出力
+ * options.indexedDB: IndexedDB互換オブジェクト（省略した場合、検索結果のキャッシュはメモリ上でのみ保持する）
+ */
+function createRuntime(options = {}) {
+    const fetchImpl = options.fetch || globalThis.fetch;
+    if (typeof fetchImpl !== 'function') {
+        throw new Error('fetch が利用できません。Node.js 18 以降で実行してください');
+    }
+
+    const context = {
+        console: options.console || createConsole(options.verbose),
+        setTimeout,
+        clearTimeout,
+        setInterval,
+        clearInterval,
+        URL,
+        URLSearchParams,
+        AbortController,
+        TextEncoder,
+        TextDecoder,
+        Response: globalThis.Response,
+        Headers: globalThis.Headers,
+        fetch: fetchImpl,
+        DOMParser,
+        localStorage: options.storage || createMemoryStorage(),
+        indexedDB: options.indexedDB,
+        // DOMContentLoaded は発生しないため、登録のみ受け付ける
+        document: {
+            addEventListener() {},
+            removeEventListener() {}
+        }
+    };
+    context.window = context;
+    context.globalThis = context;
+
+    patchAnchorHref();
+    vm.createContext(context);
+
+    getScriptPaths().forEach(src => {
+        const filename = path.join(ROOT_DIR, src);
+        vm.runInContext(fs.readFileSync(filename, 'utf8'), context, { filename });
+    });
+
+    // class宣言はコンテキストのプロパティにならないため、評価して取り出す
+    const lookup = name => vm.runInContext(`typeof ${name} !== 'undefined' ? ${name} : undefined`, context);
+
+    return {
+        context,
+        lookup,
+
+        /**
+         * SearchManagerを作成
+         */
+        createSearchManager() {
+            const ErrorHandler = lookup('ErrorHandler');
+            const SearchManager = lookup('SearchManager');
+            return new SearchManager(new ErrorHandler());
+        }
+    };
+}
+
+module.exports = {
+    createRuntime,
+    createMemoryStorage,
+    getScriptPaths
+};
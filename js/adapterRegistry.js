@@ -0,0 +1,225 @@
+/**
+ * 検索アダプターレジストリクラス
+ * 検索アダプターの登録・削除と契約（インターフェース）の検証を管理する
+ *
+ * アダプターの契約
+ * - name: 英小文字・数字・ハイフン・アンダースコアからなる一意な識別子
+ * - displayName: 表示名
+ * - search(query, language, options): 検索を実行するメソッド
+ * - getDirectSearchUrl(query, language): 直接検索URLを返すメソッド
+ * - checkRateLimit() / isAvailable(): 任意。定義する場合はメソッドであること
+ * - languageParameters: 任意。{ 言語コード: 検索パラメータ } の形式
+ * - queryCapabilities: 任意。{ phrase, exclude, or, site, filetype, intitle } の対応可否
+ * - enabledLanguages: 任意。既定で検索する言語コードの配列（未指定はすべての言語）
+ *
+ * 変更は register / unregister イベントで通知する
+ */
+class AdapterRegistry extends EventEmitter {
+    constructor() {
+        super();
+        this.adapters = new Map();
+    }
+
+    /**
+     * 組み込みアダプタークラスを宣言
+     * 各アダプターファイルの末尾で呼び出し、SearchManagerの初期化時に登録される
+     */
+    static define(AdapterClass) {
+        if (typeof AdapterClass !== 'function') {
+            throw new Error('アダプタークラスを指定してください');
+        }
+
+        if (!AdapterRegistry.builtins.includes(AdapterClass)) {
+            AdapterRegistry.builtins.push(AdapterClass);
+        }
+    }
+
+    /**
+     * 組み込みアダプタークラスの一覧を取得
+     */
+    static getBuiltins() {
+        return AdapterRegistry.builtins.slice();
+    }
+
+    /**
+     * カスタムエンジンの種類を宣言
+     * AdapterClass は定義を受け取るコンストラクターと、定義を検証・正規化する静的メソッド normalizeDefinition() を持つ
+     */
+    static defineCustomType(type, AdapterClass) {
+        if (typeof AdapterClass !== 'function' || typeof AdapterClass.normalizeDefinition !== 'function') {
+            throw new Error('normalizeDefinition() を持つアダプタークラスを指定してください');
+        }
+
+        AdapterRegistry.customTypes[type] = AdapterClass;
+    }
+
+    /**
+     * カスタムエンジンの定義（{ type, name, displayName, ... }）を検証・正規化
+     * 不正な定義の場合はエラー（validationErrorsに一覧）となる
+     */
+    static normalizeCustomDefinition(definition) {
+        const type = definition && definition.type;
+        const AdapterClass = AdapterRegistry.customTypes[type];
+        if (!AdapterClass) {
+            const error = new Error(`不明なカスタムエンジンの種類です: ${type}`);
+            error.validationErrors = [error.message];
+            throw error;
+        }
+
+        return AdapterClass.normalizeDefinition(definition);
+    }
+
+    /**
+     * カスタムエンジンの定義からアダプターを作成
+     */
+    static createCustomAdapter(definition) {
+        const normalized = AdapterRegistry.normalizeCustomDefinition(definition);
+        return new AdapterRegistry.customTypes[normalized.type](normalized);
+    }
+
+    /**
+     * 表示名から重複しないエンジン名を作成（MDN Web Docs → mdn-web-docs）
+     * 英数字を含まない場合は fallback を使う
+     */
+    static createUniqueName(displayName, existingNames = [], fallback = 'custom') {
+        const slug = String(displayName || '')
+            .toLowerCase()
+            .replace(/[^a-z0-9]+/g, '-')
+            .replace(/^-+|-+$/g, '')
+            .slice(0, 40) || fallback;
+
+        let name = slug;
+        for (let suffix = 2; existingNames.includes(name); suffix++) {
+            name = `${slug}-${suffix}`;
+        }
+        return name;
+    }
+
+    /**
+     * アダプターの契約を検証
+     * 問題がある場合はその一覧を返す
+     */
+    validate(adapter) {
+        const errors = [];
+
+        if (!adapter || typeof adapter !== 'object') {
+            return ['アダプターがオブジェクトではありません'];
+        }
+
+        if (typeof adapter.name !== 'string' || !/^[a-z0-9_-]+$/.test(adapter.name)) {
+            errors.push('nameは英小文字・数字・ハイフン・アンダースコアからなる文字列である必要があります');
+        }
+
+        if (typeof adapter.displayName !== 'string' || adapter.displayName.trim() === '') {
+            errors.push('displayNameは空でない文字列である必要があります');
+        }
+
+        ['search', 'getDirectSearchUrl'].forEach(method => {
+            if (typeof adapter[method] !== 'function') {
+                errors.push(`${method}()メソッドが実装されていません`);
+            }
+        });
+
+        ['checkRateLimit', 'isAvailable'].forEach(method => {
+            if (adapter[method] !== undefined && typeof adapter[method] !== 'function') {
+                errors.push(`${method}はメソッドである必要があります`);
+            }
+        });
+
+        if (adapter.languageParameters !== undefined &&
+            (adapter.languageParameters === null || typeof adapter.languageParameters !== 'object')) {
+            errors.push('languageParametersはオブジェクトである必要があります');
+        }
+
+        if (adapter.enabledLanguages !== undefined && adapter.enabledLanguages !== null &&
+            (!Array.isArray(adapter.enabledLanguages) || adapter.enabledLanguages.some(language => typeof language !== 'string'))) {
+            errors.push('enabledLanguagesは言語コードの配列である必要があります');
+        }
+
+        if (adapter.queryCapabilities !== undefined &&
+            (adapter.queryCapabilities === null || typeof adapter.queryCapabilities !== 'object')) {
+            errors.push('queryCapabilitiesはオブジェクトである必要があります');
+        }
+
+        return errors;
+    }
+
+    /**
+     * アダプターを登録
+     * options.replace が true の場合は同名のアダプターを置き換える
+     */
+    register(adapter, options = {}) {
+        const errors = this.validate(adapter);
+        if (errors.length > 0) {
+            const error = new Error(`アダプターの契約違反 (${adapter && adapter.name || '名前なし'}): ${errors.join(' / ')}`);
+            error.validationErrors = errors;
+            throw error;
+        }
+
+        if (this.adapters.has(adapter.name) && !options.replace) {
+            throw new Error(`アダプターは既に登録されています: ${adapter.name}`);
+        }
+
+        this.adapters.set(adapter.name, adapter);
+        this.emit('register', { engine: adapter.name, adapter: adapter });
+
+        return adapter;
+    }
+
+    /**
+     * アダプターの登録を解除
+     */
+    unregister(name) {
+        const adapter = this.adapters.get(name);
+        if (!adapter) {
+            return false;
+        }
+
+        this.adapters.delete(name);
+
+        this.emit('unregister', { engine: name, adapter: adapter });
+        return true;
+    }
+
+    /**
+     * アダプターを取得
+     */
+    get(name) {
+        return this.adapters.get(name) || null;
+    }
+
+    /**
+     * アダプターが登録されているかチェック
+     */
+    has(name) {
+        return this.adapters.has(name);
+    }
+
+    /**
+     * 登録済みのエンジン名一覧を取得（登録順）
+     */
+    getNames() {
+        return Array.from(this.adapters.keys());
+    }
+
+    /**
+     * エンジンの表示名を取得
+     */
+    getDisplayName(name) {
+        const adapter = this.adapters.get(name);
+        return adapter ? adapter.displayName : name;
+    }
+
+    /**
+     * { エンジン名: アダプター } 形式のオブジェクトとして取得
+     */
+    toObject() {
+        return Object.fromEntries(this.adapters);
+    }
+}
+
+// 組み込みアダプタークラスの一覧
+AdapterRegistry.builtins = [];
+
+// カスタムエンジンの種類（{ 種類: アダプタークラス }）
+AdapterRegistry.customTypes = {};
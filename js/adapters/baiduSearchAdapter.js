@@ -2,205 +2,56 @@
  * Baidu（百度）検索アダプター
  * Baidu検索の結果を取得・解析する
  */
-class BaiduSearchAdapter {
+class BaiduSearchAdapter extends BaseSearchAdapter {
     constructor() {
+        super();
         this.name = 'baidu';
         this.displayName = 'Baidu';
         this.baseUrl = 'https://www.baidu.com/s';
-        this.timeout = 10000; // 10秒
-    }
-
-    /**
-     * Baidu検索を実行
-     */
-    async search(query, language = 'zh') {
-        const startTime = Date.now();
-        
-        try {
-            const searchUrl = this.buildSearchUrl(query, language);
-            console.log(`Baidu検索URL: ${searchUrl}`);
-
-            // CORS制限のため、実際のスクレイピングは制限される
-            // ここではモックデータを返すか、プロキシサーバーを使用する必要がある
-            const response = await this.fetchWithTimeout(searchUrl);
-            
-            if (!response.ok) {
-                throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-            }
-
-            const html = await response.text();
-            const results = this.parseResults(html);
-            
-            const responseTime = Date.now() - startTime;
-            
-            return {
-                engine: this.name,
-                query: query,
-                language: language,
-                results: results,
-                totalResults: results.length,
-                responseTime: responseTime,
-                status: 'success'
-            };
-
-        } catch (error) {
-            console.error('Baidu検索エラー:', error);
-            
-            // CORS制限の場合はモックデータを返す
-            if (error.message.includes('CORS') || error.name === 'TypeError') {
-                return this.getMockResults(query, language);
-            }
-            
-            throw error;
-        }
-    }
-
-    /**
-     * 検索URLを構築
-     */
-    buildSearchUrl(query, language) {
-        const languageManager = new LanguageManager();
-        const params = languageManager.getSearchParameters(language, this.name);
-        
-        const searchParams = new URLSearchParams({
-            wd: query, // Baiduは'wd'パラメータを使用
-            ...params
-        });
-
-        return `${this.baseUrl}?${searchParams.toString()}`;
-    }
-
-    /**
-     * タイムアウト付きfetch
-     */
-    async fetchWithTimeout(url) {
-        const controller = new AbortController();
-        const timeoutId = setTimeout(() => controller.abort(), this.timeout);
-
-        try {
-            const response = await fetch(url, {
-                signal: controller.signal,
-                headers: {
-                    'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36',
-                    'Accept-Language': 'zh-CN,zh;q=0.9,en;q=0.8'
-                }
-            });
-            clearTimeout(timeoutId);
-            return response;
-        } catch (error) {
-            clearTimeout(timeoutId);
-            throw error;
-        }
+        this.queryParameter = 'wd'; // Baiduは'wd'パラメータを使用
+        // 言語ごとの検索パラメータ（ie: クエリの文字コード、tn: 検索元、rn: 1ページの件数）
+        this.languageParameters = {
+            zh: { ie: 'utf-8', tn: 'baiduhome_pg', rn: '10' },
+            default: { ie: 'utf-8', tn: 'baiduhome_pg' }
+        };
+        this.defaultLanguage = 'zh';
+        this.requestHeaders = { 'Accept-Language': 'zh-CN,zh;q=0.9,en;q=0.8' };
+        this.selectors = SelectorConfig.getDefaults('baidu'); // 結果の解析に使うセレクター（SearchManagerが上書き設定を適用する）
+        // 対応する検索演算子（ORは | で表記する）
+        this.queryCapabilities = {
+            phrase: true,
+            exclude: true,
+            or: true,
+            site: true,
+            filetype: true,
+            intitle: true,
+            orKeyword: '|'
+        };
     }
 
     /**
-     * HTML結果を解析
+     * 2ページ目以降を指定するパラメータ（Baiduは0始まりの結果オフセット）
      */
-    parseResults(html) {
-        const results = [];
-        
-        try {
-            // DOMParserを使用してHTMLを解析
-            const parser = new DOMParser();
-            const doc = parser.parseFromString(html, 'text/html');
-            
-            // Baidu検索結果のセレクター
-            const resultElements = doc.querySelectorAll('.result, .c-container');
-            
-            resultElements.forEach((element, index) => {
-                if (index >= 10) return; // 最大10件まで
-                
-                const titleElement = element.querySelector('h3 a, .t a');
-                const snippetElement = element.querySelector('.c-abstract, .c-span9');
-                const urlElement = element.querySelector('.c-showurl, .g');
-                
-                if (titleElement) {
-                    const result = {
-                        title: this.cleanText(titleElement.textContent),
-                        url: this.cleanUrl(titleElement.href),
-                        snippet: snippetElement ? this.cleanText(snippetElement.textContent) : '',
-                        displayUrl: urlElement ? this.cleanText(urlElement.textContent) : this.extractDisplayUrl(titleElement.href)
-                    };
-                    
-                    if (result.title && result.url) {
-                        results.push(result);
-                    }
-                }
-            });
-            
-        } catch (error) {
-            console.error('Baidu結果解析エラー:', error);
-        }
-        
-        return results;
+    getPageParameters(page) {
+        return { pn: String((page - 1) * this.pageSize) };
     }
 
     /**
      * テキストのクリーニング（中国語対応）
      */
     cleanText(text) {
-        if (!text) return '';
-        
-        // 中国語特有の処理
-        return text
-            .trim()
-            .replace(/\s+/g, ' ')
-            .replace(/[\u200B-\u200D\uFEFF]/g, '') // ゼロ幅文字を除去
-            .replace(/\.\.\./g, '…') // 省略記号の正規化
-            .substring(0, 200);
-    }
-
-    /**
-     * URLのクリーニング
-     */
-    cleanUrl(url) {
-        if (!url) return '';
-        
-        // Baiduのリダイレクトを除去
-        if (url.includes('baidu.com/link?')) {
-            try {
-                const urlParams = new URLSearchParams(url.split('?')[1]);
-                return decodeURIComponent(urlParams.get('url') || url);
-            } catch (error) {
-                return url;
-            }
-        }
-        
-        // 相対URLを絶対URLに変換
-        if (url.startsWith('/')) {
-            return 'https://www.baidu.com' + url;
-        }
-        
-        return url;
-    }
-
-    /**
-     * 表示用URLを抽出
-     */
-    extractDisplayUrl(url) {
-        try {
-            const cleanUrl = this.cleanUrl(url);
-            const urlObj = new URL(cleanUrl);
-            return urlObj.hostname + urlObj.pathname;
-        } catch (error) {
-            return url;
-        }
+        return super.cleanText(text ? text.replace(/\.\.\./g, '…') : text); // 省略記号の正規化
     }
 
     /**
-     * 結果をフォーマット
+     * Baiduのリダイレクト（baidu.com/link?）から移動先のURLを取り出す
      */
-    formatResults(rawResults) {
-        if (!rawResults || !Array.isArray(rawResults)) {
-            return [];
+    extractRedirectTarget(url) {
+        if (!url.includes('baidu.com/link?')) {
+            return null;
         }
-
-        return rawResults.map(result => ({
-            title: result.title || '',
-            url: result.url || '',
-            snippet: result.snippet || '',
-            displayUrl: result.displayUrl || result.url || ''
-        }));
+        const target = new URLSearchParams(url.split('?')[1]).get('url');
+        return target ? decodeURIComponent(target) : '';
     }
 
     /**
@@ -240,60 +91,7 @@ class BaiduSearchAdapter {
             }
         ];
 
-        return {
-            engine: this.name,
-            query: query,
-            language: language,
-            results: mockResults,
-            totalResults: mockResults.length,
-            responseTime: 700,
-            status: 'success'
-        };
-    }
-
-    /**
-     * エラーハンドリング
-     */
-    handleError(error) {
-        if (error.name === 'AbortError') {
-            throw new Error('Baidu検索がタイムアウトしました');
-        } else if (error.message.includes('CORS')) {
-            throw new Error('CORS制限により直接アクセスできません');
-        } else if (error.message.includes('Failed to fetch')) {
-            throw new Error('ネットワークエラーが発生しました');
-        } else {
-            throw new Error(`Baidu検索エラー: ${error.message}`);
-        }
-    }
-
-    /**
-     * 検索可能かチェック
-     */
-    isAvailable() {
-        // 基本的な可用性チェック
-        return typeof fetch !== 'undefined';
-    }
-
-    /**
-     * 検索エンジンの直接検索URLを生成
-     */
-    getDirectSearchUrl(query, language = 'zh') {
-        return this.buildSearchUrl(query, language);
-    }
-
-    /**
-     * レート制限チェック
-     */
-    checkRateLimit() {
-        const lastRequest = localStorage.getItem(`${this.name}_last_request`);
-        const now = Date.now();
-        
-        if (lastRequest && (now - parseInt(lastRequest)) < 1000) {
-            return false; // 1秒以内の連続リクエストを制限
-        }
-        
-        localStorage.setItem(`${this.name}_last_request`, now.toString());
-        return true;
+        return this.buildResponse(query, language, mockResults, { responseTime: 700, source: 'mock' });
     }
 
     /**
@@ -419,4 +217,7 @@ class BaiduSearchAdapter {
         
         return `${baseUrl}?${paramName}=${encodeURIComponent(query)}`;
     }
-}
\ No newline at end of file
+}
+
+// 組み込みアダプターとして宣言
+AdapterRegistry.define(BaiduSearchAdapter);
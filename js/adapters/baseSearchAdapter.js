@@ -0,0 +1,487 @@
+/**
+ * 検索アダプターの基底クラス
+ * タイムアウト・キャンセル・プロキシ・フィクスチャの記録と再生・レート制限・エラー処理など、
+ * すべてのアダプターに共通する処理をまとめる
+ *
+ * 検索の流れ（search()）と上書きできるフック
+ * 1. buildRequest(query, language, options): リクエストするURLとヘッダー（POSTの場合はmethod・body）を作成（既定はbuildSearchUrl()）
+ * 2. parse(body, context): 応答の本文から結果を取り出す（既定はparseResults()でHTMLをセレクター設定に従って解析）
+ *    context に次の値を設定すると、応答の同名のプロパティとして返す
+ *    - summary: 結果の上に表示する要約（{ title, extract, url, thumbnail, source }）
+ *    - instantAnswers: 即答（[{ type: 'answer' | 'infobox', label, content, url, source }]）
+ *    - relatedQueries: 関連する検索キーワード（文字列の配列）
+ * 3. normalize(rawResult): 1件の結果を共通の形式（title・url・snippet・displayUrl）に変換（formatResults()から呼ばれる）
+ *
+ * HTMLを解析するアダプターは、さらに以下を上書きできる
+ * - getPageParameters(page): 2ページ目以降を指定するパラメータ
+ * - extractRedirectTarget(url): 検索エンジンのリダイレクトURLから移動先のURLを取り出す
+ * - parseResultElement(element, selectors): 結果1件分の要素を解析
+ *
+ * 新しいアダプターは `npm run create-adapter -- <name> "<表示名>" <検索URL>` で雛形を作成できる
+ */
+class BaseSearchAdapter {
+    constructor() {
+        this.name = ''; // 英小文字・数字・-・_ からなる識別子（サブクラスで設定する）
+        this.displayName = ''; // 表示名（サブクラスで設定する）
+        this.baseUrl = ''; // 検索URL（サブクラスで設定する）
+        this.queryParameter = 'q'; // 検索キーワードを渡すパラメータ名
+        this.defaultLanguage = 'ja'; // 言語が指定されない場合の検索言語
+        this.timeout = 10000; // 10秒
+        this.proxyUrl = null; // CORSプロキシのURL（SearchManagerが設定する）
+        this.useProxy = true; // falseの場合はproxyUrlが設定されていても直接リクエストする
+        this.fixtureRecorder = null; // HTTPの記録・再生（SearchManagerが設定する）
+        this.pageSize = 10; // 1ページあたりの件数
+        this.selectors = null; // 結果の解析に使うセレクター（SearchManagerが上書き設定を適用する）
+        this.supportsPagination = true;
+        this.requestHeaders = {}; // エンジン固有のリクエストヘッダー（Accept-Languageなど）
+        this.responseType = 'text'; // 応答の本文の形式（'text' | 'json'）
+        this.maxTextLength = 200; // タイトル・説明文の最大文字数
+        this.rateLimitInterval = 1000; // 連続リクエストの最小間隔（ミリ秒）
+        // 対応する検索演算子
+        this.queryCapabilities = {
+            phrase: true,
+            exclude: true,
+            or: true,
+            site: true,
+            filetype: true,
+            intitle: true
+        };
+    }
+
+    /**
+     * 検索を実行
+     * options.signal で検索のキャンセルを受け付ける
+     * options.demoMode が指定された場合はリクエストせずにサンプル結果を返す
+     * options.mockFallback が false の場合は、接続できない場合もサンプル結果を返さずにエラーとする
+     * options.waitForToken は1回の検索で複数のリクエストを送るアダプター向けで、2回目以降のリクエストの前に呼び出して
+     * レート制限のトークンを待つ（SearchManager がスケジューラー経由で実行する場合のみ渡される）
+     */
+    async search(query, language = this.defaultLanguage, options = {}) {
+        const { signal = null, demoMode = false, mockFallback = true } = options;
+        const page = this.supportsPagination ? (options.page || 1) : 1;
+        const startTime = Date.now();
+
+        if (demoMode) {
+            return this.getMockResults(query, language);
+        }
+
+        try {
+            const request = this.buildRequest(query, language, { page });
+            console.log(`${this.displayName}検索URL: ${request.url}`);
+
+            // CORS制限のため、ブラウザから直接取得できない場合はプロキシサーバーを使用する必要がある
+            const response = await this.fetchWithTimeout(request.url, signal, { query, language, page }, request.headers, {
+                method: request.method,
+                body: request.body
+            });
+
+            if (!response.ok) {
+                throw ErrorHandler.createHttpError(response);
+            }
+
+            const body = this.responseType === 'json' ? await response.json() : await response.text();
+            const context = { query, language, page };
+            const results = this.parse(body, context);
+
+            return this.buildResponse(query, language, results, {
+                page: page,
+                responseTime: Date.now() - startTime,
+                hasMore: this.supportsPagination && results.length >= this.pageSize,
+                summary: context.summary,
+                instantAnswers: context.instantAnswers,
+                relatedQueries: context.relatedQueries
+            });
+
+        } catch (error) {
+            console.error(`${this.displayName}検索エラー:`, error);
+
+            // CORS制限の場合はモックデータを返す
+            if (mockFallback && (error.message.includes('CORS') || error.name === 'TypeError')) {
+                return this.getMockResults(query, language);
+            }
+
+            throw error;
+        }
+    }
+
+    /**
+     * リクエストを作成（フック）
+     * { url, headers } を返す。headersはrequestHeadersに追加するヘッダー
+     * GET以外のリクエストは method と body も返す
+     */
+    buildRequest(query, language, options = {}) {
+        return {
+            url: this.buildSearchUrl(query, language, options),
+            headers: {}
+        };
+    }
+
+    /**
+     * 応答の本文を解析（フック）
+     * context は { query, language, page }
+     */
+    parse(body, context) {
+        return this.parseResults(body);
+    }
+
+    /**
+     * 1件の結果を共通の形式に変換（フック）
+     */
+    normalize(rawResult) {
+        return {
+            title: rawResult.title || '',
+            url: rawResult.url || '',
+            snippet: rawResult.snippet || '',
+            displayUrl: rawResult.displayUrl || rawResult.url || ''
+        };
+    }
+
+    /**
+     * アダプターの応答を作成
+     * options.source は 'live'（実際の結果）または 'mock'（サンプル結果）
+     * options.summary（要約）・instantAnswers（即答）・relatedQueries（関連する検索キーワード）は、ない場合は応答に含めない
+     */
+    buildResponse(query, language, results, options = {}) {
+        const {
+            page = 1,
+            responseTime = 0,
+            hasMore = false,
+            source = 'live',
+            summary = null,
+            instantAnswers = [],
+            relatedQueries = []
+        } = options;
+
+        const response = {
+            engine: this.name,
+            query: query,
+            language: language,
+            results: results,
+            totalResults: results.length,
+            responseTime: responseTime,
+            page: page,
+            hasMore: hasMore,
+            status: 'success',
+            source: source
+        };
+
+        if (summary) {
+            response.summary = summary;
+        }
+
+        if (instantAnswers && instantAnswers.length > 0) {
+            response.instantAnswers = instantAnswers;
+        }
+
+        if (relatedQueries && relatedQueries.length > 0) {
+            response.relatedQueries = relatedQueries;
+        }
+
+        return response;
+    }
+
+    /**
+     * 検索URLを構築
+     * options.page で2ページ目以降の開始位置を指定する
+     */
+    buildSearchUrl(query, language, options = {}) {
+        const { page = 1 } = options;
+        const params = this.getLanguageParameters(language);
+
+        // エンジンが対応する演算子の表記に変換
+        const queryParser = new QueryParser();
+        const { query: engineQuery } = queryParser.translate(query, this.queryCapabilities);
+
+        const searchParams = new URLSearchParams({
+            [this.queryParameter]: engineQuery,
+            ...params
+        });
+
+        if (page > 1 && this.supportsPagination) {
+            Object.entries(this.getPageParameters(page)).forEach(([name, value]) => {
+                searchParams.set(name, value);
+            });
+        }
+
+        return `${this.baseUrl}?${searchParams.toString()}`;
+    }
+
+    /**
+     * 検索言語のパラメータを languageParameters から取得
+     * 登録前のアダプターでも使えるよう、LanguageManagerの登録内容ではなく自身の定義を参照する
+     */
+    getLanguageParameters(language) {
+        return new LanguageManager().resolveParameters(this.languageParameters, language);
+    }
+
+    /**
+     * 2ページ目以降を指定するパラメータ（フック）
+     */
+    getPageParameters(page) {
+        return {};
+    }
+
+    /**
+     * 実際にリクエストするURLを作成
+     * プロキシが設定されている場合はプロキシ経由のURLにする（useProxy が false の場合を除く）
+     */
+    buildRequestUrl(url) {
+        return this.proxyUrl && this.useProxy ? `${this.proxyUrl}?url=${encodeURIComponent(url)}` : url;
+    }
+
+    /**
+     * タイムアウト付きfetch
+     * フィクスチャの記録・再生中は fixtureContext（{ query, language, page }）をキーにFixtureRecorderを経由する
+     * requestOptions は { method, body }（省略時はGET）
+     */
+    async fetchWithTimeout(url, signal = null, fixtureContext = null, headers = {}, requestOptions = {}) {
+        if (this.fixtureRecorder && this.fixtureRecorder.isActive() && fixtureContext) {
+            return this.fixtureRecorder.fetch(this.name, fixtureContext, url, () => this.sendRequest(url, signal, headers, requestOptions));
+        }
+        return this.sendRequest(url, signal, headers, requestOptions);
+    }
+
+    /**
+     * タイムアウト付きでリクエストを送信
+     * 呼び出し元のAbortSignalが中断された場合もリクエストを中断する
+     */
+    async sendRequest(url, signal = null, headers = {}, requestOptions = {}) {
+        const { method = 'GET', body = undefined } = requestOptions;
+        const controller = new AbortController();
+        const timeoutId = setTimeout(() => controller.abort(), this.timeout);
+        const abortRequest = () => controller.abort();
+
+        if (signal) {
+            if (signal.aborted) {
+                controller.abort();
+            } else {
+                signal.addEventListener('abort', abortRequest);
+            }
+        }
+
+        try {
+            const response = await fetch(this.buildRequestUrl(url), {
+                method: method,
+                body: body,
+                signal: controller.signal,
+                headers: {
+                    'User-Agent': BaseSearchAdapter.userAgent,
+                    ...this.requestHeaders,
+                    ...headers
+                }
+            });
+            return response;
+        } finally {
+            clearTimeout(timeoutId);
+            if (signal) {
+                signal.removeEventListener('abort', abortRequest);
+            }
+        }
+    }
+
+    /**
+     * HTML結果を解析
+     * 結果を1件も取り出せず「結果なし」の表示もない場合は、ページ構造の変更としてエラーとする
+     * selectors を指定した場合はその設定で解析する（セレクター設定のテスト用）
+     */
+    parseResults(html, selectors = this.selectors) {
+        const results = [];
+
+        try {
+            // DOMParserを使用してHTMLを解析
+            const parser = new DOMParser();
+            const doc = parser.parseFromString(html, 'text/html');
+
+            // 結果の要素のセレクター（設定の先頭から順に試す）
+            const resultElements = SelectorConfig.selectAll(doc, selectors.result);
+
+            resultElements.forEach((element, index) => {
+                if (index >= this.pageSize) return; // 1ページ分まで
+
+                const result = this.parseResultElement(element, selectors);
+                if (result) {
+                    results.push(result);
+                }
+            });
+
+            // ページは取得できたが結果を1件も取り出せず、「結果なし」の表示もない場合はページ構造の変更とみなす
+            if (results.length === 0 && !SelectorConfig.select(doc, selectors.noResults)) {
+                throw ErrorHandler.createSelectorDriftError(this.name, doc, selectors.result.join(' | '));
+            }
+
+        } catch (error) {
+            if (error.selectorDrift) {
+                throw error;
+            }
+            console.error(`${this.displayName}結果解析エラー:`, error);
+        }
+
+        return results;
+    }
+
+    /**
+     * 結果1件分の要素を解析（フック）
+     * タイトル・URLを取り出せない場合はnullを返す
+     */
+    parseResultElement(element, selectors) {
+        const titleElement = SelectorConfig.select(element, selectors.title);
+        // タイトルと別のリンクのセレクターがある場合はそのリンクを使う
+        const linkElement = selectors.link && selectors.link.length > 0 ?
+            SelectorConfig.select(element, selectors.link) :
+            titleElement;
+        const snippetElement = SelectorConfig.select(element, selectors.snippet);
+        const urlElement = SelectorConfig.select(element, selectors.displayUrl);
+
+        if (!titleElement || !linkElement) {
+            return null;
+        }
+
+        const result = {
+            title: this.cleanText(titleElement.textContent),
+            url: this.cleanUrl(linkElement.href),
+            snippet: snippetElement ? this.cleanText(snippetElement.textContent) : '',
+            displayUrl: urlElement ? this.cleanText(urlElement.textContent) : this.extractDisplayUrl(linkElement.href)
+        };
+
+        return result.title && result.url ? result : null;
+    }
+
+    /**
+     * テキストのクリーニング
+     * 空白をまとめ、ゼロ幅文字を除去して maxTextLength 文字までにする
+     */
+    cleanText(text) {
+        if (!text) return '';
+
+        return text
+            .trim()
+            .replace(/\s+/g, ' ')
+            .replace(/[\u200B-\u200D\uFEFF]/g, '') // ゼロ幅文字を除去
+            .substring(0, this.maxTextLength);
+    }
+
+    /**
+     * URLのクリーニング
+     * リダイレクトURLは移動先のURLに、相対URLは検索URLと同じオリジンの絶対URLにする
+     */
+    cleanUrl(url) {
+        if (!url) return '';
+
+        try {
+            const target = this.extractRedirectTarget(url);
+            if (target !== null) {
+                return target || url;
+            }
+        } catch (error) {
+            return url;
+        }
+
+        // 相対URLを絶対URLに変換
+        if (url.startsWith('/')) {
+            return new URL(this.baseUrl).origin + url;
+        }
+
+        return url;
+    }
+
+    /**
+     * リダイレクトURLから移動先のURLを取り出す（フック）
+     * リダイレクトURLでない場合はnullを返す
+     */
+    extractRedirectTarget(url) {
+        return null;
+    }
+
+    /**
+     * 表示用URLを抽出
+     */
+    extractDisplayUrl(url) {
+        try {
+            const cleanUrl = this.cleanUrl(url);
+            const urlObj = new URL(cleanUrl);
+            return urlObj.hostname + urlObj.pathname;
+        } catch (error) {
+            return url;
+        }
+    }
+
+    /**
+     * 結果をフォーマット
+     */
+    formatResults(rawResults) {
+        if (!rawResults || !Array.isArray(rawResults)) {
+            return [];
+        }
+
+        return rawResults.map(result => this.normalize(result));
+    }
+
+    /**
+     * モックデータを取得（CORS制限時の代替）
+     * サブクラスでサンプル結果を定義しない場合は0件
+     */
+    getMockResults(query, language) {
+        return this.buildResponse(query, language, [], { source: 'mock' });
+    }
+
+    /**
+     * エラーハンドリング
+     */
+    handleError(error) {
+        if (error.name === 'AbortError') {
+            throw new Error(`${this.displayName}検索がタイムアウトしました`);
+        } else if (error.message.includes('CORS')) {
+            throw new Error('CORS制限により直接アクセスできません');
+        } else if (error.message.includes('Failed to fetch')) {
+            throw new Error('ネットワークエラーが発生しました');
+        } else {
+            throw new Error(`${this.displayName}検索エラー: ${error.message}`);
+        }
+    }
+
+    /**
+     * 検索可能かチェック
+     */
+    isAvailable() {
+        // 基本的な可用性チェック
+        return typeof fetch !== 'undefined';
+    }
+
+    /**
+     * 検索エンジンの直接検索URLを生成
+     */
+    getDirectSearchUrl(query, language = this.defaultLanguage) {
+        return this.buildSearchUrl(query, language);
+    }
+
+    /**
+     * レート制限チェック
+     * アダプターを単体で使う場合の簡易的な制限（SearchManagerはRequestSchedulerでリクエストを待機させるため使用しない）
+     */
+    checkRateLimit() {
+        const lastRequest = localStorage.getItem(`${this.name}_last_request`);
+        const now = Date.now();
+
+        if (lastRequest && (now - parseInt(lastRequest)) < this.rateLimitInterval) {
+            return false; // 最小間隔以内の連続リクエストを制限
+        }
+
+        localStorage.setItem(`${this.name}_last_request`, now.toString());
+        return true;
+    }
+
+    /**
+     * HTMLのタグを除いたテキストを取得（フィードの説明文やAPIの抜粋はHTMLを含むことがある）
+     */
+    static stripHtml(text) {
+        if (!text || !/[<&]/.test(text)) {
+            return text || '';
+        }
+
+        // 断片のままではCLI・テストの実行環境（linkedom）が先頭の要素しか解析しないため、文書として解析する
+        const doc = new DOMParser().parseFromString(`<!DOCTYPE html><html><body>${text}</body></html>`, 'text/html');
+        return doc.body ? doc.body.textContent : text;
+    }
+}
+
+BaseSearchAdapter.userAgent = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36';
@@ -2,186 +2,27 @@
  * Bing検索アダプター
  * Bing検索の結果を取得・解析する
  */
-class BingSearchAdapter {
+class BingSearchAdapter extends BaseSearchAdapter {
     constructor() {
+        super();
         this.name = 'bing';
         this.displayName = 'Bing';
         this.baseUrl = 'https://www.bing.com/search';
-        this.timeout = 10000; // 10秒
-    }
-
-    /**
-     * Bing検索を実行
-     */
-    async search(query, language = 'ja') {
-        const startTime = Date.now();
-        
-        try {
-            const searchUrl = this.buildSearchUrl(query, language);
-            console.log(`Bing検索URL: ${searchUrl}`);
-
-            // CORS制限のため、実際のスクレイピングは制限される
-            // ここではモックデータを返すか、プロキシサーバーを使用する必要がある
-            const response = await this.fetchWithTimeout(searchUrl);
-            
-            if (!response.ok) {
-                throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-            }
-
-            const html = await response.text();
-            const results = this.parseResults(html);
-            
-            const responseTime = Date.now() - startTime;
-            
-            return {
-                engine: this.name,
-                query: query,
-                language: language,
-                results: results,
-                totalResults: results.length,
-                responseTime: responseTime,
-                status: 'success'
-            };
-
-        } catch (error) {
-            console.error('Bing検索エラー:', error);
-            
-            // CORS制限の場合はモックデータを返す
-            if (error.message.includes('CORS') || error.name === 'TypeError') {
-                return this.getMockResults(query, language);
-            }
-            
-            throw error;
-        }
-    }
-
-    /**
-     * 検索URLを構築
-     */
-    buildSearchUrl(query, language) {
-        const languageManager = new LanguageManager();
-        const params = languageManager.getSearchParameters(language, this.name);
-        
-        const searchParams = new URLSearchParams({
-            q: query,
-            ...params
-        });
-
-        return `${this.baseUrl}?${searchParams.toString()}`;
-    }
-
-    /**
-     * タイムアウト付きfetch
-     */
-    async fetchWithTimeout(url) {
-        const controller = new AbortController();
-        const timeoutId = setTimeout(() => controller.abort(), this.timeout);
-
-        try {
-            const response = await fetch(url, {
-                signal: controller.signal,
-                headers: {
-                    'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36'
-                }
-            });
-            clearTimeout(timeoutId);
-            return response;
-        } catch (error) {
-            clearTimeout(timeoutId);
-            throw error;
-        }
-    }
-
-    /**
-     * HTML結果を解析
-     */
-    parseResults(html) {
-        const results = [];
-        
-        try {
-            // DOMParserを使用してHTMLを解析
-            const parser = new DOMParser();
-            const doc = parser.parseFromString(html, 'text/html');
-            
-            // Bing検索結果のセレクター
-            const resultElements = doc.querySelectorAll('.b_algo, .b_ans');
-            
-            resultElements.forEach((element, index) => {
-                if (index >= 10) return; // 最大10件まで
-                
-                const titleElement = element.querySelector('h2 a, h3 a');
-                const snippetElement = element.querySelector('.b_caption p, .b_snippet');
-                
-                if (titleElement) {
-                    const result = {
-                        title: this.cleanText(titleElement.textContent),
-                        url: this.cleanUrl(titleElement.href),
-                        snippet: snippetElement ? this.cleanText(snippetElement.textContent) : '',
-                        displayUrl: this.extractDisplayUrl(titleElement.href)
-                    };
-                    
-                    if (result.title && result.url) {
-                        results.push(result);
-                    }
-                }
-            });
-            
-        } catch (error) {
-            console.error('Bing結果解析エラー:', error);
-        }
-        
-        return results;
-    }
-
-    /**
-     * テキストのクリーニング
-     */
-    cleanText(text) {
-        if (!text) return '';
-        return text.trim().replace(/\s+/g, ' ').substring(0, 200);
-    }
-
-    /**
-     * URLのクリーニング
-     */
-    cleanUrl(url) {
-        if (!url) return '';
-        
-        // 相対URLを絶対URLに変換
-        if (url.startsWith('/')) {
-            return 'https://www.bing.com' + url;
-        }
-        
-        return url;
+        // 言語ごとの検索パラメータ（cc: 国、setlang: 表示言語）
+        this.languageParameters = {
+            ja: { cc: 'jp', setlang: 'ja' },
+            en: { cc: 'us', setlang: 'en' },
+            zh: { cc: 'cn', setlang: 'zh-cn' },
+            ko: { cc: 'kr', setlang: 'ko' }
+        };
+        this.selectors = SelectorConfig.getDefaults('bing'); // 結果の解析に使うセレクター（SearchManagerが上書き設定を適用する）
     }
 
     /**
-     * 表示用URLを抽出
+     * 2ページ目以降を指定するパラメータ（Bingは1始まりの結果位置）
      */
-    extractDisplayUrl(url) {
-        try {
-            const cleanUrl = this.cleanUrl(url);
-            const urlObj = new URL(cleanUrl);
-            return urlObj.hostname + urlObj.pathname;
-        } catch (error) {
-            return url;
-        }
-    }
-
-    /**
-     * 結果をフォーマット
-     */
-    formatResults(rawResults) {
-        if (!rawResults || !Array.isArray(rawResults)) {
-            return [];
-        }
-
-        return rawResults.map(result => ({
-            title: result.title || '',
-            url: result.url || '',
-            snippet: result.snippet || '',
-            displayUrl: result.displayUrl || result.url || ''
-        }));
+    getPageParameters(page) {
+        return { first: String((page - 1) * this.pageSize + 1) };
     }
 
     /**
@@ -215,60 +56,7 @@ class BingSearchAdapter {
             }
         ];
 
-        return {
-            engine: this.name,
-            query: query,
-            language: language,
-            results: mockResults,
-            totalResults: mockResults.length,
-            responseTime: 600,
-            status: 'success'
-        };
-    }
-
-    /**
-     * エラーハンドリング
-     */
-    handleError(error) {
-        if (error.name === 'AbortError') {
-            throw new Error('Bing検索がタイムアウトしました');
-        } else if (error.message.includes('CORS')) {
-            throw new Error('CORS制限により直接アクセスできません');
-        } else if (error.message.includes('Failed to fetch')) {
-            throw new Error('ネットワークエラーが発生しました');
-        } else {
-            throw new Error(`Bing検索エラー: ${error.message}`);
-        }
-    }
-
-    /**
-     * 検索可能かチェック
-     */
-    isAvailable() {
-        // 基本的な可用性チェック
-        return typeof fetch !== 'undefined';
-    }
-
-    /**
-     * 検索エンジンの直接検索URLを生成
-     */
-    getDirectSearchUrl(query, language = 'ja') {
-        return this.buildSearchUrl(query, language);
-    }
-
-    /**
-     * レート制限チェック
-     */
-    checkRateLimit() {
-        const lastRequest = localStorage.getItem(`${this.name}_last_request`);
-        const now = Date.now();
-        
-        if (lastRequest && (now - parseInt(lastRequest)) < 1000) {
-            return false; // 1秒以内の連続リクエストを制限
-        }
-        
-        localStorage.setItem(`${this.name}_last_request`, now.toString());
-        return true;
+        return this.buildResponse(query, language, mockResults, { responseTime: 600, source: 'mock' });
     }
 
     /**
@@ -330,4 +118,7 @@ class BingSearchAdapter {
         
         return imageResults;
     }
-}
\ No newline at end of file
+}
+
+// 組み込みアダプターとして宣言
+AdapterRegistry.define(BingSearchAdapter);
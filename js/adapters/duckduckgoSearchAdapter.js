@@ -2,69 +2,51 @@
  * DuckDuckGo検索アダプター
  * DuckDuckGo検索の結果を取得・解析する
  */
-class DuckDuckGoSearchAdapter {
+class DuckDuckGoSearchAdapter extends BaseSearchAdapter {
     constructor() {
+        super();
         this.name = 'duckduckgo';
         this.displayName = 'DuckDuckGo';
         this.baseUrl = 'https://duckduckgo.com/';
+        // 言語ごとの検索パラメータ（kl: 地域と言語）
+        this.languageParameters = {
+            ja: { kl: 'jp-jp' },
+            en: { kl: 'us-en' },
+            zh: { kl: 'cn-zh' },
+            ko: { kl: 'kr-ko' }
+        };
         this.instantAnswerUrl = 'https://api.duckduckgo.com/';
-        this.timeout = 10000; // 10秒
+        this.selectors = SelectorConfig.getDefaults('duckduckgo'); // 結果の解析に使うセレクター（SearchManagerが上書き設定を適用する）
     }
 
     /**
      * DuckDuckGo検索を実行
+     * 1ページ目はまずInstant Answer APIを試し、結果が得られない場合は通常の検索を行う
      */
-    async search(query, language = 'ja') {
-        const startTime = Date.now();
-        
-        try {
-            // まずInstant Answer APIを試す
-            const instantResults = await this.searchInstantAnswer(query, language);
+    async search(query, language = this.defaultLanguage, options = {}) {
+        const { signal = null, page = 1, demoMode = false, waitForToken = null } = options;
+
+        if (!demoMode && page === 1) {
+            const instantResults = await this.searchInstantAnswer(query, language, signal);
             if (instantResults && instantResults.results.length > 0) {
                 return instantResults;
             }
 
-            // Instant Answer APIで結果が得られない場合は通常の検索
-            const searchUrl = this.buildSearchUrl(query, language);
-            console.log(`DuckDuckGo検索URL: ${searchUrl}`);
-
-            const response = await this.fetchWithTimeout(searchUrl);
-            
-            if (!response.ok) {
-                throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-            }
-
-            const html = await response.text();
-            const results = this.parseResults(html);
-            
-            const responseTime = Date.now() - startTime;
-            
-            return {
-                engine: this.name,
-                query: query,
-                language: language,
-                results: results,
-                totalResults: results.length,
-                responseTime: responseTime,
-                status: 'success'
-            };
-
-        } catch (error) {
-            console.error('DuckDuckGo検索エラー:', error);
-            
-            // CORS制限の場合はモックデータを返す
-            if (error.message.includes('CORS') || error.name === 'TypeError') {
-                return this.getMockResults(query, language);
+            // 通常の検索は2回目のリクエストとなるため、レート制限のトークンをもう1つ使う
+            if (waitForToken) {
+                await waitForToken();
             }
-            
-            throw error;
         }
+
+        return super.search(query, language, options);
     }
 
     /**
      * DuckDuckGo Instant Answer APIを使用した検索
      */
-    async searchInstantAnswer(query, language) {
+    async searchInstantAnswer(query, language, signal = null) {
+        const startTime = Date.now();
+
         try {
             const params = new URLSearchParams({
                 q: query,
@@ -73,7 +55,7 @@ class DuckDuckGoSearchAdapter {
                 skip_disambig: '1'
             });
 
-            const response = await this.fetchWithTimeout(`${this.instantAnswerUrl}?${params.toString()}`);
+            const response = await this.fetchWithTimeout(`${this.instantAnswerUrl}?${params.toString()}`, signal, { query, language, page: 1 });
             
             if (!response.ok) {
                 throw new Error(`Instant Answer API HTTP ${response.status}`);
@@ -82,17 +64,14 @@ class DuckDuckGoSearchAdapter {
             const data = await response.json();
             const results = this.parseInstantAnswerResults(data, query);
             
-            return {
-                engine: this.name,
-                query: query,
-                language: language,
-                results: results,
-                totalResults: results.length,
-                responseTime: Date.now(),
-                status: 'success'
-            };
+            return this.buildResponse(query, language, results, { responseTime: Date.now() - startTime });
 
         } catch (error) {
+            // キャンセルされた場合は通常検索にフォールバックしない
+            if (signal && signal.aborted) {
+                throw error;
+            }
+
             console.log('Instant Answer API利用不可:', error.message);
             return null;
         }
@@ -161,143 +140,21 @@ class DuckDuckGoSearchAdapter {
     }
 
     /**
-     * 検索URLを構築
-     */
-    buildSearchUrl(query, language) {
-        const languageManager = new LanguageManager();
-        const params = languageManager.getSearchParameters(language, this.name);
-        
-        const searchParams = new URLSearchParams({
-            q: query,
-            ...params
-        });
-
-        return `${this.baseUrl}?${searchParams.toString()}`;
-    }
-
-    /**
-     * タイムアウト付きfetch
+     * 2ページ目以降を指定するパラメータ（DuckDuckGoは0始まりの結果オフセット）
      */
-    async fetchWithTimeout(url) {
-        const controller = new AbortController();
-        const timeoutId = setTimeout(() => controller.abort(), this.timeout);
-
-        try {
-            const response = await fetch(url, {
-                signal: controller.signal,
-                headers: {
-                    'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36'
-                }
-            });
-            clearTimeout(timeoutId);
-            return response;
-        } catch (error) {
-            clearTimeout(timeoutId);
-            throw error;
-        }
+    getPageParameters(page) {
+        return { s: String((page - 1) * this.pageSize) };
     }
 
     /**
-     * HTML結果を解析
+     * DuckDuckGoのリダイレクト（duckduckgo.com/l/?）から移動先のURLを取り出す
      */
-    parseResults(html) {
-        const results = [];
-        
-        try {
-            // DOMParserを使用してHTMLを解析
-            const parser = new DOMParser();
-            const doc = parser.parseFromString(html, 'text/html');
-            
-            // DuckDuckGo検索結果のセレクター
-            const resultElements = doc.querySelectorAll('[data-result], .result');
-            
-            resultElements.forEach((element, index) => {
-                if (index >= 10) return; // 最大10件まで
-                
-                const titleElement = element.querySelector('h2 a, .result__title a');
-                const snippetElement = element.querySelector('.result__snippet, .snippet');
-                const urlElement = element.querySelector('.result__url, .url');
-                
-                if (titleElement) {
-                    const result = {
-                        title: this.cleanText(titleElement.textContent),
-                        url: this.cleanUrl(titleElement.href),
-                        snippet: snippetElement ? this.cleanText(snippetElement.textContent) : '',
-                        displayUrl: urlElement ? this.cleanText(urlElement.textContent) : this.extractDisplayUrl(titleElement.href)
-                    };
-                    
-                    if (result.title && result.url) {
-                        results.push(result);
-                    }
-                }
-            });
-            
-        } catch (error) {
-            console.error('DuckDuckGo結果解析エラー:', error);
-        }
-        
-        return results;
-    }
-
-    /**
-     * テキストのクリーニング
-     */
-    cleanText(text) {
-        if (!text) return '';
-        return text.trim().replace(/\s+/g, ' ').substring(0, 200);
-    }
-
-    /**
-     * URLのクリーニング
-     */
-    cleanUrl(url) {
-        if (!url) return '';
-        
-        // DuckDuckGoのリダイレクトを除去
-        if (url.includes('duckduckgo.com/l/?')) {
-            try {
-                const urlParams = new URLSearchParams(url.split('?')[1]);
-                return decodeURIComponent(urlParams.get('uddg') || url);
-            } catch (error) {
-                return url;
-            }
-        }
-        
-        // 相対URLを絶対URLに変換
-        if (url.startsWith('/')) {
-            return 'https://duckduckgo.com' + url;
-        }
-        
-        return url;
-    }
-
-    /**
-     * 表示用URLを抽出
-     */
-    extractDisplayUrl(url) {
-        try {
-            const cleanUrl = this.cleanUrl(url);
-            const urlObj = new URL(cleanUrl);
-            return urlObj.hostname + urlObj.pathname;
-        } catch (error) {
-            return url;
-        }
-    }
-
-    /**
-     * 結果をフォーマット
-     */
-    formatResults(rawResults) {
-        if (!rawResults || !Array.isArray(rawResults)) {
-            return [];
+    extractRedirectTarget(url) {
+        if (!url.includes('duckduckgo.com/l/?')) {
+            return null;
         }
-
-        return rawResults.map(result => ({
-            title: result.title || '',
-            url: result.url || '',
-            snippet: result.snippet || '',
-            displayUrl: result.displayUrl || result.url || ''
-        }));
+        const target = new URLSearchParams(url.split('?')[1]).get('uddg');
+        return target ? decodeURIComponent(target) : '';
     }
 
     /**
@@ -331,60 +188,7 @@ class DuckDuckGoSearchAdapter {
             }
         ];
 
-        return {
-            engine: this.name,
-            query: query,
-            language: language,
-            results: mockResults,
-            totalResults: mockResults.length,
-            responseTime: 450,
-            status: 'success'
-        };
-    }
-
-    /**
-     * エラーハンドリング
-     */
-    handleError(error) {
-        if (error.name === 'AbortError') {
-            throw new Error('DuckDuckGo検索がタイムアウトしました');
-        } else if (error.message.includes('CORS')) {
-            throw new Error('CORS制限により直接アクセスできません');
-        } else if (error.message.includes('Failed to fetch')) {
-            throw new Error('ネットワークエラーが発生しました');
-        } else {
-            throw new Error(`DuckDuckGo検索エラー: ${error.message}`);
-        }
-    }
-
-    /**
-     * 検索可能かチェック
-     */
-    isAvailable() {
-        // 基本的な可用性チェック
-        return typeof fetch !== 'undefined';
-    }
-
-    /**
-     * 検索エンジンの直接検索URLを生成
-     */
-    getDirectSearchUrl(query, language = 'ja') {
-        return this.buildSearchUrl(query, language);
-    }
-
-    /**
-     * レート制限チェック
-     */
-    checkRateLimit() {
-        const lastRequest = localStorage.getItem(`${this.name}_last_request`);
-        const now = Date.now();
-        
-        if (lastRequest && (now - parseInt(lastRequest)) < 1000) {
-            return false; // 1秒以内の連続リクエストを制限
-        }
-        
-        localStorage.setItem(`${this.name}_last_request`, now.toString());
-        return true;
+        return this.buildResponse(query, language, mockResults, { responseTime: 450, source: 'mock' });
     }
 
     /**
@@ -436,4 +240,7 @@ class DuckDuckGoSearchAdapter {
 
         return instantAnswers;
     }
-}
\ No newline at end of file
+}
+
+// 組み込みアダプターとして宣言
+AdapterRegistry.define(DuckDuckGoSearchAdapter);
@@ -2,188 +2,37 @@
  * Google検索アダプター
  * Google検索の結果を取得・解析する
  */
-class GoogleSearchAdapter {
+class GoogleSearchAdapter extends BaseSearchAdapter {
     constructor() {
+        super();
         this.name = 'google';
         this.displayName = 'Google';
         this.baseUrl = 'https://www.google.com/search';
-        this.timeout = 10000; // 10秒
-    }
-
-    /**
-     * Google検索を実行
-     */
-    async search(query, language = 'ja') {
-        const startTime = Date.now();
-        
-        try {
-            const searchUrl = this.buildSearchUrl(query, language);
-            console.log(`Google検索URL: ${searchUrl}`);
-
-            // CORS制限のため、実際のスクレイピングは制限される
-            // ここではモックデータを返すか、プロキシサーバーを使用する必要がある
-            const response = await this.fetchWithTimeout(searchUrl);
-            
-            if (!response.ok) {
-                throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-            }
-
-            const html = await response.text();
-            const results = this.parseResults(html);
-            
-            const responseTime = Date.now() - startTime;
-            
-            return {
-                engine: this.name,
-                query: query,
-                language: language,
-                results: results,
-                totalResults: results.length,
-                responseTime: responseTime,
-                status: 'success'
-            };
-
-        } catch (error) {
-            console.error('Google検索エラー:', error);
-            
-            // CORS制限の場合はモックデータを返す
-            if (error.message.includes('CORS') || error.name === 'TypeError') {
-                return this.getMockResults(query, language);
-            }
-            
-            throw error;
-        }
-    }
-
-    /**
-     * 検索URLを構築
-     */
-    buildSearchUrl(query, language) {
-        const languageManager = new LanguageManager();
-        const params = languageManager.getSearchParameters(language, this.name);
-        
-        const searchParams = new URLSearchParams({
-            q: query,
-            ...params
-        });
-
-        return `${this.baseUrl}?${searchParams.toString()}`;
-    }
-
-    /**
-     * タイムアウト付きfetch
-     */
-    async fetchWithTimeout(url) {
-        const controller = new AbortController();
-        const timeoutId = setTimeout(() => controller.abort(), this.timeout);
-
-        try {
-            const response = await fetch(url, {
-                signal: controller.signal,
-                headers: {
-                    'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36'
-                }
-            });
-            clearTimeout(timeoutId);
-            return response;
-        } catch (error) {
-            clearTimeout(timeoutId);
-            throw error;
-        }
-    }
-
-    /**
-     * HTML結果を解析
-     */
-    parseResults(html) {
-        const results = [];
-        
-        try {
-            // DOMParserを使用してHTMLを解析
-            const parser = new DOMParser();
-            const doc = parser.parseFromString(html, 'text/html');
-            
-            // Google検索結果のセレクター（変更される可能性があります）
-            const resultElements = doc.querySelectorAll('div.g, div[data-ved]');
-            
-            resultElements.forEach((element, index) => {
-                if (index >= 10) return; // 最大10件まで
-                
-                const titleElement = element.querySelector('h3');
-                const linkElement = element.querySelector('a[href]');
-                const snippetElement = element.querySelector('.VwiC3b, .s3v9rd, .st');
-                
-                if (titleElement && linkElement) {
-                    const result = {
-                        title: this.cleanText(titleElement.textContent),
-                        url: this.cleanUrl(linkElement.href),
-                        snippet: snippetElement ? this.cleanText(snippetElement.textContent) : '',
-                        displayUrl: this.extractDisplayUrl(linkElement.href)
-                    };
-                    
-                    if (result.title && result.url) {
-                        results.push(result);
-                    }
-                }
-            });
-            
-        } catch (error) {
-            console.error('Google結果解析エラー:', error);
-        }
-        
-        return results;
-    }
-
-    /**
-     * テキストのクリーニング
-     */
-    cleanText(text) {
-        if (!text) return '';
-        return text.trim().replace(/\s+/g, ' ').substring(0, 200);
-    }
-
-    /**
-     * URLのクリーニング
-     */
-    cleanUrl(url) {
-        if (!url) return '';
-        
-        // Googleのリダイレクトを除去
-        if (url.includes('/url?q=')) {
-            const urlParams = new URLSearchParams(url.split('?')[1]);
-            return urlParams.get('q') || url;
-        }
-        
-        return url;
+        // 言語ごとの検索パラメータ（hl: 表示言語、gl: 国、lr: 結果の言語）
+        this.languageParameters = {
+            ja: { hl: 'ja', gl: 'jp', lr: 'lang_ja' },
+            en: { hl: 'en', gl: 'us', lr: 'lang_en' },
+            zh: { hl: 'zh-CN', gl: 'cn', lr: 'lang_zh-CN' },
+            ko: { hl: 'ko', gl: 'kr', lr: 'lang_ko' }
+        };
+        this.selectors = SelectorConfig.getDefaults('google'); // 結果の解析に使うセレクター（SearchManagerが上書き設定を適用する）
     }
 
     /**
-     * 表示用URLを抽出
+     * 2ページ目以降を指定するパラメータ（Googleは0始まりの結果オフセット）
      */
-    extractDisplayUrl(url) {
-        try {
-            const cleanUrl = this.cleanUrl(url);
-            const urlObj = new URL(cleanUrl);
-            return urlObj.hostname + urlObj.pathname;
-        } catch (error) {
-            return url;
-        }
+    getPageParameters(page) {
+        return { start: String((page - 1) * this.pageSize) };
     }
 
     /**
-     * 結果をフォーマット
+     * Googleのリダイレクト（/url?q=）から移動先のURLを取り出す
      */
-    formatResults(rawResults) {
-        if (!rawResults || !Array.isArray(rawResults)) {
-            return [];
+    extractRedirectTarget(url) {
+        if (!url.includes('/url?q=')) {
+            return null;
         }
-
-        return rawResults.map(result => ({
-            title: result.title || '',
-            url: result.url || '',
-            snippet: result.snippet || '',
-            displayUrl: result.displayUrl || result.url || ''
-        }));
+        return new URLSearchParams(url.split('?')[1]).get('q') || '';
     }
 
     /**
@@ -211,59 +60,9 @@ class GoogleSearchAdapter {
             }
         ];
 
-        return {
-            engine: this.name,
-            query: query,
-            language: language,
-            results: mockResults,
-            totalResults: mockResults.length,
-            responseTime: 500,
-            status: 'success'
-        };
-    }
-
-    /**
-     * エラーハンドリング
-     */
-    handleError(error) {
-        if (error.name === 'AbortError') {
-            throw new Error('Google検索がタイムアウトしました');
-        } else if (error.message.includes('CORS')) {
-            throw new Error('CORS制限により直接アクセスできません');
-        } else if (error.message.includes('Failed to fetch')) {
-            throw new Error('ネットワークエラーが発生しました');
-        } else {
-            throw new Error(`Google検索エラー: ${error.message}`);
-        }
-    }
-
-    /**
-     * 検索可能かチェック
-     */
-    isAvailable() {
-        // 基本的な可用性チェック
-        return typeof fetch !== 'undefined';
-    }
-
-    /**
-     * 検索エンジンの直接検索URLを生成
-     */
-    getDirectSearchUrl(query, language = 'ja') {
-        return this.buildSearchUrl(query, language);
+        return this.buildResponse(query, language, mockResults, { responseTime: 500, source: 'mock' });
     }
+}
 
-    /**
-     * レート制限チェック
-     */
-    checkRateLimit() {
-        const lastRequest = localStorage.getItem(`${this.name}_last_request`);
-        const now = Date.now();
-        
-        if (lastRequest && (now - parseInt(lastRequest)) < 1000) {
-            return false; // 1秒以内の連続リクエストを制限
-        }
-        
-        localStorage.setItem(`${this.name}_last_request`, now.toString());
-        return true;
-    }
-}
\ No newline at end of file
+// 組み込みアダプターとして宣言
+AdapterRegistry.define(GoogleSearchAdapter);
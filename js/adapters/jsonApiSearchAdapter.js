@@ -0,0 +1,347 @@
+/**
+ * JSON API検索アダプター
+ * JSONで結果を返す検索API（社内Wiki・チケット管理・ドキュメントポータルなど）を、
+ * URLテンプレートとフィールドの対応だけで検索するカスタムエンジンのアダプター
+ *
+ * - urlTemplate・bodyTemplate の {searchTerms}・{page}・{offset}・{count}・{language} に値を埋め込む
+ *   （URLではURLエンコード、本文ではJSONの文字列としてエスケープする）
+ * - resultsPath（items・data.hits[0].list など、空の場合は最上位）の配列の各要素から、
+ *   fields のパスで title・url・snippet・date を取り出す
+ * - プロキシはGETのみでヘッダーを転送しないため、POSTやヘッダーを使うAPIは useProxy を false にして直接リクエストする
+ *
+ * 定義は次の形式で設定（customEngines）に保存し、JSONとしてエクスポート・インポートできる
+ * {
+ *   "type": "jsonapi",
+ *   "name": "team-wiki",
+ *   "displayName": "Team Wiki",
+ *   "method": "GET",
+ *   "urlTemplate": "https://wiki.example.com/api/search?q={searchTerms}&page={page}",
+ *   "bodyTemplate": null,
+ *   "headers": { "Accept": "application/json" },
+ *   "resultsPath": "data.items",
+ *   "fields": { "title": "title", "url": "links.html", "snippet": "excerpt", "date": "updatedAt" },
+ *   "searchUrlTemplate": "https://wiki.example.com/search?q={searchTerms}",
+ *   "useProxy": true
+ * }
+ */
+class JsonApiSearchAdapter extends BaseSearchAdapter {
+    constructor(definition) {
+        super();
+        this.definition = JsonApiSearchAdapter.normalizeDefinition(definition);
+        this.name = this.definition.name;
+        this.displayName = this.definition.displayName;
+        this.custom = true; // 設定から作成したカスタムエンジン
+        this.baseUrl = new URL(JsonApiSearchAdapter.fillTemplate(this.definition.urlTemplate, {})).origin;
+        this.responseType = 'json';
+        this.requestHeaders = { Accept: 'application/json' };
+        this.useProxy = this.definition.useProxy;
+        this.supportsPagination = [this.definition.urlTemplate, this.definition.bodyTemplate || '']
+            .some(template => /\{(page|offset)\}/.test(template));
+        // 検索演算子への対応はAPIごとに異なるため、フレーズ検索と除外語以外は結果の絞り込みで代替する
+        this.queryCapabilities = {
+            phrase: true,
+            exclude: true,
+            or: false,
+            site: false,
+            filetype: false,
+            intitle: false
+        };
+    }
+
+    /**
+     * テンプレートに埋め込む値を作成
+     */
+    getTemplateValues(query, language, options = {}) {
+        const { page = 1 } = options;
+        const queryParser = new QueryParser();
+        const { query: engineQuery } = queryParser.translate(query, this.queryCapabilities);
+
+        return {
+            searchTerms: engineQuery,
+            page: page,
+            offset: (page - 1) * this.pageSize,
+            count: this.pageSize,
+            language: language || ''
+        };
+    }
+
+    /**
+     * APIのリクエストを作成
+     * POSTの場合は bodyTemplate から本文を作成する
+     */
+    buildRequest(query, language, options = {}) {
+        const values = this.getTemplateValues(query, language, options);
+        const { method, urlTemplate, bodyTemplate, headers } = this.definition;
+        const request = {
+            url: JsonApiSearchAdapter.fillTemplate(urlTemplate, values),
+            headers: { ...headers }
+        };
+
+        if (method === 'POST') {
+            request.method = 'POST';
+            request.body = JsonApiSearchAdapter.fillJsonTemplate(bodyTemplate || '', values);
+            if (!Object.keys(request.headers).some(name => name.toLowerCase() === 'content-type')) {
+                request.headers['Content-Type'] = 'application/json';
+            }
+        }
+
+        return request;
+    }
+
+    /**
+     * 直接検索URLを構築
+     * searchUrlTemplate がない場合はGETのAPIのURL、POSTの場合はAPIのオリジンにする
+     */
+    buildSearchUrl(query, language, options = {}) {
+        const values = this.getTemplateValues(query, language, options);
+        const { method, urlTemplate, searchUrlTemplate } = this.definition;
+
+        if (searchUrlTemplate) {
+            return JsonApiSearchAdapter.fillTemplate(searchUrlTemplate, values);
+        }
+
+        return method === 'GET' ? JsonApiSearchAdapter.fillTemplate(urlTemplate, values) : this.baseUrl;
+    }
+
+    /**
+     * APIの応答を解析
+     * resultsPath の配列の各要素から fields のパスで値を取り出す
+     */
+    parse(data, context) {
+        const { resultsPath, fields } = this.definition;
+        const items = resultsPath ? JsonApiSearchAdapter.getPath(data, resultsPath) : data;
+
+        if (!Array.isArray(items)) {
+            throw new Error(`${this.displayName}の応答に結果の配列がありません（resultsPath: ${resultsPath || '最上位'}）`);
+        }
+
+        return items.slice(0, this.pageSize)
+            .map(item => {
+                const url = this.resolveUrl(JsonApiSearchAdapter.getText(item, fields.url));
+                return {
+                    title: this.cleanText(BaseSearchAdapter.stripHtml(JsonApiSearchAdapter.getText(item, fields.title))),
+                    url: url,
+                    snippet: this.cleanText(BaseSearchAdapter.stripHtml(JsonApiSearchAdapter.getText(item, fields.snippet))),
+                    displayUrl: this.extractDisplayUrl(url),
+                    publishedDate: JsonApiSearchAdapter.getText(item, fields.date) || null
+                };
+            })
+            .filter(result => result.title && result.url);
+    }
+
+    /**
+     * 結果のURLを絶対URLにする（APIのURLからの相対URLに対応、http(s)以外は除く）
+     */
+    resolveUrl(value) {
+        if (!value) return '';
+
+        try {
+            const url = new URL(value, JsonApiSearchAdapter.fillTemplate(this.definition.urlTemplate, {}));
+            return ['http:', 'https:'].includes(url.protocol) ? url.href : '';
+        } catch (error) {
+            return '';
+        }
+    }
+
+    /**
+     * 1件の結果を共通の形式に変換（日付を保持する）
+     */
+    normalize(rawResult) {
+        return {
+            ...super.normalize(rawResult),
+            publishedDate: rawResult.publishedDate || null
+        };
+    }
+
+    /**
+     * 設定パネルのカスタムエンジンの一覧に表示する取得方法
+     */
+    describeMode() {
+        const { method, useProxy } = this.definition;
+        return `JSON API（${method} ${new URL(this.baseUrl).host}${useProxy ? '' : '、プロキシなし'}）`;
+    }
+
+    /**
+     * モックデータを取得（デモモード・CORS制限時の代替）
+     */
+    getMockResults(query, language) {
+        const mockResults = [
+            {
+                title: `${query} - ${this.displayName}のサンプル結果`,
+                url: this.getDirectSearchUrl(query, language),
+                snippet: `${query}に関するサンプルの検索結果です。`,
+                displayUrl: new URL(this.baseUrl).host,
+                publishedDate: null
+            }
+        ];
+
+        return this.buildResponse(query, language, mockResults, { responseTime: 350, source: 'mock' });
+    }
+
+    /**
+     * テンプレートの {名前} に値をURLエンコードして埋め込む（値のない名前は空文字列）
+     */
+    static fillTemplate(template, values) {
+        return template.replace(/\{(\w+)\}/g, (match, name) => {
+            const value = values[name];
+            return value === undefined || value === null ? '' : encodeURIComponent(String(value));
+        });
+    }
+
+    /**
+     * 本文のテンプレートの {名前} に値をJSONの文字列としてエスケープして埋め込む
+     * "{searchTerms}" のように文字列の中に書き、数値の {page} などは引用符なしでも書ける
+     */
+    static fillJsonTemplate(template, values) {
+        return template.replace(/\{(\w+)\}/g, (match, name) => {
+            const value = values[name];
+            return value === undefined || value === null ? '' : JSON.stringify(String(value)).slice(1, -1);
+        });
+    }
+
+    /**
+     * オブジェクトからパス（data.items・links[0].href など）の値を取得（ない場合はundefined）
+     */
+    static getPath(object, path) {
+        return JsonApiSearchAdapter.splitPath(path).reduce(
+            (current, key) => (current === null || current === undefined ? undefined : current[key]),
+            object
+        );
+    }
+
+    /**
+     * パスの値を文字列として取得（文字列・数値以外は空文字列）
+     */
+    static getText(object, path) {
+        if (!path) return '';
+
+        const value = JsonApiSearchAdapter.getPath(object, path);
+        return typeof value === 'string' || typeof value === 'number' ? String(value) : '';
+    }
+
+    /**
+     * パスを名前の配列に分割（links[0].href → ['links', '0', 'href']）
+     */
+    static splitPath(path) {
+        return String(path).replace(/\[(\d+)\]/g, '.$1').split('.').filter(key => key !== '');
+    }
+
+    /**
+     * カスタムエンジンの定義を検証・正規化
+     * 不正な定義の場合はエラー（validationErrorsに一覧）となる
+     */
+    static normalizeDefinition(definition) {
+        const errors = [];
+        const isObject = value => !!value && typeof value === 'object' && !Array.isArray(value);
+        const isUrlTemplate = template => {
+            try {
+                const url = new URL(JsonApiSearchAdapter.fillTemplate(template, {}));
+                return ['http:', 'https:'].includes(url.protocol);
+            } catch (error) {
+                return false;
+            }
+        };
+        const isPath = value => typeof value === 'string' && /^[^.\s[\]]+(\[\d+\])*(\.[^.\s[\]]+(\[\d+\])*)*$/.test(value);
+
+        if (!isObject(definition)) {
+            errors.push('定義はオブジェクトである必要があります');
+        } else {
+            const method = String(definition.method || 'GET').toUpperCase();
+
+            if (definition.type !== 'jsonapi') {
+                errors.push('typeは "jsonapi" である必要があります');
+            }
+
+            if (typeof definition.name !== 'string' || !/^[a-z0-9_-]+$/.test(definition.name)) {
+                errors.push('nameは英小文字・数字・ハイフン・アンダースコアからなる文字列である必要があります');
+            }
+
+            if (typeof definition.displayName !== 'string' || definition.displayName.trim() === '') {
+                errors.push('displayNameは空でない文字列である必要があります');
+            }
+
+            if (!['GET', 'POST'].includes(method)) {
+                errors.push('methodは "GET" または "POST" である必要があります');
+            }
+
+            if (typeof definition.urlTemplate !== 'string' || !isUrlTemplate(definition.urlTemplate)) {
+                errors.push('urlTemplateはhttp(s)のURLのテンプレートである必要があります');
+            } else if (method === 'GET' && !definition.urlTemplate.includes('{searchTerms}')) {
+                errors.push('GETのurlTemplateには {searchTerms} を含めてください');
+            }
+
+            if (method === 'POST') {
+                try {
+                    JSON.parse(JsonApiSearchAdapter.fillJsonTemplate(String(definition.bodyTemplate || ''), { searchTerms: 'test', page: 1, offset: 0, count: 10, language: 'ja' }));
+                } catch (error) {
+                    errors.push('POSTのbodyTemplateは値を埋め込むとJSONになる文字列である必要があります');
+                }
+            }
+
+            if (definition.headers !== undefined && (!isObject(definition.headers) ||
+                Object.entries(definition.headers).some(([name, value]) => !/^[!#$%&'*+.^_`|~0-9A-Za-z-]+$/.test(name) || typeof value !== 'string'))) {
+                errors.push('headersは { ヘッダー名: 文字列 } の形式である必要があります');
+            }
+
+            if (definition.resultsPath !== undefined && definition.resultsPath !== '' && !isPath(definition.resultsPath)) {
+                errors.push('resultsPathは data.items のようなパスである必要があります');
+            }
+
+            if (!isObject(definition.fields)) {
+                errors.push('fieldsは { title, url, snippet, date } のパスのオブジェクトである必要があります');
+            } else {
+                ['title', 'url'].forEach(field => {
+                    if (!isPath(definition.fields[field])) {
+                        errors.push(`fields.${field}にはパスを指定してください`);
+                    }
+                });
+                ['snippet', 'date'].forEach(field => {
+                    const value = definition.fields[field];
+                    if (value !== undefined && value !== null && value !== '' && !isPath(value)) {
+                        errors.push(`fields.${field}はパスである必要があります`);
+                    }
+                });
+            }
+
+            if (definition.searchUrlTemplate && (typeof definition.searchUrlTemplate !== 'string' || !isUrlTemplate(definition.searchUrlTemplate))) {
+                errors.push('searchUrlTemplateはhttp(s)のURLのテンプレートである必要があります');
+            }
+
+            const headers = isObject(definition.headers) ? definition.headers : {};
+            if (definition.useProxy !== false && (method === 'POST' || Object.keys(headers).length > 0)) {
+                errors.push('プロキシはGETのみでヘッダーを転送しないため、POSTやheadersを使う場合は useProxy を false にしてください');
+            }
+        }
+
+        if (errors.length > 0) {
+            const error = new Error(`カスタムエンジンの定義が正しくありません: ${errors.join(' / ')}`);
+            error.validationErrors = errors;
+            throw error;
+        }
+
+        const method = String(definition.method || 'GET').toUpperCase();
+        const fields = definition.fields;
+
+        return {
+            type: 'jsonapi',
+            name: definition.name,
+            displayName: definition.displayName.trim(),
+            method: method,
+            urlTemplate: definition.urlTemplate,
+            bodyTemplate: method === 'POST' ? String(definition.bodyTemplate || '') : null,
+            headers: { ...(definition.headers || {}) },
+            resultsPath: definition.resultsPath || '',
+            fields: {
+                title: fields.title,
+                url: fields.url,
+                snippet: fields.snippet || '',
+                date: fields.date || ''
+            },
+            searchUrlTemplate: definition.searchUrlTemplate || null,
+            useProxy: definition.useProxy !== false
+        };
+    }
+}
+
+// カスタムエンジンの種類として宣言
+AdapterRegistry.defineCustomType('jsonapi', JsonApiSearchAdapter);
@@ -0,0 +1,116 @@
+/**
+ * Naver（네이버）検索アダプター
+ * Naverの統合検索の結果（ウェブサイト・ブログ・ニュースのセクション）を取得・解析する
+ * 韓国語の検索でのみ既定で使用する（他の言語ではエンジンを指定した場合のみ）
+ */
+class NaverSearchAdapter extends BaseSearchAdapter {
+    constructor() {
+        super();
+        this.name = 'naver';
+        this.displayName = 'Naver';
+        this.baseUrl = 'https://search.naver.com/search.naver';
+        this.queryParameter = 'query'; // Naverは'query'パラメータを使用
+        // 検索パラメータ（where: 統合検索、sm: 検索元、ie: クエリの文字コード）はどの言語でも同じ
+        this.languageParameters = {
+            default: { where: 'nexearch', sm: 'top_hty', ie: 'utf8' }
+        };
+        this.defaultLanguage = 'ko';
+        this.enabledLanguages = ['ko']; // 既定で検索する言語
+        this.requestHeaders = { 'Accept-Language': 'ko-KR,ko;q=0.9,en;q=0.8' };
+        this.selectors = SelectorConfig.getDefaults('naver'); // 結果の解析に使うセレクター（SearchManagerが上書き設定を適用する）
+        // 対応する検索演算子
+        this.queryCapabilities = {
+            phrase: true,
+            exclude: true,
+            or: false,
+            site: true,
+            filetype: false,
+            intitle: false
+        };
+    }
+
+    /**
+     * 2ページ目以降を指定するパラメータ
+     * 統合検索にはページがないため、ウェブサイトのセクション（1始まりの結果位置）で続きを取得する
+     */
+    getPageParameters(page) {
+        return { where: 'web', start: String((page - 1) * this.pageSize + 1) };
+    }
+
+    /**
+     * 結果1件分の要素を解析
+     * 共通の形式に加えて、結果のセクション（web・blog・news）を返す
+     */
+    parseResultElement(element, selectors) {
+        const result = super.parseResultElement(element, selectors);
+        if (!result) {
+            return null;
+        }
+
+        return {
+            ...result,
+            section: this.getSection(element, selectors)
+        };
+    }
+
+    /**
+     * 結果の要素が属するセクションを判定（ブログ・ニュースのセレクターに一致しない場合はweb）
+     */
+    getSection(element, selectors) {
+        const matches = fieldSelectors => (fieldSelectors || []).some(selector => {
+            try {
+                return !!element.closest(selector);
+            } catch (error) {
+                return false;
+            }
+        });
+
+        if (matches(selectors.newsResult)) return 'news';
+        if (matches(selectors.blogResult)) return 'blog';
+        return 'web';
+    }
+
+    /**
+     * 1件の結果を共通の形式に変換（セクションを保持する）
+     */
+    normalize(rawResult) {
+        return {
+            ...super.normalize(rawResult),
+            section: rawResult.section || 'web'
+        };
+    }
+
+    /**
+     * モックデータを取得（CORS制限時の代替）
+     */
+    getMockResults(query, language) {
+        const mockResults = [
+            {
+                title: `${query} - 네이버 검색 결과1`,
+                url: `https://example.co.kr/naver-result1?q=${encodeURIComponent(query)}`,
+                snippet: `${query}에 관한 네이버 웹사이트 검색 결과입니다.`,
+                displayUrl: 'example.co.kr/naver-result1',
+                section: 'web'
+            },
+            {
+                title: `${query} 후기 - 네이버 블로그`,
+                url: `https://blog.example.co.kr/${encodeURIComponent(query)}`,
+                snippet: `${query}에 대한 블로그 글입니다. 직접 사용해 본 경험을 정리했습니다.`,
+                displayUrl: 'blog.example.co.kr',
+                section: 'blog'
+            },
+            {
+                title: `${query} 관련 최신 뉴스`,
+                url: `https://news.example.co.kr/search?q=${encodeURIComponent(query)}`,
+                snippet: `${query}에 관한 최신 뉴스와 기사를 모았습니다.`,
+                displayUrl: 'news.example.co.kr',
+                section: 'news'
+            }
+        ];
+
+        return this.buildResponse(query, language, mockResults, { responseTime: 550, source: 'mock' });
+    }
+}
+
+// 組み込みアダプターとして宣言
+AdapterRegistry.define(NaverSearchAdapter);
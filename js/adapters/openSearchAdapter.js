@@ -0,0 +1,466 @@
+/**
+ * OpenSearch検索アダプター
+ * OpenSearch記述ドキュメント（OpenSearch description）から作成するカスタムエンジンのアダプター
+ *
+ * - text/html のURLテンプレートはカラム見出しの直接検索リンク（getDirectSearchUrl()）に使う
+ * - RSS・Atom・JSONのURLテンプレートがある場合は結果を取得・解析し、組み込みエンジンと同じように表示する
+ * - 結果を取得できるテンプレートがない場合はリクエストせず、リンクのみの応答（source: 'link'）を返す
+ *
+ * 記述ドキュメントは parseDescription() で次の形式の定義に変換し、設定（customEngines）に保存する
+ * {
+ *   "type": "opensearch",
+ *   "name": "mdn",
+ *   "displayName": "MDN",
+ *   "description": "Search MDN Web Docs",
+ *   "sourceUrl": "https://developer.mozilla.org/opensearch.xml",
+ *   "urls": [{ "type": "text/html", "template": "https://developer.mozilla.org/search?q={searchTerms}", "rel": "results", "indexOffset": 1, "pageOffset": 1, "params": [] }]
+ * }
+ */
+class OpenSearchAdapter extends BaseSearchAdapter {
+    constructor(definition) {
+        super();
+        this.definition = OpenSearchAdapter.normalizeDefinition(definition);
+        this.name = this.definition.name;
+        this.displayName = this.definition.displayName;
+        this.custom = true; // 設定から作成したカスタムエンジン
+        this.htmlUrl = OpenSearchAdapter.findUrl(this.definition.urls, OpenSearchAdapter.htmlTypes);
+        this.resultsUrl = OpenSearchAdapter.findUrl(this.definition.urls, OpenSearchAdapter.resultTypes);
+        this.baseUrl = new URL(OpenSearchAdapter.fillTemplate((this.htmlUrl || this.resultsUrl).template, {})).origin;
+        this.supportsPagination = !!this.resultsUrl && /\{(startPage|startIndex)\??\}/.test(this.resultsUrl.template);
+        // 検索演算子への対応はエンジンごとに異なるため、フレーズ検索と除外語以外は結果の絞り込みで代替する
+        this.queryCapabilities = {
+            phrase: true,
+            exclude: true,
+            or: false,
+            site: false,
+            filetype: false,
+            intitle: false
+        };
+    }
+
+    /**
+     * 検索を実行
+     * 結果を取得できるURLテンプレートがない場合はリクエストせずにリンクのみの応答を返す
+     */
+    async search(query, language = this.defaultLanguage, options = {}) {
+        if (!this.resultsUrl) {
+            return {
+                ...this.buildResponse(query, language, [], { source: 'link' }),
+                directUrl: this.getDirectSearchUrl(query, language)
+            };
+        }
+
+        return super.search(query, language, options);
+    }
+
+    /**
+     * リクエストを作成
+     * 結果を取得するURLテンプレートに検索キーワード・ページを埋め込む
+     */
+    buildRequest(query, language, options = {}) {
+        return {
+            url: this.buildTemplateUrl(this.resultsUrl, query, language, options),
+            headers: { 'Accept': `${this.resultsUrl.type}, */*;q=0.5` }
+        };
+    }
+
+    /**
+     * 直接検索URLを構築
+     * text/html のテンプレートがない場合は結果を取得するテンプレートを使う
+     */
+    buildSearchUrl(query, language, options = {}) {
+        return this.buildTemplateUrl(this.htmlUrl || this.resultsUrl, query, language, options);
+    }
+
+    /**
+     * URLテンプレートにパラメータを埋め込んでURLを作成
+     * <Param> 要素で指定されたパラメータはクエリ文字列に追加する
+     */
+    buildTemplateUrl(urlTemplate, query, language, options = {}) {
+        const { page = 1 } = options;
+        const queryParser = new QueryParser();
+        const { query: engineQuery } = queryParser.translate(query, this.queryCapabilities);
+
+        const values = {
+            searchTerms: engineQuery,
+            count: this.pageSize,
+            startPage: urlTemplate.pageOffset + page - 1,
+            startIndex: urlTemplate.indexOffset + (page - 1) * this.pageSize,
+            language: language || '*',
+            inputEncoding: 'UTF-8',
+            outputEncoding: 'UTF-8'
+        };
+
+        const url = OpenSearchAdapter.fillTemplate(urlTemplate.template, values);
+        if (urlTemplate.params.length === 0) {
+            return url;
+        }
+
+        const params = urlTemplate.params
+            .map(param => `${encodeURIComponent(param.name)}=${OpenSearchAdapter.fillTemplate(param.value, values)}`)
+            .join('&');
+        return `${url}${url.includes('?') ? '&' : '?'}${params}`;
+    }
+
+    /**
+     * 応答の本文を解析
+     * テンプレートの形式に応じてRSS・AtomのフィードまたはJSONとして解析する
+     */
+    parse(body, context) {
+        return this.resultsUrl.type === 'application/json' ?
+            this.parseJsonResults(body) :
+            this.parseFeed(body);
+    }
+
+    /**
+     * RSS・Atomのフィードを解析
+     * フィードに項目がない場合は0件（結果なし）とする。http(s)以外のURLの項目は除く
+     */
+    parseFeed(xml) {
+        const doc = new DOMParser().parseFromString(xml, 'text/xml');
+        const root = doc.documentElement;
+        if (!root || !['rss', 'feed', 'RDF'].includes(root.localName)) {
+            throw new Error(`${this.displayName}の応答がRSS・Atomのフィードではありません`);
+        }
+
+        const items = Array.from(doc.getElementsByTagName(root.localName === 'feed' ? 'entry' : 'item'));
+
+        return items
+            .map(item => {
+                const link = root.localName === 'feed' ?
+                    OpenSearchAdapter.getAtomLink(item) :
+                    OpenSearchAdapter.getChildText(item, ['link', 'guid']);
+                const url = OpenSearchAdapter.toHttpUrl(this.cleanUrl(link.trim()));
+
+                return {
+                    title: this.cleanText(BaseSearchAdapter.stripHtml(OpenSearchAdapter.getChildText(item, ['title']))),
+                    url: url,
+                    snippet: this.cleanText(BaseSearchAdapter.stripHtml(OpenSearchAdapter.getChildText(item, ['description', 'summary', 'content']))),
+                    displayUrl: this.extractDisplayUrl(url)
+                };
+            })
+            .filter(result => result.title && result.url);
+    }
+
+    /**
+     * JSONの応答を解析
+     * 結果の配列（items・results・hits・dataまたは最上位の配列）と、
+     * OpenSearch Suggestionsの形式（[検索キーワード, [タイトル], [説明], [URL]]）に対応する
+     * http(s)以外のURLの項目は除く
+     */
+    parseJsonResults(text) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            throw new Error(`${this.displayName}の応答をJSONとして読み込めません: ${error.message}`);
+        }
+
+        let items;
+        if (Array.isArray(data) && typeof data[0] === 'string' && Array.isArray(data[1])) {
+            const [, titles, descriptions = [], urls = []] = data;
+            items = titles.map((title, index) => ({ title: title, description: descriptions[index], url: urls[index] }));
+        } else if (Array.isArray(data)) {
+            items = data;
+        } else {
+            items = ['items', 'results', 'hits', 'data'].map(key => data && data[key]).find(Array.isArray) || [];
+        }
+
+        const pick = (item, keys) => {
+            const key = keys.find(name => typeof item[name] === 'string');
+            return key ? item[key] : '';
+        };
+
+        return items
+            .filter(item => item && typeof item === 'object')
+            .map(item => {
+                const url = OpenSearchAdapter.toHttpUrl(this.cleanUrl(pick(item, ['url', 'link', 'href'])));
+                return {
+                    title: this.cleanText(BaseSearchAdapter.stripHtml(pick(item, ['title', 'name']))),
+                    url: url,
+                    snippet: this.cleanText(BaseSearchAdapter.stripHtml(pick(item, ['description', 'snippet', 'summary', 'content']))),
+                    displayUrl: this.extractDisplayUrl(url)
+                };
+            })
+            .filter(result => result.title && result.url);
+    }
+
+    /**
+     * 設定パネルのカスタムエンジンの一覧に表示する取得方法
+     */
+    describeMode() {
+        return this.resultsUrl ? `結果を取得（${this.resultsUrl.type}）` : 'リンクのみ';
+    }
+
+    /**
+     * モックデータを取得（デモモード・CORS制限時の代替）
+     * 結果を取得できないエンジンはデモモードでもリンクのみの応答を返すため、ここでは結果を取得できるエンジンのみ扱う
+     */
+    getMockResults(query, language) {
+        const mockResults = [
+            {
+                title: `${query} - ${this.displayName}のサンプル結果`,
+                url: this.getDirectSearchUrl(query, language),
+                snippet: `${query}に関するサンプルの検索結果です。`,
+                displayUrl: new URL(this.baseUrl).hostname
+            }
+        ];
+
+        return this.buildResponse(query, language, mockResults, { responseTime: 300, source: 'mock' });
+    }
+
+    /**
+     * 記述ドキュメント（XML）を解析してカスタムエンジンの定義を作成
+     * options.sourceUrl は記述ドキュメントの取得元、options.existingNames は使用済みのエンジン名
+     * GETで検索できないURLテンプレート（POSTなど）と検索候補のテンプレートは使わない
+     */
+    static parseDescription(xml, options = {}) {
+        const { sourceUrl = null, existingNames = [] } = options;
+        const doc = new DOMParser().parseFromString(String(xml || ''), 'text/xml');
+        const root = doc.documentElement;
+
+        if (!root || root.localName !== 'OpenSearchDescription') {
+            throw new Error('OpenSearch記述ドキュメントではありません（ルート要素が OpenSearchDescription ではありません）');
+        }
+
+        const shortName = OpenSearchAdapter.getChildText(root, ['ShortName']).trim();
+        const urls = Array.from(root.children)
+            .filter(element => element.localName === 'Url')
+            .filter(element => (element.getAttribute('method') || 'get').toLowerCase() === 'get')
+            .map(element => ({
+                type: (element.getAttribute('type') || '').trim().toLowerCase(),
+                template: OpenSearchAdapter.decodeAttribute(element.getAttribute('template')),
+                rel: (element.getAttribute('rel') || 'results').trim().toLowerCase(),
+                indexOffset: OpenSearchAdapter.parseOffset(element.getAttribute('indexOffset')),
+                pageOffset: OpenSearchAdapter.parseOffset(element.getAttribute('pageOffset')),
+                params: Array.from(element.children)
+                    .filter(child => child.localName === 'Param' && child.getAttribute('name'))
+                    .map(child => ({
+                        name: child.getAttribute('name'),
+                        value: OpenSearchAdapter.decodeAttribute(child.getAttribute('value'))
+                    }))
+            }))
+            .filter(url => [...OpenSearchAdapter.htmlTypes, ...OpenSearchAdapter.resultTypes].includes(url.type));
+
+        if (urls.length === 0) {
+            throw new Error('GETで検索できるURLテンプレート（text/html・RSS・Atom・JSON）がありません');
+        }
+
+        const host = (() => {
+            try {
+                return new URL(OpenSearchAdapter.fillTemplate(urls[0].template, {})).hostname;
+            } catch (error) {
+                return '';
+            }
+        })();
+
+        return OpenSearchAdapter.normalizeDefinition({
+            type: 'opensearch',
+            name: OpenSearchAdapter.createUniqueName(shortName || host, existingNames),
+            displayName: shortName || host,
+            description: OpenSearchAdapter.getChildText(root, ['Description']).trim(),
+            sourceUrl: sourceUrl,
+            urls: urls
+        });
+    }
+
+    /**
+     * カスタムエンジンの定義を検証・正規化
+     * 不正な定義の場合はエラー（validationErrorsに一覧）となる
+     */
+    static normalizeDefinition(definition) {
+        const errors = [];
+
+        if (!definition || typeof definition !== 'object' || Array.isArray(definition)) {
+            errors.push('定義はオブジェクトである必要があります');
+        } else {
+            if (definition.type !== 'opensearch') {
+                errors.push('typeは "opensearch" である必要があります');
+            }
+
+            if (typeof definition.name !== 'string' || !/^[a-z0-9_-]+$/.test(definition.name)) {
+                errors.push('nameは英小文字・数字・ハイフン・アンダースコアからなる文字列である必要があります');
+            }
+
+            if (typeof definition.displayName !== 'string' || definition.displayName.trim() === '') {
+                errors.push('displayNameは空でない文字列である必要があります');
+            }
+
+            if (!Array.isArray(definition.urls) || definition.urls.length === 0) {
+                errors.push('urlsにはURLテンプレートを1つ以上指定してください');
+            } else {
+                definition.urls.forEach((url, index) => {
+                    errors.push(...OpenSearchAdapter.validateUrlTemplate(url).map(message => `urls[${index}]: ${message}`));
+                });
+
+                if (errors.length === 0 &&
+                    !OpenSearchAdapter.findUrl(definition.urls, [...OpenSearchAdapter.htmlTypes, ...OpenSearchAdapter.resultTypes])) {
+                    errors.push('urlsに検索結果（rel="results"）のURLテンプレートがありません');
+                }
+            }
+        }
+
+        if (errors.length > 0) {
+            const error = new Error(`カスタムエンジンの定義が正しくありません: ${errors.join(' / ')}`);
+            error.validationErrors = errors;
+            throw error;
+        }
+
+        return {
+            type: 'opensearch',
+            name: definition.name,
+            displayName: definition.displayName.trim(),
+            description: typeof definition.description === 'string' ? definition.description : '',
+            sourceUrl: typeof definition.sourceUrl === 'string' && definition.sourceUrl ? definition.sourceUrl : null,
+            urls: definition.urls.map(url => ({
+                type: url.type,
+                template: url.template,
+                rel: url.rel || 'results',
+                indexOffset: url.indexOffset === undefined ? 1 : url.indexOffset,
+                pageOffset: url.pageOffset === undefined ? 1 : url.pageOffset,
+                params: (url.params || []).map(param => ({ name: param.name, value: param.value || '' }))
+            }))
+        };
+    }
+
+    /**
+     * URLテンプレート1件を検証
+     * 問題がある場合はその一覧を返す
+     */
+    static validateUrlTemplate(url) {
+        if (!url || typeof url !== 'object') {
+            return ['オブジェクトである必要があります'];
+        }
+
+        const errors = [];
+
+        if (typeof url.type !== 'string' || url.type === '') {
+            errors.push('typeを指定してください');
+        }
+
+        if (typeof url.template !== 'string' || !url.template.includes('{searchTerms}')) {
+            errors.push('templateには {searchTerms} を含むURLを指定してください');
+        } else {
+            try {
+                const parsed = new URL(OpenSearchAdapter.fillTemplate(url.template, {}));
+                if (!['http:', 'https:'].includes(parsed.protocol)) {
+                    errors.push('templateには http(s) のURLを指定してください');
+                }
+            } catch (error) {
+                errors.push(`templateが正しいURLではありません: ${url.template}`);
+            }
+        }
+
+        ['indexOffset', 'pageOffset'].forEach(key => {
+            if (url[key] !== undefined && !Number.isInteger(url[key])) {
+                errors.push(`${key}には整数を指定してください`);
+            }
+        });
+
+        if (url.params !== undefined &&
+            (!Array.isArray(url.params) || url.params.some(param => !param || typeof param.name !== 'string' || param.name === ''))) {
+            errors.push('paramsには { name, value } の配列を指定してください');
+        }
+
+        return errors;
+    }
+
+    /**
+     * URLテンプレートのパラメータ（{searchTerms}・{startPage?} など）を値で置き換える
+     * 値のないパラメータ（省略可能なもの・名前空間付きのものを含む）は空文字列にする
+     */
+    static fillTemplate(template, values) {
+        return template.replace(/\{([^{}]+?)\??\}/g, (match, name) => {
+            const value = values[name];
+            return value === undefined || value === null ? '' : encodeURIComponent(String(value));
+        });
+    }
+
+    /**
+     * 指定した形式のうち、最も優先する検索結果のURLテンプレートを取得
+     */
+    static findUrl(urls, types) {
+        for (const type of types) {
+            const url = urls.find(candidate => candidate.type === type && (candidate.rel || 'results').split(/\s+/).includes('results'));
+            if (url) {
+                return url;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * 表示名から重複しないエンジン名を作成（MDN Web Docs → mdn-web-docs）
+     * 英数字を含まない場合は "opensearch" を使う
+     */
+    static createUniqueName(displayName, existingNames = []) {
+        return AdapterRegistry.createUniqueName(displayName, existingNames, 'opensearch');
+    }
+
+    /**
+     * 指定した名前（localName）の最初の子要素のテキストを取得
+     */
+    static getChildText(element, names) {
+        for (const name of names) {
+            const child = Array.from(element.children).find(candidate => candidate.localName === name);
+            if (child) {
+                return child.textContent || '';
+            }
+        }
+        return '';
+    }
+
+    /**
+     * Atomのエントリーのリンク（rel="alternate" または rel なし）を取得
+     */
+    static getAtomLink(entry) {
+        const link = Array.from(entry.children).find(child => {
+            const rel = child.getAttribute('rel');
+            return child.localName === 'link' && (!rel || rel === 'alternate');
+        });
+        return link ? link.getAttribute('href') || '' : '';
+    }
+
+    /**
+     * http(s)のURLを正規化して返す（それ以外のスキーム・不正なURLは空文字列）
+     * フィードは第三者のコンテンツのため、javascript: などのURLを結果にしない
+     */
+    static toHttpUrl(url) {
+        try {
+            const parsed = new URL(url);
+            return ['http:', 'https:'].includes(parsed.protocol) ? parsed.href : '';
+        } catch (error) {
+            return '';
+        }
+    }
+
+    /**
+     * 属性値の文字参照を展開
+     * ブラウザのDOMParserは展開済みの値を返すが、CLI・テストの実行環境（linkedom）は展開しないため
+     */
+    static decodeAttribute(value) {
+        return String(value || '')
+            .replace(/&lt;/g, '<')
+            .replace(/&gt;/g, '>')
+            .replace(/&quot;/g, '"')
+            .replace(/&apos;/g, "'")
+            .replace(/&amp;/g, '&');
+    }
+
+    /**
+     * indexOffset・pageOffset 属性の値（省略時は1）
+     */
+    static parseOffset(value) {
+        const offset = parseInt(value, 10);
+        return Number.isInteger(offset) ? offset : 1;
+    }
+}
+
+// 直接検索リンクに使うテンプレートの形式
+OpenSearchAdapter.htmlTypes = ['text/html', 'application/xhtml+xml'];
+
+// 結果の取得に使うテンプレートの形式（優先する順）
+OpenSearchAdapter.resultTypes = ['application/rss+xml', 'application/atom+xml', 'application/json'];
+
+// 設定から作成するカスタムエンジンの種類として宣言
+AdapterRegistry.defineCustomType('opensearch', OpenSearchAdapter);
@@ -0,0 +1,378 @@
+/**
+ * SearXNG検索アダプター
+ * 自前で運用するSearXNG（メタ検索エンジン）のインスタンスをJSON出力（format=json）で検索するカスタムエンジンのアダプター
+ *
+ * - results は検索結果、answers は即答（instantAnswers）、suggestions・corrections は関連する検索キーワード（relatedQueries）、
+ *   先頭の infobox は要約（summary）とその項目の即答に変換する
+ * - 検索言語はインスタンスの言語コードに変換する（SearxngSearchAdapter.defaultLanguages を定義の languages で上書きできる）
+ * - インスタンスの設定（settings.yml）の search.formats で json を有効にしておく必要がある
+ *
+ * 定義は次の形式で設定（customEngines）に保存する
+ * {
+ *   "type": "searxng",
+ *   "name": "searxng",
+ *   "displayName": "SearXNG",
+ *   "instanceUrl": "https://searx.example.com/",
+ *   "categories": ["general"],
+ *   "engines": ["google", "wikipedia"],
+ *   "languages": { "ja": "ja-JP" }
+ * }
+ */
+class SearxngSearchAdapter extends BaseSearchAdapter {
+    constructor(definition) {
+        super();
+        this.definition = SearxngSearchAdapter.normalizeDefinition(definition);
+        this.name = this.definition.name;
+        this.displayName = this.definition.displayName;
+        this.custom = true; // 設定から作成したカスタムエンジン
+        this.baseUrl = new URL('search', this.definition.instanceUrl).href;
+        this.responseType = 'json';
+        this.requestHeaders = { Accept: 'application/json' };
+        // 言語ごとの検索パラメータ（language: インスタンスの言語コード）
+        this.languageParameters = {};
+        Object.entries({ ...SearxngSearchAdapter.defaultLanguages, ...this.definition.languages }).forEach(([code, value]) => {
+            this.languageParameters[code] = { language: value };
+        });
+        // 検索演算子は各エンジンに渡されるため、フレーズ検索と除外語以外は結果の絞り込みで代替する
+        this.queryCapabilities = {
+            phrase: true,
+            exclude: true,
+            or: false,
+            site: false,
+            filetype: false,
+            intitle: false
+        };
+    }
+
+    /**
+     * 検索言語をインスタンスの言語コードに変換（定義の languages → defaultLanguages の順）
+     */
+    getInstanceLanguage(language) {
+        const { language: instanceLanguage = 'all' } = this.getLanguageParameters(language);
+        return instanceLanguage;
+    }
+
+    /**
+     * 検索ページのURLを構築（直接検索リンク）
+     * カテゴリー・エンジン・言語を指定する
+     */
+    buildSearchUrl(query, language, options = {}) {
+        const { page = 1 } = options;
+        const queryParser = new QueryParser();
+        const { query: engineQuery } = queryParser.translate(query, this.queryCapabilities);
+
+        const params = new URLSearchParams({ q: engineQuery });
+        if (this.definition.categories.length > 0) {
+            params.set('categories', this.definition.categories.join(','));
+        }
+        if (this.definition.engines.length > 0) {
+            params.set('engines', this.definition.engines.join(','));
+        }
+        params.set('language', this.getInstanceLanguage(language));
+        if (page > 1) {
+            params.set('pageno', String(page));
+        }
+
+        return `${this.baseUrl}?${params.toString()}`;
+    }
+
+    /**
+     * JSON出力のリクエストを作成
+     */
+    buildRequest(query, language, options = {}) {
+        return {
+            url: `${this.buildSearchUrl(query, language, options)}&format=json`,
+            headers: {}
+        };
+    }
+
+    /**
+     * JSON出力を解析
+     * 即答・関連する検索キーワード・要約は context に設定する
+     */
+    parse(data, context) {
+        if (!data || typeof data !== 'object' || !Array.isArray(data.results)) {
+            throw new Error('SearXNGのJSON出力ではありません（インスタンスの search.formats で json を有効にしてください）');
+        }
+
+        const results = data.results
+            .filter(item => item && typeof item.url === 'string' && /^https?:\/\//.test(item.url))
+            .map(item => ({
+                title: this.cleanText(item.title),
+                url: item.url,
+                snippet: this.cleanText(item.content),
+                displayUrl: this.extractDisplayUrl(item.url),
+                engines: Array.isArray(item.engines) ? item.engines.filter(engine => typeof engine === 'string') : [],
+                publishedDate: typeof item.publishedDate === 'string' ? item.publishedDate : null
+            }))
+            .filter(result => result.title);
+
+        if (context.page === 1) {
+            context.instantAnswers = this.parseAnswers(data.answers);
+            context.relatedQueries = this.parseRelatedQueries(data, context.query);
+
+            const infobox = Array.isArray(data.infoboxes) ? data.infoboxes.find(item => item && item.infobox) : null;
+            if (infobox) {
+                context.summary = this.parseInfobox(infobox);
+                context.instantAnswers.push(...this.parseInfoboxAttributes(infobox));
+            }
+        }
+
+        return results;
+    }
+
+    /**
+     * 即答（answers）を変換
+     * SearXNGのバージョンにより文字列またはオブジェクト（{ answer, url, engine }）の配列
+     */
+    parseAnswers(answers) {
+        if (!Array.isArray(answers)) {
+            return [];
+        }
+
+        return answers
+            .map(answer => (typeof answer === 'string' ? { answer: answer } : answer || {}))
+            .filter(answer => typeof answer.answer === 'string' && answer.answer.trim() !== '')
+            .map(answer => ({
+                type: 'answer',
+                content: answer.answer.trim(),
+                url: typeof answer.url === 'string' && /^https?:\/\//.test(answer.url) ? answer.url : null,
+                source: answer.engine || this.displayName
+            }));
+    }
+
+    /**
+     * 検索候補（suggestions）と修正候補（corrections）を関連する検索キーワードに変換
+     * 検索キーワードと同じもの・重複は除く
+     */
+    parseRelatedQueries(data, query) {
+        const candidates = [
+            ...(Array.isArray(data.corrections) ? data.corrections : []),
+            ...(Array.isArray(data.suggestions) ? data.suggestions : [])
+        ];
+
+        const seen = new Set([String(query || '').trim()]);
+        return candidates
+            .filter(candidate => typeof candidate === 'string')
+            .map(candidate => candidate.trim())
+            .filter(candidate => {
+                if (candidate === '' || seen.has(candidate)) return false;
+                seen.add(candidate);
+                return true;
+            });
+    }
+
+    /**
+     * インフォボックスを要約に変換
+     */
+    parseInfobox(infobox) {
+        const links = Array.isArray(infobox.urls) ? infobox.urls.filter(link => link && /^https?:\/\//.test(link.url || '')) : [];
+        const url = /^https?:\/\//.test(infobox.id || '') ? infobox.id : (links[0] ? links[0].url : null);
+
+        return {
+            title: String(infobox.infobox),
+            extract: this.cleanSummaryText(infobox.content),
+            url: url,
+            thumbnail: /^https:\/\//.test(infobox.img_src || '') ? infobox.img_src : null,
+            source: infobox.engine || this.displayName
+        };
+    }
+
+    /**
+     * インフォボックスの項目（attributes）を即答に変換
+     */
+    parseInfoboxAttributes(infobox) {
+        if (!Array.isArray(infobox.attributes)) {
+            return [];
+        }
+
+        return infobox.attributes
+            .filter(attribute => attribute && attribute.label && typeof attribute.value === 'string' && attribute.value.trim() !== '')
+            .map(attribute => ({
+                type: 'infobox',
+                label: String(attribute.label),
+                content: attribute.value.trim(),
+                url: null,
+                source: infobox.engine || this.displayName
+            }));
+    }
+
+    /**
+     * 要約のテキストを整形（HTMLを除き、空白をまとめる）
+     */
+    cleanSummaryText(text) {
+        return BaseSearchAdapter.stripHtml(typeof text === 'string' ? text : '').trim().replace(/\s+/g, ' ');
+    }
+
+    /**
+     * 1件の結果を共通の形式に変換（結果を返したエンジン・公開日を保持する）
+     */
+    normalize(rawResult) {
+        return {
+            ...super.normalize(rawResult),
+            engines: rawResult.engines || [],
+            publishedDate: rawResult.publishedDate || null
+        };
+    }
+
+    /**
+     * 設定パネルのカスタムエンジンの一覧に表示する取得方法
+     */
+    describeMode() {
+        const { categories, engines } = this.definition;
+        const details = [
+            categories.length > 0 ? `カテゴリー: ${categories.join(', ')}` : null,
+            engines.length > 0 ? `エンジン: ${engines.join(', ')}` : null
+        ].filter(Boolean);
+        return `SearXNG（${new URL(this.baseUrl).host}${details.length > 0 ? ` / ${details.join(' / ')}` : ''}）`;
+    }
+
+    /**
+     * モックデータを取得（デモモード・CORS制限時の代替）
+     */
+    getMockResults(query, language) {
+        const mockResults = [
+            {
+                title: `${query} - ${this.displayName}のサンプル結果`,
+                url: this.getDirectSearchUrl(query, language),
+                snippet: `${query}に関するサンプルの検索結果です。`,
+                displayUrl: new URL(this.baseUrl).host,
+                engines: ['sample'],
+                publishedDate: null
+            }
+        ];
+
+        return this.buildResponse(query, language, mockResults, {
+            responseTime: 400,
+            source: 'mock',
+            instantAnswers: [{ type: 'answer', content: `${query}についてのサンプルの即答です。`, url: null, source: this.displayName }],
+            relatedQueries: [`${query} とは`, `${query} 使い方`]
+        });
+    }
+
+    /**
+     * 入力された値からカスタムエンジンの定義を作成
+     * input は { instanceUrl, displayName, categories, engines, languages }。categories・engines はカンマ区切りの文字列も受け付ける
+     */
+    static createDefinition(input, options = {}) {
+        const { existingNames = [] } = options;
+        const { instanceUrl = '', displayName = '', categories = [], engines = [], languages = {} } = input || {};
+        const name = String(displayName || '').trim() || 'SearXNG';
+
+        return SearxngSearchAdapter.normalizeDefinition({
+            type: 'searxng',
+            name: AdapterRegistry.createUniqueName(name, existingNames, 'searxng'),
+            displayName: name,
+            instanceUrl: instanceUrl,
+            categories: SearxngSearchAdapter.splitList(categories),
+            engines: SearxngSearchAdapter.splitList(engines),
+            languages: typeof languages === 'string' ? SearxngSearchAdapter.parseLanguageMapping(languages) : languages
+        });
+    }
+
+    /**
+     * カスタムエンジンの定義を検証・正規化
+     * 不正な定義の場合はエラー（validationErrorsに一覧）となる
+     */
+    static normalizeDefinition(definition) {
+        const errors = [];
+        let instanceUrl = null;
+
+        if (!definition || typeof definition !== 'object' || Array.isArray(definition)) {
+            errors.push('定義はオブジェクトである必要があります');
+        } else {
+            if (definition.type !== 'searxng') {
+                errors.push('typeは "searxng" である必要があります');
+            }
+
+            if (typeof definition.name !== 'string' || !/^[a-z0-9_-]+$/.test(definition.name)) {
+                errors.push('nameは英小文字・数字・ハイフン・アンダースコアからなる文字列である必要があります');
+            }
+
+            if (typeof definition.displayName !== 'string' || definition.displayName.trim() === '') {
+                errors.push('displayNameは空でない文字列である必要があります');
+            }
+
+            try {
+                const url = new URL(String(definition.instanceUrl || '').trim());
+                if (!['http:', 'https:'].includes(url.protocol) || url.search || url.hash) {
+                    throw new Error('invalid');
+                }
+                // /search の相対URLで解決できるよう、末尾をスラッシュにそろえる
+                instanceUrl = url.href.replace(/\/search\/?$/, '/').replace(/\/?$/, '/');
+            } catch (error) {
+                errors.push('instanceUrlにはクエリやフラグメントを含まないhttp(s)のURLを指定してください');
+            }
+
+            ['categories', 'engines'].forEach(field => {
+                const value = definition[field];
+                if (value !== undefined && (!Array.isArray(value) || value.some(item => typeof item !== 'string' || !/^[\w .-]+$/.test(item)))) {
+                    errors.push(`${field}は名前（英数字・空白・._-）の配列である必要があります`);
+                }
+            });
+
+            const languages = definition.languages;
+            if (languages !== undefined && (!languages || typeof languages !== 'object' || Array.isArray(languages) ||
+                Object.values(languages).some(value => typeof value !== 'string' || value.trim() === ''))) {
+                errors.push('languagesは { 言語コード: インスタンスの言語コード } の形式である必要があります');
+            }
+        }
+
+        if (errors.length > 0) {
+            const error = new Error(`カスタムエンジンの定義が正しくありません: ${errors.join(' / ')}`);
+            error.validationErrors = errors;
+            throw error;
+        }
+
+        const languages = {};
+        Object.entries(definition.languages || {}).forEach(([code, value]) => {
+            languages[code] = value.trim();
+        });
+
+        return {
+            type: 'searxng',
+            name: definition.name,
+            displayName: definition.displayName.trim(),
+            instanceUrl: instanceUrl,
+            categories: (definition.categories || []).map(item => item.trim()).filter(Boolean),
+            engines: (definition.engines || []).map(item => item.trim()).filter(Boolean),
+            languages: languages
+        };
+    }
+
+    /**
+     * カンマ区切りの文字列（または配列）を名前の配列に変換
+     */
+    static splitList(value) {
+        const items = Array.isArray(value) ? value : String(value || '').split(',');
+        return items.map(item => String(item).trim()).filter(Boolean);
+    }
+
+    /**
+     * 言語の対応（ja=ja-JP, en=en）を { ja: 'ja-JP', en: 'en' } に変換
+     */
+    static parseLanguageMapping(text) {
+        const languages = {};
+        String(text || '').split(',').map(item => item.trim()).filter(Boolean).forEach(item => {
+            const [code, value] = item.split('=').map(part => (part || '').trim());
+            if (!code || !value) {
+                const error = new Error(`言語の対応は「言語コード=インスタンスの言語コード」の形式で指定してください: ${item}`);
+                error.validationErrors = [error.message];
+                throw error;
+            }
+            languages[code] = value;
+        });
+        return languages;
+    }
+}
+
+// 検索言語ごとのインスタンスの言語コードの既定値
+SearxngSearchAdapter.defaultLanguages = {
+    ja: 'ja-JP',
+    en: 'en-US',
+    zh: 'zh-CN',
+    ko: 'ko-KR'
+};
+
+// カスタムエンジンの種類として宣言
+AdapterRegistry.defineCustomType('searxng', SearxngSearchAdapter);
@@ -0,0 +1,253 @@
+/**
+ * Wikipedia検索アダプター
+ * MediaWikiのAPI（api.php）で記事を検索し、先頭の記事の冒頭部分を要約として返す
+ * APIのURLを設定すると、Wikipedia以外のMediaWiki（社内Wikiなど）を検索する
+ */
+class WikipediaSearchAdapter extends BaseSearchAdapter {
+    constructor() {
+        super();
+        this.name = 'wikipedia';
+        this.displayName = 'Wikipedia';
+        // 直接検索URL（検索言語のWikipediaの検索ページに転送される）
+        this.baseUrl = WikipediaSearchAdapter.defaultBaseUrl;
+        this.queryParameter = 'search';
+        // 言語ごとの検索パラメータ（language: 検索するWikipediaの言語版）
+        this.languageParameters = {
+            ja: { language: 'ja', family: 'wikipedia' },
+            en: { language: 'en', family: 'wikipedia' },
+            zh: { language: 'zh', family: 'wikipedia' },
+            ko: { language: 'ko', family: 'wikipedia' }
+        };
+        this.apiUrl = ''; // MediaWikiのAPIのURL（空の場合は検索言語のWikipedia）
+        this.responseType = 'json';
+        this.summaryLength = 500; // 要約の最大文字数
+        // 対応する検索演算子（CirrusSearchの構文）
+        this.queryCapabilities = {
+            phrase: true,
+            exclude: true,
+            or: true,
+            site: false,
+            filetype: false,
+            intitle: true
+        };
+    }
+
+    /**
+     * アダプター固有の設定を更新
+     * settings.apiUrl はMediaWikiのAPIのURL（空の場合は検索言語のWikipedia）
+     */
+    updateSettings(settings) {
+        if (settings.apiUrl === undefined) return;
+
+        this.apiUrl = settings.apiUrl || '';
+        this.baseUrl = this.apiUrl ? this.getIndexUrl() : WikipediaSearchAdapter.defaultBaseUrl;
+    }
+
+    /**
+     * 検索言語のAPIのURLを取得
+     */
+    getApiUrl(language) {
+        if (this.apiUrl) {
+            return this.apiUrl;
+        }
+
+        const { language: wikiLanguage = 'ja' } = this.getLanguageParameters(language);
+        return `https://${wikiLanguage}.wikipedia.org/w/api.php`;
+    }
+
+    /**
+     * APIと同じ場所にある index.php のURLを取得（記事・検索ページのURLに使う）
+     */
+    getIndexUrl(language) {
+        return this.getApiUrl(language).replace(/api\.php$/, 'index.php');
+    }
+
+    /**
+     * 直接検索URLを構築
+     * APIのURLを設定した場合は、そのWikiの検索ページのURLにする
+     */
+    buildSearchUrl(query, language, options = {}) {
+        if (!this.apiUrl) {
+            return super.buildSearchUrl(query, language, options);
+        }
+
+        const queryParser = new QueryParser();
+        const { query: engineQuery } = queryParser.translate(query, this.queryCapabilities);
+        return `${this.getIndexUrl(language)}?${new URLSearchParams({ search: engineQuery }).toString()}`;
+    }
+
+    /**
+     * APIのリクエストを作成
+     * 検索結果（list=search）と、1ページ目は先頭の記事の冒頭部分・画像・URL（generator=search）を1回で取得する
+     */
+    buildRequest(query, language, options = {}) {
+        const { page = 1 } = options;
+        const queryParser = new QueryParser();
+        const { query: engineQuery } = queryParser.translate(query, this.queryCapabilities);
+
+        const params = new URLSearchParams({
+            action: 'query',
+            format: 'json',
+            formatversion: '2',
+            origin: '*', // 認証なしのCORSリクエスト
+            list: 'search',
+            srsearch: engineQuery,
+            srlimit: String(this.pageSize),
+            srprop: 'snippet',
+            sroffset: String((page - 1) * this.pageSize)
+        });
+
+        if (page === 1) {
+            params.set('generator', 'search');
+            params.set('gsrsearch', engineQuery);
+            params.set('gsrlimit', '1');
+            params.set('prop', 'extracts|pageimages|info');
+            params.set('exintro', '1');
+            params.set('explaintext', '1');
+            params.set('exsentences', '3');
+            params.set('piprop', 'thumbnail');
+            params.set('pithumbsize', '160');
+            params.set('inprop', 'url');
+        }
+
+        return {
+            url: `${this.getApiUrl(language)}?${params.toString()}`,
+            headers: { Accept: 'application/json' }
+        };
+    }
+
+    /**
+     * APIの応答を解析
+     * 1ページ目は先頭の記事の要約を context.summary に設定する
+     */
+    parse(data, context) {
+        if (!data || typeof data !== 'object') {
+            throw new Error('MediaWiki APIの応答ではありません');
+        }
+
+        if (data.error) {
+            throw new Error(`MediaWiki APIエラー: ${data.error.info || data.error.code}`);
+        }
+
+        if (!data.query || !Array.isArray(data.query.search)) {
+            throw new Error('MediaWiki APIの応答に検索結果がありません');
+        }
+
+        const { language } = context;
+        const results = data.query.search.slice(0, this.pageSize)
+            .map(hit => {
+                const url = this.getArticleUrl(hit.title, language);
+                return {
+                    title: this.cleanText(hit.title),
+                    url: url,
+                    snippet: this.cleanText(BaseSearchAdapter.stripHtml(hit.snippet)),
+                    displayUrl: this.extractDisplayUrl(url)
+                };
+            })
+            .filter(result => result.title && result.url);
+
+        const summary = this.parseSummary(data.query.pages, language);
+        if (summary) {
+            context.summary = summary;
+        }
+
+        return results;
+    }
+
+    /**
+     * 先頭の記事の要約を作成（冒頭部分を取得できない場合はnull）
+     * 設定したWikiの応答のURL（fullurl）がhttp(s)でない場合は記事のURLを作成して使う
+     */
+    parseSummary(pages, language) {
+        if (!Array.isArray(pages)) {
+            return null;
+        }
+
+        const page = pages
+            .filter(item => !item.missing && item.extract)
+            .sort((a, b) => (a.index || 0) - (b.index || 0))[0];
+        if (!page) {
+            return null;
+        }
+
+        const extract = page.extract.trim().replace(/\s+/g, ' ');
+        const thumbnail = page.thumbnail && /^https:\/\//.test(page.thumbnail.source || '') ? page.thumbnail.source : null;
+        const url = /^https?:\/\//.test(page.fullurl || '') ? page.fullurl : this.getArticleUrl(page.title, language);
+
+        return {
+            title: page.title,
+            extract: extract.length > this.summaryLength ? `${extract.substring(0, this.summaryLength)}…` : extract,
+            url: url,
+            thumbnail: thumbnail,
+            source: this.extractHost(url)
+        };
+    }
+
+    /**
+     * 記事のURLを作成
+     * WikipediaはURL（/wiki/記事名）、それ以外のWikiは index.php?title=記事名 の形式にする
+     */
+    getArticleUrl(title, language) {
+        if (!title) return '';
+
+        const path = encodeURIComponent(title.replace(/ /g, '_'))
+            .replace(/%2F/g, '/')
+            .replace(/%3A/g, ':');
+
+        if (this.apiUrl) {
+            return `${this.getIndexUrl(language)}?title=${path}`;
+        }
+
+        return `${new URL(this.getApiUrl(language)).origin}/wiki/${path}`;
+    }
+
+    /**
+     * URLのホスト名を取得
+     */
+    extractHost(url) {
+        try {
+            return new URL(url).hostname;
+        } catch (error) {
+            return '';
+        }
+    }
+
+    /**
+     * モックデータを取得（CORS制限時の代替）
+     */
+    getMockResults(query, language) {
+        const articleUrl = this.getArticleUrl(query, language);
+        const mockResults = [
+            {
+                title: query,
+                url: articleUrl,
+                snippet: `${query}に関するWikipediaの記事です。`,
+                displayUrl: this.extractDisplayUrl(articleUrl)
+            },
+            {
+                title: `${query}の歴史`,
+                url: this.getArticleUrl(`${query}の歴史`, language),
+                snippet: `${query}の成り立ちと発展についての記事です。`,
+                displayUrl: this.extractDisplayUrl(this.getArticleUrl(`${query}の歴史`, language))
+            }
+        ];
+
+        return this.buildResponse(query, language, mockResults, {
+            responseTime: 300,
+            source: 'mock',
+            summary: {
+                title: query,
+                extract: `${query}についてのサンプルの要約です。検索すると、Wikipediaの記事の冒頭部分を表示します。`,
+                url: articleUrl,
+                thumbnail: null,
+                source: this.extractHost(articleUrl)
+            }
+        });
+    }
+}
+
+// 直接検索URL（言語のパラメータで各言語のWikipediaの検索ページに転送される）
+WikipediaSearchAdapter.defaultBaseUrl = 'https://www.wikipedia.org/search-redirect.php';
+
+// 組み込みアダプターとして宣言
+AdapterRegistry.define(WikipediaSearchAdapter);
@@ -2,204 +2,48 @@
  * Yahoo Japan検索アダプター
  * Yahoo Japan検索の結果を取得・解析する
  */
-class YahooSearchAdapter {
+class YahooSearchAdapter extends BaseSearchAdapter {
     constructor() {
+        super();
         this.name = 'yahoo';
         this.displayName = 'Yahoo Japan';
         this.baseUrl = 'https://search.yahoo.co.jp/search';
-        this.timeout = 10000; // 10秒
-    }
-
-    /**
-     * Yahoo Japan検索を実行
-     */
-    async search(query, language = 'ja') {
-        const startTime = Date.now();
-        
-        try {
-            const searchUrl = this.buildSearchUrl(query, language);
-            console.log(`Yahoo Japan検索URL: ${searchUrl}`);
-
-            // CORS制限のため、実際のスクレイピングは制限される
-            // ここではモックデータを返すか、プロキシサーバーを使用する必要がある
-            const response = await this.fetchWithTimeout(searchUrl);
-            
-            if (!response.ok) {
-                throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-            }
-
-            const html = await response.text();
-            const results = this.parseResults(html);
-            
-            const responseTime = Date.now() - startTime;
-            
-            return {
-                engine: this.name,
-                query: query,
-                language: language,
-                results: results,
-                totalResults: results.length,
-                responseTime: responseTime,
-                status: 'success'
-            };
-
-        } catch (error) {
-            console.error('Yahoo Japan検索エラー:', error);
-            
-            // CORS制限の場合はモックデータを返す
-            if (error.message.includes('CORS') || error.name === 'TypeError') {
-                return this.getMockResults(query, language);
-            }
-            
-            throw error;
-        }
-    }
-
-    /**
-     * 検索URLを構築
-     */
-    buildSearchUrl(query, language) {
-        const languageManager = new LanguageManager();
-        const params = languageManager.getSearchParameters(language, this.name);
-        
-        const searchParams = new URLSearchParams({
-            p: query, // Yahoo Japanは'p'パラメータを使用
-            ...params
-        });
-
-        return `${this.baseUrl}?${searchParams.toString()}`;
-    }
-
-    /**
-     * タイムアウト付きfetch
-     */
-    async fetchWithTimeout(url) {
-        const controller = new AbortController();
-        const timeoutId = setTimeout(() => controller.abort(), this.timeout);
-
-        try {
-            const response = await fetch(url, {
-                signal: controller.signal,
-                headers: {
-                    'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36',
-                    'Accept-Language': 'ja,en;q=0.9'
-                }
-            });
-            clearTimeout(timeoutId);
-            return response;
-        } catch (error) {
-            clearTimeout(timeoutId);
-            throw error;
-        }
-    }
-
-    /**
-     * HTML結果を解析
-     */
-    parseResults(html) {
-        const results = [];
-        
-        try {
-            // DOMParserを使用してHTMLを解析
-            const parser = new DOMParser();
-            const doc = parser.parseFromString(html, 'text/html');
-            
-            // Yahoo Japan検索結果のセレクター
-            const resultElements = doc.querySelectorAll('.Algo, .algo');
-            
-            resultElements.forEach((element, index) => {
-                if (index >= 10) return; // 最大10件まで
-                
-                const titleElement = element.querySelector('h3 a, .Algo-title a');
-                const snippetElement = element.querySelector('.Algo-summary, .compText');
-                const urlElement = element.querySelector('.Algo-url, .url');
-                
-                if (titleElement) {
-                    const result = {
-                        title: this.cleanText(titleElement.textContent),
-                        url: this.cleanUrl(titleElement.href),
-                        snippet: snippetElement ? this.cleanText(snippetElement.textContent) : '',
-                        displayUrl: urlElement ? this.cleanText(urlElement.textContent) : this.extractDisplayUrl(titleElement.href)
-                    };
-                    
-                    if (result.title && result.url) {
-                        results.push(result);
-                    }
-                }
-            });
-            
-        } catch (error) {
-            console.error('Yahoo Japan結果解析エラー:', error);
-        }
-        
-        return results;
-    }
-
-    /**
-     * テキストのクリーニング（日本語対応）
-     */
-    cleanText(text) {
-        if (!text) return '';
-        
-        // 日本語特有の処理
-        return text
-            .trim()
-            .replace(/\s+/g, ' ')
-            .replace(/[\u200B-\u200D\uFEFF]/g, '') // ゼロ幅文字を除去
-            .substring(0, 200);
+        this.queryParameter = 'p'; // Yahoo Japanは'p'パラメータを使用
+        // 言語ごとの検索パラメータ（ei: クエリの文字コード、fr: 検索元）
+        // 日本語・英語以外の言語は対象外のため、日本語と同じパラメータで検索する
+        this.languageParameters = {
+            ja: { ei: 'UTF-8', fr: 'top_ga1_sa' },
+            en: { ei: 'UTF-8', fr: 'yfp-t' },
+            default: { ei: 'UTF-8', fr: 'top_ga1_sa' }
+        };
+        this.requestHeaders = { 'Accept-Language': 'ja,en;q=0.9' };
+        this.selectors = SelectorConfig.getDefaults('yahoo'); // 結果の解析に使うセレクター（SearchManagerが上書き設定を適用する）
+        // 対応する検索演算子（filetype:は非対応）
+        this.queryCapabilities = {
+            phrase: true,
+            exclude: true,
+            or: true,
+            site: true,
+            filetype: false,
+            intitle: true
+        };
     }
 
     /**
-     * URLのクリーニング
+     * 2ページ目以降を指定するパラメータ（Yahoo Japanは1始まりの結果位置）
      */
-    cleanUrl(url) {
-        if (!url) return '';
-        
-        // Yahoo Japanのリダイレクトを除去
-        if (url.includes('yahoo.co.jp/url?')) {
-            try {
-                const urlParams = new URLSearchParams(url.split('?')[1]);
-                return urlParams.get('url') || url;
-            } catch (error) {
-                return url;
-            }
-        }
-        
-        // 相対URLを絶対URLに変換
-        if (url.startsWith('/')) {
-            return 'https://search.yahoo.co.jp' + url;
-        }
-        
-        return url;
+    getPageParameters(page) {
+        return { b: String((page - 1) * this.pageSize + 1) };
     }
 
     /**
-     * 表示用URLを抽出
+     * Yahoo Japanのリダイレクト（yahoo.co.jp/url?）から移動先のURLを取り出す
      */
-    extractDisplayUrl(url) {
-        try {
-            const cleanUrl = this.cleanUrl(url);
-            const urlObj = new URL(cleanUrl);
-            return urlObj.hostname + urlObj.pathname;
-        } catch (error) {
-            return url;
+    extractRedirectTarget(url) {
+        if (!url.includes('yahoo.co.jp/url?')) {
+            return null;
         }
-    }
-
-    /**
-     * 結果をフォーマット
-     */
-    formatResults(rawResults) {
-        if (!rawResults || !Array.isArray(rawResults)) {
-            return [];
-        }
-
-        return rawResults.map(result => ({
-            title: result.title || '',
-            url: result.url || '',
-            snippet: result.snippet || '',
-            displayUrl: result.displayUrl || result.url || ''
-        }));
+        return new URLSearchParams(url.split('?')[1]).get('url') || '';
     }
 
     /**
@@ -239,60 +83,7 @@ class YahooSearchAdapter {
             }
         ];
 
-        return {
-            engine: this.name,
-            query: query,
-            language: language,
-            results: mockResults,
-            totalResults: mockResults.length,
-            responseTime: 550,
-            status: 'success'
-        };
-    }
-
-    /**
-     * エラーハンドリング
-     */
-    handleError(error) {
-        if (error.name === 'AbortError') {
-            throw new Error('Yahoo Japan検索がタイムアウトしました');
-        } else if (error.message.includes('CORS')) {
-            throw new Error('CORS制限により直接アクセスできません');
-        } else if (error.message.includes('Failed to fetch')) {
-            throw new Error('ネットワークエラーが発生しました');
-        } else {
-            throw new Error(`Yahoo Japan検索エラー: ${error.message}`);
-        }
-    }
-
-    /**
-     * 検索可能かチェック
-     */
-    isAvailable() {
-        // 基本的な可用性チェック
-        return typeof fetch !== 'undefined';
-    }
-
-    /**
-     * 検索エンジンの直接検索URLを生成
-     */
-    getDirectSearchUrl(query, language = 'ja') {
-        return this.buildSearchUrl(query, language);
-    }
-
-    /**
-     * レート制限チェック
-     */
-    checkRateLimit() {
-        const lastRequest = localStorage.getItem(`${this.name}_last_request`);
-        const now = Date.now();
-        
-        if (lastRequest && (now - parseInt(lastRequest)) < 1000) {
-            return false; // 1秒以内の連続リクエストを制限
-        }
-        
-        localStorage.setItem(`${this.name}_last_request`, now.toString());
-        return true;
+        return this.buildResponse(query, language, mockResults, { responseTime: 550, source: 'mock' });
     }
 
     /**
@@ -355,4 +146,7 @@ class YahooSearchAdapter {
         
         return relatedKeywords;
     }
-}
\ No newline at end of file
+}
+
+// 組み込みアダプターとして宣言
+AdapterRegistry.define(YahooSearchAdapter);
@@ -2,144 +2,62 @@
  * YouTube検索アダプター
  * YouTube検索の結果を取得・解析する
  */
-class YouTubeSearchAdapter {
+class YouTubeSearchAdapter extends BaseSearchAdapter {
     constructor() {
+        super();
         this.name = 'youtube';
         this.displayName = 'YouTube';
         this.baseUrl = 'https://www.youtube.com/results';
-        this.timeout = 10000; // 10秒
+        this.queryParameter = 'search_query'; // YouTubeは'search_query'パラメータを使用
+        // 言語ごとの検索パラメータ（hl: 表示言語、gl: 国、relevanceLanguage: 優先する動画の言語）
+        this.languageParameters = {
+            ja: { hl: 'ja', gl: 'JP', relevanceLanguage: 'ja' },
+            en: { hl: 'en', gl: 'US', relevanceLanguage: 'en' },
+            zh: { hl: 'zh-CN', gl: 'CN', relevanceLanguage: 'zh' },
+            ko: { hl: 'ko', gl: 'KR', relevanceLanguage: 'ko' }
+        };
+        this.maxTextLength = 100; // 動画のタイトル・チャンネル名は短く表示する
+        this.selectors = SelectorConfig.getDefaults('youtube'); // 結果の解析に使うセレクター（SearchManagerが上書き設定を適用する）
+        this.supportsPagination = false; // 検索結果ページはオフセット指定に対応していない
+        // 対応する検索演算子（site: / filetype: / intitle: は非対応）
+        this.queryCapabilities = {
+            phrase: true,
+            exclude: true,
+            or: true,
+            site: false,
+            filetype: false,
+            intitle: false
+        };
     }
 
     /**
-     * YouTube検索を実行
+     * 動画1件分の要素を解析
      */
-    async search(query, language = 'ja') {
-        const startTime = Date.now();
-        
-        try {
-            const searchUrl = this.buildSearchUrl(query, language);
-            console.log(`YouTube検索URL: ${searchUrl}`);
-
-            // CORS制限のため、実際のスクレイピングは制限される
-            // ここではモックデータを返すか、プロキシサーバーを使用する必要がある
-            const response = await this.fetchWithTimeout(searchUrl);
-            
-            if (!response.ok) {
-                throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-            }
+    parseResultElement(element, selectors) {
+        const titleElement = SelectorConfig.select(element, selectors.title);
+        const channelElement = SelectorConfig.select(element, selectors.channel);
+        const thumbnailElement = SelectorConfig.select(element, selectors.thumbnail);
+        const durationElement = SelectorConfig.select(element, selectors.duration);
+        const viewsElement = SelectorConfig.select(element, selectors.views);
 
-            const html = await response.text();
-            const results = this.parseResults(html);
-            
-            const responseTime = Date.now() - startTime;
-            
-            return {
-                engine: this.name,
-                query: query,
-                language: language,
-                results: results,
-                totalResults: results.length,
-                responseTime: responseTime,
-                status: 'success'
-            };
-
-        } catch (error) {
-            console.error('YouTube検索エラー:', error);
-            
-            // CORS制限の場合はモックデータを返す
-            if (error.message.includes('CORS') || error.name === 'TypeError') {
-                return this.getMockResults(query, language);
-            }
-            
-            throw error;
+        if (!titleElement) {
+            return null;
         }
-    }
 
-    /**
-     * 検索URLを構築
-     */
-    buildSearchUrl(query, language) {
-        const languageManager = new LanguageManager();
-        const params = languageManager.getSearchParameters(language, this.name);
-        
-        const searchParams = new URLSearchParams({
-            search_query: query, // YouTubeは'search_query'パラメータを使用
-            ...params
-        });
-
-        return `${this.baseUrl}?${searchParams.toString()}`;
-    }
-
-    /**
-     * タイムアウト付きfetch
-     */
-    async fetchWithTimeout(url) {
-        const controller = new AbortController();
-        const timeoutId = setTimeout(() => controller.abort(), this.timeout);
-
-        try {
-            const response = await fetch(url, {
-                signal: controller.signal,
-                headers: {
-                    'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36'
-                }
-            });
-            clearTimeout(timeoutId);
-            return response;
-        } catch (error) {
-            clearTimeout(timeoutId);
-            throw error;
-        }
-    }
+        const videoId = this.extractVideoId(titleElement.href);
+        const result = {
+            title: this.cleanText(titleElement.textContent),
+            url: this.buildVideoUrl(videoId),
+            snippet: this.buildVideoSnippet(channelElement, viewsElement, durationElement),
+            displayUrl: 'youtube.com',
+            thumbnail: thumbnailElement ? thumbnailElement.src : this.getDefaultThumbnail(videoId),
+            videoId: videoId,
+            channel: channelElement ? this.cleanText(channelElement.textContent) : '',
+            duration: durationElement ? this.cleanText(durationElement.textContent) : '',
+            views: viewsElement ? this.cleanText(viewsElement.textContent) : ''
+        };
 
-    /**
-     * HTML結果を解析
-     */
-    parseResults(html) {
-        const results = [];
-        
-        try {
-            // DOMParserを使用してHTMLを解析
-            const parser = new DOMParser();
-            const doc = parser.parseFromString(html, 'text/html');
-            
-            // YouTube検索結果のセレクター（変更される可能性があります）
-            const resultElements = doc.querySelectorAll('div[class*="ytd-video-renderer"], div[class*="video-renderer"]');
-            
-            resultElements.forEach((element, index) => {
-                if (index >= 10) return; // 最大10件まで
-                
-                const titleElement = element.querySelector('a[id="video-title"], h3 a');
-                const channelElement = element.querySelector('a[class*="channel"], .ytd-channel-name a');
-                const thumbnailElement = element.querySelector('img[class*="thumbnail"]');
-                const durationElement = element.querySelector('.ytd-thumbnail-overlay-time-status-renderer');
-                const viewsElement = element.querySelector('.ytd-video-meta-block span');
-                
-                if (titleElement) {
-                    const videoId = this.extractVideoId(titleElement.href);
-                    const result = {
-                        title: this.cleanText(titleElement.textContent),
-                        url: this.buildVideoUrl(videoId),
-                        snippet: this.buildVideoSnippet(channelElement, viewsElement, durationElement),
-                        displayUrl: 'youtube.com',
-                        thumbnail: thumbnailElement ? thumbnailElement.src : this.getDefaultThumbnail(videoId),
-                        videoId: videoId,
-                        channel: channelElement ? this.cleanText(channelElement.textContent) : '',
-                        duration: durationElement ? this.cleanText(durationElement.textContent) : '',
-                        views: viewsElement ? this.cleanText(viewsElement.textContent) : ''
-                    };
-                    
-                    if (result.title && result.videoId) {
-                        results.push(result);
-                    }
-                }
-            });
-            
-        } catch (error) {
-            console.error('YouTube結果解析エラー:', error);
-        }
-        
-        return results;
+        return result.title && result.videoId ? result : null;
     }
 
     /**
@@ -187,28 +105,6 @@ class YouTubeSearchAdapter {
         return parts.join(' | ');
     }
 
-    /**
-     * テキストのクリーニング
-     */
-    cleanText(text) {
-        if (!text) return '';
-        return text.trim().replace(/\s+/g, ' ').substring(0, 100);
-    }
-
-    /**
-     * URLのクリーニング
-     */
-    cleanUrl(url) {
-        if (!url) return '';
-        
-        // 相対URLを絶対URLに変換
-        if (url.startsWith('/')) {
-            return 'https://www.youtube.com' + url;
-        }
-        
-        return url;
-    }
-
     /**
      * 表示用URLを抽出
      */
@@ -217,24 +113,18 @@ class YouTubeSearchAdapter {
     }
 
     /**
-     * 結果をフォーマット
+     * 1件の結果を共通の形式に変換（動画の情報を含む）
      */
-    formatResults(rawResults) {
-        if (!rawResults || !Array.isArray(rawResults)) {
-            return [];
-        }
-
-        return rawResults.map(result => ({
-            title: result.title || '',
-            url: result.url || '',
-            snippet: result.snippet || '',
-            displayUrl: result.displayUrl || 'youtube.com',
-            thumbnail: result.thumbnail || '',
-            videoId: result.videoId || '',
-            channel: result.channel || '',
-            duration: result.duration || '',
-            views: result.views || ''
-        }));
+    normalize(rawResult) {
+        return {
+            ...super.normalize(rawResult),
+            displayUrl: rawResult.displayUrl || 'youtube.com',
+            thumbnail: rawResult.thumbnail || '',
+            videoId: rawResult.videoId || '',
+            channel: rawResult.channel || '',
+            duration: rawResult.duration || '',
+            views: rawResult.views || ''
+        };
     }
 
     /**
@@ -299,60 +189,7 @@ class YouTubeSearchAdapter {
             }
         ];
 
-        return {
-            engine: this.name,
-            query: query,
-            language: language,
-            results: mockResults,
-            totalResults: mockResults.length,
-            responseTime: 650,
-            status: 'success'
-        };
-    }
-
-    /**
-     * エラーハンドリング
-     */
-    handleError(error) {
-        if (error.name === 'AbortError') {
-            throw new Error('YouTube検索がタイムアウトしました');
-        } else if (error.message.includes('CORS')) {
-            throw new Error('CORS制限により直接アクセスできません');
-        } else if (error.message.includes('Failed to fetch')) {
-            throw new Error('ネットワークエラーが発生しました');
-        } else {
-            throw new Error(`YouTube検索エラー: ${error.message}`);
-        }
-    }
-
-    /**
-     * 検索可能かチェック
-     */
-    isAvailable() {
-        // 基本的な可用性チェック
-        return typeof fetch !== 'undefined';
-    }
-
-    /**
-     * 検索エンジンの直接検索URLを生成
-     */
-    getDirectSearchUrl(query, language = 'ja') {
-        return this.buildSearchUrl(query, language);
-    }
-
-    /**
-     * レート制限チェック
-     */
-    checkRateLimit() {
-        const lastRequest = localStorage.getItem(`${this.name}_last_request`);
-        const now = Date.now();
-        
-        if (lastRequest && (now - parseInt(lastRequest)) < 1000) {
-            return false; // 1秒以内の連続リクエストを制限
-        }
-        
-        localStorage.setItem(`${this.name}_last_request`, now.toString());
-        return true;
+        return this.buildResponse(query, language, mockResults, { responseTime: 650, source: 'mock' });
     }
 
     /**
@@ -429,4 +266,7 @@ class YouTubeSearchAdapter {
         const channelUrl = this.baseUrl.replace('/results', '/results') + '&sp=EgIQAg%253D%253D'; // チャンネルフィルター
         return this.buildSearchUrl(query, language).replace(this.baseUrl, channelUrl);
     }
-}
\ No newline at end of file
+}
+
+// 組み込みアダプターとして宣言
+AdapterRegistry.define(YouTubeSearchAdapter);
@@ -8,8 +8,11 @@ class MultiSearchApp {
         this.uiManager = null;
         this.languageManager = null;
         this.errorHandler = null;
+        this.settingsManager = null;
+        this.detectedProxyUrl = null; // 同じオリジンで自動検出したプロキシのURL
         this.currentQuery = '';
         this.currentLanguage = 'ja';
+        this.searchSequence = 0;
     }
 
     /**
@@ -17,11 +20,12 @@ class MultiSearchApp {
      */
     init() {
         // 各マネージャーの初期化
-        this.languageManager = new LanguageManager();
         this.themeManager = new ThemeManager();
         this.errorHandler = new ErrorHandler();
         this.uiManager = new UIManager();
         this.searchManager = new SearchManager(this.errorHandler);
+        this.languageManager = new LanguageManager(this.searchManager.registry);
+        this.settingsManager = new SettingsManager();
 
         // テーマシステムの初期化
         this.themeManager.initializeTheme();
@@ -30,6 +34,14 @@ class MultiSearchApp {
 
         // UIの初期化
         this.uiManager.init();
+        this.uiManager.bindSearchManager(this.searchManager);
+
+        // 保存済みの設定を適用
+        this.applySettings(this.settingsManager.getAll());
+        this.settingsManager.on('change', ({ changed }) => this.applySettings(changed));
+        this.uiManager.renderSettings(this.settingsManager.getAll());
+        this.uiManager.renderSelectorSettings(this.settingsManager.get('selectorOverrides'));
+        this.detectLocalProxy();
         
         // グローバル参照を設定（UIManagerがSearchManagerを参照できるように）
         window.uiManager = this.uiManager;
@@ -37,6 +49,8 @@ class MultiSearchApp {
         
         // イベントリスナーの設定
         this.setupEventListeners();
+        this.setupSelectorSettingsListeners();
+        this.setupCustomEngineListeners();
         
         console.log('マルチサーチエンジンアプリケーションが初期化されました');
     }
@@ -49,6 +63,18 @@ class MultiSearchApp {
         const clearButton = document.getElementById('clearButton');
         const searchQuery = document.getElementById('searchQuery');
         const languageSelect = document.getElementById('language');
+        const viewModeSelect = document.getElementById('viewMode');
+        const fusionMethodSelect = document.getElementById('fusionMethod');
+        const historyList = document.getElementById('historyList');
+        const clearHistoryButton = document.getElementById('clearHistoryButton');
+        const resetStatsButton = document.getElementById('resetStatsButton');
+        const settingsForm = document.getElementById('settingsForm');
+        const demoModeInput = document.getElementById('demoMode');
+        const fixtureModeSelect = document.getElementById('fixtureMode');
+        const exportFixturesButton = document.getElementById('exportFixturesButton');
+        const importFixturesButton = document.getElementById('importFixturesButton');
+        const importFixturesInput = document.getElementById('importFixturesInput');
+        const clearFixturesButton = document.getElementById('clearFixturesButton');
 
         // 検索ボタンのクリックイベント
         searchButton.addEventListener('click', () => {
@@ -71,12 +97,522 @@ class MultiSearchApp {
         languageSelect.addEventListener('change', (e) => {
             this.handleLanguageChange(e.target.value);
         });
+
+        // 表示モード・統合方式の変更イベント
+        if (viewModeSelect) {
+            viewModeSelect.addEventListener('change', (e) => {
+                this.uiManager.setViewMode(e.target.value);
+            });
+        }
+
+        if (fusionMethodSelect) {
+            fusionMethodSelect.addEventListener('change', (e) => {
+                this.uiManager.setFusionMethod(e.target.value);
+            });
+        }
+
+        // 検索履歴の絞り込み
+        ['historyFilter', 'historyLanguage', 'historyPeriod'].forEach(id => {
+            const element = document.getElementById(id);
+            if (element) {
+                element.addEventListener(element.tagName === 'SELECT' ? 'change' : 'input', () => {
+                    this.uiManager.renderHistory();
+                });
+            }
+        });
+
+        // 関連する検索キーワードで検索
+        const resultsSection = document.getElementById('resultsSection');
+        if (resultsSection) {
+            resultsSection.addEventListener('click', (e) => {
+                const button = e.target.closest('button[data-action="related-query"]');
+                if (button) {
+                    this.handleRelatedQuery(button.dataset.query);
+                }
+            });
+        }
+
+        // 検索履歴の再実行・削除
+        if (historyList) {
+            historyList.addEventListener('click', (e) => {
+                const button = e.target.closest('button[data-action]');
+                if (!button) return;
+
+                if (button.dataset.action === 'rerun') {
+                    this.handleHistoryRerun(button.dataset.id);
+                } else if (button.dataset.action === 'delete') {
+                    this.searchManager.removeFromHistory(button.dataset.id);
+                }
+            });
+        }
+
+        if (clearHistoryButton) {
+            clearHistoryButton.addEventListener('click', () => {
+                if (confirm('検索履歴をすべて削除しますか？')) {
+                    this.searchManager.clearSearchHistory();
+                }
+            });
+        }
+
+        // エンジン統計のリセット
+        if (resetStatsButton) {
+            resetStatsButton.addEventListener('click', () => {
+                this.searchManager.resetEngineStats();
+                this.uiManager.renderStats();
+            });
+        }
+
+        // 設定の保存
+        if (settingsForm) {
+            settingsForm.addEventListener('submit', (e) => {
+                e.preventDefault();
+                this.handleSettingsSave();
+            });
+        }
+
+        // デモモードの切り替えはすぐに反映する
+        if (demoModeInput) {
+            demoModeInput.addEventListener('change', (e) => {
+                this.settingsManager.update({ demoMode: e.target.checked });
+                this.uiManager.renderSettings(this.settingsManager.getAll(), this.detectedProxyUrl);
+            });
+        }
+
+        // HTTPの記録・再生
+        if (fixtureModeSelect) {
+            fixtureModeSelect.addEventListener('change', (e) => {
+                this.settingsManager.update({ fixtureMode: e.target.value });
+            });
+        }
+
+        if (exportFixturesButton) {
+            exportFixturesButton.addEventListener('click', () => {
+                this.handleFixturesExport();
+            });
+        }
+
+        if (importFixturesButton && importFixturesInput) {
+            importFixturesButton.addEventListener('click', () => {
+                importFixturesInput.click();
+            });
+            importFixturesInput.addEventListener('change', (e) => {
+                const file = e.target.files && e.target.files[0];
+                if (file) {
+                    this.handleFixturesImport(file);
+                }
+                e.target.value = '';
+            });
+        }
+
+        if (clearFixturesButton) {
+            clearFixturesButton.addEventListener('click', () => {
+                if (confirm('記録したフィクスチャをすべて削除しますか？')) {
+                    this.searchManager.fixtureRecorder.clear();
+                    this.uiManager.renderFixtureCount();
+                }
+            });
+        }
+    }
+
+    /**
+     * セレクター設定のイベントリスナーの設定
+     */
+    setupSelectorSettingsListeners() {
+        const configInput = document.getElementById('selectorConfigInput');
+        const saveButton = document.getElementById('saveSelectorsButton');
+        const loadButton = document.getElementById('loadSelectorsButton');
+        const loadInput = document.getElementById('loadSelectorsInput');
+        const showButton = document.getElementById('showSelectorsButton');
+        const resetButton = document.getElementById('resetSelectorsButton');
+        const testButton = document.getElementById('testSelectorsButton');
+
+        if (saveButton && configInput) {
+            saveButton.addEventListener('click', () => {
+                this.handleSelectorsSave(configInput.value);
+            });
+        }
+
+        if (loadButton && loadInput) {
+            loadButton.addEventListener('click', () => {
+                loadInput.click();
+            });
+            loadInput.addEventListener('change', async (e) => {
+                const file = e.target.files && e.target.files[0];
+                if (file) {
+                    this.handleSelectorsSave(await file.text());
+                }
+                e.target.value = '';
+            });
+        }
+
+        if (showButton && configInput) {
+            showButton.addEventListener('click', () => {
+                configInput.value = JSON.stringify(this.searchManager.selectorConfig.getAll(), null, 2);
+            });
+        }
+
+        if (resetButton) {
+            resetButton.addEventListener('click', () => {
+                this.settingsManager.update({ selectorOverrides: null });
+                this.uiManager.renderSelectorSettings(null);
+                this.uiManager.showSettingsStatus('セレクター設定を既定に戻しました');
+            });
+        }
+
+        if (testButton) {
+            testButton.addEventListener('click', () => {
+                this.handleSelectorTest();
+            });
+        }
+    }
+
+    /**
+     * セレクターの上書き設定（JSON）を検証して保存
+     * 空の場合は既定の設定に戻す
+     */
+    handleSelectorsSave(text) {
+        try {
+            const config = text.trim() === '' ? null : SelectorConfig.parse(text);
+            this.settingsManager.update({ selectorOverrides: config });
+            this.uiManager.renderSelectorSettings(this.settingsManager.get('selectorOverrides'));
+            this.uiManager.showSettingsStatus('セレクター設定を保存しました');
+        } catch (error) {
+            this.uiManager.showSettingsStatus(error.message, true);
+        }
+    }
+
+    /**
+     * 貼り付けたHTMLで解析をテスト
+     * 入力中（未保存）のセレクター設定を使う
+     */
+    handleSelectorTest() {
+        const configInput = document.getElementById('selectorConfigInput');
+        const engineSelect = document.getElementById('selectorTestEngine');
+        const htmlInput = document.getElementById('selectorTestHtml');
+        if (!engineSelect || !htmlInput) return;
+
+        try {
+            const text = configInput ? configInput.value.trim() : '';
+            const config = text === '' ? null : SelectorConfig.parse(text);
+            const report = this.searchManager.testSelectors(engineSelect.value, htmlInput.value, config);
+            this.uiManager.renderSelectorTestResult(report);
+        } catch (error) {
+            this.uiManager.renderSelectorTestResult(null, error.message);
+        }
+    }
+
+    /**
+     * カスタムエンジンの設定のイベントリスナー
+     */
+    setupCustomEngineListeners() {
+        const sourceInput = document.getElementById('openSearchSource');
+        const addButton = document.getElementById('addOpenSearchButton');
+        const list = document.getElementById('customEngineList');
+
+        if (addButton && sourceInput) {
+            addButton.addEventListener('click', async () => {
+                if (await this.handleOpenSearchAdd(sourceInput.value)) {
+                    sourceInput.value = '';
+                }
+            });
+        }
+
+        const searxngButton = document.getElementById('addSearxngButton');
+        if (searxngButton) {
+            searxngButton.addEventListener('click', () => {
+                const fields = {
+                    instanceUrl: 'searxngInstanceUrl',
+                    displayName: 'searxngDisplayName',
+                    categories: 'searxngCategories',
+                    engines: 'searxngEngines',
+                    languages: 'searxngLanguages'
+                };
+                const input = {};
+                Object.entries(fields).forEach(([key, id]) => {
+                    const element = document.getElementById(id);
+                    input[key] = element ? element.value : '';
+                });
+
+                if (this.handleSearxngAdd(input)) {
+                    Object.values(fields).forEach(id => {
+                        const element = document.getElementById(id);
+                        if (element) element.value = '';
+                    });
+                }
+            });
+        }
+
+        const jsonApiInput = document.getElementById('jsonApiDefinition');
+        const jsonApiButton = document.getElementById('addJsonApiButton');
+        const loadButton = document.getElementById('loadCustomEngineButton');
+        const loadInput = document.getElementById('loadCustomEngineInput');
+
+        if (jsonApiButton && jsonApiInput) {
+            jsonApiButton.addEventListener('click', () => {
+                if (this.handleCustomEngineImport(jsonApiInput.value)) {
+                    jsonApiInput.value = '';
+                }
+            });
+        }
+
+        if (loadButton && loadInput) {
+            loadButton.addEventListener('click', () => {
+                loadInput.click();
+            });
+            loadInput.addEventListener('change', async (e) => {
+                const file = e.target.files && e.target.files[0];
+                if (file) {
+                    this.handleCustomEngineImport(await file.text());
+                }
+                e.target.value = '';
+            });
+        }
+
+        if (list) {
+            list.addEventListener('click', (e) => {
+                const button = e.target.closest('button[data-action]');
+                if (!button) return;
+
+                if (button.dataset.action === 'remove') {
+                    this.handleCustomEngineRemove(button.dataset.name);
+                } else if (button.dataset.action === 'export') {
+                    this.handleCustomEngineExport(button.dataset.name);
+                }
+            });
+        }
+    }
+
+    /**
+     * OpenSearch記述ドキュメント（URLまたはXML）からカスタムエンジンを追加
+     * 追加できた場合はtrueを返す
+     */
+    async handleOpenSearchAdd(source) {
+        try {
+            const definition = await this.searchManager.createOpenSearchEngine(source);
+            this.settingsManager.update({
+                customEngines: [...this.settingsManager.get('customEngines'), definition]
+            });
+            this.uiManager.showSettingsStatus(`カスタムエンジン「${definition.displayName}」を追加しました`);
+            return true;
+        } catch (error) {
+            console.error('カスタムエンジンの追加エラー:', error);
+            this.uiManager.showSettingsStatus(`カスタムエンジンを追加できませんでした: ${error.message}`, true);
+            return false;
+        }
+    }
+
+    /**
+     * SearXNGのインスタンスをカスタムエンジンとして追加
+     * 追加できた場合はtrueを返す
+     */
+    handleSearxngAdd(input) {
+        try {
+            const definition = this.searchManager.createSearxngEngine(input);
+            this.settingsManager.update({
+                customEngines: [...this.settingsManager.get('customEngines'), definition]
+            });
+            this.uiManager.showSettingsStatus(`カスタムエンジン「${definition.displayName}」を追加しました`);
+            return true;
+        } catch (error) {
+            console.error('カスタムエンジンの追加エラー:', error);
+            this.uiManager.showSettingsStatus(`カスタムエンジンを追加できませんでした: ${error.message}`, true);
+            return false;
+        }
+    }
+
+    /**
+     * カスタムエンジンの定義（JSON）を読み込んで追加
+     * JSON APIの定義の入力と、エクスポートした定義のファイルの読み込みに使う。追加できた場合はtrueを返す
+     */
+    handleCustomEngineImport(text) {
+        try {
+            const definitions = this.searchManager.importCustomEngines(text);
+            this.settingsManager.update({
+                customEngines: [...this.settingsManager.get('customEngines'), ...definitions]
+            });
+            const names = definitions.map(definition => `「${definition.displayName}」`).join('');
+            this.uiManager.showSettingsStatus(`カスタムエンジン${names}を追加しました`);
+            return true;
+        } catch (error) {
+            console.error('カスタムエンジンの追加エラー:', error);
+            this.uiManager.showSettingsStatus(`カスタムエンジンを追加できませんでした: ${error.message}`, true);
+            return false;
+        }
+    }
+
+    /**
+     * カスタムエンジンの定義をJSONファイルとしてダウンロード
+     */
+    handleCustomEngineExport(name) {
+        const definition = this.settingsManager.get('customEngines').find(engine => engine.name === name);
+        if (!definition) return;
+
+        const blob = new Blob([JSON.stringify(definition, null, 2)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `multi-search-engine-${definition.name}.json`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        URL.revokeObjectURL(url);
+
+        this.uiManager.showSettingsStatus(`カスタムエンジン「${definition.displayName}」の定義をエクスポートしました`);
+    }
+
+    /**
+     * カスタムエンジンを削除
+     */
+    handleCustomEngineRemove(name) {
+        const definitions = this.settingsManager.get('customEngines');
+        const definition = definitions.find(engine => engine.name === name);
+        if (!definition) return;
+
+        this.settingsManager.update({
+            customEngines: definitions.filter(engine => engine.name !== name)
+        });
+        this.uiManager.showSettingsStatus(`カスタムエンジン「${definition.displayName}」を削除しました`);
+    }
+
+    /**
+     * 設定の保存処理
+     */
+    handleSettingsSave() {
+        const proxyInput = document.getElementById('proxyUrl');
+        const wikipediaApiInput = document.getElementById('wikipediaApiUrl');
+        const cacheQuotaInput = document.getElementById('cacheQuota');
+        const schedulerInputs = {
+            maxConcurrent: document.getElementById('maxConcurrentRequests'),
+            rate: document.getElementById('requestRate'),
+            burst: document.getElementById('requestBurst')
+        };
+
+        // 入力欄のない項目とエンジンごとの設定は保存済みの値を使う
+        const requestScheduler = { ...this.settingsManager.get('requestScheduler') };
+        Object.entries(schedulerInputs).forEach(([key, input]) => {
+            if (input && input.value !== '') {
+                requestScheduler[key] = Number(input.value);
+            }
+        });
+
+        try {
+            this.settingsManager.update({
+                proxyUrl: proxyInput ? proxyInput.value : '',
+                wikipedia: { apiUrl: wikipediaApiInput ? wikipediaApiInput.value : '' },
+                requestScheduler: requestScheduler,
+                cacheQuota: cacheQuotaInput && cacheQuotaInput.value !== ''
+                    ? Math.round(Number(cacheQuotaInput.value) * 1024 * 1024)
+                    : this.settingsManager.get('cacheQuota')
+            });
+            this.uiManager.renderSettings(this.settingsManager.getAll(), this.detectedProxyUrl);
+            this.uiManager.showSettingsStatus('設定を保存しました');
+        } catch (error) {
+            this.uiManager.showSettingsStatus(error.message, true);
+        }
+    }
+
+    /**
+     * 記録したフィクスチャをJSONファイルとしてダウンロード
+     */
+    handleFixturesExport() {
+        const data = this.searchManager.fixtureRecorder.exportFixtures();
+        const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `multi-search-fixtures-${data.exportedAt.slice(0, 10)}.json`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        URL.revokeObjectURL(url);
+
+        this.uiManager.showSettingsStatus(`${Object.keys(data.fixtures).length}件のフィクスチャをエクスポートしました`);
+    }
+
+    /**
+     * エクスポートしたフィクスチャのファイルを読み込み
+     */
+    async handleFixturesImport(file) {
+        try {
+            const count = this.searchManager.fixtureRecorder.importFixtures(JSON.parse(await file.text()));
+            this.uiManager.renderFixtureCount();
+            this.uiManager.showSettingsStatus(`${count}件のフィクスチャを読み込みました`);
+        } catch (error) {
+            console.error('フィクスチャの読み込みエラー:', error);
+            this.uiManager.showSettingsStatus(`フィクスチャを読み込めませんでした: ${error.message}`, true);
+        }
+    }
+
+    /**
+     * 設定をSearchManagerに適用
+     * プロキシURLが未設定の場合は自動検出したプロキシを使用する
+     */
+    applySettings(settings) {
+        if (settings.proxyUrl !== undefined) {
+            this.searchManager.updateSettings({ proxyUrl: settings.proxyUrl || this.detectedProxyUrl });
+        }
+
+        if (settings.demoMode !== undefined) {
+            this.searchManager.updateSettings({ demoMode: settings.demoMode });
+        }
+
+        if (settings.fixtureMode !== undefined) {
+            this.searchManager.updateSettings({ fixtureMode: settings.fixtureMode });
+        }
+
+        if (settings.selectorOverrides !== undefined) {
+            this.searchManager.updateSettings({ selectorOverrides: settings.selectorOverrides });
+        }
+
+        if (settings.customEngines !== undefined) {
+            this.searchManager.updateSettings({ customEngines: settings.customEngines });
+            this.uiManager.renderCustomEngines(this.settingsManager.get('customEngines'));
+        }
+
+        if (settings.wikipedia !== undefined) {
+            this.searchManager.updateSettings({ wikipedia: settings.wikipedia });
+        }
+
+        if (settings.requestScheduler !== undefined) {
+            this.searchManager.updateSettings({ requestScheduler: settings.requestScheduler });
+        }
+
+        if (settings.cacheQuota !== undefined) {
+            this.searchManager.updateSettings({ cacheQuota: settings.cacheQuota });
+        }
+    }
+
+    /**
+     * 同じオリジンで動作しているローカルプロキシ（npm start）を検出
+     */
+    async detectLocalProxy() {
+        const location = window.location;
+        if (!location || !/^https?:$/.test(location.protocol)) return;
+
+        try {
+            const response = await fetch(`${location.origin}/proxy/status`, { cache: 'no-store' });
+            if (!response.ok) return;
+
+            const status = await response.json();
+            if (status.service !== 'kiro-search-proxy') return;
+
+            this.detectedProxyUrl = `${location.origin}/proxy`;
+            this.applySettings({ proxyUrl: this.settingsManager.get('proxyUrl') });
+            this.uiManager.renderSettings(this.settingsManager.getAll(), this.detectedProxyUrl);
+            console.log(`ローカルプロキシを検出しました: ${this.detectedProxyUrl}`);
+        } catch (error) {
+            // プロキシが見つからない場合は直接取得する
+            console.log('ローカルプロキシは検出されませんでした');
+        }
     }
 
     /**
      * 検索処理の実行
+     * options.engines で検索するエンジンを限定できる
      */
-    async handleSearch() {
+    async handleSearch(options = {}) {
         const query = document.getElementById('searchQuery').value.trim();
         
         if (!query) {
@@ -85,6 +621,10 @@ class MultiSearchApp {
         }
 
         this.currentQuery = query;
+        const searchSequence = ++this.searchSequence;
+        
+        // 実行中の検索があれば中断する
+        this.searchManager.cancelAllSearches();
         
         // 前回の結果をクリア
         this.uiManager.clearResults();
@@ -97,21 +637,52 @@ class MultiSearchApp {
 
         try {
             // 検索実行
-            const results = await this.searchManager.searchAll(query, this.currentLanguage);
+            const results = await this.searchManager.searchAll(query, this.currentLanguage, {
+                engines: options.engines
+            });
             console.log('検索完了:', results);
         } catch (error) {
             console.error('検索エラー:', error);
             this.errorHandler.handleGeneralError(error);
         } finally {
-            // 検索フォームの状態を元に戻す
-            this.uiManager.updateSearchFormState(false);
+            // 後続の検索が始まっていなければ検索フォームの状態を元に戻す
+            if (searchSequence === this.searchSequence) {
+                this.uiManager.updateSearchFormState(false);
+            }
         }
     }
 
+    /**
+     * 検索履歴の再実行
+     * 履歴に記録された言語とエンジンの組み合わせで検索する
+     */
+    async handleHistoryRerun(id) {
+        const entry = this.searchManager.getHistoryEntry(id);
+        if (!entry) return;
+
+        document.getElementById('searchQuery').value = entry.query;
+        document.getElementById('language').value = entry.language;
+        this.currentLanguage = entry.language;
+
+        await this.handleSearch({ engines: entry.engines });
+    }
+
+    /**
+     * 関連する検索キーワードで検索
+     */
+    async handleRelatedQuery(query) {
+        if (!query) return;
+
+        document.getElementById('searchQuery').value = query;
+        await this.handleSearch();
+    }
+
     /**
      * 結果のクリア処理
      */
     handleClear() {
+        this.searchManager.cancelAllSearches();
+        this.uiManager.setCurrentSearch(null);
         document.getElementById('searchQuery').value = '';
         this.uiManager.clearResults();
         this.currentQuery = '';
@@ -0,0 +1,173 @@
+/**
+ * サーキットブレーカークラス
+ * 連続してエラーになる検索エンジンへのリクエストを一時的に停止する
+ *
+ * 状態
+ * - closed:    通常状態。連続失敗がfailureThresholdに達するとopenに移行
+ * - open:      リクエストを行わない。cooldown経過後にhalf-openに移行
+ * - half-open: 試行リクエストを1件だけ許可し、成功すればclosed、失敗すればopenに戻る
+ *
+ * 状態の変化は change イベント { engine, state, previousState, retryAt } で通知する
+ */
+class CircuitBreaker extends EventEmitter {
+    constructor(options = {}) {
+        super();
+        this.failureThreshold = options.failureThreshold || 3; // openに移行する連続失敗回数
+        this.cooldown = options.cooldown || 30000; // openからhalf-openに移行するまでの時間（30秒）
+        this.circuits = new Map();
+    }
+
+    /**
+     * エンジンの状態を取得（未記録の場合は初期化する）
+     */
+    getCircuit(engine) {
+        if (!this.circuits.has(engine)) {
+            this.circuits.set(engine, {
+                state: 'closed',
+                failures: 0,
+                openedAt: null,
+                trialInProgress: false
+            });
+        }
+        return this.circuits.get(engine);
+    }
+
+    /**
+     * リクエストを実行してよいかチェック
+     * half-openの場合は試行リクエストを1件だけ許可する
+     */
+    canRequest(engine, now = Date.now()) {
+        const circuit = this.getCircuit(engine);
+
+        if (circuit.state === 'open' && now - circuit.openedAt >= this.cooldown) {
+            this.transition(engine, 'half-open');
+        }
+
+        switch (circuit.state) {
+            case 'closed':
+                return true;
+            case 'half-open':
+                if (circuit.trialInProgress) {
+                    return false;
+                }
+                circuit.trialInProgress = true;
+                return true;
+            default:
+                return false;
+        }
+    }
+
+    /**
+     * リクエストの成功を記録
+     */
+    recordSuccess(engine) {
+        const circuit = this.getCircuit(engine);
+        circuit.failures = 0;
+        circuit.trialInProgress = false;
+
+        if (circuit.state !== 'closed') {
+            this.transition(engine, 'closed');
+        }
+    }
+
+    /**
+     * リクエストの失敗を記録
+     */
+    recordFailure(engine, now = Date.now()) {
+        const circuit = this.getCircuit(engine);
+        circuit.failures++;
+        circuit.trialInProgress = false;
+
+        if (circuit.state === 'half-open' ||
+            (circuit.state === 'closed' && circuit.failures >= this.failureThreshold)) {
+            circuit.openedAt = now;
+            this.transition(engine, 'open');
+        }
+    }
+
+    /**
+     * 試行リクエストが結果を出さずに終了した場合（キャンセルなど）に試行枠を解放
+     */
+    releaseTrial(engine) {
+        this.getCircuit(engine).trialInProgress = false;
+    }
+
+    /**
+     * 状態を変更して通知
+     */
+    transition(engine, state) {
+        const circuit = this.getCircuit(engine);
+        const previousState = circuit.state;
+        circuit.state = state;
+
+        if (state === 'closed') {
+            circuit.openedAt = null;
+        }
+
+        console.log(`サーキットブレーカー (${engine}): ${previousState} → ${state}`);
+        this.emit('change', {
+            engine: engine,
+            state: state,
+            previousState: previousState,
+            retryAt: this.getRetryAt(engine)
+        });
+    }
+
+    /**
+     * 再開予定時刻を取得（openでない場合はnull）
+     */
+    getRetryAt(engine) {
+        const circuit = this.getCircuit(engine);
+        return circuit.state === 'open' ? circuit.openedAt + this.cooldown : null;
+    }
+
+    /**
+     * エンジンの状態を取得
+     */
+    getState(engine) {
+        const circuit = this.getCircuit(engine);
+        return {
+            state: circuit.state,
+            failures: circuit.failures,
+            retryAt: this.getRetryAt(engine)
+        };
+    }
+
+    /**
+     * 状態をリセット
+     * engineを指定しない場合はすべてのエンジンをリセットする
+     */
+    reset(engine = null) {
+        const engines = engine ? [engine] : Array.from(this.circuits.keys());
+
+        engines.forEach(name => {
+            const circuit = this.circuits.get(name);
+            if (!circuit) return;
+
+            this.circuits.delete(name);
+            if (circuit.state !== 'closed') {
+                this.emit('change', {
+                    engine: name,
+                    state: 'closed',
+                    previousState: circuit.state,
+                    retryAt: null
+                });
+            }
+        });
+    }
+
+    /**
+     * 設定の更新
+     */
+    updateSettings(settings) {
+        if (!settings) return;
+
+        if (settings.failureThreshold && settings.failureThreshold > 0) {
+            this.failureThreshold = settings.failureThreshold;
+        }
+
+        if (settings.cooldown && settings.cooldown > 0) {
+            this.cooldown = settings.cooldown;
+        }
+    }
+}
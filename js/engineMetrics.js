@@ -0,0 +1,125 @@
+/**
+ * エンジン計測クラス
+ * 検索エンジンごとの成否・エラー種別・キャッシュヒット・応答時間を記録し、統計を算出する
+ */
+class EngineMetrics {
+    constructor(options = {}) {
+        this.maxSamples = options.maxSamples || 200; // エンジンごとに保持する応答時間の件数
+        this.metrics = new Map();
+    }
+
+    /**
+     * エンジンの計測値を取得（未記録の場合は初期化する）
+     */
+    getEntry(engine) {
+        if (!this.metrics.has(engine)) {
+            this.metrics.set(engine, {
+                successCount: 0,
+                errorCount: 0,
+                errorsByType: {},
+                cacheHits: 0,
+                cacheMisses: 0,
+                latencies: []
+            });
+        }
+        return this.metrics.get(engine);
+    }
+
+    /**
+     * 検索成功を記録
+     */
+    recordSuccess(engine, responseTime) {
+        const entry = this.getEntry(engine);
+        entry.successCount++;
+        this.recordLatency(entry, responseTime);
+    }
+
+    /**
+     * 検索エラーを記録
+     * errorTypeはErrorHandlerが判定したエラー種別
+     */
+    recordError(engine, errorType, responseTime = null) {
+        const entry = this.getEntry(engine);
+        const type = errorType || 'general';
+        entry.errorCount++;
+        entry.errorsByType[type] = (entry.errorsByType[type] || 0) + 1;
+        this.recordLatency(entry, responseTime);
+    }
+
+    /**
+     * キャッシュの参照結果を記録
+     */
+    recordCacheLookup(engine, hit) {
+        const entry = this.getEntry(engine);
+        if (hit) {
+            entry.cacheHits++;
+        } else {
+            entry.cacheMisses++;
+        }
+    }
+
+    /**
+     * 応答時間を記録（古い計測値から破棄する）
+     */
+    recordLatency(entry, responseTime) {
+        if (typeof responseTime !== 'number' || !isFinite(responseTime) || responseTime < 0) {
+            return;
+        }
+
+        entry.latencies.push(responseTime);
+        if (entry.latencies.length > this.maxSamples) {
+            entry.latencies.shift();
+        }
+    }
+
+    /**
+     * パーセンタイル値を算出（最近順位法）
+     */
+    percentile(sortedValues, p) {
+        if (sortedValues.length === 0) return null;
+        const index = Math.ceil((p / 100) * sortedValues.length) - 1;
+        return sortedValues[Math.min(Math.max(index, 0), sortedValues.length - 1)];
+    }
+
+    /**
+     * エンジンの統計を取得
+     */
+    getStats(engine) {
+        const entry = this.getEntry(engine);
+        const totalAttempts = entry.successCount + entry.errorCount;
+        const cacheLookups = entry.cacheHits + entry.cacheMisses;
+        const sorted = entry.latencies.slice().sort((a, b) => a - b);
+        const average = sorted.length > 0 ?
+            Math.round(sorted.reduce((sum, value) => sum + value, 0) / sorted.length) : 0;
+
+        return {
+            totalAttempts: totalAttempts,
+            successCount: entry.successCount,
+            errorCount: entry.errorCount,
+            successRate: totalAttempts > 0 ? entry.successCount / totalAttempts : null,
+            errorsByType: { ...entry.errorsByType },
+            cacheHits: entry.cacheHits,
+            cacheMisses: entry.cacheMisses,
+            cacheHitRatio: cacheLookups > 0 ? entry.cacheHits / cacheLookups : null,
+            averageResponseTime: average,
+            latency: {
+                samples: sorted.length,
+                p50: this.percentile(sorted, 50),
+                p90: this.percentile(sorted, 90),
+                p99: this.percentile(sorted, 99)
+            }
+        };
+    }
+
+    /**
+     * 計測値をリセット
+     * engineを指定しない場合はすべてのエンジンをリセットする
+     */
+    reset(engine = null) {
+        if (engine) {
+            this.metrics.delete(engine);
+        } else {
+            this.metrics.clear();
+        }
+    }
+}
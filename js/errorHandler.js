@@ -8,6 +8,122 @@ class ErrorHandler {
         this.maxLogSize = 100;
         this.retryAttempts = new Map(); // エンジンごとの再試行回数を記録
         this.maxRetries = 3;
+        this.baseRetryDelay = 1000; // 再試行の基準遅延時間（1秒）
+        this.maxRetryDelay = 10000; // 指数バックオフの上限（10秒）
+        this.maxRetryAfter = 60000; // これより長いRetry-Afterは待たずに再試行しない（60秒）
+        this.mockFallback = true; // falseの場合は接続できないエンジンをサンプル結果で代替しない（CLIなど）
+        this.adapterRegistry = null;
+    }
+
+    /**
+     * HTTPレスポンスからエラーを生成
+     * status と Retry-After（ミリ秒）を保持する
+     */
+    static createHttpError(response) {
+        const error = new Error(`HTTP ${response.status}: ${response.statusText}`);
+        error.status = response.status;
+        error.retryAfter = ErrorHandler.parseRetryAfter(
+            response.headers && response.headers.get ? response.headers.get('Retry-After') : null
+        );
+        return error;
+    }
+
+    /**
+     * Retry-Afterヘッダーをミリ秒に変換
+     * 秒数とHTTP日付の両方の形式に対応し、解釈できない場合はnullを返す
+     */
+    static parseRetryAfter(value, now = Date.now()) {
+        if (value === null || value === undefined || String(value).trim() === '') {
+            return null;
+        }
+
+        const text = String(value).trim();
+        if (/^\d+$/.test(text)) {
+            return parseInt(text, 10) * 1000;
+        }
+
+        // HTTP日付は曜日・月名を含む（"-5" などの数値をDate.parseが日付として解釈しないようにする）
+        const date = /[a-z]/i.test(text) ? Date.parse(text) : NaN;
+        if (isNaN(date)) {
+            return null;
+        }
+
+        return Math.max(0, date - now);
+    }
+
+    /**
+     * セレクターのずれ（検索エンジンのページ構造の変更）を表すエラーを生成
+     * 取得したページから結果を1件も取り出せず、「結果なし」の表示も見つからない場合に使用する
+     */
+    static createSelectorDriftError(engine, doc, resultSelector) {
+        const error = new Error(`検索結果のセレクターが一致しませんでした (${engine}): ${resultSelector}`);
+        error.selectorDrift = true;
+        error.selector = resultSelector;
+        error.pageTitle = doc && doc.title ? doc.title.trim() : '';
+        error.structureSample = ErrorHandler.describeHtmlStructure(doc);
+        return error;
+    }
+
+    /**
+     * HTMLの構造の概要（タグ・id・クラスの階層）を作成
+     * 同じ構造が続く兄弟要素は1行にまとめ、新しいセレクターを探す手がかりとしてログに残す
+     */
+    static describeHtmlStructure(doc, options = {}) {
+        const { maxDepth = 8, maxLines = 60 } = options;
+        const root = doc && (doc.body || doc.documentElement);
+        if (!root) {
+            return '';
+        }
+
+        const ignoredTags = ['script', 'style', 'noscript', 'template', 'svg', 'link', 'meta'];
+        const lines = [];
+        let truncated = false; // maxLines により省略した要素があるか
+
+        const describe = element => {
+            const tag = element.tagName.toLowerCase();
+            const id = element.id ? `#${element.id}` : '';
+            const classes = Array.from(element.classList || []).slice(0, 3).map(name => `.${name}`).join('');
+            return `${tag}${id}${classes}`;
+        };
+
+        const visit = (element, depth) => {
+            const children = Array.from(element.children)
+                .filter(child => !ignoredTags.includes(child.tagName.toLowerCase()));
+
+            let i = 0;
+            for (; i < children.length && lines.length < maxLines; i++) {
+                const signature = describe(children[i]);
+                let count = 1;
+                while (i + count < children.length && describe(children[i + count]) === signature) {
+                    count++;
+                }
+
+                lines.push(`${'  '.repeat(depth)}${signature}${count > 1 ? ` ×${count}` : ''}`);
+                if (depth < maxDepth) {
+                    visit(children[i], depth + 1);
+                }
+                i += count - 1;
+            }
+
+            if (i < children.length) {
+                truncated = true;
+            }
+        };
+
+        lines.push(describe(root));
+        visit(root, 1);
+
+        if (truncated) {
+            lines.push('...');
+        }
+        return lines.join('\n');
+    }
+
+    /**
+     * エンジン表示名の参照先となるアダプターレジストリを設定
+     */
+    setAdapterRegistry(adapterRegistry) {
+        this.adapterRegistry = adapterRegistry;
     }
 
     /**
@@ -35,6 +151,7 @@ class ErrorHandler {
             engine: engine,
             message: error.message,
             statusCode: error.status || null,
+            retryAfter: error.retryAfter !== undefined ? error.retryAfter : null,
             timestamp: new Date(),
             userMessage: this.getAPIErrorMessage(error, engine)
         };
@@ -59,6 +176,28 @@ class ErrorHandler {
         return errorInfo;
     }
 
+    /**
+     * セレクターのずれの処理
+     * 解析エラー（parsing）の一種として扱い、一致しなかったページの構造をログに出力する
+     */
+    handleSelectorDriftError(error, engine) {
+        const errorInfo = {
+            type: 'parsing',
+            subtype: 'selector_drift',
+            engine: engine,
+            message: error.message,
+            selector: error.selector || null,
+            pageTitle: error.pageTitle || '',
+            structureSample: error.structureSample || '',
+            timestamp: new Date(),
+            userMessage: `${this.getEngineDisplayName(engine)}のページから検索結果を取り出せませんでした。ページ構造が変わり、解析処理が古くなっている可能性があります。`
+        };
+
+        this.logError(errorInfo);
+        console.warn(`[${engine}] 一致しなかったページ「${errorInfo.pageTitle}」の構造:\n${errorInfo.structureSample}`);
+        return errorInfo;
+    }
+
     /**
      * CORSエラーの処理
      */
@@ -75,6 +214,44 @@ class ErrorHandler {
         return errorInfo;
     }
 
+    /**
+     * サーキットブレーカー作動中のエラー処理
+     */
+    handleCircuitOpenError(error, engine) {
+        const engineName = this.getEngineDisplayName(engine);
+        const seconds = error.retryAt ? Math.max(1, Math.ceil((error.retryAt - Date.now()) / 1000)) : null;
+        const errorInfo = {
+            type: 'circuit_open',
+            engine: engine,
+            message: error.message,
+            retryAt: error.retryAt || null,
+            timestamp: new Date(),
+            userMessage: seconds ?
+                `${engineName}で連続してエラーが発生したため、検索を一時停止しています（約${seconds}秒後に再開）。` :
+                `${engineName}で連続してエラーが発生したため、検索を一時停止しています。`
+        };
+
+        this.logError(errorInfo);
+        return errorInfo;
+    }
+
+    /**
+     * 再生モードでフィクスチャが記録されていない場合の処理
+     */
+    handleFixtureMissingError(error, engine) {
+        const errorInfo = {
+            type: 'fixture_missing',
+            engine: engine,
+            message: error.message,
+            url: error.url || null,
+            timestamp: new Date(),
+            userMessage: `${this.getEngineDisplayName(engine)}のこの検索は記録されていません（フィクスチャの再生中）。`
+        };
+
+        this.logError(errorInfo);
+        return errorInfo;
+    }
+
     /**
      * 検索エンジン固有のエラー処理
      */
@@ -82,22 +259,29 @@ class ErrorHandler {
         let errorInfo;
 
         // エラーの種類を判定
-        if (error.name === 'AbortError' || error.message.includes('timeout')) {
+        if (error.circuitOpen) {
+            errorInfo = this.handleCircuitOpenError(error, engine);
+        } else if (error.fixtureMissing) {
+            errorInfo = this.handleFixtureMissingError(error, engine);
+        } else if (error.selectorDrift) {
+            errorInfo = this.handleSelectorDriftError(error, engine);
+        } else if (error.status) {
+            errorInfo = this.handleAPIError(error, engine);
+        } else if (error.name === 'AbortError' || error.message.includes('timeout')) {
             errorInfo = this.handleTimeoutError(error, engine);
-        } else if (error.message.includes('CORS') || error.name === 'TypeError') {
+        } else if (error.message.includes('CORS') || (error.name === 'TypeError' && this.mockFallback)) {
+            // ブラウザではfetchのTypeErrorはCORSによる拒否として扱う（CLIなどでは接続の失敗）
             errorInfo = this.handleCORSError(error, engine);
-        } else if (error.message.includes('Failed to fetch') || error.message.includes('Network')) {
+        } else if (error.name === 'TypeError' || error.message.includes('Failed to fetch') || error.message.includes('Network')) {
             errorInfo = this.handleNetworkError(error, engine);
-        } else if (error.status) {
-            errorInfo = this.handleAPIError(error, engine);
         } else {
             errorInfo = this.handleGeneralError(error, engine);
         }
 
         // 再試行の判定
-        if (this.shouldRetry(engine, errorInfo.type)) {
+        if (this.shouldRetry(engine, errorInfo.type, errorInfo)) {
             errorInfo.shouldRetry = true;
-            errorInfo.retryDelay = this.getRetryDelay(engine);
+            errorInfo.retryDelay = this.getRetryDelay(engine, errorInfo);
         }
 
         return errorInfo;
@@ -143,7 +327,7 @@ class ErrorHandler {
     getNetworkErrorMessage(error, engine) {
         const engineName = this.getEngineDisplayName(engine);
         
-        if (error.message.includes('Failed to fetch')) {
+        if (error.message.includes('Failed to fetch') || error.message.includes('fetch failed')) {
             return `${engineName}に接続できませんでした。インターネット接続を確認してください。`;
         } else if (error.message.includes('timeout')) {
             return `${engineName}への接続がタイムアウトしました。しばらく待ってから再試行してください。`;
@@ -192,6 +376,9 @@ class ErrorHandler {
      */
     getCORSErrorMessage(error, engine) {
         const engineName = this.getEngineDisplayName(engine);
+        if (!this.mockFallback) {
+            return `${engineName}はセキュリティ制限により直接アクセスできません。`;
+        }
         return `${engineName}はブラウザのセキュリティ制限により直接アクセスできません。代替データを表示しています。`;
     }
 
@@ -199,16 +386,11 @@ class ErrorHandler {
      * エンジン表示名の取得
      */
     getEngineDisplayName(engine) {
-        const displayNames = {
-            google: 'Google',
-            bing: 'Bing',
-            yahoo: 'Yahoo Japan',
-            duckduckgo: 'DuckDuckGo',
-            youtube: 'YouTube',
-            baidu: 'Baidu'
-        };
+        if (this.adapterRegistry) {
+            return this.adapterRegistry.getDisplayName(engine);
+        }
         
-        return displayNames[engine] || engine;
+        return engine;
     }
 
     /**
@@ -223,19 +405,30 @@ class ErrorHandler {
         }
 
         // コンソールにもログ出力
-        console.error(`[${errorInfo.engine || 'System'}] ${errorInfo.type}: ${errorInfo.message}`);
+        console.error(`[${errorInfo.engine || 'System'}] ${errorInfo.type}${errorInfo.subtype ? `/${errorInfo.subtype}` : ''}: ${errorInfo.message}`);
     }
 
     /**
      * 再試行すべきかの判定
+     * APIエラーは408・429・5xxのみ再試行し、長すぎるRetry-Afterは待たない
      */
-    shouldRetry(engine, errorType) {
+    shouldRetry(engine, errorType, errorInfo = {}) {
         const retryableErrors = ['network', 'timeout', 'api'];
         
         if (!retryableErrors.includes(errorType)) {
             return false;
         }
 
+        if (errorType === 'api' && errorInfo.statusCode &&
+            ![408, 429].includes(errorInfo.statusCode) && errorInfo.statusCode < 500) {
+            return false;
+        }
+
+        if (errorInfo.retryAfter !== null && errorInfo.retryAfter !== undefined &&
+            errorInfo.retryAfter > this.maxRetryAfter) {
+            return false;
+        }
+
         const currentAttempts = this.retryAttempts.get(engine) || 0;
         return currentAttempts < this.maxRetries;
     }
@@ -248,6 +441,13 @@ class ErrorHandler {
         this.retryAttempts.set(engine, currentAttempts + 1);
     }
 
+    /**
+     * 再試行回数の取得
+     */
+    getRetryAttempts(engine) {
+        return this.retryAttempts.get(engine) || 0;
+    }
+
     /**
      * 再試行回数のリセット
      */
@@ -257,10 +457,18 @@ class ErrorHandler {
 
     /**
      * 再試行遅延時間の計算
+     * Retry-Afterが指定されていればそれに従い、なければジッター付きの指数バックオフとする
      */
-    getRetryDelay(engine) {
+    getRetryDelay(engine, errorInfo = {}) {
+        if (errorInfo.retryAfter !== null && errorInfo.retryAfter !== undefined) {
+            return Math.min(errorInfo.retryAfter, this.maxRetryAfter);
+        }
+
         const attempts = this.retryAttempts.get(engine) || 0;
-        return Math.min(1000 * Math.pow(2, attempts), 10000); // 指数バックオフ、最大10秒
+        const backoff = Math.min(this.baseRetryDelay * Math.pow(2, attempts), this.maxRetryDelay);
+
+        // 複数エンジン・複数タブの再試行が同時に集中しないよう、遅延の半分をランダムにする
+        return Math.round(backoff / 2 + Math.random() * backoff / 2);
     }
 
     /**
@@ -298,6 +506,8 @@ class ErrorHandler {
                 return `${engineName}のサービスで問題が発生しています。`;
             case 'parsing':
                 return `${engineName}の結果を正しく読み込めませんでした。`;
+            case 'circuit_open':
+                return `${engineName}は連続してエラーが発生したため、一時停止しています。`;
             default:
                 return `${engineName}で問題が発生しました。`;
         }
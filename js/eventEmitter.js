@@ -0,0 +1,93 @@
+/**
+ * イベントエミッタークラス
+ * イベントの購読と通知を管理する
+ */
+class EventEmitter {
+    constructor() {
+        this.listeners = new Map();
+    }
+
+    /**
+     * イベントを購読
+     * 戻り値の関数を呼び出すと購読を解除できる
+     */
+    on(event, listener) {
+        if (typeof listener !== 'function') {
+            throw new Error('リスナーは関数である必要があります');
+        }
+
+        if (!this.listeners.has(event)) {
+            this.listeners.set(event, new Set());
+        }
+        this.listeners.get(event).add(listener);
+
+        return () => this.off(event, listener);
+    }
+
+    /**
+     * イベントを一度だけ購読
+     */
+    once(event, listener) {
+        const unsubscribe = this.on(event, payload => {
+            unsubscribe();
+            listener(payload);
+        });
+        return unsubscribe;
+    }
+
+    /**
+     * イベントの購読を解除
+     */
+    off(event, listener) {
+        const listeners = this.listeners.get(event);
+        if (!listeners) {
+            return false;
+        }
+
+        const removed = listeners.delete(listener);
+        if (listeners.size === 0) {
+            this.listeners.delete(event);
+        }
+        return removed;
+    }
+
+    /**
+     * イベントを通知
+     * リスナーの例外は他のリスナーや呼び出し元に影響させない
+     */
+    emit(event, payload) {
+        const listeners = this.listeners.get(event);
+        if (!listeners) {
+            return false;
+        }
+
+        Array.from(listeners).forEach(listener => {
+            try {
+                listener(payload);
+            } catch (error) {
+                console.error(`イベントリスナーエラー (${event}):`, error);
+            }
+        });
+
+        return true;
+    }
+
+    /**
+     * 購読者数を取得
+     */
+    listenerCount(event) {
+        const listeners = this.listeners.get(event);
+        return listeners ? listeners.size : 0;
+    }
+
+    /**
+     * すべての購読を解除
+     */
+    removeAllListeners(event = null) {
+        if (event) {
+            this.listeners.delete(event);
+        } else {
+            this.listeners.clear();
+        }
+    }
+}
@@ -0,0 +1,236 @@
+/**
+ * フィクスチャ記録クラス
+ * 各アダプターのfetchWithTimeout()のリクエストと応答（URL・ステータス・ヘッダー・本文）を記録し、
+ * 再生モードではネットワークの代わりに記録した応答を返す
+ *
+ * モード
+ * - off:    記録も再生もしない
+ * - record: 実際に取得した応答をフィクスチャとして保存する
+ * - replay: 保存済みのフィクスチャのみを使用し、ネットワークにはアクセスしない
+ *
+ * フィクスチャはエンジン・言語・ページ・クエリごとに1件で、その検索で発生したリクエストをURL単位で保持する
+ * 保存先は options.storage で差し替えられる（既定はローカルストレージ、CLIではファイル）
+ */
+class FixtureRecorder {
+    constructor(options = {}) {
+        this.mode = 'off';
+        this.storage = options.storage || FixtureRecorder.createLocalStorage(options.storageKey);
+    }
+
+    /**
+     * モードの設定
+     */
+    setMode(mode) {
+        if (!FixtureRecorder.modes.includes(mode)) {
+            throw new Error(`不明なフィクスチャモードです: ${mode}`);
+        }
+        this.mode = mode;
+    }
+
+    /**
+     * 保存先の設定
+     */
+    setStorage(storage) {
+        this.storage = storage;
+    }
+
+    /**
+     * 記録または再生を行っているかチェック
+     */
+    isActive() {
+        return this.mode !== 'off';
+    }
+
+    /**
+     * フィクスチャのキーを生成（エンジン/言語/ページ/クエリ）
+     */
+    generateKey(engine, context = {}) {
+        const { query = '', language = '', page = 1 } = context;
+        return `${engine}/${language}/${page}/${query}`;
+    }
+
+    /**
+     * アダプターのリクエストを記録・再生
+     * sendRequestは実際にリクエストを行いResponseを返す関数
+     */
+    async fetch(engine, context, url, sendRequest) {
+        const key = this.generateKey(engine, context);
+
+        if (this.mode === 'replay') {
+            return this.replay(key, url);
+        }
+
+        const response = await sendRequest();
+        if (this.mode !== 'record') {
+            return response;
+        }
+
+        return this.record(key, engine, context, url, response);
+    }
+
+    /**
+     * 応答を記録して、読み込み済みの本文から同じ内容のResponseを作り直す
+     */
+    async record(key, engine, context, url, response) {
+        const body = await response.text();
+        const headers = {};
+        response.headers.forEach((value, name) => {
+            if (name !== 'set-cookie') {
+                headers[name] = value;
+            }
+        });
+
+        const entry = {
+            url: url,
+            status: response.status,
+            statusText: response.statusText,
+            headers: headers,
+            body: body
+        };
+
+        const fixture = this.storage.load(key) || {
+            version: FixtureRecorder.formatVersion,
+            key: key,
+            engine: engine,
+            query: context.query,
+            language: context.language,
+            page: context.page || 1,
+            requests: []
+        };
+        fixture.recordedAt = new Date().toISOString();
+        // 同じURLのリクエストは最新の応答で置き換える
+        fixture.requests = fixture.requests.filter(request => request.url !== url).concat(entry);
+
+        try {
+            this.storage.save(key, fixture);
+            console.log(`フィクスチャを記録しました: ${key} (${url})`);
+        } catch (error) {
+            // 記録に失敗しても検索は続行する
+            console.error('フィクスチャの保存に失敗しました:', error);
+        }
+
+        return this.createResponse(entry);
+    }
+
+    /**
+     * 記録した応答を返す
+     * 記録がない場合はネットワークにアクセスせずにエラーとする
+     */
+    replay(key, url) {
+        const fixture = this.storage.load(key);
+        const entry = fixture && Array.isArray(fixture.requests) && fixture.requests.find(request => request.url === url);
+
+        if (!entry) {
+            const error = new Error(`フィクスチャが見つかりません: ${key}`);
+            error.fixtureMissing = true;
+            error.url = url;
+            throw error;
+        }
+
+        console.log(`フィクスチャを再生しました: ${key}`);
+        return this.createResponse(entry);
+    }
+
+    /**
+     * 記録した内容からResponseを作成
+     */
+    createResponse(entry) {
+        // 204・304などの本文を持たない応答にはnullを渡す
+        const body = entry.body === '' ? null : entry.body;
+        return new Response(body, {
+            status: entry.status,
+            statusText: entry.statusText || '',
+            headers: entry.headers || {}
+        });
+    }
+
+    /**
+     * 記録済みのフィクスチャのキー一覧
+     */
+    list() {
+        return this.storage.keys();
+    }
+
+    /**
+     * フィクスチャを取得
+     */
+    get(key) {
+        return this.storage.load(key);
+    }
+
+    /**
+     * すべてのフィクスチャを削除
+     */
+    clear() {
+        this.storage.clear();
+    }
+
+    /**
+     * すべてのフィクスチャをエクスポート
+     */
+    exportFixtures() {
+        const fixtures = {};
+        this.list().forEach(key => {
+            fixtures[key] = this.storage.load(key);
+        });
+
+        return {
+            version: FixtureRecorder.formatVersion,
+            exportedAt: new Date().toISOString(),
+            fixtures: fixtures
+        };
+    }
+
+    /**
+     * エクスポートしたフィクスチャを読み込み
+     * 読み込んだ件数を返す
+     */
+    importFixtures(data) {
+        if (!data || data.version !== FixtureRecorder.formatVersion || !data.fixtures || typeof data.fixtures !== 'object') {
+            throw new Error('フィクスチャの形式が正しくありません');
+        }
+
+        let count = 0;
+        Object.entries(data.fixtures).forEach(([key, fixture]) => {
+            if (!fixture || !Array.isArray(fixture.requests)) {
+                console.warn(`不正なフィクスチャを読み飛ばします: ${key}`);
+                return;
+            }
+            this.storage.save(key, { ...fixture, key: key });
+            count++;
+        });
+
+        return count;
+    }
+}
+
+FixtureRecorder.modes = ['off', 'record', 'replay'];
+FixtureRecorder.formatVersion = 1;
+
+/**
+ * ローカルストレージを保存先とするストレージを作成
+ * すべてのフィクスチャを1つのキーにまとめて保存する
+ */
+FixtureRecorder.createLocalStorage = function (storageKey = 'multi-search-fixtures') {
+    const read = () => {
+        try {
+            const saved = JSON.parse(localStorage.getItem(storageKey) || '{}');
+            return saved && typeof saved === 'object' ? saved : {};
+        } catch (error) {
+            console.error('フィクスチャの読み込みに失敗しました:', error);
+            return {};
+        }
+    };
+
+    return {
+        load: key => read()[key] || null,
+        save(key, fixture) {
+            const fixtures = read();
+            fixtures[key] = fixture;
+            // 容量超過の場合はエラーを呼び出し元に伝える
+            localStorage.setItem(storageKey, JSON.stringify(fixtures));
+        },
+        keys: () => Object.keys(read()),
+        clear: () => localStorage.removeItem(storageKey)
+    };
+};
@@ -0,0 +1,333 @@
+/**
+ * IndexedDBキャッシュストアクラス
+ * 検索結果のキャッシュをIndexedDBに保存し、ページの再読み込み後も使えるようにする（SearchCacheの永続化層）
+ *
+ * - 保存量はエントリのデータ（JSON）のバイト数の合計で数え、上限（quota）を超える場合は期限切れのエントリ、
+ *   最終アクセスが古いエントリの順に削除する（0の場合は保存しない）
+ * - エントリには形式のバージョン（version）を記録し、読み込み時に migrations で現在の形式に変換する
+ *   変換できない（未知・より新しい）形式のエントリは削除する
+ * - IndexedDBが利用できない環境（CLIなど）や開けない場合は何も保存せず、常に見つからないものとして扱う
+ */
+class IndexedDbCacheStore {
+    constructor(options = {}) {
+        this.dbName = options.dbName || 'multi-search-cache';
+        this.storeName = 'entries';
+        this.quota = IndexedDbCacheStore.normalizeQuota(options.quota !== undefined ? options.quota : IndexedDbCacheStore.defaultQuota);
+        this.entryVersion = options.entryVersion || IndexedDbCacheStore.entryVersion; // 現在のエントリの形式
+        this.migrations = options.migrations || IndexedDbCacheStore.migrations; // { 変換元のバージョン: entry => 次のバージョンのentry }
+        this.indexedDB = options.indexedDB !== undefined
+            ? options.indexedDB
+            : (typeof indexedDB !== 'undefined' ? indexedDB : null);
+        this.available = !!this.indexedDB;
+        this.opening = null; // データベースを開く処理（Promise）
+        this.db = null;
+    }
+
+    /**
+     * データベースを開く（2回目以降は同じ接続を使う）
+     * 開けない場合は以降の操作をすべて無効にし、nullを返す
+     */
+    open() {
+        if (!this.available) {
+            return Promise.resolve(null);
+        }
+
+        if (!this.opening) {
+            this.opening = new Promise((resolve, reject) => {
+                const request = this.indexedDB.open(this.dbName, IndexedDbCacheStore.schemaVersion);
+                request.onupgradeneeded = () => {
+                    const db = request.result;
+                    if (!db.objectStoreNames.contains(this.storeName)) {
+                        db.createObjectStore(this.storeName, { keyPath: 'key' });
+                    }
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            }).then(db => {
+                // 別のタブでデータベースが更新される場合は接続を閉じ、次の操作で開き直す
+                db.onversionchange = () => this.close();
+                this.db = db;
+                return db;
+            }).catch(error => {
+                console.warn('IndexedDBを開けないため、検索結果のキャッシュはメモリ上でのみ保持します:', error);
+                this.available = false;
+                return null;
+            });
+        }
+
+        return this.opening;
+    }
+
+    /**
+     * トランザクションを実行し、完了後に operation が done() に渡した値を返す
+     * operation はリクエストのコールバックで処理を続ける（Promiseを待つとトランザクションが終了するため）
+     * 失敗した場合は警告を出力して fallback を返す
+     */
+    async transaction(mode, operation, fallback = null) {
+        const db = await this.open();
+        if (!db) {
+            return fallback;
+        }
+
+        try {
+            return await new Promise((resolve, reject) => {
+                const transaction = db.transaction(this.storeName, mode);
+                let result = fallback;
+                transaction.oncomplete = () => resolve(result);
+                transaction.onerror = () => reject(transaction.error);
+                transaction.onabort = () => reject(transaction.error);
+                operation(transaction.objectStore(this.storeName), value => {
+                    result = value;
+                });
+            });
+        } catch (error) {
+            console.warn('キャッシュの永続化に失敗しました:', error);
+            return fallback;
+        }
+    }
+
+    /**
+     * エントリを取得（期限切れ・変換できないエントリは削除してnullを返す）
+     * 古い形式のエントリは変換して保存し直し、最終アクセス時刻を更新する
+     */
+    get(key) {
+        return this.transaction('readwrite', (store, done) => {
+            const request = store.get(key);
+            request.onsuccess = () => {
+                if (!request.result) return;
+
+                const entry = this.migrate(request.result);
+                if (!entry || Date.now() > entry.expiresAt) {
+                    store.delete(key);
+                    return;
+                }
+
+                entry.lastAccessed = Date.now();
+                store.put(entry);
+                done(entry);
+            };
+        });
+    }
+
+    /**
+     * エントリ（{ data, createdAt, lastAccessed, expiresAt }）を保存
+     * 上限を超える分は古いエントリから削除する。1件で上限を超えるエントリは保存せず、falseを返す
+     */
+    set(key, entry) {
+        const stored = {
+            ...entry,
+            key: key,
+            version: this.entryVersion,
+            size: IndexedDbCacheStore.calculateSize(entry.data)
+        };
+
+        return this.transaction('readwrite', (store, done) => {
+            if (stored.size > this.quota) {
+                store.delete(key);
+                return;
+            }
+
+            const request = store.getAll();
+            request.onsuccess = () => {
+                const others = request.result.filter(other => other.key !== key);
+                this.evict(store, others, this.quota - stored.size);
+                store.put(stored);
+                done(true);
+            };
+        }, false);
+    }
+
+    /**
+     * エントリを削除（存在した場合はtrueを返す）
+     */
+    delete(key) {
+        return this.transaction('readwrite', (store, done) => {
+            const request = store.count(key);
+            request.onsuccess = () => {
+                if (request.result > 0) {
+                    store.delete(key);
+                    done(true);
+                }
+            };
+        }, false);
+    }
+
+    /**
+     * 条件に一致するエントリを削除し、削除したキーの一覧を返す
+     * predicate(key, entry) は変換前のエントリで呼び出す
+     */
+    deleteWhere(predicate) {
+        return this.transaction('readwrite', (store, done) => {
+            const deletedKeys = [];
+            done(deletedKeys);
+
+            const request = store.openCursor();
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (!cursor) return;
+
+                if (predicate(cursor.key, cursor.value)) {
+                    cursor.delete();
+                    deletedKeys.push(cursor.key);
+                }
+                cursor.continue();
+            };
+        }, []);
+    }
+
+    /**
+     * 期限切れのエントリを削除し、削除した件数を返す
+     */
+    async deleteExpired() {
+        const now = Date.now();
+        const deletedKeys = await this.deleteWhere((key, entry) => now > entry.expiresAt);
+        return deletedKeys.length;
+    }
+
+    /**
+     * すべてのエントリを削除
+     */
+    clear() {
+        return this.transaction('readwrite', (store, done) => {
+            store.clear().onsuccess = () => done(true);
+        }, false);
+    }
+
+    /**
+     * 保存量の上限（バイト）を変更し、超えている分を削除
+     */
+    setQuota(quota) {
+        this.quota = IndexedDbCacheStore.normalizeQuota(quota);
+
+        return this.transaction('readwrite', (store, done) => {
+            const request = store.getAll();
+            request.onsuccess = () => done(this.evict(store, request.result, this.quota));
+        }, 0);
+    }
+
+    /**
+     * 保存量が limit バイト以下になるまで、期限切れのエントリ、最終アクセスが古いエントリの順に削除
+     * 削除した件数を返す
+     */
+    evict(store, entries, limit) {
+        const now = Date.now();
+        const candidates = entries
+            .map(entry => ({ entry, expired: now > entry.expiresAt }))
+            .sort((a, b) => (b.expired - a.expired) || (a.entry.lastAccessed - b.entry.lastAccessed));
+
+        let usage = entries.reduce((total, entry) => total + (entry.size || 0), 0);
+        let evictedCount = 0;
+        for (const { entry, expired } of candidates) {
+            if (!expired && usage <= limit) break;
+
+            store.delete(entry.key);
+            usage -= entry.size || 0;
+            evictedCount++;
+        }
+
+        if (evictedCount > 0) {
+            console.log(`保存量の上限により永続キャッシュから${evictedCount}件削除しました`);
+        }
+        return evictedCount;
+    }
+
+    /**
+     * 保存しているエントリ数と合計バイト数を取得
+     */
+    getUsage() {
+        const fallback = { entries: 0, bytes: 0, quota: this.quota };
+
+        return this.transaction('readonly', (store, done) => {
+            const request = store.getAll();
+            request.onsuccess = () => done({
+                entries: request.result.length,
+                bytes: request.result.reduce((total, entry) => total + (entry.size || 0), 0),
+                quota: this.quota
+            });
+        }, fallback);
+    }
+
+    /**
+     * エントリを現在の形式に変換（変換できない場合はnull）
+     * バージョンのないエントリは0として扱う
+     */
+    migrate(entry) {
+        if (!entry || typeof entry !== 'object') {
+            return null;
+        }
+
+        let migrated = entry;
+        let version = Number.isInteger(entry.version) ? entry.version : 0;
+        try {
+            while (version < this.entryVersion) {
+                const migration = this.migrations[version];
+                if (typeof migration !== 'function') return null;
+
+                migrated = { ...migration(migrated), key: entry.key, version: version + 1 };
+                version++;
+            }
+        } catch (error) {
+            console.warn(`永続キャッシュのエントリを変換できませんでした: ${entry.key}`, error);
+            return null;
+        }
+
+        if (version !== this.entryVersion || !migrated.data || typeof migrated.expiresAt !== 'number') {
+            return null;
+        }
+        if (typeof migrated.size !== 'number') {
+            migrated.size = IndexedDbCacheStore.calculateSize(migrated.data);
+        }
+        return migrated;
+    }
+
+    /**
+     * データベースの接続を閉じる（保存したエントリは削除しない）
+     */
+    close() {
+        if (this.db) {
+            this.db.close();
+        }
+        this.db = null;
+        this.opening = null;
+    }
+
+    /**
+     * データのバイト数（UTF-8のJSON）を計算
+     */
+    static calculateSize(data) {
+        try {
+            return new TextEncoder().encode(JSON.stringify(data)).length;
+        } catch (error) {
+            return 1000; // デフォルトサイズ
+        }
+    }
+
+    /**
+     * 保存量の上限（0以上の整数のバイト数）を検証
+     */
+    static normalizeQuota(quota) {
+        if (!Number.isInteger(quota) || quota < 0) {
+            throw new Error('キャッシュの保存量の上限には0以上の整数（バイト）を指定してください');
+        }
+        return quota;
+    }
+}
+
+// データベースの構造のバージョン（オブジェクトストアを変更する場合に上げる）
+IndexedDbCacheStore.schemaVersion = 1;
+
+// エントリの形式のバージョン（{ key, version, data, createdAt, lastAccessed, expiresAt, size }）
+// 形式を変更する場合はこの値を上げ、migrations に変換元のバージョンをキーとした変換を追加する
+IndexedDbCacheStore.entryVersion = 1;
+
+// エントリの形式の変換（バージョン0: 形式のバージョンを記録していないエントリ）
+IndexedDbCacheStore.migrations = {
+    0: entry => ({
+        ...entry,
+        createdAt: entry.createdAt || Date.now(),
+        lastAccessed: entry.lastAccessed || entry.createdAt || Date.now()
+    })
+};
+
+// 既定の保存量の上限（5MB）
+IndexedDbCacheStore.defaultQuota = 5 * 1024 * 1024;
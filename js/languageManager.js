@@ -1,11 +1,13 @@
 /**
  * 言語管理クラス
  * サポートされる言語の管理と検索エンジン固有のパラメータ設定を行う
+ * 検索エンジンごとの言語パラメータは各アダプターの languageParameters に定義し、渡されたAdapterRegistryの登録内容から読み込む
  */
 class LanguageManager {
-    constructor() {
+    constructor(registry = null) {
         this.supportedLanguages = this.initializeSupportedLanguages();
         this.currentLanguage = 'ja';
+        this.registry = registry; // 言語パラメータを参照するアダプターのレジストリ（nullの場合はどのエンジンも空のパラメータ）
     }
 
     /**
@@ -16,135 +18,22 @@ class LanguageManager {
             'ja': {
                 code: 'ja',
                 name: '日本語',
-                nativeName: '日本語',
-                supportedEngines: ['google', 'bing', 'yahoo', 'duckduckgo', 'youtube', 'baidu'],
-                searchParameters: {
-                    google: {
-                        hl: 'ja',
-                        gl: 'jp',
-                        lr: 'lang_ja'
-                    },
-                    bing: {
-                        cc: 'jp',
-                        setlang: 'ja'
-                    },
-                    yahoo: {
-                        ei: 'UTF-8',
-                        fr: 'top_ga1_sa'
-                    },
-                    duckduckgo: {
-                        kl: 'jp-jp'
-                    },
-                    youtube: {
-                        hl: 'ja',
-                        gl: 'JP',
-                        relevanceLanguage: 'ja'
-                    },
-                    baidu: {
-                        ie: 'utf-8',
-                        tn: 'baiduhome_pg'
-                    }
-                }
+                nativeName: '日本語'
             },
             'en': {
                 code: 'en',
                 name: 'English',
-                nativeName: 'English',
-                supportedEngines: ['google', 'bing', 'yahoo', 'duckduckgo', 'youtube', 'baidu'],
-                searchParameters: {
-                    google: {
-                        hl: 'en',
-                        gl: 'us',
-                        lr: 'lang_en'
-                    },
-                    bing: {
-                        cc: 'us',
-                        setlang: 'en'
-                    },
-                    yahoo: {
-                        ei: 'UTF-8',
-                        fr: 'yfp-t'
-                    },
-                    duckduckgo: {
-                        kl: 'us-en'
-                    },
-                    youtube: {
-                        hl: 'en',
-                        gl: 'US',
-                        relevanceLanguage: 'en'
-                    },
-                    baidu: {
-                        ie: 'utf-8',
-                        tn: 'baiduhome_pg'
-                    }
-                }
+                nativeName: 'English'
             },
             'zh': {
                 code: 'zh',
                 name: '中文',
-                nativeName: '中文',
-                supportedEngines: ['google', 'bing', 'duckduckgo', 'youtube', 'baidu'],
-                searchParameters: {
-                    google: {
-                        hl: 'zh-CN',
-                        gl: 'cn',
-                        lr: 'lang_zh-CN'
-                    },
-                    bing: {
-                        cc: 'cn',
-                        setlang: 'zh-cn'
-                    },
-                    yahoo: {
-                        ei: 'UTF-8',
-                        fr: 'yfp-t'
-                    },
-                    duckduckgo: {
-                        kl: 'cn-zh'
-                    },
-                    youtube: {
-                        hl: 'zh-CN',
-                        gl: 'CN',
-                        relevanceLanguage: 'zh'
-                    },
-                    baidu: {
-                        ie: 'utf-8',
-                        tn: 'baiduhome_pg',
-                        rn: '10'
-                    }
-                }
+                nativeName: '中文'
             },
             'ko': {
                 code: 'ko',
                 name: '한국어',
-                nativeName: '한국어',
-                supportedEngines: ['google', 'bing', 'duckduckgo', 'youtube', 'baidu'],
-                searchParameters: {
-                    google: {
-                        hl: 'ko',
-                        gl: 'kr',
-                        lr: 'lang_ko'
-                    },
-                    bing: {
-                        cc: 'kr',
-                        setlang: 'ko'
-                    },
-                    yahoo: {
-                        ei: 'UTF-8',
-                        fr: 'yfp-t'
-                    },
-                    duckduckgo: {
-                        kl: 'kr-ko'
-                    },
-                    youtube: {
-                        hl: 'ko',
-                        gl: 'KR',
-                        relevanceLanguage: 'ko'
-                    },
-                    baidu: {
-                        ie: 'utf-8',
-                        tn: 'baiduhome_pg'
-                    }
-                }
+                nativeName: '한국어'
             }
         };
     }
@@ -173,27 +62,45 @@ class LanguageManager {
         return 'ja'; // デフォルト
     }
 
+    /**
+     * レジストリに登録されたアダプターが定義する言語パラメータを取得
+     * { 言語コード: パラメータ, default: 既定パラメータ } の形式で、登録されていないエンジンは null となる
+     */
+    getEngineParameters(engine) {
+        const adapter = this.registry && this.registry.get(engine);
+        return (adapter && adapter.languageParameters) || null;
+    }
+
     /**
      * 特定の検索エンジンの言語パラメータを取得
+     * 登録されていないエンジンは空のパラメータとなる
      */
     getSearchParameters(languageCode, engine) {
-        const languageInfo = this.getLanguageInfo(languageCode);
-        
-        if (!languageInfo.supportedEngines.includes(engine)) {
-            console.warn(`言語 ${languageCode} は検索エンジン ${engine} でサポートされていません`);
-            // デフォルト言語のパラメータを返す
-            return this.supportedLanguages['ja'].searchParameters[engine] || {};
+        return this.resolveParameters(this.getEngineParameters(engine), languageCode);
+    }
+
+    /**
+     * 言語ごとのパラメータ（{ 言語コード: パラメータ, default: 既定パラメータ }）から言語のパラメータを選ぶ
+     * 言語の定義も default もない場合は既定の言語（日本語）のパラメータを使う
+     */
+    resolveParameters(parametersByLanguage, languageCode) {
+        if (!parametersByLanguage) {
+            return {};
         }
-        
-        return languageInfo.searchParameters[engine] || {};
+
+        return parametersByLanguage[languageCode] ||
+            parametersByLanguage.default ||
+            parametersByLanguage[this.getLanguageCode(languageCode)] ||
+            {};
     }
 
     /**
      * 検索エンジンが指定言語をサポートしているかチェック
+     * 言語のパラメータまたは既定パラメータを定義しているエンジンを対応とする
      */
     isEngineSupported(languageCode, engine) {
-        const languageInfo = this.getLanguageInfo(languageCode);
-        return languageInfo.supportedEngines.includes(engine);
+        const registeredParameters = this.getEngineParameters(engine);
+        return !!(registeredParameters && (registeredParameters[languageCode] || registeredParameters.default));
     }
 
     /**
@@ -242,14 +149,6 @@ class LanguageManager {
             if (!config.code || !config.name || !config.nativeName) {
                 errors.push(`言語 ${code} の基本情報が不完全です`);
             }
-            
-            if (!config.supportedEngines || !Array.isArray(config.supportedEngines)) {
-                errors.push(`言語 ${code} のサポートエンジン情報が不正です`);
-            }
-            
-            if (!config.searchParameters || typeof config.searchParameters !== 'object') {
-                errors.push(`言語 ${code} の検索パラメータが不正です`);
-            }
         }
         
         if (errors.length > 0) {
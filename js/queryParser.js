@@ -0,0 +1,308 @@
+/**
+ * 検索クエリ解析クラス
+ * 入力された検索クエリを構造化された構文木（AST）に変換し、
+ * 検索エンジンごとの対応演算子に合わせて再構築する
+ *
+ * 対応する構文
+ * - "完全一致フレーズ"
+ * - -除外語 / -"除外フレーズ" / -site:example.com
+ * - A OR B（| も可）
+ * - site: / filetype: / intitle:
+ */
+class QueryParser {
+    constructor() {
+        this.operators = ['site', 'filetype', 'intitle'];
+        this.orKeywords = ['OR', '|'];
+        // capabilitiesが未定義のアダプターはすべての演算子に対応しているものとして扱う
+        this.defaultCapabilities = {
+            phrase: true,
+            exclude: true,
+            or: true,
+            site: true,
+            filetype: true,
+            intitle: true,
+            orKeyword: 'OR'
+        };
+        this.emulatedFeatures = ['phrase', 'exclude', 'site', 'filetype', 'intitle'];
+    }
+
+    /**
+     * クエリ文字列を構文木に変換
+     */
+    parse(input) {
+        const tokens = this.tokenize(input || '');
+        const clauses = [];
+
+        for (let i = 0; i < tokens.length; i++) {
+            const token = tokens[i];
+
+            // A OR B は直前と直後の句をまとめる（先頭・末尾のORは通常の語として扱う）
+            if (token.type === 'word' && this.orKeywords.includes(token.value) &&
+                clauses.length > 0 && i + 1 < tokens.length) {
+                const previous = clauses.pop();
+                const next = this.tokenToClause(tokens[++i]);
+                const alternatives = previous.type === 'or' ? previous.clauses : [previous];
+                clauses.push({ type: 'or', clauses: alternatives.concat(next) });
+                continue;
+            }
+
+            clauses.push(this.tokenToClause(token));
+        }
+
+        return { type: 'query', clauses: clauses };
+    }
+
+    /**
+     * クエリ文字列をトークンに分割
+     */
+    tokenize(input) {
+        const tokens = [];
+        let i = 0;
+
+        while (i < input.length) {
+            if (/\s/.test(input[i])) {
+                i++;
+                continue;
+            }
+
+            let negated = false;
+            if (input[i] === '-' && i + 1 < input.length && !/\s/.test(input[i + 1])) {
+                negated = true;
+                i++;
+            }
+
+            // 引用符で囲まれたフレーズ（閉じ引用符がない場合は末尾まで）
+            if (input[i] === '"') {
+                const end = input.indexOf('"', i + 1);
+                const value = input.slice(i + 1, end === -1 ? input.length : end).trim();
+                i = end === -1 ? input.length : end + 1;
+                if (value) {
+                    tokens.push({ type: 'phrase', value: value, negated: negated });
+                }
+                continue;
+            }
+
+            let start = i;
+            while (i < input.length && !/\s/.test(input[i]) && input[i] !== '"') {
+                i++;
+            }
+            let word = input.slice(start, i);
+
+            // 演算子（値が引用符で囲まれている場合も対応）
+            const operatorMatch = word.match(/^([a-zA-Z]+):(.*)$/);
+            if (operatorMatch && this.operators.includes(operatorMatch[1].toLowerCase())) {
+                let value = operatorMatch[2];
+                if (!value && input[i] === '"') {
+                    const end = input.indexOf('"', i + 1);
+                    value = input.slice(i + 1, end === -1 ? input.length : end).trim();
+                    i = end === -1 ? input.length : end + 1;
+                }
+
+                if (value) {
+                    tokens.push({
+                        type: 'operator',
+                        name: operatorMatch[1].toLowerCase(),
+                        value: value,
+                        negated: negated
+                    });
+                    continue;
+                }
+            }
+
+            tokens.push({ type: 'word', value: word, negated: negated });
+        }
+
+        return tokens;
+    }
+
+    /**
+     * トークンを句に変換
+     */
+    tokenToClause(token) {
+        if (token.type === 'word') {
+            return { type: 'term', value: token.value, negated: token.negated };
+        }
+        return { ...token };
+    }
+
+    /**
+     * 構文木をエンジンの対応演算子に合わせてクエリ文字列に変換
+     * 対応していない句はクエリから除外または簡略化し、unsupportedとして返す
+     */
+    serialize(ast, capabilities = null) {
+        const caps = { ...this.defaultCapabilities, ...(capabilities || {}) };
+        const parts = [];
+        const unsupported = [];
+
+        ast.clauses.forEach(clause => {
+            const feature = this.getUnsupportedFeature(clause, caps);
+
+            if (!feature) {
+                parts.push(this.serializeClause(clause, caps));
+                return;
+            }
+
+            unsupported.push({
+                clause: clause,
+                feature: feature,
+                emulated: this.emulatedFeatures.includes(feature)
+            });
+
+            // 除外・サイト・ファイル形式の指定はクエリから外し、結果の絞り込みで代替する
+            if (clause.negated || clause.type === 'operator' && clause.name !== 'intitle') {
+                return;
+            }
+
+            if (clause.type === 'or') {
+                // ORに未対応の場合は最初の候補のみで検索する
+                parts.push(this.serializeClause(clause.clauses[0], caps));
+            } else {
+                parts.push(this.toPlainText(clause));
+            }
+        });
+
+        return {
+            query: parts.filter(part => part).join(' '),
+            unsupported: unsupported
+        };
+    }
+
+    /**
+     * クエリ文字列を解析し、エンジン向けに変換
+     */
+    translate(input, capabilities = null) {
+        const ast = this.parse(input);
+        return {
+            ast: ast,
+            ...this.serialize(ast, capabilities)
+        };
+    }
+
+    /**
+     * 句がエンジンで未対応の場合はその機能名を返す
+     */
+    getUnsupportedFeature(clause, caps) {
+        if (clause.negated && !caps.exclude) return 'exclude';
+        if (clause.type === 'phrase' && !caps.phrase) return 'phrase';
+        if (clause.type === 'operator' && !caps[clause.name]) return clause.name;
+        if (clause.type === 'or' && !caps.or) return 'or';
+        return null;
+    }
+
+    /**
+     * 句をクエリ文字列に変換
+     */
+    serializeClause(clause, caps) {
+        const prefix = clause.negated ? '-' : '';
+
+        switch (clause.type) {
+            case 'phrase':
+                return `${prefix}"${clause.value}"`;
+            case 'operator': {
+                const value = /\s/.test(clause.value) ? `"${clause.value}"` : clause.value;
+                return `${prefix}${clause.name}:${value}`;
+            }
+            case 'or':
+                return clause.clauses
+                    .map(alternative => this.getUnsupportedFeature(alternative, caps) ?
+                        this.toPlainText(alternative) :
+                        this.serializeClause(alternative, caps))
+                    .join(` ${caps.orKeyword} `);
+            default:
+                return `${prefix}${clause.value}`;
+        }
+    }
+
+    /**
+     * 演算子を含まない文字列に変換
+     */
+    toPlainText(clause) {
+        if (clause.type === 'or') {
+            return clause.clauses.map(alternative => this.toPlainText(alternative)).join(' ');
+        }
+        return clause.value;
+    }
+
+    /**
+     * 未対応の演算子を結果の絞り込みで代替し、カラムに表示する注意事項を生成
+     */
+    applyPostFilters(results, unsupported) {
+        let filtered = results || [];
+        const notices = [];
+
+        unsupported.forEach(({ clause, feature, emulated }) => {
+            const label = this.getFeatureLabel(feature);
+
+            if (!emulated) {
+                notices.push({
+                    feature: feature,
+                    handling: 'ignored',
+                    message: `${label}に未対応のため、最初の候補のみで検索しました`
+                });
+                return;
+            }
+
+            const before = filtered.length;
+            filtered = filtered.filter(result => this.matchesClause(result, clause) !== clause.negated);
+
+            notices.push({
+                feature: feature,
+                handling: 'filtered',
+                removed: before - filtered.length,
+                message: `${label}に未対応のため、結果を絞り込みました（${before - filtered.length}件除外）`
+            });
+        });
+
+        return { results: filtered, notices: notices };
+    }
+
+    /**
+     * 結果が句の条件に一致するかチェック
+     */
+    matchesClause(result, clause) {
+        const title = (result.title || '').toLowerCase();
+        const text = `${result.title || ''} ${result.snippet || ''}`.toLowerCase();
+        const value = clause.value.toLowerCase();
+
+        if (clause.type !== 'operator') {
+            return text.includes(value);
+        }
+
+        let urlObj = null;
+        try {
+            urlObj = new URL(result.url);
+        } catch (error) {
+            return false;
+        }
+
+        switch (clause.name) {
+            case 'site': {
+                const [host, ...path] = value.replace(/^https?:\/\//, '').split('/');
+                const hostname = urlObj.hostname.toLowerCase();
+                const hostMatches = hostname === host || hostname.endsWith(`.${host}`);
+                return hostMatches && urlObj.pathname.toLowerCase().startsWith(`/${path.join('/')}`);
+            }
+            case 'filetype':
+                return urlObj.pathname.toLowerCase().endsWith(`.${value.replace(/^\./, '')}`);
+            case 'intitle':
+                return title.includes(value);
+            default:
+                return true;
+        }
+    }
+
+    /**
+     * 機能の表示名を取得
+     */
+    getFeatureLabel(feature) {
+        const labels = {
+            phrase: '完全一致（"..."）',
+            exclude: '除外（-）',
+            or: 'OR演算子',
+            site: 'site:演算子',
+            filetype: 'filetype:演算子',
+            intitle: 'intitle:演算子'
+        };
+        return labels[feature] || feature;
+    }
+}
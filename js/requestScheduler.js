@@ -0,0 +1,308 @@
+/**
+ * リクエストスケジューラークラス
+ * 検索エンジンへのリクエストを、エンジンごとのトークンバケットと全体の同時リクエスト数の上限に従って実行する
+ *
+ * - 各エンジンのバケットは毎秒 rate 個のトークンを補充し、最大 burst 個まで貯める（エンジンごとに上書き可能）
+ * - トークンがないエンジンのリクエストや、同時リクエスト数が上限に達している間のリクエストはエラーにせず待機させる
+ * - 待機中のリクエストの順番（全体で何番目か）は queue イベント { engine, position } で、
+ *   実行の開始は start イベント { engine } で通知する
+ */
+class RequestScheduler extends EventEmitter {
+    constructor(options = {}) {
+        super();
+        const settings = RequestScheduler.normalizeSettings({ ...RequestScheduler.defaultSettings, ...options.settings });
+        this.maxConcurrent = settings.maxConcurrent; // 全エンジンの同時リクエスト数の上限
+        this.rate = settings.rate; // 1秒あたりに補充するトークン数
+        this.burst = settings.burst; // 貯められるトークン数（連続して送れるリクエスト数）
+        this.engineLimits = settings.engines; // エンジンごとの { rate, burst } の上書き
+        this.now = options.now || (() => Date.now());
+        this.buckets = new Map(); // エンジンごとの { tokens, updatedAt }
+        this.queue = []; // 待機中のリクエスト（到着順）
+        this.active = 0; // 実行中のリクエスト数
+        this.timer = null; // 次にトークンが補充される時刻のタイマー
+    }
+
+    /**
+     * エンジンのレート（{ rate, burst }）を取得
+     */
+    getLimits(engine) {
+        const limits = this.engineLimits[engine] || {};
+        return {
+            rate: limits.rate || this.rate,
+            burst: limits.burst || this.burst
+        };
+    }
+
+    /**
+     * 経過時間に応じてトークンを補充したバケットを取得（未使用のエンジンは満タンで作成する）
+     */
+    getBucket(engine, now = this.now()) {
+        const { rate, burst } = this.getLimits(engine);
+        const bucket = this.buckets.get(engine) || { tokens: burst, updatedAt: now };
+
+        bucket.tokens = Math.min(burst, bucket.tokens + (now - bucket.updatedAt) / 1000 * rate);
+        bucket.updatedAt = now;
+        this.buckets.set(engine, bucket);
+        return bucket;
+    }
+
+    /**
+     * トークンを1つ使う
+     * 使えた場合は0、トークンがない場合は次のトークンが補充されるまでのミリ秒を返す
+     */
+    takeToken(engine, now = this.now()) {
+        const bucket = this.getBucket(engine, now);
+        if (bucket.tokens >= 1) {
+            bucket.tokens -= 1;
+            return 0;
+        }
+
+        return Math.ceil((1 - bucket.tokens) / this.getLimits(engine).rate * 1000);
+    }
+
+    /**
+     * リクエストを実行できるようになるまで待機してから task を実行し、その結果を返す
+     * options.signal が中断された場合は待機をやめ、AbortErrorとなる
+     */
+    schedule(engine, task, options = {}) {
+        const { signal = null } = options;
+        if (signal && signal.aborted) {
+            return Promise.reject(RequestScheduler.createAbortError());
+        }
+
+        return new Promise((resolve, reject) => {
+            const job = { engine, task, resolve, reject, signal, position: null, onAbort: null };
+            if (signal) {
+                job.onAbort = () => this.cancel(job);
+                signal.addEventListener('abort', job.onAbort, { once: true });
+            }
+
+            this.queue.push(job);
+            this.process();
+        });
+    }
+
+    /**
+     * 実行中のリクエストが同じエンジンへ追加のリクエストを送る前に、トークンを1つ使う
+     * トークンがない場合は補充されるまで待機する。同時リクエスト数は実行中のリクエストの枠を使うため数えない
+     * signal が中断された場合は待機をやめ、AbortErrorとなる
+     */
+    async waitForToken(engine, signal = null) {
+        for (let wait = this.takeToken(engine); wait > 0; wait = this.takeToken(engine)) {
+            await new Promise((resolve, reject) => {
+                if (signal && signal.aborted) {
+                    reject(RequestScheduler.createAbortError());
+                    return;
+                }
+
+                const onAbort = () => {
+                    clearTimeout(timer);
+                    reject(RequestScheduler.createAbortError());
+                };
+                const timer = setTimeout(() => {
+                    if (signal) {
+                        signal.removeEventListener('abort', onAbort);
+                    }
+                    resolve();
+                }, wait);
+                if (signal) {
+                    signal.addEventListener('abort', onAbort, { once: true });
+                }
+            });
+        }
+    }
+
+    /**
+     * 待機中のリクエストを到着順に確認し、トークンがあるエンジンのリクエストを同時リクエスト数の上限まで実行する
+     * トークンがないエンジンのリクエストは、他のエンジンのリクエストを妨げない
+     */
+    process() {
+        clearTimeout(this.timer);
+        this.timer = null;
+
+        const now = this.now();
+        let nextWait = Infinity;
+
+        for (let index = 0; index < this.queue.length && this.active < this.maxConcurrent;) {
+            const job = this.queue[index];
+            const wait = this.takeToken(job.engine, now);
+            if (wait === 0) {
+                this.queue.splice(index, 1);
+                this.run(job);
+            } else {
+                nextWait = Math.min(nextWait, wait);
+                index++;
+            }
+        }
+
+        this.notifyPositions();
+
+        // 同時リクエスト数に空きがある場合のみ、トークンの補充を待つ（空きができた場合は run() の完了時に再確認する）
+        if (this.queue.length > 0 && this.active < this.maxConcurrent && nextWait !== Infinity) {
+            this.timer = setTimeout(() => this.process(), nextWait);
+        }
+    }
+
+    /**
+     * リクエストを実行
+     */
+    run(job) {
+        if (job.signal) {
+            job.signal.removeEventListener('abort', job.onAbort);
+        }
+
+        this.active++;
+        this.emit('start', { engine: job.engine });
+
+        Promise.resolve()
+            .then(() => job.task())
+            .then(job.resolve, job.reject)
+            .finally(() => {
+                this.active--;
+                this.process();
+            });
+    }
+
+    /**
+     * 待機中のリクエストを取り消す
+     */
+    cancel(job) {
+        const index = this.queue.indexOf(job);
+        if (index === -1) return;
+
+        this.queue.splice(index, 1);
+        job.reject(RequestScheduler.createAbortError());
+        this.process();
+    }
+
+    /**
+     * 待機中のリクエストの順番（1始まり）が変わった場合に通知
+     */
+    notifyPositions() {
+        this.queue.forEach((job, index) => {
+            if (job.position !== index + 1) {
+                job.position = index + 1;
+                this.emit('queue', { engine: job.engine, position: job.position });
+            }
+        });
+    }
+
+    /**
+     * エンジンのトークン数と待機中のリクエスト数を取得
+     */
+    getStatus(engine) {
+        return {
+            tokens: Math.floor(this.getBucket(engine).tokens),
+            queued: this.queue.filter(job => job.engine === engine).length,
+            ...this.getLimits(engine)
+        };
+    }
+
+    /**
+     * 設定を更新（RequestScheduler.normalizeSettings() の形式）
+     * 貯まっているトークンは新しい burst までにする
+     */
+    updateSettings(settings) {
+        if (!settings) return;
+
+        const normalized = RequestScheduler.normalizeSettings({
+            maxConcurrent: this.maxConcurrent,
+            rate: this.rate,
+            burst: this.burst,
+            engines: this.engineLimits,
+            ...settings
+        });
+        this.maxConcurrent = normalized.maxConcurrent;
+        this.rate = normalized.rate;
+        this.burst = normalized.burst;
+        this.engineLimits = normalized.engines;
+
+        this.buckets.forEach((bucket, engine) => {
+            bucket.tokens = Math.min(bucket.tokens, this.getLimits(engine).burst);
+        });
+        this.process();
+    }
+
+    /**
+     * 待機中のリクエストをすべて取り消し、タイマーを停止
+     */
+    clear() {
+        clearTimeout(this.timer);
+        this.timer = null;
+
+        const jobs = this.queue;
+        this.queue = [];
+        jobs.forEach(job => {
+            if (job.signal) {
+                job.signal.removeEventListener('abort', job.onAbort);
+            }
+            job.reject(RequestScheduler.createAbortError());
+        });
+    }
+
+    /**
+     * 待機の取り消しを表すエラーを作成
+     */
+    static createAbortError() {
+        const error = new Error('リクエストの待機がキャンセルされました');
+        error.name = 'AbortError';
+        return error;
+    }
+
+    /**
+     * 設定（{ maxConcurrent, rate, burst, engines: { エンジン名: { rate, burst } } }）を検証・正規化
+     * 不正な設定の場合はエラーとなる
+     */
+    static normalizeSettings(value) {
+        if (!value || typeof value !== 'object' || Array.isArray(value)) {
+            throw new Error('リクエストの制御の設定にはオブジェクトを指定してください');
+        }
+
+        const checkInteger = (number, label, max) => {
+            if (!Number.isInteger(number) || number < 1 || number > max) {
+                throw new Error(`${label}には1〜${max}の整数を指定してください`);
+            }
+            return number;
+        };
+        const checkRate = (number, label) => {
+            if (typeof number !== 'number' || !(number > 0) || number > 100) {
+                throw new Error(`${label}には0より大きく100以下の数値を指定してください`);
+            }
+            return number;
+        };
+
+        const engines = value.engines || {};
+        if (typeof engines !== 'object' || Array.isArray(engines)) {
+            throw new Error('エンジンごとの設定には { エンジン名: { rate, burst } } を指定してください');
+        }
+
+        const normalizedEngines = {};
+        Object.entries(engines).forEach(([engine, limits]) => {
+            if (!limits || typeof limits !== 'object' || Array.isArray(limits)) {
+                throw new Error(`エンジンごとの設定には { rate, burst } を指定してください: ${engine}`);
+            }
+            normalizedEngines[engine] = {};
+            if (limits.rate !== undefined) {
+                normalizedEngines[engine].rate = checkRate(limits.rate, `${engine}のrate`);
+            }
+            if (limits.burst !== undefined) {
+                normalizedEngines[engine].burst = checkInteger(limits.burst, `${engine}のburst`, 100);
+            }
+        });
+
+        return {
+            maxConcurrent: checkInteger(value.maxConcurrent, '同時リクエスト数の上限', 20),
+            rate: checkRate(value.rate, '1秒あたりのリクエスト数'),
+            burst: checkInteger(value.burst, '連続リクエスト数', 100),
+            engines: normalizedEngines
+        };
+    }
+}
+
+// 既定の設定（全体で同時に4件、各エンジン毎秒1件・連続2件まで）
+RequestScheduler.defaultSettings = {
+    maxConcurrent: 4,
+    rate: 1,
+    burst: 2,
+    engines: {}
+};
@@ -0,0 +1,158 @@
+/**
+ * 検索結果統合クラス
+ * 複数の検索エンジンの結果を重複排除し、ランク融合で1つのランキングにまとめる
+ */
+class ResultMerger {
+    constructor(settings = {}) {
+        this.method = 'rrf';
+        this.rrfK = 60; // RRFの定数k（上位の順位差を緩和する）
+        this.weights = {}; // エンジンごとの重み（未指定は1）
+        this.trackingParams = ['utm_source', 'utm_medium', 'utm_campaign', 'utm_term', 'utm_content', 'gclid', 'fbclid', 'yclid', 'msclkid'];
+        this.methods = {
+            rrf: (rank, listSize, weight) => weight / (this.rrfK + rank),
+            borda: (rank, listSize, weight) => weight * (listSize - rank + 1),
+            weighted: (rank, listSize, weight) => weight * (1 - (rank - 1) / listSize)
+        };
+
+        this.updateSettings(settings);
+    }
+
+    /**
+     * 利用可能な融合方式の一覧を取得
+     */
+    getMethods() {
+        return Object.keys(this.methods);
+    }
+
+    /**
+     * URLの正規化
+     * 同じページを指すURLが同じキーになるように変換する
+     */
+    canonicalizeUrl(url) {
+        if (!url) return null;
+
+        let urlObj;
+        try {
+            urlObj = new URL(url);
+        } catch (error) {
+            return null;
+        }
+
+        if (urlObj.protocol !== 'http:' && urlObj.protocol !== 'https:') {
+            return null;
+        }
+
+        const hostname = urlObj.hostname.toLowerCase().replace(/^(www|m)\./, '');
+
+        // トラッキング用パラメータを除去し、順序の違いを吸収する
+        const params = Array.from(urlObj.searchParams.entries())
+            .filter(([key]) => !this.trackingParams.includes(key.toLowerCase()))
+            .sort(([a], [b]) => a.localeCompare(b));
+        const search = params.length > 0 ? `?${new URLSearchParams(params).toString()}` : '';
+
+        let pathname = urlObj.pathname.replace(/\/index\.(html?|php)$/i, '/');
+        if (pathname.length > 1) {
+            pathname = pathname.replace(/\/+$/, '');
+        }
+
+        // プロトコル（http/https）の違いは同一ページとして扱う
+        return `${hostname}${pathname === '/' ? '' : pathname}${search}`;
+    }
+
+    /**
+     * 各エンジンの結果を統合
+     * engineResultsは { engine: アダプターの検索結果 | 結果配列 } の形式
+     */
+    merge(engineResults, options = {}) {
+        const method = options.method || this.method;
+        const weights = { ...this.weights, ...(options.weights || {}) };
+        const scoreFn = this.methods[method];
+
+        if (!scoreFn) {
+            throw new Error(`未知の融合方式: ${method}`);
+        }
+
+        const merged = new Map();
+
+        Object.entries(engineResults || {}).forEach(([engine, engineResult]) => {
+            const results = Array.isArray(engineResult) ? engineResult : (engineResult && engineResult.results) || [];
+            const weight = weights[engine] !== undefined ? weights[engine] : 1;
+            const seenInEngine = new Set();
+
+            results.forEach((result, index) => {
+                const key = this.canonicalizeUrl(result.url);
+                // 同じエンジン内の重複は最上位のみ採用する
+                if (!key || seenInEngine.has(key)) return;
+                seenInEngine.add(key);
+
+                const position = index + 1;
+                const score = scoreFn(position, results.length, weight);
+                let item = merged.get(key);
+
+                if (!item) {
+                    item = {
+                        key: key,
+                        url: result.url,
+                        title: result.title || '',
+                        snippet: result.snippet || '',
+                        displayUrl: result.displayUrl || result.url,
+                        score: 0,
+                        bestPosition: position,
+                        sources: []
+                    };
+                    merged.set(key, item);
+                } else if (position < item.bestPosition) {
+                    // 最も上位に表示したエンジンのタイトル・URLを採用する
+                    item.url = result.url;
+                    item.title = result.title || item.title;
+                    item.displayUrl = result.displayUrl || result.url;
+                    item.bestPosition = position;
+                }
+
+                if (!item.snippet && result.snippet) {
+                    item.snippet = result.snippet;
+                }
+
+                item.score += score;
+                item.sources.push({ engine: engine, position: position });
+            });
+        });
+
+        const limit = options.limit || Infinity;
+
+        return Array.from(merged.values())
+            .sort((a, b) =>
+                b.score - a.score ||
+                b.sources.length - a.sources.length ||
+                a.bestPosition - b.bestPosition
+            )
+            .slice(0, limit)
+            .map((item, index) => ({
+                ...item,
+                rank: index + 1,
+                sources: item.sources.sort((a, b) => a.position - b.position)
+            }));
+    }
+
+    /**
+     * 設定の更新
+     */
+    updateSettings(settings) {
+        if (!settings) return;
+
+        if (settings.method) {
+            if (!this.methods[settings.method]) {
+                throw new Error(`未知の融合方式: ${settings.method}`);
+            }
+            this.method = settings.method;
+        }
+
+        if (settings.rrfK && settings.rrfK > 0) {
+            this.rrfK = settings.rrfK;
+        }
+
+        if (settings.weights && typeof settings.weights === 'object') {
+            this.weights = { ...this.weights, ...settings.weights };
+        }
+    }
+}
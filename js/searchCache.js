@@ -1,10 +1,15 @@
 /**
  * 検索キャッシュクラス
  * 検索結果のローカルキャッシュを管理する
+ *
+ * メモリ上のMap（L1）の後ろにIndexedDBの永続キャッシュ（L2、IndexedDbCacheStore）を置き、
+ * 再読み込み後もL2から結果を取得してL1に戻す。IndexedDBが利用できない場合はL1のみで動作する
+ * L2を読むため get() と has() はPromiseを返す
  */
 class SearchCache {
-    constructor() {
-        this.cache = new Map();
+    constructor(options = {}) {
+        this.cache = new Map(); // L1
+        this.store = options.store || new IndexedDbCacheStore(); // L2
         this.maxSize = 100; // 最大キャッシュサイズ
         this.defaultTTL = 5 * 60 * 1000; // デフォルト有効期限: 5分
         this.cleanupInterval = 60 * 1000; // クリーンアップ間隔: 1分
@@ -15,16 +20,49 @@ class SearchCache {
 
     /**
      * キャッシュキーを生成
+     * ページごとに別のエントリとして扱う
      */
-    generateCacheKey(engine, query, language) {
+    generateCacheKey(engine, query, language, page = 1) {
         const normalizedQuery = query.toLowerCase().trim();
-        return `${engine}:${language}:${normalizedQuery}`;
+        return `${engine}:${language}:${page}:${normalizedQuery}`;
     }
 
     /**
      * キャッシュから値を取得
+     * L1にない場合はL2から取得し、L1に戻す
      */
-    get(key) {
+    async get(key) {
+        const data = this.getMemoryEntry(key);
+        if (data !== null) {
+            return data;
+        }
+
+        const stored = await this.store.get(key);
+        if (!stored) {
+            return null;
+        }
+
+        // L2を読んでいる間に保存された新しい結果があればそちらを使う
+        const latest = this.getMemoryEntry(key);
+        if (latest !== null) {
+            return latest;
+        }
+
+        this.setMemoryEntry(key, {
+            data: stored.data,
+            createdAt: stored.createdAt,
+            lastAccessed: Date.now(),
+            expiresAt: stored.expiresAt,
+            size: this.calculateSize(stored.data)
+        });
+        console.log(`永続キャッシュから取得: ${key}`);
+        return stored.data;
+    }
+
+    /**
+     * L1から値を取得（期限切れ・未保存の場合はnull）
+     */
+    getMemoryEntry(key) {
         const entry = this.cache.get(key);
         
         if (!entry) {
@@ -43,8 +81,20 @@ class SearchCache {
         return entry.data;
     }
 
+    /**
+     * L1にエントリを保存（サイズ制限を超える場合はLRUで削除する）
+     */
+    setMemoryEntry(key, entry) {
+        if (!this.cache.has(key) && this.cache.size >= this.maxSize) {
+            this.evictLRU();
+        }
+
+        this.cache.set(key, entry);
+    }
+
     /**
      * キャッシュに値を設定
+     * L1には即座に保存し、L2への保存の完了（保存したかどうか）は戻り値のPromiseで通知する
      */
     set(key, data, ttl = null) {
         const expiresAt = Date.now() + (ttl || this.defaultTTL);
@@ -57,48 +107,36 @@ class SearchCache {
             size: this.calculateSize(data)
         };
 
-        // キャッシュサイズ制限チェック
-        if (this.cache.size >= this.maxSize) {
-            this.evictLRU();
-        }
-
-        this.cache.set(key, entry);
+        this.setMemoryEntry(key, entry);
         
         console.log(`キャッシュに保存: ${key} (有効期限: ${new Date(expiresAt).toLocaleTimeString()})`);
+        return this.store.set(key, entry);
     }
 
     /**
-     * キャッシュから値を削除
+     * キャッシュから値を削除（L1・L2のいずれかに存在した場合はtrueを返す）
      */
-    delete(key) {
-        return this.cache.delete(key);
+    async delete(key) {
+        const deleted = this.cache.delete(key);
+        const persisted = await this.store.delete(key);
+        return deleted || persisted;
     }
 
     /**
-     * キャッシュをクリア
+     * キャッシュをクリア（L1・L2の両方）
      */
-    clear() {
+    async clear() {
         this.cache.clear();
+        await this.store.clear();
         console.log('キャッシュをクリアしました');
     }
 
     /**
      * キャッシュに存在するかチェック
+     * L2にのみ存在する場合はL1に戻す
      */
-    has(key) {
-        const entry = this.cache.get(key);
-        
-        if (!entry) {
-            return false;
-        }
-
-        // 有効期限チェック
-        if (Date.now() > entry.expiresAt) {
-            this.cache.delete(key);
-            return false;
-        }
-
-        return true;
+    async has(key) {
+        return (await this.get(key)) !== null;
     }
 
     /**
@@ -122,7 +160,7 @@ class SearchCache {
     }
 
     /**
-     * 期限切れエントリのクリーンアップ
+     * 期限切れエントリのクリーンアップ（L2の期限切れエントリも削除する）
      */
     cleanup() {
         const now = Date.now();
@@ -138,6 +176,8 @@ class SearchCache {
         if (cleanedCount > 0) {
             console.log(`期限切れキャッシュを${cleanedCount}件削除しました`);
         }
+
+        return this.store.deleteExpired();
     }
 
     /**
@@ -160,14 +200,10 @@ class SearchCache {
     }
 
     /**
-     * データサイズの概算計算
+     * データサイズの計算（UTF-8のJSONのバイト数）
      */
     calculateSize(data) {
-        try {
-            return JSON.stringify(data).length;
-        } catch (error) {
-            return 1000; // デフォルトサイズ
-        }
+        return IndexedDbCacheStore.calculateSize(data);
     }
 
     /**
@@ -196,7 +232,9 @@ class SearchCache {
             totalSize: totalSize,
             maxSize: this.maxSize,
             hitRate: this.calculateHitRate(),
-            memoryUsage: this.getMemoryUsage()
+            memoryUsage: this.getMemoryUsage(),
+            persistent: this.store.available,
+            persistentQuota: this.store.quota
         };
     }
 
@@ -230,6 +268,7 @@ class SearchCache {
 
     /**
      * キャッシュ設定の更新
+     * persistentQuota はL2の保存量の上限（バイト、0の場合はL2に保存しない）
      */
     updateSettings(settings) {
         if (settings.maxSize && settings.maxSize > 0) {
@@ -247,41 +286,51 @@ class SearchCache {
             this.stopCleanupTimer();
             this.startCleanupTimer();
         }
+
+        if (settings.persistentQuota !== undefined) {
+            return this.store.setQuota(settings.persistentQuota);
+        }
     }
 
     /**
-     * 特定のエンジンのキャッシュを削除
+     * 特定のエンジンのキャッシュを削除（L1・L2の両方）
      */
-    clearEngine(engine) {
-        let deletedCount = 0;
-        
-        for (const key of this.cache.keys()) {
-            if (key.startsWith(`${engine}:`)) {
-                this.cache.delete(key);
-                deletedCount++;
-            }
-        }
+    async clearEngine(engine) {
+        const deletedCount = await this.deleteKeys(key => key.startsWith(`${engine}:`));
         
         console.log(`${engine}のキャッシュを${deletedCount}件削除しました`);
         return deletedCount;
     }
 
     /**
-     * 特定の言語のキャッシュを削除
+     * 特定の言語のキャッシュを削除（L1・L2の両方）
      */
-    clearLanguage(language) {
-        let deletedCount = 0;
+    async clearLanguage(language) {
+        const deletedCount = await this.deleteKeys(key => {
+            const parts = key.split(':');
+            return parts.length >= 2 && parts[1] === language;
+        });
+        
+        console.log(`言語${language}のキャッシュを${deletedCount}件削除しました`);
+        return deletedCount;
+    }
+
+    /**
+     * 条件に一致するキーのエントリをL1・L2から削除し、削除したキーの数を返す
+     */
+    async deleteKeys(predicate) {
+        const deletedKeys = new Set();
         
         for (const key of this.cache.keys()) {
-            const parts = key.split(':');
-            if (parts.length >= 2 && parts[1] === language) {
+            if (predicate(key)) {
                 this.cache.delete(key);
-                deletedCount++;
+                deletedKeys.add(key);
             }
         }
-        
-        console.log(`言語${language}のキャッシュを${deletedCount}件削除しました`);
-        return deletedCount;
+
+        const persistedKeys = await this.store.deleteWhere(key => predicate(key));
+        persistedKeys.forEach(key => deletedKeys.add(key));
+        return deletedKeys.size;
     }
 
     /**
@@ -330,7 +379,8 @@ class SearchCache {
                     size: this.calculateSize(entryData.data)
                 };
 
-                this.cache.set(entryData.key, entry);
+                this.setMemoryEntry(entryData.key, entry);
+                this.store.set(entryData.key, entry);
                 importedCount++;
             }
         });
@@ -341,10 +391,12 @@ class SearchCache {
 
     /**
      * リソースのクリーンアップ
+     * L1のみを削除し、次回の読み込みで使えるようL2のエントリは残す
      */
     destroy() {
         this.stopCleanupTimer();
-        this.clear();
+        this.cache.clear();
+        this.store.close();
         console.log('SearchCacheのリソースをクリーンアップしました');
     }
 }
\ No newline at end of file
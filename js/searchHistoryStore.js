@@ -0,0 +1,189 @@
+/**
+ * 検索履歴ストアクラス
+ * 検索履歴をローカルストレージに保存し、絞り込み・削除を管理する
+ * ローカルストレージが利用できない場合はメモリ上でのみ保持する
+ */
+class SearchHistoryStore {
+    constructor(options = {}) {
+        this.storageKey = options.storageKey || 'multi-search-history';
+        this.maxSize = options.maxSize || 50;
+        this.periods = {
+            today: '今日',
+            week: '過去7日間',
+            month: '過去30日間'
+        };
+        this.entries = this.load();
+    }
+
+    /**
+     * ローカルストレージから履歴を読み込み
+     */
+    load() {
+        try {
+            const saved = localStorage.getItem(this.storageKey);
+            if (!saved) return [];
+
+            const entries = JSON.parse(saved);
+            if (!Array.isArray(entries)) return [];
+
+            // 壊れたエントリは読み飛ばす
+            return entries
+                .filter(entry => entry && entry.id && entry.query && entry.timestamp)
+                .slice(0, this.maxSize);
+        } catch (error) {
+            console.error('検索履歴の読み込みに失敗しました:', error);
+            return [];
+        }
+    }
+
+    /**
+     * ローカルストレージに履歴を保存
+     */
+    save() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(this.entries));
+        } catch (error) {
+            console.error('検索履歴の保存に失敗しました:', error);
+        }
+    }
+
+    /**
+     * 履歴を追加
+     * 同じクエリ・言語・エンジンの組み合わせの履歴は削除し、新しい履歴のみを残す
+     */
+    add(entry) {
+        const historyEntry = {
+            id: `history_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+            timestamp: new Date().toISOString(),
+            engines: [],
+            ...entry
+        };
+
+        this.entries = this.entries.filter(existing => !this.isSameSearch(existing, historyEntry));
+        this.entries.unshift(historyEntry);
+
+        // 履歴サイズの制限
+        if (this.entries.length > this.maxSize) {
+            this.entries = this.entries.slice(0, this.maxSize);
+        }
+
+        this.save();
+        return historyEntry;
+    }
+
+    /**
+     * 同じ検索（クエリ・言語・エンジンの組み合わせ）の履歴かチェック
+     */
+    isSameSearch(a, b) {
+        const engines = entry => (entry.engines || []).slice().sort().join(',');
+        return a.query === b.query && a.language === b.language && engines(a) === engines(b);
+    }
+
+    /**
+     * 履歴を取得
+     */
+    get(id) {
+        return this.entries.find(entry => entry.id === id) || null;
+    }
+
+    /**
+     * すべての履歴を取得（新しい順）
+     */
+    getAll() {
+        return this.entries.slice();
+    }
+
+    /**
+     * 履歴を絞り込み
+     * filters: { text: 部分一致, language: 言語コード, period: 'today' | 'week' | 'month' }
+     */
+    query(filters = {}) {
+        const text = (filters.text || '').trim().toLowerCase();
+        const since = this.getPeriodStart(filters.period, filters.now);
+
+        return this.entries.filter(entry => {
+            if (text && !entry.query.toLowerCase().includes(text)) return false;
+            if (filters.language && entry.language !== filters.language) return false;
+            if (since && new Date(entry.timestamp) < since) return false;
+            return true;
+        });
+    }
+
+    /**
+     * 言語・期間ごとの件数を取得
+     */
+    getFacets(now = new Date()) {
+        const languages = {};
+        const periods = {};
+
+        this.entries.forEach(entry => {
+            languages[entry.language] = (languages[entry.language] || 0) + 1;
+        });
+
+        Object.keys(this.periods).forEach(period => {
+            const since = this.getPeriodStart(period, now);
+            periods[period] = this.entries.filter(entry => new Date(entry.timestamp) >= since).length;
+        });
+
+        return { languages: languages, periods: periods };
+    }
+
+    /**
+     * 期間の開始日時を取得
+     */
+    getPeriodStart(period, now = new Date()) {
+        const start = new Date(now);
+
+        switch (period) {
+            case 'today':
+                start.setHours(0, 0, 0, 0);
+                return start;
+            case 'week':
+                start.setDate(start.getDate() - 7);
+                return start;
+            case 'month':
+                start.setDate(start.getDate() - 30);
+                return start;
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * 履歴を削除
+     */
+    remove(id) {
+        const before = this.entries.length;
+        this.entries = this.entries.filter(entry => entry.id !== id);
+
+        if (this.entries.length === before) {
+            return false;
+        }
+
+        this.save();
+        return true;
+    }
+
+    /**
+     * すべての履歴を削除
+     */
+    clear() {
+        this.entries = [];
+        try {
+            localStorage.removeItem(this.storageKey);
+        } catch (error) {
+            console.error('検索履歴の削除に失敗しました:', error);
+        }
+    }
+
+    /**
+     * 保存件数の上限を変更
+     */
+    setMaxSize(maxSize) {
+        this.maxSize = maxSize;
+        if (this.entries.length > maxSize) {
+            this.entries = this.entries.slice(0, maxSize);
+            this.save();
+        }
+    }
+}
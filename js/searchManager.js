@@ -1,61 +1,366 @@
 /**
  * 検索マネージャークラス
  * 複数の検索エンジンを統合管理し、並列検索を実行する
+ *
+ * 検索の進捗は以下のイベントで通知する（DOMには依存しない）
+ * - search:start     { searchId, query, language, engines }
+ * - engine:result    { searchId, engine, result }
+ * - engine:error     { searchId, engine, error }
+ * - engine:retry     { searchId, engine, delay, attempt }
+ * - search:complete  { searchId, results }
+ * - adapter:registered   { engine, adapter }
+ * - adapter:unregistered { engine }
+ * - engine:circuit       { engine, state, previousState, retryAt }
+ * - engine:queue         { engine, position }（レート制限・同時リクエスト数の上限で待機中。positionがnullの場合は実行開始）
+ * - history:change       { history }
  */
-class SearchManager {
+class SearchManager extends EventEmitter {
     constructor(errorHandler) {
+        super();
         this.errorHandler = errorHandler || new ErrorHandler();
-        this.adapters = this.initializeAdapters();
+        this.registry = new AdapterRegistry();
+        this.errorHandler.setAdapterRegistry(this.registry);
+        this.proxyUrl = null; // CORSプロキシのURL（proxyUrlプロパティを持つアダプターに適用）
+        this.demoMode = false; // trueの場合は各アダプターのサンプル結果を表示する
+        this.mockFallback = true; // falseの場合は接続できないエンジンをサンプル結果で代替せずエラーとする（CLIなど）
+        this.fixtureRecorder = new FixtureRecorder(); // HTTPの記録・再生（fixtureRecorderプロパティを持つアダプターに適用）
+        this.selectorConfig = new SelectorConfig(); // HTMLの解析に使うセレクター（selectorsプロパティを持つアダプターに適用）
+        this.customEngines = []; // 登録済みのカスタムエンジンの定義
+        this.initializeAdapters();
         this.activeSearches = new Map();
-        this.searchHistory = [];
+        this.inFlightRequests = new Map(); // キャッシュキーごとの実行中リクエスト
         this.maxHistorySize = 50;
+        this.historyStore = new SearchHistoryStore({ maxSize: this.maxHistorySize });
         this.cache = new SearchCache();
+        this.resultMerger = new ResultMerger();
+        this.queryParser = new QueryParser();
+        this.metrics = new EngineMetrics();
+        this.circuitBreaker = new CircuitBreaker();
+        this.circuitFailureTypes = ['network', 'timeout', 'api', 'parsing']; // サーキットブレーカーで失敗として数えるエラー種別
+        this.circuitBreaker.on('change', payload => this.emit('engine:circuit', payload));
+        this.scheduler = new RequestScheduler(); // エンジンごとのレート制限と全体の同時リクエスト数の上限
+        this.scheduler.on('queue', ({ engine, position }) => this.emit('engine:queue', { engine, position }));
+        this.scheduler.on('start', ({ engine }) => this.emit('engine:queue', { engine, position: null }));
     }
 
     /**
      * 検索アダプターの初期化
+     * AdapterRegistry.define() で宣言された組み込みアダプターを登録する
      */
     initializeAdapters() {
-        return {
-            google: new GoogleSearchAdapter(),
-            bing: new BingSearchAdapter(),
-            yahoo: new YahooSearchAdapter(),
-            duckduckgo: new DuckDuckGoSearchAdapter(),
-            youtube: new YouTubeSearchAdapter(),
-            baidu: new BaiduSearchAdapter()
+        AdapterRegistry.getBuiltins().forEach(AdapterClass => {
+            try {
+                const adapter = new AdapterClass();
+                this.registry.register(adapter);
+                this.applyAdapterSettings(adapter);
+            } catch (error) {
+                console.error('組み込みアダプターの登録エラー:', error);
+            }
+        });
+    }
+
+    /**
+     * 登録済みアダプター（{ エンジン名: アダプター }）
+     */
+    get adapters() {
+        return this.registry.toObject();
+    }
+
+    /**
+     * 検索アダプターを登録
+     * 契約を満たさないアダプターはエラーとなる
+     */
+    registerAdapter(adapter, options = {}) {
+        this.registry.register(adapter, options);
+        this.applyAdapterSettings(adapter);
+        this.emit('adapter:registered', { engine: adapter.name, adapter: adapter });
+        return adapter;
+    }
+
+    /**
+     * プロキシURL・フィクスチャの記録・再生・セレクター設定をアダプターに適用
+     * proxyUrl・fixtureRecorder・selectorsプロパティを持たないアダプターには適用しない
+     */
+    applyAdapterSettings(adapter) {
+        if ('proxyUrl' in adapter) {
+            adapter.proxyUrl = this.proxyUrl;
+        }
+
+        if ('fixtureRecorder' in adapter) {
+            adapter.fixtureRecorder = this.fixtureRecorder;
+        }
+
+        if ('selectors' in adapter) {
+            const selectors = this.selectorConfig.get(adapter.name);
+            if (selectors) {
+                adapter.selectors = selectors;
+            }
+        }
+    }
+
+    /**
+     * CORSプロキシのURLを設定（nullの場合は直接取得）
+     * 取得経路が変わるため、キャッシュとサーキットブレーカーの状態をリセットする
+     */
+    setProxyUrl(proxyUrl) {
+        const normalized = proxyUrl || null;
+        if (normalized === this.proxyUrl) return;
+
+        this.proxyUrl = normalized;
+        Object.values(this.adapters).forEach(adapter => this.applyAdapterSettings(adapter));
+        this.cache.clear();
+        this.circuitBreaker.reset();
+        console.log(normalized ? `プロキシ経由で検索します: ${normalized}` : 'プロキシを使用せずに検索します');
+    }
+
+    /**
+     * デモモードの切り替え
+     * デモモードではリクエストもキャッシュの参照も行わず、各アダプターのサンプル結果を表示する
+     */
+    setDemoMode(enabled) {
+        const demoMode = !!enabled;
+        if (demoMode === this.demoMode) return;
+
+        this.demoMode = demoMode;
+        console.log(demoMode ? 'デモモードを開始しました' : 'デモモードを終了しました');
+    }
+
+    /**
+     * フィクスチャの記録・再生モードを設定（'off' | 'record' | 'replay'）
+     * キャッシュされた結果では記録・再生が行われないため、キャッシュをクリアする
+     */
+    setFixtureMode(mode) {
+        if (mode === this.fixtureRecorder.mode) return;
+
+        this.fixtureRecorder.setMode(mode);
+        this.cache.clear();
+        console.log(`フィクスチャモード: ${mode}`);
+    }
+
+    /**
+     * セレクターの上書き設定を適用（nullの場合は既定の設定に戻す）
+     * 解析結果が変わるため、キャッシュをクリアする
+     */
+    setSelectorOverrides(config) {
+        if (config) {
+            this.selectorConfig.setOverrides(config);
+        } else {
+            this.selectorConfig.reset();
+        }
+
+        Object.values(this.adapters).forEach(adapter => this.applyAdapterSettings(adapter));
+        this.cache.clear();
+        console.log('セレクター設定を適用しました');
+    }
+
+    /**
+     * セレクター設定のテスト
+     * 貼り付けたHTMLをアダプターの解析処理にかけ、結果の要素に一致したセレクターと取り出した結果を返す
+     * config を指定した場合は保存済みの上書き設定の代わりにその設定を使う
+     */
+    testSelectors(engine, html, config = null) {
+        const adapter = this.adapters[engine];
+        if (!adapter || !adapter.selectors || typeof adapter.parseResults !== 'function') {
+            throw new Error(`セレクター設定に対応していないエンジンです: ${engine}`);
+        }
+
+        const selectors = (config ? new SelectorConfig(config) : this.selectorConfig).get(engine);
+        const doc = new DOMParser().parseFromString(html, 'text/html');
+        const report = {
+            engine: engine,
+            selectors: selectors,
+            match: SelectorConfig.findMatchingSelector(doc, selectors.result),
+            results: [],
+            error: null
         };
+
+        try {
+            report.results = adapter.parseResults(html, selectors);
+        } catch (error) {
+            report.error = {
+                message: error.message,
+                selectorDrift: !!error.selectorDrift,
+                structureSample: error.structureSample || ''
+            };
+        }
+
+        return report;
+    }
+
+    /**
+     * カスタムエンジン（設定から作成するエンジン）を設定
+     * 定義がなくなったエンジンは登録を解除し、追加・変更されたエンジンを登録する
+     * 組み込みエンジンと同じ名前のエンジンなど、登録できない定義はスキップする
+     */
+    setCustomEngines(definitions) {
+        const list = definitions || [];
+        const names = list.map(definition => definition.name);
+
+        this.customEngines
+            .filter(previous => !names.includes(previous.name))
+            .forEach(previous => this.unregisterAdapter(previous.name));
+
+        const registered = [];
+        list.forEach(definition => {
+            const previous = this.customEngines.find(engine => engine.name === definition.name);
+            if (previous && JSON.stringify(previous) === JSON.stringify(definition)) {
+                registered.push(previous);
+                return;
+            }
+
+            try {
+                if (!previous && this.registry.has(definition.name)) {
+                    throw new Error(`同じ名前のエンジンが登録されています: ${definition.name}`);
+                }
+                this.registerAdapter(AdapterRegistry.createCustomAdapter(definition), { replace: true });
+                this.cache.clearEngine(definition.name);
+                registered.push(definition);
+            } catch (error) {
+                console.error(`カスタムエンジンの登録エラー (${definition.name}):`, error);
+            }
+        });
+
+        this.customEngines = registered;
+    }
+
+    /**
+     * OpenSearch記述ドキュメントからカスタムエンジンの定義を作成
+     * source は記述ドキュメントのURLまたはXML。URLはプロキシが設定されている場合はプロキシ経由で取得する
+     * 登録は行わない（定義を設定に保存するとsetCustomEngines()で登録される）
+     */
+    async createOpenSearchEngine(source) {
+        const text = String(source || '').trim();
+        if (text === '') {
+            throw new Error('OpenSearch記述ドキュメントのURLまたはXMLを入力してください');
+        }
+
+        let xml = text;
+        let sourceUrl = null;
+        if (/^https?:\/\//i.test(text)) {
+            sourceUrl = text;
+            const response = await fetch(this.proxyUrl ? `${this.proxyUrl}?url=${encodeURIComponent(text)}` : text);
+            if (!response.ok) {
+                throw ErrorHandler.createHttpError(response);
+            }
+            xml = await response.text();
+        }
+
+        return OpenSearchAdapter.parseDescription(xml, {
+            sourceUrl: sourceUrl,
+            existingNames: this.registry.getNames()
+        });
+    }
+
+    /**
+     * SearXNGのインスタンスからカスタムエンジンの定義を作成
+     * input は { instanceUrl, displayName, categories, engines, languages }（SearxngSearchAdapter.createDefinition() を参照）
+     * 登録は行わない（定義を設定に保存するとsetCustomEngines()で登録される）
+     */
+    createSearxngEngine(input) {
+        if (!input || String(input.instanceUrl || '').trim() === '') {
+            throw new Error('SearXNGのインスタンスのURLを入力してください');
+        }
+
+        return SearxngSearchAdapter.createDefinition(input, {
+            existingNames: this.registry.getNames()
+        });
+    }
+
+    /**
+     * エクスポートしたカスタムエンジンの定義（JSONのオブジェクトまたは配列）から定義を作成
+     * type を省略した定義は JSON API（jsonapi）とし、name がないか登録済みの場合は表示名から重複しない名前を付ける
+     * 登録は行わない（定義を設定に保存するとsetCustomEngines()で登録される）
+     */
+    importCustomEngines(text) {
+        let data;
+        try {
+            data = JSON.parse(String(text || ''));
+        } catch (error) {
+            throw new Error(`カスタムエンジンの定義のJSONを解析できません: ${error.message}`);
+        }
+
+        const items = Array.isArray(data) ? data : [data];
+        if (items.length === 0) {
+            throw new Error('カスタムエンジンの定義がありません');
+        }
+
+        const existingNames = this.registry.getNames();
+        return items.map(item => {
+            const definition = { type: 'jsonapi', ...(item && typeof item === 'object' ? item : {}) };
+            if (!definition.name || existingNames.includes(definition.name)) {
+                definition.name = AdapterRegistry.createUniqueName(definition.displayName || definition.name, existingNames, definition.type);
+            }
+            const normalized = AdapterRegistry.normalizeCustomDefinition(definition);
+            existingNames.push(normalized.name);
+            return normalized;
+        });
+    }
+
+    /**
+     * 検索アダプターの登録を解除
+     */
+    unregisterAdapter(name) {
+        if (!this.registry.unregister(name)) {
+            return false;
+        }
+
+        this.cache.clearEngine(name);
+        this.errorHandler.resetRetryAttempts(name);
+        this.metrics.reset(name);
+        this.circuitBreaker.reset(name);
+        this.emit('adapter:unregistered', { engine: name });
+        return true;
+    }
+
+    /**
+     * 保存済みの検索履歴（新しい順）
+     */
+    get searchHistory() {
+        return this.historyStore.getAll();
     }
 
     /**
      * すべての検索エンジンで並列検索を実行
+     * options.engines で検索するエンジンを限定できる（履歴からの再実行など）
      */
-    async searchAll(query, language = 'ja') {
+    async searchAll(query, language = 'ja', options = {}) {
         if (!query || query.trim() === '') {
             throw new Error('検索クエリが空です');
         }
 
+        const engines = this.resolveEngines(options.engines, language);
+        if (engines.length === 0) {
+            throw new Error('検索可能なエンジンがありません');
+        }
+
         const searchId = this.generateSearchId();
         const startTime = Date.now();
+        const controller = new AbortController();
         
         console.log(`検索開始: "${query}" (言語: ${language}, ID: ${searchId})`);
 
         // アクティブな検索として記録
         this.activeSearches.set(searchId, {
+            searchId: searchId,
             query: query,
             language: language,
             startTime: startTime,
-            status: 'running'
+            engines: engines,
+            status: 'running',
+            controller: controller
         });
 
-        // UIヘッダーのリンクを更新
-        if (window.multiSearchApp && window.multiSearchApp.uiManager) {
-            window.multiSearchApp.uiManager.updateEngineHeaders(query, language);
-        }
+        this.emit('search:start', {
+            searchId: searchId,
+            query: query,
+            language: language,
+            engines: engines
+        });
 
         try {
             // 各検索エンジンで並列検索を実行
-            const searchPromises = Object.keys(this.adapters).map(engine => 
-                this.searchEngineWithErrorHandling(engine, query, language, searchId)
+            const searchPromises = engines.map(engine => 
+                this.searchEngineWithErrorHandling(engine, query, language, searchId, controller.signal)
             );
 
             // Promise.allSettledを使用してすべての結果を待つ
@@ -65,14 +370,23 @@ class SearchManager {
             
             // 結果を処理
             const processedResults = this.processSearchResults(results, query, language, totalTime);
+            processedResults.searchId = searchId;
+            processedResults.cancelled = controller.signal.aborted;
             
-            // 検索履歴に追加
-            this.addToHistory(query, language, processedResults, totalTime);
+            // キャンセルされた検索とサンプル結果のみの検索は履歴に残さない
+            if (!processedResults.cancelled && !this.isMockOnly(processedResults)) {
+                this.addToHistory(query, language, processedResults, totalTime, engines);
+            }
             
             // アクティブな検索から削除
             this.activeSearches.delete(searchId);
             
-            console.log(`検索完了: ${totalTime}ms`);
+            console.log(processedResults.cancelled ? `検索キャンセル: ${searchId}` : `検索完了: ${totalTime}ms`);
+            
+            this.emit('search:complete', {
+                searchId: searchId,
+                results: processedResults
+            });
             
             return processedResults;
 
@@ -84,22 +398,77 @@ class SearchManager {
     }
 
     /**
-     * 特定の検索エンジンで検索を実行（エラーハンドリング付き）
+     * 検索対象のエンジンを決定
+     * 未登録のエンジンは除外し、指定がない場合は検索言語で既定で使用するすべての登録済みエンジンを対象とする
      */
-    async searchEngineWithErrorHandling(engine, query, language, searchId) {
+    resolveEngines(requestedEngines, language = null) {
+        const registered = Object.keys(this.adapters);
+
+        if (!Array.isArray(requestedEngines) || requestedEngines.length === 0) {
+            return registered.filter(engine => this.isEngineEnabled(engine, language));
+        }
+
+        const unknown = requestedEngines.filter(engine => !registered.includes(engine));
+        if (unknown.length > 0) {
+            console.warn(`未登録のエンジンをスキップします: ${unknown.join(', ')}`);
+        }
+
+        return registered.filter(engine => requestedEngines.includes(engine));
+    }
+
+    /**
+     * エンジンを検索言語で既定で使用するかチェック
+     * enabledLanguages を持つアダプターは、その言語の検索でのみ既定で使用する（エンジンを指定した検索では常に使用する）
+     */
+    isEngineEnabled(engine, language) {
         const adapter = this.adapters[engine];
-        if (!adapter) {
+        if (!adapter || !Array.isArray(adapter.enabledLanguages) || !language) {
+            return !!adapter;
+        }
+        return adapter.enabledLanguages.includes(language);
+    }
+
+    /**
+     * 特定の検索エンジンで検索を実行（エラーハンドリング付き）
+     * 再試行が必要なエラーは待機してから再度実行する
+     * signalが中断された場合は結果もエラーも表示せずにキャンセル扱いとする
+     */
+    async searchEngineWithErrorHandling(engine, query, language, searchId, signal = null) {
+        if (!this.adapters[engine]) {
             throw new Error(`未知の検索エンジン: ${engine}`);
         }
 
+        let outcome = await this.attemptEngineSearch(engine, query, language, searchId, signal);
+
+        while (outcome.status === 'rejected' && outcome.reason.shouldRetry) {
+            const completed = await this.waitForRetry(engine, outcome.reason, searchId, signal);
+            if (!completed) {
+                return this.createCancelledResult(engine);
+            }
+
+            outcome = await this.attemptEngineSearch(engine, query, language, searchId, signal);
+        }
+
+        return outcome;
+    }
+
+    /**
+     * 特定の検索エンジンで1回分の検索を実行
+     * エラーの場合は再試行の要否を含むエラー情報を返す
+     */
+    async attemptEngineSearch(engine, query, language, searchId, signal = null) {
+        if (signal && signal.aborted) {
+            return this.createCancelledResult(engine);
+        }
+
         try {
             // キャッシュチェック
             const cacheKey = this.cache.generateCacheKey(engine, query, language);
-            const cachedResult = this.cache.get(cacheKey);
+            const cachedResult = await this.getCachedResult(engine, cacheKey);
             
             if (cachedResult) {
                 console.log(`${engine}のキャッシュされた結果を使用`);
-                this.displayEngineResults(engine, cachedResult);
+                this.emitEngineResult(engine, cachedResult, searchId);
                 return {
                     engine: engine,
                     status: 'fulfilled',
@@ -107,26 +476,18 @@ class SearchManager {
                 };
             }
 
-            // レート制限チェック
-            if (adapter.checkRateLimit && !adapter.checkRateLimit()) {
-                throw new Error('レート制限に達しました');
-            }
-
-            // 可用性チェック
-            if (adapter.isAvailable && !adapter.isAvailable()) {
-                throw new Error('検索エンジンが利用できません');
-            }
-
-            const result = await adapter.search(query, language);
-            
-            // 結果をキャッシュに保存
-            this.cache.set(cacheKey, result);
+            // 同じエンジン・クエリ・言語のリクエストが実行中であれば、その結果を共有する
+            const result = await this.joinInFlight(this.getFlightKey(cacheKey), signal, sharedSignal =>
+                this.fetchEngineResult(engine, query, language, cacheKey, sharedSignal)
+            );
             
-            // 成功時は再試行回数をリセット
-            this.errorHandler.resetRetryAttempts(engine);
+            // 完了前にキャンセルされた結果は破棄する
+            if (signal && signal.aborted) {
+                return this.createCancelledResult(engine);
+            }
             
-            // UIに結果を表示
-            this.displayEngineResults(engine, result);
+            // 購読者に結果を通知
+            this.emitEngineResult(engine, result, searchId);
             
             return {
                 engine: engine,
@@ -135,18 +496,16 @@ class SearchManager {
             };
 
         } catch (error) {
-            console.error(`${engine}検索エラー:`, error);
-            
-            // エラーハンドリング
-            const errorInfo = this.errorHandler.handleEngineError(error, engine);
-            
-            // UIにエラーを表示
-            this.displayEngineError(engine, errorInfo);
-            
-            // 再試行の判定
-            if (errorInfo.shouldRetry) {
-                return this.retrySearch(engine, query, language, errorInfo.retryDelay);
+            // キャンセルによる中断はエラーとして扱わない
+            if (signal && signal.aborted) {
+                return this.createCancelledResult(engine);
             }
+
+            // 共有リクエストのエラーは実行したリクエスト側で一度だけ処理済み
+            const errorInfo = error.errorInfo || this.errorHandler.handleEngineError(error, engine);
+            
+            // 購読者にエラーを通知
+            this.emitEngineError(engine, errorInfo, searchId);
             
             return {
                 engine: engine,
@@ -157,19 +516,310 @@ class SearchManager {
     }
 
     /**
-     * 検索の再試行
+     * 検索エンジンへのリクエストを実行し、結果をキャッシュに保存
+     * 同じキャッシュキーの購読者間で共有されるため、計測とエラー処理はここで一度だけ行う
      */
-    async retrySearch(engine, query, language, delay) {
+    async fetchEngineResult(engine, query, language, cacheKey, signal) {
+        const adapter = this.adapters[engine];
+        const startTime = Date.now();
+
+        try {
+            // デモモードではリクエストしないため、停止・可用性をチェックしない
+            if (!this.demoMode) {
+                // 連続してエラーになっているエンジンにはリクエストしない
+                this.checkCircuit(engine);
+
+                // 可用性チェック
+                if (adapter.isAvailable && !adapter.isAvailable()) {
+                    throw new Error('検索エンジンが利用できません');
+                }
+            }
+
+            const result = this.applyQueryTranslation(engine, query, this.withSource(
+                await this.scheduleRequest(engine, waitForToken => adapter.search(query, language, {
+                    signal, demoMode: this.demoMode, mockFallback: this.mockFallback, waitForToken
+                }), signal)
+            ));
+
+            // 実際の結果のみキャッシュと計測の対象とする
+            this.recordLiveResult(engine, cacheKey, result, startTime);
+
+            // 成功時は再試行回数をリセット
+            this.errorHandler.resetRetryAttempts(engine);
+
+            return result;
+
+        } catch (error) {
+            // 購読者がいなくなり中断されたリクエストはエラーとして扱わない
+            if (signal.aborted) {
+                this.circuitBreaker.releaseTrial(engine);
+                throw error;
+            }
+
+            console.error(`${engine}検索エラー:`, error);
+
+            // エラーハンドリング
+            error.errorInfo = this.errorHandler.handleEngineError(error, engine);
+            if (!error.circuitOpen) {
+                this.metrics.recordError(engine, error.errorInfo.type, Date.now() - startTime);
+            }
+            this.recordCircuitOutcome(engine, error.errorInfo);
+
+            // サーキットが開いた場合は再試行しない
+            if (this.circuitBreaker.getState(engine).state === 'open') {
+                error.errorInfo.shouldRetry = false;
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * エンジンへのリクエストをスケジューラーで実行
+     * レート制限・同時リクエスト数の上限に達している場合はエラーにせず待機する。デモモードはリクエストしないため待機しない
+     * request には、2回目以降の実際のリクエストの前にトークンを使う関数（デモモードでは null）を渡す
+     */
+    scheduleRequest(engine, request, signal) {
+        if (this.demoMode) {
+            return request(null);
+        }
+
+        return this.scheduler.schedule(engine, () => request(() => this.scheduler.waitForToken(engine, signal)), { signal });
+    }
+
+    /**
+     * キャッシュされた結果を取得（source: 'cache' を付与）
+     * デモモードではキャッシュを参照しない
+     */
+    async getCachedResult(engine, cacheKey) {
+        if (this.demoMode) return null;
+
+        const cachedResult = await this.cache.get(cacheKey);
+        this.metrics.recordCacheLookup(engine, !!cachedResult);
+        return cachedResult ? { ...cachedResult, source: 'cache' } : null;
+    }
+
+    /**
+     * 実行中のリクエストを共有するためのキー
+     * デモモードの切り替え前後のリクエストは共有しない
+     */
+    getFlightKey(cacheKey) {
+        return this.demoMode ? `demo:${cacheKey}` : cacheKey;
+    }
+
+    /**
+     * アダプターの応答に取得元を付与
+     * sourceを返さないアダプターの結果は実際の検索結果として扱う
+     */
+    withSource(result) {
+        if (!result || result.source) {
+            return result;
+        }
+        return { ...result, source: 'live' };
+    }
+
+    /**
+     * 取得した結果をキャッシュ・計測・サーキットブレーカーに記録
+     * サンプル結果（source: 'mock'）とリンクのみの応答（source: 'link'）は記録しない
+     */
+    recordLiveResult(engine, cacheKey, result, startTime) {
+        if (result && ['mock', 'link'].includes(result.source)) {
+            this.circuitBreaker.releaseTrial(engine);
+            return;
+        }
+
+        this.cache.set(cacheKey, result);
+        this.metrics.recordSuccess(engine, Date.now() - startTime);
+        this.recordCircuitOutcome(engine);
+    }
+
+    /**
+     * 成功した結果がすべてサンプル結果の検索かチェック
+     */
+    isMockOnly(processedResults) {
+        const successful = Object.values(processedResults.engines).filter(engineResult => engineResult.status === 'success');
+        return successful.length > 0 && successful.every(engineResult => engineResult.source === 'mock');
+    }
+
+    /**
+     * サーキットブレーカーが作動中であればエラーを投げる
+     */
+    checkCircuit(engine) {
+        if (this.circuitBreaker.canRequest(engine)) {
+            return;
+        }
+
+        const error = new Error(`${engine}のサーキットブレーカーが作動中です`);
+        error.circuitOpen = true;
+        error.retryAt = this.circuitBreaker.getRetryAt(engine);
+        throw error;
+    }
+
+    /**
+     * リクエストの結果をサーキットブレーカーに記録
+     * 接続・応答の障害のみを失敗として数え、レート制限などは試行枠の解放のみ行う
+     */
+    recordCircuitOutcome(engine, errorInfo = null) {
+        if (!errorInfo) {
+            this.circuitBreaker.recordSuccess(engine);
+        } else if (errorInfo.type === 'circuit_open') {
+            return;
+        } else if (this.circuitFailureTypes.includes(errorInfo.type)) {
+            this.circuitBreaker.recordFailure(engine);
+        } else {
+            this.circuitBreaker.releaseTrial(engine);
+        }
+    }
+
+    /**
+     * 実行中のリクエストに参加（シングルフライト）
+     * 同じキーのリクエストが実行中であれば新たに実行せずにその結果を待つ
+     * 共有リクエストは参加者ごとのsignalでは中断せず、参加者がいなくなった時点で中断する
+     */
+    joinInFlight(key, signal, startRequest) {
+        let flight = this.inFlightRequests.get(key);
+
+        if (!flight) {
+            const controller = new AbortController();
+            flight = {
+                controller: controller,
+                subscribers: 0,
+                abortTimer: null,
+                promise: null
+            };
+            flight.promise = (async () => startRequest(controller.signal))();
+            flight.promise
+                .catch(() => {})
+                .then(() => {
+                    clearTimeout(flight.abortTimer);
+                    if (this.inFlightRequests.get(key) === flight) {
+                        this.inFlightRequests.delete(key);
+                    }
+                });
+            this.inFlightRequests.set(key, flight);
+        } else {
+            console.log(`実行中のリクエストを共有: ${key}`);
+        }
+
+        flight.subscribers++;
+        clearTimeout(flight.abortTimer);
+        flight.abortTimer = null;
+
+        return new Promise((resolve, reject) => {
+            let settled = false;
+
+            const leave = () => {
+                settled = true;
+                flight.subscribers--;
+                if (signal) {
+                    signal.removeEventListener('abort', onAbort);
+                }
+            };
+
+            const onAbort = () => {
+                if (settled) return;
+                leave();
+
+                // 同じタイミングで同じ検索が開始される（再検索など）場合に備え、中断を次のタスクまで待つ
+                if (flight.subscribers === 0) {
+                    flight.abortTimer = setTimeout(() => {
+                        if (flight.subscribers === 0) {
+                            flight.controller.abort();
+                            if (this.inFlightRequests.get(key) === flight) {
+                                this.inFlightRequests.delete(key);
+                            }
+                        }
+                    }, 0);
+                }
+
+                const error = new Error('検索がキャンセルされました');
+                error.name = 'AbortError';
+                reject(error);
+            };
+
+            if (signal) {
+                if (signal.aborted) {
+                    onAbort();
+                    return;
+                }
+                signal.addEventListener('abort', onAbort, { once: true });
+            }
+
+            flight.promise.then(
+                value => {
+                    if (settled) return;
+                    leave();
+                    resolve(value);
+                },
+                error => {
+                    if (settled) return;
+                    leave();
+                    reject(error);
+                }
+            );
+        });
+    }
+
+    /**
+     * 再試行までの待機（errorInfo.retryDelay の間待つ）
+     * 待機中にキャンセルされた場合はfalseを返す
+     */
+    async waitForRetry(engine, errorInfo, searchId = null, signal = null) {
+        const delay = errorInfo.retryDelay;
         console.log(`${engine}の検索を${delay}ms後に再試行します`);
         
-        // 再試行回数を記録
-        this.errorHandler.recordRetryAttempt(engine);
+        // 再試行回数を記録（共有リクエストの購読者は同じerrorInfoを受け取るため、失敗1回につき1回のみ数える）
+        if (!errorInfo.retryRecorded) {
+            errorInfo.retryRecorded = true;
+            this.errorHandler.recordRetryAttempt(engine);
+        }
         
-        // 遅延実行
-        await new Promise(resolve => setTimeout(resolve, delay));
+        this.emit('engine:retry', {
+            searchId: searchId,
+            engine: engine,
+            delay: delay,
+            attempt: this.errorHandler.getRetryAttempts(engine)
+        });
         
-        // 再試行
-        return this.searchEngineWithErrorHandling(engine, query, language, null);
+        // 遅延実行（待機中にキャンセルされた場合は再試行しない）
+        return this.wait(delay, signal);
+    }
+
+    /**
+     * 指定時間待機する
+     * signalが中断された場合は待機を打ち切りfalseを返す
+     */
+    wait(delay, signal = null) {
+        return new Promise(resolve => {
+            if (signal && signal.aborted) {
+                resolve(false);
+                return;
+            }
+
+            const onAbort = () => {
+                clearTimeout(timeoutId);
+                resolve(false);
+            };
+            const timeoutId = setTimeout(() => {
+                if (signal) {
+                    signal.removeEventListener('abort', onAbort);
+                }
+                resolve(true);
+            }, delay);
+
+            if (signal) {
+                signal.addEventListener('abort', onAbort, { once: true });
+            }
+        });
+    }
+
+    /**
+     * キャンセルされたエンジンの結果を生成
+     */
+    createCancelledResult(engine) {
+        return {
+            engine: engine,
+            status: 'cancelled'
+        };
     }
 
     /**
@@ -186,28 +836,41 @@ class SearchManager {
                 total: results.length,
                 successful: 0,
                 failed: 0,
+                cancelled: 0,
                 totalResults: 0
             }
         };
 
         results.forEach(result => {
-            const engine = result.engine || (result.value && result.value.engine);
+            // Promise.allSettledの結果からエンジンごとの結果を取り出す
+            const outcome = result.status === 'fulfilled' ? result.value : { status: 'rejected', reason: result.reason };
+            const engine = outcome.engine;
             
-            if (result.status === 'fulfilled' && result.value) {
+            if (outcome.status === 'fulfilled' && outcome.value) {
                 processedResults.engines[engine] = {
                     status: 'success',
-                    data: result.value,
-                    resultCount: result.value.results ? result.value.results.length : 0,
-                    responseTime: result.value.responseTime || 0
+                    source: outcome.value.source || 'live',
+                    data: outcome.value,
+                    resultCount: outcome.value.results ? outcome.value.results.length : 0,
+                    responseTime: outcome.value.responseTime || 0
                 };
                 
                 processedResults.summary.successful++;
-                processedResults.summary.totalResults += result.value.results ? result.value.results.length : 0;
+                processedResults.summary.totalResults += outcome.value.results ? outcome.value.results.length : 0;
+                
+            } else if (outcome.status === 'cancelled') {
+                processedResults.engines[engine] = {
+                    status: 'cancelled',
+                    resultCount: 0,
+                    responseTime: 0
+                };
+                
+                processedResults.summary.cancelled++;
                 
             } else {
                 processedResults.engines[engine] = {
                     status: 'error',
-                    error: result.reason || result.error,
+                    error: outcome.reason || outcome.error,
                     resultCount: 0,
                     responseTime: 0
                 };
@@ -216,25 +879,119 @@ class SearchManager {
             }
         });
 
+        // 成功したエンジンの結果からエンジン横断の統合ランキングを作成
+        const successfulResults = {};
+        Object.entries(processedResults.engines).forEach(([engine, engineResult]) => {
+            if (engineResult.status === 'success') {
+                successfulResults[engine] = engineResult.data;
+            }
+        });
+        processedResults.merged = this.mergeResults(successfulResults);
+
         return processedResults;
     }
 
+    /**
+     * 複数エンジンの結果を重複排除して1つのランキングに統合
+     * options.method: 'rrf' | 'borda' | 'weighted'、options.weights: エンジンごとの重み
+     */
+    mergeResults(engineResults, options = {}) {
+        return this.resultMerger.merge(engineResults, options);
+    }
+
     /**
      * 特定の検索エンジンで検索を実行
+     * options.page で2ページ目以降を取得する（options.signalでキャンセル可能）
+     * 失敗した場合はエラー情報（error.errorInfo）を付けたエラーを投げる
      */
-    async searchEngine(engine, query, language = 'ja') {
+    async searchEngine(engine, query, language = 'ja', options = {}) {
+        const { page = 1, signal = null } = options;
         const adapter = this.adapters[engine];
         if (!adapter) {
             throw new Error(`未知の検索エンジン: ${engine}`);
         }
 
-        try {
-            const result = await adapter.search(query, language);
-            return this.formatResults(result, engine);
-        } catch (error) {
-            const errorInfo = this.errorHandler.handleEngineError(error, engine);
-            throw errorInfo;
+        if (page > 1 && adapter.supportsPagination === false) {
+            throw new Error(`${engine}はページ指定に対応していません`);
+        }
+
+        const cacheKey = this.cache.generateCacheKey(engine, query, language, page);
+        const cachedResult = await this.getCachedResult(engine, cacheKey);
+        if (cachedResult) {
+            console.log(`${engine}のキャッシュされた結果を使用 (ページ${page})`);
+            return cachedResult;
         }
+
+        // 「さらに読み込む」の連続クリックなどは実行中のリクエストを共有する
+        return this.joinInFlight(this.getFlightKey(cacheKey), signal, async sharedSignal => {
+            const startTime = Date.now();
+
+            try {
+                if (!this.demoMode) {
+                    this.checkCircuit(engine);
+                }
+
+                const result = this.applyQueryTranslation(engine, query, this.withSource(await this.scheduleRequest(
+                    engine, waitForToken => adapter.search(query, language, {
+                        signal: sharedSignal, page, demoMode: this.demoMode, mockFallback: this.mockFallback, waitForToken
+                    }), sharedSignal
+                )));
+                const formattedResult = {
+                    ...result,
+                    results: this.formatResults(result.results, engine)
+                };
+
+                this.recordLiveResult(engine, cacheKey, formattedResult, startTime);
+                return formattedResult;
+            } catch (error) {
+                // 購読者がいなくなり中断されたリクエストはエラーとして扱わない
+                if (sharedSignal.aborted) {
+                    this.circuitBreaker.releaseTrial(engine);
+                    throw error;
+                }
+
+                error.errorInfo = this.errorHandler.handleEngineError(error, engine);
+                if (!error.circuitOpen) {
+                    this.metrics.recordError(engine, error.errorInfo.type, Date.now() - startTime);
+                }
+                this.recordCircuitOutcome(engine, error.errorInfo);
+                throw error;
+            }
+        });
+    }
+
+    /**
+     * 次のページの結果を取得
+     */
+    async loadMore(engine, query, language, currentPage, options = {}) {
+        return this.searchEngine(engine, query, language, {
+            ...options,
+            page: currentPage + 1
+        });
+    }
+
+    /**
+     * エンジンが対応していない検索演算子を結果の絞り込みで代替
+     * 絞り込みや無視した演算子はqueryNoticesとして結果に付与する
+     */
+    applyQueryTranslation(engine, query, result) {
+        const adapter = this.adapters[engine];
+        const translation = this.queryParser.translate(query, adapter && adapter.queryCapabilities);
+
+        // サンプル結果はクエリから生成しているため絞り込まない（リンクのみの応答は結果がない）
+        if (!result || ['mock', 'link'].includes(result.source) || translation.unsupported.length === 0) {
+            return result;
+        }
+
+        const { results, notices } = this.queryParser.applyPostFilters(result.results, translation.unsupported);
+        console.log(`${engine}の未対応演算子: ${notices.map(notice => notice.feature).join(', ')}`);
+
+        return {
+            ...result,
+            results: results,
+            totalResults: results.length,
+            queryNotices: notices
+        };
     }
 
     /**
@@ -251,21 +1008,25 @@ class SearchManager {
     }
 
     /**
-     * 検索エンジンの結果をUIに表示
+     * 検索エンジンの結果を通知
      */
-    displayEngineResults(engine, results) {
-        if (window.multiSearchApp && window.multiSearchApp.uiManager) {
-            window.multiSearchApp.uiManager.displayResults(engine, results);
-        }
+    emitEngineResult(engine, result, searchId = null) {
+        this.emit('engine:result', {
+            searchId: searchId,
+            engine: engine,
+            result: result
+        });
     }
 
     /**
-     * 検索エンジンのエラーをUIに表示
+     * 検索エンジンのエラーを通知
      */
-    displayEngineError(engine, errorInfo) {
-        if (window.multiSearchApp && window.multiSearchApp.uiManager) {
-            window.multiSearchApp.uiManager.displayError(engine, errorInfo.userMessage);
-        }
+    emitEngineError(engine, errorInfo, searchId = null) {
+        this.emit('engine:error', {
+            searchId: searchId,
+            engine: engine,
+            error: errorInfo
+        });
     }
 
     /**
@@ -278,45 +1039,96 @@ class SearchManager {
     /**
      * 検索履歴への追加
      */
-    addToHistory(query, language, results, totalTime) {
-        const historyEntry = {
+    addToHistory(query, language, results, totalTime, engines = Object.keys(results.engines)) {
+        // サンプル結果は成功数・件数に含めない
+        const liveResults = Object.values(results.engines).filter(
+            engineResult => engineResult.status === 'success' && engineResult.source !== 'mock'
+        );
+
+        const historyEntry = this.historyStore.add({
             query: query,
             language: language,
-            timestamp: new Date(),
+            engines: engines,
             totalTime: totalTime,
-            successfulEngines: Object.keys(results.engines).filter(
-                engine => results.engines[engine].status === 'success'
-            ).length,
-            totalResults: results.summary.totalResults
-        };
+            successfulEngines: liveResults.length,
+            // エンジンごとの成否・取得元・件数（結果本体は保存しない）
+            engineResults: Object.fromEntries(
+                Object.entries(results.engines).map(([engine, engineResult]) => [engine, {
+                    status: engineResult.status,
+                    source: engineResult.source || null,
+                    resultCount: engineResult.resultCount
+                }])
+            ),
+            totalResults: liveResults.reduce((sum, engineResult) => sum + engineResult.resultCount, 0)
+        });
 
-        this.searchHistory.unshift(historyEntry);
-        
-        // 履歴サイズの制限
-        if (this.searchHistory.length > this.maxHistorySize) {
-            this.searchHistory = this.searchHistory.slice(0, this.maxHistorySize);
-        }
+        this.emitHistoryChange();
+        return historyEntry;
     }
 
     /**
      * 検索履歴の取得
+     * filters を指定した場合は { text, language, period } で絞り込む
+     */
+    getSearchHistory(filters = null) {
+        return filters ? this.historyStore.query(filters) : this.historyStore.getAll();
+    }
+
+    /**
+     * 検索履歴の言語・期間ごとの件数を取得
+     */
+    getHistoryFacets() {
+        return this.historyStore.getFacets();
+    }
+
+    /**
+     * 検索履歴のエントリを取得
      */
-    getSearchHistory() {
-        return this.searchHistory;
+    getHistoryEntry(id) {
+        return this.historyStore.get(id);
+    }
+
+    /**
+     * 検索履歴のエントリを削除
+     */
+    removeFromHistory(id) {
+        const removed = this.historyStore.remove(id);
+        if (removed) {
+            this.emitHistoryChange();
+        }
+        return removed;
+    }
+
+    /**
+     * 検索履歴をすべて削除
+     */
+    clearSearchHistory() {
+        this.historyStore.clear();
+        this.emitHistoryChange();
+    }
+
+    /**
+     * 検索履歴の変更を通知
+     */
+    emitHistoryChange() {
+        this.emit('history:change', { history: this.historyStore.getAll() });
     }
 
     /**
      * アクティブな検索の取得
      */
     getActiveSearches() {
-        return Array.from(this.activeSearches.values());
+        return Array.from(this.activeSearches.values()).map(({ controller, ...search }) => search);
     }
 
     /**
      * 検索のキャンセル
+     * 実行中のリクエストと再試行待ちを中断する
      */
     cancelSearch(searchId) {
-        if (this.activeSearches.has(searchId)) {
+        const search = this.activeSearches.get(searchId);
+        if (search) {
+            search.controller.abort();
             this.activeSearches.delete(searchId);
             console.log(`検索をキャンセルしました: ${searchId}`);
             return true;
@@ -329,6 +1141,7 @@ class SearchManager {
      */
     cancelAllSearches() {
         const cancelledCount = this.activeSearches.size;
+        this.activeSearches.forEach(search => search.controller.abort());
         this.activeSearches.clear();
         console.log(`${cancelledCount}件の検索をキャンセルしました`);
         return cancelledCount;
@@ -338,30 +1151,39 @@ class SearchManager {
      * 検索統計の取得
      */
     getSearchStats() {
+        const history = this.searchHistory;
         const stats = {
-            totalSearches: this.searchHistory.length,
+            totalSearches: history.length,
             averageResponseTime: 0,
             engineStats: {},
+            slowestEngine: null,
             languageStats: {},
-            recentSearches: this.searchHistory.slice(0, 10)
+            recentSearches: history.slice(0, 10)
         };
 
-        if (this.searchHistory.length > 0) {
+        // エンジン別統計（各リクエストの計測値から算出）
+        Object.keys(this.adapters).forEach(engine => {
+            stats.engineStats[engine] = {
+                ...this.metrics.getStats(engine),
+                circuit: this.circuitBreaker.getState(engine)
+            };
+        });
+
+        // p90が最も遅いエンジン
+        Object.entries(stats.engineStats).forEach(([engine, engineStats]) => {
+            const p90 = engineStats.latency.p90;
+            if (p90 !== null && (!stats.slowestEngine || p90 > stats.engineStats[stats.slowestEngine].latency.p90)) {
+                stats.slowestEngine = engine;
+            }
+        });
+
+        if (history.length > 0) {
             // 平均応答時間の計算
-            const totalTime = this.searchHistory.reduce((sum, entry) => sum + entry.totalTime, 0);
-            stats.averageResponseTime = Math.round(totalTime / this.searchHistory.length);
-
-            // エンジン別統計
-            Object.keys(this.adapters).forEach(engine => {
-                stats.engineStats[engine] = {
-                    successCount: 0,
-                    totalAttempts: 0,
-                    averageResponseTime: 0
-                };
-            });
+            const totalTime = history.reduce((sum, entry) => sum + entry.totalTime, 0);
+            stats.averageResponseTime = Math.round(totalTime / history.length);
 
             // 言語別統計
-            this.searchHistory.forEach(entry => {
+            history.forEach(entry => {
                 stats.languageStats[entry.language] = (stats.languageStats[entry.language] || 0) + 1;
             });
         }
@@ -369,6 +1191,13 @@ class SearchManager {
         return stats;
     }
 
+    /**
+     * エンジン別統計の計測値をリセット
+     */
+    resetEngineStats(engine = null) {
+        this.metrics.reset(engine);
+    }
+
     /**
      * 検索エンジンの健全性チェック
      */
@@ -378,7 +1207,7 @@ class SearchManager {
         for (const [engine, adapter] of Object.entries(this.adapters)) {
             try {
                 const isAvailable = adapter.isAvailable ? adapter.isAvailable() : true;
-                const canCheckRateLimit = adapter.checkRateLimit ? adapter.checkRateLimit() : true;
+                const canCheckRateLimit = this.scheduler.getStatus(engine).tokens >= 1;
                 
                 healthResults[engine] = {
                     available: isAvailable,
@@ -405,22 +1234,71 @@ class SearchManager {
     updateSettings(settings) {
         if (settings.maxHistorySize) {
             this.maxHistorySize = settings.maxHistorySize;
+            this.historyStore.setMaxSize(settings.maxHistorySize);
+        }
+
+        if (settings.fusion) {
+            this.resultMerger.updateSettings(settings.fusion);
+        }
+
+        if (settings.circuitBreaker) {
+            this.circuitBreaker.updateSettings(settings.circuitBreaker);
+        }
+
+        if (settings.requestScheduler) {
+            this.scheduler.updateSettings(settings.requestScheduler);
+        }
+
+        if (settings.cacheQuota !== undefined) {
+            this.cache.updateSettings({ persistentQuota: settings.cacheQuota });
+        }
+
+        if (settings.proxyUrl !== undefined) {
+            this.setProxyUrl(settings.proxyUrl);
+        }
+
+        if (settings.demoMode !== undefined) {
+            this.setDemoMode(settings.demoMode);
+        }
+
+        if (settings.mockFallback !== undefined) {
+            this.mockFallback = !!settings.mockFallback;
+            this.errorHandler.mockFallback = this.mockFallback;
+        }
+
+        if (settings.fixtureMode !== undefined) {
+            this.setFixtureMode(settings.fixtureMode);
+        }
+
+        if (settings.selectorOverrides !== undefined) {
+            this.setSelectorOverrides(settings.selectorOverrides);
+        }
+
+        if (settings.customEngines !== undefined) {
+            this.setCustomEngines(settings.customEngines);
         }
         
-        // アダプター固有の設定更新
+        // アダプター固有の設定更新（取得先が変わることがあるため、そのエンジンのキャッシュをクリアする）
         Object.keys(this.adapters).forEach(engine => {
             if (settings[engine] && this.adapters[engine].updateSettings) {
                 this.adapters[engine].updateSettings(settings[engine]);
+                this.cache.clearEngine(engine);
             }
         });
     }
 
     /**
      * リソースのクリーンアップ
+     * 保存済みの検索履歴とIndexedDBに保存したキャッシュは削除しない（削除はclearSearchHistory()で行う）
      */
     cleanup() {
         this.cancelAllSearches();
-        this.searchHistory = [];
+        this.inFlightRequests.forEach(flight => {
+            clearTimeout(flight.abortTimer);
+            flight.controller.abort();
+        });
+        this.inFlightRequests.clear();
+        this.scheduler.clear();
         this.errorHandler.clearErrorLog();
         if (this.cache) {
             this.cache.destroy();
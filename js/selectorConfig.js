@@ -0,0 +1,312 @@
+/**
+ * セレクター設定クラス
+ * HTMLを解析するアダプターが使うCSSセレクターを、エンジン・項目ごとのJSON設定として管理する
+ *
+ * 設定の形式（上書き設定・ファイルとも同じ）
+ * {
+ *   "version": 1,
+ *   "engines": {
+ *     "google": { "result": ["div.g, div[data-ved]", "#rso > div"], "snippet": [".VwiC3b"] }
+ *   }
+ * }
+ *
+ * 各項目はセレクターの配列で、先頭から順に試して最初に一致したものを使う（フォールバック）
+ * 上書き設定に含まれない項目は既定の設定（SelectorConfig.defaults）を使う
+ */
+class SelectorConfig {
+    constructor(overrides = null) {
+        this.overrides = {};
+        if (overrides) {
+            this.setOverrides(overrides);
+        }
+    }
+
+    /**
+     * 上書き設定を適用
+     * 不正な設定の場合はエラー（validationErrorsに一覧）となり、現在の設定は変更しない
+     */
+    setOverrides(config) {
+        this.overrides = SelectorConfig.normalize(config).engines;
+    }
+
+    /**
+     * 上書き設定を取得（設定ファイルの形式）
+     */
+    getOverrides() {
+        return SelectorConfig.createConfig(this.overrides);
+    }
+
+    /**
+     * 上書き設定を削除して既定の設定に戻す
+     */
+    reset() {
+        this.overrides = {};
+    }
+
+    /**
+     * エンジンのセレクター設定を取得（既定の設定に上書き設定を重ねたもの）
+     * 既定の設定がないエンジンはnullを返す
+     */
+    get(engine) {
+        const defaults = SelectorConfig.defaults[engine];
+        if (!defaults) {
+            return null;
+        }
+
+        const selectors = {};
+        Object.keys(defaults).forEach(field => {
+            const override = this.overrides[engine] && this.overrides[engine][field];
+            selectors[field] = (override || defaults[field]).slice();
+        });
+        return selectors;
+    }
+
+    /**
+     * すべてのエンジンのセレクター設定を取得（設定ファイルの形式）
+     */
+    getAll() {
+        const engines = {};
+        Object.keys(SelectorConfig.defaults).forEach(engine => {
+            engines[engine] = this.get(engine);
+        });
+        return SelectorConfig.createConfig(engines);
+    }
+
+    /**
+     * 設定ファイルの形式のオブジェクトを作成
+     */
+    static createConfig(engines) {
+        return {
+            version: SelectorConfig.formatVersion,
+            engines: JSON.parse(JSON.stringify(engines))
+        };
+    }
+
+    /**
+     * 既定のセレクター設定を取得
+     */
+    static getDefaults(engine) {
+        return new SelectorConfig().get(engine);
+    }
+
+    /**
+     * 設定の検証
+     * 問題がある場合はその一覧を返す
+     */
+    static validate(config) {
+        if (!config || typeof config !== 'object' || Array.isArray(config)) {
+            return ['セレクター設定はオブジェクトである必要があります'];
+        }
+
+        if (config.version !== SelectorConfig.formatVersion) {
+            return [`versionには${SelectorConfig.formatVersion}を指定してください`];
+        }
+
+        if (!config.engines || typeof config.engines !== 'object' || Array.isArray(config.engines)) {
+            return ['enginesはエンジン名ごとの設定のオブジェクトである必要があります'];
+        }
+
+        const errors = [];
+        Object.entries(config.engines).forEach(([engine, fields]) => {
+            const defaults = SelectorConfig.defaults[engine];
+            if (!defaults) {
+                errors.push(`${engine}: セレクター設定に対応していないエンジンです`);
+                return;
+            }
+
+            if (!fields || typeof fields !== 'object' || Array.isArray(fields)) {
+                errors.push(`${engine}: 項目ごとのセレクターのオブジェクトである必要があります`);
+                return;
+            }
+
+            Object.entries(fields).forEach(([field, selectors]) => {
+                if (!(field in defaults)) {
+                    errors.push(`${engine}.${field}: 不明な項目です（${Object.keys(defaults).join(' / ')}）`);
+                    return;
+                }
+
+                if (!Array.isArray(selectors) || selectors.some(selector => typeof selector !== 'string' || selector.trim() === '')) {
+                    errors.push(`${engine}.${field}: 空でないセレクターの配列である必要があります`);
+                    return;
+                }
+
+                if (selectors.length === 0 && SelectorConfig.requiredFields.includes(field)) {
+                    errors.push(`${engine}.${field}: セレクターを1つ以上指定してください`);
+                    return;
+                }
+
+                selectors.forEach(selector => {
+                    if (!SelectorConfig.isValidSelector(selector)) {
+                        errors.push(`${engine}.${field}: CSSセレクターの構文が正しくありません: ${selector}`);
+                    }
+                });
+            });
+        });
+
+        return errors;
+    }
+
+    /**
+     * 設定を検証して正規化（セレクターの前後の空白を除去）
+     * 不正な設定の場合はエラーとなる
+     */
+    static normalize(config) {
+        const errors = SelectorConfig.validate(config);
+        if (errors.length > 0) {
+            const error = new Error(`セレクター設定が正しくありません: ${errors.join(' / ')}`);
+            error.validationErrors = errors;
+            throw error;
+        }
+
+        const engines = {};
+        Object.entries(config.engines).forEach(([engine, fields]) => {
+            engines[engine] = {};
+            Object.entries(fields).forEach(([field, selectors]) => {
+                engines[engine][field] = selectors.map(selector => selector.trim());
+            });
+        });
+
+        return SelectorConfig.createConfig(engines);
+    }
+
+    /**
+     * JSON文字列の設定を読み込み
+     */
+    static parse(text) {
+        let config;
+        try {
+            config = JSON.parse(text);
+        } catch (error) {
+            throw new Error(`セレクター設定のJSONを読み込めません: ${error.message}`);
+        }
+        return SelectorConfig.normalize(config);
+    }
+
+    /**
+     * CSSセレクターの構文チェック
+     */
+    static isValidSelector(selector) {
+        try {
+            SelectorConfig.getScratchDocument().querySelector(selector);
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * 構文チェック用の空のドキュメントを取得
+     */
+    static getScratchDocument() {
+        if (!SelectorConfig.scratchDocument) {
+            SelectorConfig.scratchDocument = new DOMParser().parseFromString('<html><body></body></html>', 'text/html');
+        }
+        return SelectorConfig.scratchDocument;
+    }
+
+    /**
+     * セレクターを順に試し、最初に一致したセレクターの要素をすべて返す
+     */
+    static selectAll(root, selectors = []) {
+        for (const selector of selectors) {
+            const elements = root.querySelectorAll(selector);
+            if (elements.length > 0) {
+                return Array.from(elements);
+            }
+        }
+        return [];
+    }
+
+    /**
+     * セレクターを順に試し、最初に一致した要素を返す
+     */
+    static select(root, selectors = []) {
+        for (const selector of selectors) {
+            const element = root.querySelector(selector);
+            if (element) {
+                return element;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * 最初に一致したセレクターとその位置を返す（設定のテスト表示用）
+     */
+    static findMatchingSelector(root, selectors = []) {
+        for (let index = 0; index < selectors.length; index++) {
+            const count = root.querySelectorAll(selectors[index]).length;
+            if (count > 0) {
+                return { selector: selectors[index], index: index, count: count };
+            }
+        }
+        return null;
+    }
+}
+
+SelectorConfig.formatVersion = 1;
+SelectorConfig.scratchDocument = null; // 構文チェック用のドキュメント（初回使用時に作成）
+
+// 空にできない項目（結果の要素とタイトル）
+SelectorConfig.requiredFields = ['result', 'title'];
+
+/**
+ * 既定のセレクター設定
+ * result: 結果1件分の要素、title: タイトル（リンクを兼ねる）、link: タイトルと別のリンク、
+ * snippet: 説明文、displayUrl: 表示用URL（空の場合はリンクから作成）、noResults: 「結果なし」の表示
+ * NaverのnewsResult・blogResultは、結果の要素がニュース・ブログのセクションに属するかの判定に使う
+ */
+SelectorConfig.defaults = {
+    google: {
+        result: ['div.g, div[data-ved]'],
+        title: ['h3'],
+        link: ['a[href]'],
+        snippet: ['.VwiC3b, .s3v9rd, .st'],
+        noResults: ['#topstuff .card-section, .mnr-c']
+    },
+    bing: {
+        result: ['.b_algo, .b_ans'],
+        title: ['h2 a, h3 a'],
+        snippet: ['.b_caption p, .b_snippet'],
+        noResults: ['.b_no']
+    },
+    yahoo: {
+        result: ['.Algo, .algo'],
+        title: ['h3 a, .Algo-title a'],
+        snippet: ['.Algo-summary, .compText'],
+        displayUrl: ['.Algo-url, .url'],
+        noResults: ['.NoResult, .Zero']
+    },
+    duckduckgo: {
+        result: ['[data-result], .result'],
+        title: ['h2 a, .result__title a'],
+        snippet: ['.result__snippet, .snippet'],
+        displayUrl: ['.result__url, .url'],
+        noResults: ['.no-results']
+    },
+    youtube: {
+        result: ['div[class*="ytd-video-renderer"], div[class*="video-renderer"]'],
+        title: ['a[id="video-title"], h3 a'],
+        channel: ['a[class*="channel"], .ytd-channel-name a'],
+        thumbnail: ['img[class*="thumbnail"]'],
+        duration: ['.ytd-thumbnail-overlay-time-status-renderer'],
+        views: ['.ytd-video-meta-block span'],
+        noResults: ['ytd-background-promo-renderer, .promo-title']
+    },
+    baidu: {
+        result: ['.result, .c-container'],
+        title: ['h3 a, .t a'],
+        snippet: ['.c-abstract, .c-span9'],
+        displayUrl: ['.c-showurl, .g'],
+        noResults: ['.nors']
+    },
+    naver: {
+        // 統合検索のウェブサイト・ブログ・ニュースのセクションの結果
+        result: ['.total_wrap, .view_wrap, .news_wrap'],
+        title: ['.link_tit, .title_link, .news_tit'],
+        snippet: ['.total_dsc, .dsc_link, .news_dsc'],
+        newsResult: ['.sp_nnews, .news_wrap'],
+        blogResult: ['.sp_nreview, .sp_blog, .view_wrap'],
+        noResults: ['.not_found02, .api_noresult_wrap']
+    }
+};
@@ -0,0 +1,238 @@
+/**
+ * 設定マネージャークラス
+ * アプリの設定をローカルストレージに保存し、変更を change イベント { settings, changed } で通知する
+ */
+class SettingsManager extends EventEmitter {
+    constructor(options = {}) {
+        super();
+        this.storageKey = options.storageKey || 'multi-search-settings';
+        this.defaults = {
+            proxyUrl: '', // CORSプロキシのURL（空の場合は自動検出または直接取得）
+            demoMode: false, // trueの場合は検索せずにサンプル結果を表示する
+            fixtureMode: 'off', // HTTPの記録・再生（'off' | 'record' | 'replay'）
+            selectorOverrides: null, // HTMLの解析に使うセレクターの上書き設定（SelectorConfigの形式、nullの場合は既定の設定）
+            customEngines: [], // 設定から作成するカスタムエンジンの定義（OpenSearch記述ドキュメントから作成したものなど）
+            wikipedia: { apiUrl: '' }, // Wikipedia検索の設定（apiUrlが空の場合は検索言語のWikipedia）
+            requestScheduler: { ...RequestScheduler.defaultSettings }, // レート制限と同時リクエスト数の上限（RequestSchedulerの形式）
+            cacheQuota: IndexedDbCacheStore.defaultQuota // 検索結果の永続キャッシュの保存量の上限（バイト、0の場合は保存しない）
+        };
+        this.settings = { ...this.defaults, ...this.loadSettings() };
+    }
+
+    /**
+     * 保存された設定を読み込み
+     * 不正な値は既定値に戻す
+     */
+    loadSettings() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.storageKey) || '{}');
+            const settings = {};
+
+            Object.keys(this.defaults).forEach(key => {
+                if (saved[key] === undefined) return;
+                try {
+                    settings[key] = this.normalize(key, saved[key]);
+                } catch (error) {
+                    console.warn(`保存された設定が不正なため既定値を使用します (${key}):`, error.message);
+                }
+            });
+
+            return settings;
+        } catch (error) {
+            console.error('設定の読み込みに失敗しました:', error);
+            return {};
+        }
+    }
+
+    /**
+     * 設定をローカルストレージに保存
+     */
+    saveSettings() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(this.settings));
+        } catch (error) {
+            console.error('設定の保存に失敗しました:', error);
+        }
+    }
+
+    /**
+     * 設定値を取得
+     */
+    get(key) {
+        return this.settings[key];
+    }
+
+    /**
+     * すべての設定を取得
+     */
+    getAll() {
+        return { ...this.settings };
+    }
+
+    /**
+     * 設定値の検証と正規化
+     * 不正な値の場合はエラーとなる
+     */
+    normalize(key, value) {
+        if (!(key in this.defaults)) {
+            throw new Error(`不明な設定です: ${key}`);
+        }
+
+        const normalizer = SettingsManager.normalizers[key];
+        return normalizer ? normalizer(value) : value;
+    }
+
+    /**
+     * 設定を更新
+     * 変更された設定（{ 設定名: 値 }）を返す
+     */
+    update(changes) {
+        const normalized = {};
+        Object.entries(changes).forEach(([key, value]) => {
+            normalized[key] = this.normalize(key, value);
+        });
+
+        // オブジェクト・配列の設定は内容で比較する
+        const changed = {};
+        Object.entries(normalized).forEach(([key, value]) => {
+            if (JSON.stringify(this.settings[key]) !== JSON.stringify(value)) {
+                changed[key] = value;
+            }
+        });
+
+        if (Object.keys(changed).length === 0) {
+            return changed;
+        }
+
+        this.settings = { ...this.settings, ...changed };
+        this.saveSettings();
+        console.log('設定が変更されました:', Object.keys(changed).join(', '));
+        this.emit('change', { settings: this.getAll(), changed: changed });
+        return changed;
+    }
+
+    /**
+     * 設定を既定値に戻す
+     */
+    reset() {
+        return this.update(this.defaults);
+    }
+}
+
+/**
+ * 設定ごとの検証・正規化処理
+ */
+SettingsManager.normalizers = {
+    /**
+     * プロキシURL（http/https、クエリ・フラグメントなし、末尾のスラッシュは除去）
+     */
+    proxyUrl(value) {
+        const text = String(value || '').trim();
+        if (text === '') return '';
+
+        let url;
+        try {
+            url = new URL(text);
+        } catch (error) {
+            throw new Error(`プロキシURLが不正です: ${text}`);
+        }
+
+        if (!['http:', 'https:'].includes(url.protocol)) {
+            throw new Error('プロキシURLは http:// または https:// で始まるURLを指定してください');
+        }
+
+        if (url.search || url.hash) {
+            throw new Error('プロキシURLにはクエリやフラグメントを含めないでください');
+        }
+
+        return url.href.replace(/\/+$/, '');
+    },
+
+    /**
+     * デモモード（真偽値）
+     */
+    demoMode(value) {
+        if (typeof value !== 'boolean') {
+            throw new Error('デモモードには true または false を指定してください');
+        }
+        return value;
+    },
+
+    /**
+     * フィクスチャの記録・再生モード
+     */
+    fixtureMode(value) {
+        if (!FixtureRecorder.modes.includes(value)) {
+            throw new Error(`記録・再生モードには ${FixtureRecorder.modes.join(' / ')} のいずれかを指定してください`);
+        }
+        return value;
+    },
+
+    /**
+     * セレクターの上書き設定（SelectorConfigの形式で検証する）
+     */
+    selectorOverrides(value) {
+        if (value === null || value === undefined) {
+            return null;
+        }
+        return SelectorConfig.normalize(value);
+    },
+
+    /**
+     * カスタムエンジンの定義の一覧（種類ごとに検証し、エンジン名の重複は許可しない）
+     */
+    customEngines(value) {
+        if (!Array.isArray(value)) {
+            throw new Error('カスタムエンジンには定義の配列を指定してください');
+        }
+
+        const names = new Set();
+        return value.map(definition => {
+            const normalized = AdapterRegistry.normalizeCustomDefinition(definition);
+            if (names.has(normalized.name)) {
+                throw new Error(`カスタムエンジンの名前が重複しています: ${normalized.name}`);
+            }
+            names.add(normalized.name);
+            return normalized;
+        });
+    },
+
+    /**
+     * リクエストの制御の設定（RequestSchedulerの形式で検証する）
+     */
+    requestScheduler(value) {
+        return RequestScheduler.normalizeSettings(value);
+    },
+
+    /**
+     * 永続キャッシュの保存量の上限（0以上の整数のバイト数）
+     */
+    cacheQuota(value) {
+        return IndexedDbCacheStore.normalizeQuota(value);
+    },
+
+    /**
+     * Wikipedia検索の設定（apiUrlはMediaWikiのapi.phpのURL、クエリ・フラグメントなし）
+     */
+    wikipedia(value) {
+        if (!value || typeof value !== 'object' || Array.isArray(value)) {
+            throw new Error('Wikipedia検索の設定にはオブジェクトを指定してください');
+        }
+
+        const text = String(value.apiUrl || '').trim();
+        if (text === '') return { apiUrl: '' };
+
+        let url;
+        try {
+            url = new URL(text);
+        } catch (error) {
+            throw new Error(`Wikipedia APIのURLが不正です: ${text}`);
+        }
+
+        if (!['http:', 'https:'].includes(url.protocol) || url.search || url.hash || !url.pathname.endsWith('/api.php')) {
+            throw new Error('Wikipedia APIのURLにはクエリやフラグメントを含まない api.php のURL（例: https://wiki.example.com/w/api.php）を指定してください');
+        }
+
+        return { apiUrl: url.href };
+    }
+};
@@ -4,15 +4,31 @@
  */
 class UIManager {
     constructor() {
-        this.engines = ['google', 'bing', 'yahoo', 'duckduckgo', 'youtube', 'baidu'];
-        this.engineNames = {
-            google: 'Google',
-            bing: 'Bing',
-            yahoo: 'Yahoo Japan',
-            duckduckgo: 'DuckDuckGo',
-            youtube: 'YouTube',
-            baidu: 'Baidu'
-        };
+        this.currentSearchId = null;
+        this.currentQuery = '';
+        this.currentLanguage = 'ja';
+        this.currentEngineResults = {};
+        this.pagination = {}; // エンジンごとのページ状態
+        this.loadMoreController = new AbortController(); // 現在の検索の追加読み込みを中断する
+        this.summaryEngine = null; // 要約カードを表示しているエンジン
+        this.viewMode = 'engines';
+        this.fusionMethod = 'rrf';
+        this.searchManager = null;
+        this.unsubscribers = [];
+    }
+
+    /**
+     * 表示対象のエンジン一覧（アダプターレジストリの登録順）
+     */
+    get engines() {
+        return this.searchManager ? this.searchManager.registry.getNames() : [];
+    }
+
+    /**
+     * エンジンの表示名を取得
+     */
+    getEngineDisplayName(engine) {
+        return this.searchManager ? this.searchManager.registry.getDisplayName(engine) : engine;
     }
 
     /**
@@ -24,6 +40,72 @@ class UIManager {
         console.log('UIManager が初期化されました');
     }
 
+    /**
+     * SearchManagerの検索イベントを購読
+     * 結果・エラーは検索イベント経由でのみ表示する
+     */
+    bindSearchManager(searchManager) {
+        this.unbindSearchManager();
+        this.searchManager = searchManager;
+        this.renderResultsContainer();
+        this.renderHistory();
+        this.renderStats();
+
+        this.unsubscribers = [
+            searchManager.on('adapter:registered', () => this.renderResultsContainer()),
+            searchManager.on('adapter:unregistered', () => this.renderResultsContainer()),
+            searchManager.on('search:start', ({ searchId, query, language, engines }) => {
+                this.setCurrentSearch(searchId);
+                this.currentQuery = query;
+                this.currentLanguage = language;
+                this.currentEngineResults = {};
+                this.pagination = {};
+                this.renderSummaryCard(null);
+                this.updateEngineHeaders(query, language);
+                this.engines
+                    .filter(engine => !engines.includes(engine))
+                    .forEach(engine => this.showSkipped(engine));
+                this.renderMergedResults();
+            }),
+            searchManager.on('engine:result', ({ searchId, engine, result }) => {
+                this.displayResults(engine, result, searchId);
+                if (this.isCurrentSearch(searchId)) {
+                    if (result.summary && !this.summaryEngine) {
+                        this.renderSummaryCard(engine, result);
+                    }
+                    this.currentEngineResults[engine] = result;
+                    this.renderMergedResults();
+                }
+            }),
+            searchManager.on('engine:error', ({ searchId, engine, error }) => {
+                this.displayError(engine, error.userMessage, searchId, error.subtype);
+            }),
+            searchManager.on('engine:retry', ({ searchId, engine }) => {
+                this.showRetrying(engine, searchId);
+            }),
+            searchManager.on('engine:circuit', ({ engine, state, retryAt }) => {
+                this.updateCircuitBadge(engine, state, retryAt);
+            }),
+            searchManager.on('engine:queue', ({ engine, position }) => {
+                this.showQueuePosition(engine, position);
+            }),
+            searchManager.on('history:change', () => this.renderHistory()),
+            searchManager.on('search:complete', () => {
+                this.renderStats();
+                this.renderFixtureCount();
+            })
+        ];
+    }
+
+    /**
+     * SearchManagerの検索イベントの購読を解除
+     */
+    unbindSearchManager() {
+        this.unsubscribers.forEach(unsubscribe => unsubscribe());
+        this.unsubscribers = [];
+        this.searchManager = null;
+    }
+
     /**
      * 言語選択ドロップダウンのレンダリング
      */
@@ -71,21 +153,177 @@ class UIManager {
 
     /**
      * 結果コンテナのレンダリング
+     * 登録済みアダプターごとにカラムを作成し、登録解除されたエンジンのカラムを削除する
      */
     renderResultsContainer() {
         const resultsSection = document.getElementById('resultsSection');
         if (!resultsSection) return;
 
-        // 各検索エンジンの結果コンテナが正しく設定されているか確認
-        this.engines.forEach(engine => {
-            const container = document.getElementById(`${engine}Results`);
-            if (container) {
-                const header = container.querySelector('h3');
-                if (header) {
-                    header.textContent = this.engineNames[engine];
-                }
+        const engines = this.engines;
+
+        Array.from(resultsSection.querySelectorAll('.search-engine-results')).forEach(container => {
+            if (!engines.includes(container.dataset.engine)) {
+                container.remove();
             }
         });
+
+        engines.forEach(engine => {
+            let container = document.getElementById(`${engine}Results`);
+            if (!container) {
+                container = this.createEngineColumn(engine);
+            }
+
+            // 登録順に並べる
+            resultsSection.appendChild(container);
+        });
+    }
+
+    /**
+     * 検索エンジンの結果カラムを作成
+     */
+    createEngineColumn(engine) {
+        const engineName = this.getEngineDisplayName(engine);
+        const container = document.createElement('div');
+        container.className = 'search-engine-results';
+        container.id = `${engine}Results`;
+        container.dataset.engine = engine;
+        container.setAttribute('role', 'region');
+        container.setAttribute('aria-label', `${engineName}の検索結果`);
+
+        const header = document.createElement('h3');
+        header.textContent = engineName;
+
+        const loadingElement = document.createElement('div');
+        loadingElement.className = 'loading';
+        loadingElement.style.display = 'none';
+        loadingElement.textContent = '検索中...';
+
+        const errorElement = document.createElement('div');
+        errorElement.className = 'error';
+        errorElement.style.display = 'none';
+
+        const resultsElement = document.createElement('div');
+        resultsElement.className = 'results';
+
+        container.append(header, loadingElement, errorElement, resultsElement);
+        this.ensureLoadMoreControl(container, engine);
+
+        return container;
+    }
+
+    /**
+     * 「さらに読み込む」ボタンを結果コンテナに追加
+     */
+    ensureLoadMoreControl(container, engine) {
+        if (container.querySelector('.load-more')) return;
+
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'load-more';
+        button.textContent = 'さらに読み込む';
+        button.style.display = 'none';
+        button.addEventListener('click', () => this.loadMore(engine));
+
+        container.appendChild(button);
+    }
+
+    /**
+     * 「さらに読み込む」ボタンの状態を更新
+     */
+    updateLoadMoreControl(engine) {
+        const container = document.getElementById(`${engine}Results`);
+        if (!container) return;
+
+        const button = container.querySelector('.load-more');
+        if (!button) return;
+
+        const state = this.pagination[engine];
+        if (!state || !state.hasMore) {
+            button.style.display = 'none';
+            return;
+        }
+
+        button.style.display = 'block';
+        button.disabled = !!state.loading;
+
+        if (state.loading) {
+            button.textContent = '読み込み中...';
+        } else if (state.error) {
+            button.textContent = '読み込みに失敗しました（再試行）';
+            button.title = state.error;
+        } else {
+            button.textContent = `さらに読み込む（${state.page + 1}ページ目）`;
+            button.title = '';
+        }
+    }
+
+    /**
+     * 次のページの結果を読み込んで追加表示
+     */
+    async loadMore(engine) {
+        const state = this.pagination[engine];
+        if (!state || !state.hasMore || state.loading || !this.searchManager) return;
+
+        const searchId = this.currentSearchId;
+        state.loading = true;
+        this.updateLoadMoreControl(engine);
+
+        try {
+            const result = await this.searchManager.loadMore(engine, this.currentQuery, this.currentLanguage, state.page, {
+                signal: this.loadMoreController.signal
+            });
+
+            // 読み込み中に新しい検索が始まった場合は破棄する
+            if (searchId !== this.currentSearchId) return;
+
+            state.page = result.page || state.page + 1;
+            state.hasMore = !!result.hasMore && result.results.length > 0;
+            state.error = null;
+            this.appendResults(engine, result);
+
+        } catch (error) {
+            if (searchId !== this.currentSearchId) return;
+            console.error(`${engine}の追加読み込みエラー:`, error);
+            state.error = (error.errorInfo && error.errorInfo.userMessage) || error.message;
+
+        } finally {
+            state.loading = false;
+            if (searchId === this.currentSearchId) {
+                this.updateLoadMoreControl(engine);
+            }
+        }
+    }
+
+    /**
+     * 既存の結果の末尾に結果を追加表示
+     */
+    appendResults(engine, results) {
+        const container = document.getElementById(`${engine}Results`);
+        if (!container || !results || !results.results) return;
+
+        const resultsElement = container.querySelector('.results');
+        if (!resultsElement) return;
+
+        const offset = resultsElement.querySelectorAll('.result-item').length;
+        let html = '';
+        results.results.forEach((result, index) => {
+            html += this.renderResultItem(result, offset + index, engine, results.source);
+        });
+        // 関連する検索キーワードは結果の末尾に残す
+        const relatedQueries = resultsElement.querySelector('.related-queries');
+        if (relatedQueries) {
+            relatedQueries.insertAdjacentHTML('beforebegin', html);
+        } else {
+            resultsElement.insertAdjacentHTML('beforeend', html);
+        }
+
+        // 統合表示にも追加分を反映する
+        const current = this.currentEngineResults[engine];
+        this.currentEngineResults[engine] = {
+            ...(current || results),
+            results: (current ? current.results : []).concat(results.results)
+        };
+        this.renderMergedResults();
     }
 
     /**
@@ -111,6 +349,10 @@ class UIManager {
         if (resultsElement) {
             resultsElement.innerHTML = '';
         }
+
+        delete this.pagination[engine];
+        this.updateLoadMoreControl(engine);
+        this.updateSourceBadge(engine, null);
     }
 
     /**
@@ -126,6 +368,136 @@ class UIManager {
         }
     }
 
+    /**
+     * レート制限・同時リクエスト数の上限で待機中のリクエストの順番をローディング表示に反映
+     * positionがnullの場合（実行開始）は検索中の表示に戻す。ローディングを表示していないエンジンは変更しない
+     */
+    showQueuePosition(engine, position) {
+        const container = document.getElementById(`${engine}Results`);
+        if (!container) return;
+
+        const loadingElement = container.querySelector('.loading');
+        if (!loadingElement || loadingElement.style.display === 'none') return;
+
+        loadingElement.textContent = position ? `待機中（${position}番目）...` : '検索中...';
+    }
+
+    /**
+     * 再試行中の表示
+     * エラーメッセージは残したまま、再試行中であることを示す
+     */
+    showRetrying(engine, searchId = null) {
+        if (!this.isCurrentSearch(searchId)) return;
+
+        const container = document.getElementById(`${engine}Results`);
+        if (!container) return;
+
+        const loadingElement = container.querySelector('.loading');
+        if (loadingElement) {
+            loadingElement.style.display = 'block';
+            loadingElement.textContent = '再試行中...';
+        }
+    }
+
+    /**
+     * 検索対象外のエンジンの表示
+     * 特定の言語でのみ既定で使用するエンジンは、その言語を表示する
+     */
+    showSkipped(engine) {
+        const container = document.getElementById(`${engine}Results`);
+        if (!container) return;
+
+        this.hideLoading(engine);
+        this.updateSourceBadge(engine, null);
+
+        const adapter = this.searchManager && this.searchManager.adapters[engine];
+        let message = 'この検索の対象外です';
+        if (adapter && Array.isArray(adapter.enabledLanguages) && !adapter.enabledLanguages.includes(this.currentLanguage)) {
+            const languageManager = new LanguageManager();
+            const languages = adapter.enabledLanguages.map(code => languageManager.getLanguageInfo(code).nativeName).join('・');
+            message = `${languages}の検索でのみ使用します`;
+        }
+
+        const resultsElement = container.querySelector('.results');
+        if (resultsElement) {
+            resultsElement.innerHTML = `<p class="no-results">${this.escapeHtml(message)}</p>`;
+        }
+    }
+
+    /**
+     * 結果の取得元（ライブ・サンプル・キャッシュ・リンクのみ）をエンジンのヘッダーに表示
+     * sourceがnullの場合はバッジを削除する
+     */
+    updateSourceBadge(engine, source) {
+        const container = document.getElementById(`${engine}Results`);
+        if (!container) return;
+
+        const header = container.querySelector('h3');
+        if (!header) return;
+
+        let badge = header.querySelector('.provenance-badge');
+
+        if (!source) {
+            if (badge) badge.remove();
+            return;
+        }
+
+        if (!badge) {
+            badge = document.createElement('span');
+            header.appendChild(badge);
+        }
+
+        const labels = {
+            live: 'ライブ',
+            mock: 'サンプル',
+            cache: 'キャッシュ',
+            link: 'リンクのみ'
+        };
+        const titles = {
+            live: '検索エンジンから取得した結果です',
+            mock: '実際の検索結果ではありません（デモモード、またはCORS制限により取得できなかったための代替データ）',
+            cache: '以前に取得した結果をキャッシュから表示しています',
+            link: 'このエンジンは検索結果の取得に対応していないため、検索結果ページへのリンクのみ表示しています'
+        };
+        badge.className = `provenance-badge provenance-${source}`;
+        badge.textContent = labels[source] || source;
+        badge.title = titles[source] || '';
+    }
+
+    /**
+     * サーキットブレーカーの状態をエンジンのヘッダーに表示
+     * closedの場合はバッジを削除する
+     */
+    updateCircuitBadge(engine, state, retryAt = null) {
+        const container = document.getElementById(`${engine}Results`);
+        if (!container) return;
+
+        const header = container.querySelector('h3');
+        if (!header) return;
+
+        let badge = header.querySelector('.circuit-badge');
+
+        if (state === 'closed') {
+            if (badge) badge.remove();
+            return;
+        }
+
+        if (!badge) {
+            badge = document.createElement('span');
+            header.appendChild(badge);
+        }
+
+        const labels = {
+            open: '一時停止中',
+            'half-open': '再開確認中'
+        };
+        badge.className = `circuit-badge circuit-${state}`;
+        badge.textContent = labels[state] || state;
+        badge.title = state === 'open' && retryAt ?
+            `連続してエラーが発生したため停止しています（${new Date(retryAt).toLocaleTimeString()}に再開を試みます）` :
+            '停止後の試行リクエストを実行しています';
+    }
+
     /**
      * すべての検索エンジンのローディング表示
      */
@@ -144,14 +516,42 @@ class UIManager {
         });
     }
 
+    /**
+     * 現在表示対象としている検索IDを設定
+     * 前の検索の結果の追加読み込みは中断する
+     */
+    setCurrentSearch(searchId) {
+        this.loadMoreController.abort();
+        this.loadMoreController = new AbortController();
+        this.currentSearchId = searchId;
+    }
+
+    /**
+     * 検索IDが現在の検索のものかチェック
+     * 検索IDが指定されていない場合は常に表示対象とする
+     */
+    isCurrentSearch(searchId) {
+        return !searchId || searchId === this.currentSearchId;
+    }
+
     /**
      * 検索結果の表示
      */
-    displayResults(engine, results) {
+    displayResults(engine, results, searchId = null) {
+        // 古い検索の結果で新しい検索の表示を上書きしない
+        if (!this.isCurrentSearch(searchId)) return;
+
         const container = document.getElementById(`${engine}Results`);
         if (!container) return;
 
         this.hideLoading(engine);
+        this.updateSourceBadge(engine, results && results.source);
+
+        this.pagination[engine] = {
+            page: (results && results.page) || 1,
+            hasMore: !!(results && results.hasMore)
+        };
+        this.updateLoadMoreControl(engine);
 
         const resultsElement = container.querySelector('.results');
         const errorElement = container.querySelector('.error');
@@ -162,13 +562,28 @@ class UIManager {
 
         if (!resultsElement) return;
 
+        // 未対応の検索演算子の注意表示（絞り込みで結果が0件になった場合も表示する）
+        const noticesHtml = this.renderQueryNotices(results);
+
+        // 結果の取得に対応していないエンジンは検索結果ページへのリンクを表示
+        if (results && results.source === 'link') {
+            const directUrl = results.directUrl || this.generateSearchEngineLink(engine, results.query, results.language);
+            resultsElement.innerHTML = `<p class="no-results link-only">このエンジンは検索結果の取得に対応していません。` +
+                `<a href="${this.escapeHtml(directUrl)}" target="_blank" rel="noopener noreferrer">${this.escapeHtml(this.getEngineDisplayName(engine))}で検索</a></p>`;
+            return;
+        }
+
+        // 即答と関連する検索キーワード（SearXNGなど、返すエンジンのみ）は結果が0件の場合も表示する
+        const instantAnswersHtml = this.renderInstantAnswers(results);
+        const relatedQueriesHtml = this.renderRelatedQueries(results);
+
         if (!results || !results.results || results.results.length === 0) {
-            resultsElement.innerHTML = '<p class="no-results">検索結果が見つかりませんでした</p>';
+            resultsElement.innerHTML = noticesHtml + instantAnswersHtml + '<p class="no-results">検索結果が見つかりませんでした</p>' + relatedQueriesHtml;
             return;
         }
 
         // 結果の表示
-        let html = '';
+        let html = noticesHtml + instantAnswersHtml;
         
         // メタ情報の表示
         if (results.totalResults || results.responseTime) {
@@ -184,30 +599,233 @@ class UIManager {
 
         // 各結果項目の表示
         results.results.forEach((result, index) => {
-            html += this.renderResultItem(result, index, engine);
+            html += this.renderResultItem(result, index, engine, results.source);
+        });
+
+        resultsElement.innerHTML = html + relatedQueriesHtml;
+    }
+
+    /**
+     * 即答（response.instantAnswers）のHTMLを生成
+     * インフォボックスの項目は「項目名: 値」の形式で表示する
+     */
+    renderInstantAnswers(results) {
+        if (!results || !results.instantAnswers || results.instantAnswers.length === 0) {
+            return '';
+        }
+
+        const items = results.instantAnswers.map(answer => {
+            const label = answer.label ? `<span class="instant-answer-label">${this.escapeHtml(answer.label)}</span>` : '';
+            const content = answer.url ?
+                `<a href="${this.escapeHtml(answer.url)}" target="_blank" rel="noopener noreferrer">${this.escapeHtml(answer.content)}</a>` :
+                this.escapeHtml(answer.content);
+            const source = answer.source ? `<span class="instant-answer-source">${this.escapeHtml(answer.source)}</span>` : '';
+            return `<li class="instant-answer instant-answer-${this.escapeHtml(answer.type || 'answer')}">${label}${content}${source}</li>`;
+        }).join('');
+
+        return `<ul class="instant-answers" aria-label="即答">${items}</ul>`;
+    }
+
+    /**
+     * 関連する検索キーワード（response.relatedQueries）のHTMLを生成
+     * ボタンをクリックするとそのキーワードで検索する（app.jsで処理）
+     */
+    renderRelatedQueries(results) {
+        if (!results || !results.relatedQueries || results.relatedQueries.length === 0) {
+            return '';
+        }
+
+        const buttons = results.relatedQueries
+            .map(query => `<button type="button" data-action="related-query" data-query="${this.escapeHtml(query)}">${this.escapeHtml(query)}</button>`)
+            .join('');
+
+        return `<div class="related-queries"><span class="related-queries-label">関連する検索:</span>${buttons}</div>`;
+    }
+
+    /**
+     * 検索演算子に関する注意事項のHTMLを生成
+     */
+    renderQueryNotices(results) {
+        if (!results || !results.queryNotices || results.queryNotices.length === 0) {
+            return '';
+        }
+
+        const items = results.queryNotices
+            .map(notice => `<li class="query-notice-${notice.handling}">${this.escapeHtml(notice.message)}</li>`)
+            .join('');
+
+        return `<ul class="query-notices" title="このエンジンは一部の検索演算子に対応していません">${items}</ul>`;
+    }
+
+    /**
+     * 表示モードの切り替え
+     * 'engines': エンジン別カラム表示、'merged': 統合ランキング表示
+     */
+    setViewMode(mode) {
+        this.viewMode = mode === 'merged' ? 'merged' : 'engines';
+
+        const mergedSection = document.getElementById('mergedResults');
+        const resultsSection = document.getElementById('resultsSection');
+
+        if (mergedSection) {
+            mergedSection.style.display = this.viewMode === 'merged' ? 'block' : 'none';
+        }
+
+        if (resultsSection) {
+            resultsSection.style.display = this.viewMode === 'merged' ? 'none' : '';
+        }
+
+        this.renderMergedResults();
+    }
+
+    /**
+     * 統合方式の切り替え
+     */
+    setFusionMethod(method) {
+        this.fusionMethod = method;
+        this.renderMergedResults();
+    }
+
+    /**
+     * 統合結果の表示
+     * 各エンジンの結果が届くたびに現在の結果から再計算する
+     */
+    renderMergedResults() {
+        if (this.viewMode !== 'merged' || !this.searchManager) return;
+
+        const mergedSection = document.getElementById('mergedResults');
+        if (!mergedSection) return;
+
+        const resultsElement = mergedSection.querySelector('.results');
+        if (!resultsElement) return;
+
+        const engineCount = Object.keys(this.currentEngineResults).length;
+        if (engineCount === 0) {
+            resultsElement.innerHTML = '';
+            return;
+        }
+
+        let mergedResults;
+        try {
+            mergedResults = this.searchManager.mergeResults(this.currentEngineResults, { method: this.fusionMethod });
+        } catch (error) {
+            console.error('結果統合エラー:', error);
+            resultsElement.innerHTML = `<p class="no-results">${this.escapeHtml(error.message)}</p>`;
+            return;
+        }
+
+        if (mergedResults.length === 0) {
+            resultsElement.innerHTML = '<p class="no-results">検索結果が見つかりませんでした</p>';
+            return;
+        }
+
+        let html = `<div class="result-meta">${engineCount}エンジンから ${mergedResults.length} 件</div>`;
+        mergedResults.forEach(item => {
+            html += this.renderMergedItem(item);
         });
 
         resultsElement.innerHTML = html;
     }
 
+    /**
+     * 要約カードの表示
+     * 検索ごとに最初に要約（response.summary）を返したエンジンの要約を表示する。engineがnullの場合は非表示にする
+     */
+    renderSummaryCard(engine, response = null) {
+        const card = document.getElementById('summaryCard');
+        this.summaryEngine = engine;
+        if (!card) return;
+
+        if (!engine || !response || !response.summary) {
+            card.hidden = true;
+            card.innerHTML = '';
+            return;
+        }
+
+        const { title, extract, url, thumbnail, source } = response.summary;
+        const engineName = this.escapeHtml(this.getEngineDisplayName(engine));
+
+        let html = '';
+        if (thumbnail) {
+            html += `<img class="summary-thumbnail" src="${this.escapeHtml(thumbnail)}" alt="" loading="lazy">`;
+        }
+        html += '<div class="summary-body">';
+        html += `<h3 class="summary-title"><a href="${this.escapeHtml(url)}" target="_blank" rel="noopener noreferrer">${this.escapeHtml(title)}</a></h3>`;
+        html += `<p class="summary-extract">${this.escapeHtml(extract)}</p>`;
+        html += `<div class="summary-source">${this.escapeHtml(source || '')}（${engineName}）`;
+        if (response.source === 'mock') {
+            html += ' <span class="source-badge source-mock">サンプル</span>';
+        }
+        html += '</div>';
+        html += '</div>';
+
+        card.innerHTML = html;
+        card.hidden = false;
+    }
+
+    /**
+     * 統合結果の項目をレンダリング
+     * どのエンジンの何位に表示されたかを併せて表示する
+     */
+    renderMergedItem(item) {
+        const title = this.escapeHtml(item.title || item.displayUrl);
+        const url = this.escapeHtml(item.url);
+        const snippet = this.escapeHtml(item.snippet);
+        const displayUrl = this.escapeHtml(item.displayUrl);
+
+        let html = '<div class="result-item merged-item">';
+
+        html += '<div class="result-title">';
+        html += `<span class="merged-rank">${item.rank}.</span> `;
+        html += `<a href="${url}" target="_blank" rel="noopener noreferrer">${title}</a>`;
+        html += '</div>';
+
+        html += `<div class="result-url">${displayUrl}</div>`;
+
+        if (snippet) {
+            html += `<div class="result-snippet">${snippet}</div>`;
+        }
+
+        html += '<div class="result-sources">';
+        item.sources.forEach(source => {
+            const engineName = this.escapeHtml(this.getEngineDisplayName(source.engine));
+            const engineResult = this.currentEngineResults[source.engine];
+            // サンプル結果のエンジンは順位にその旨を併記する
+            if (engineResult && engineResult.source === 'mock') {
+                html += `<span class="source-badge source-mock" title="${engineName}のサンプル結果で${source.position}位">${engineName} #${source.position}（サンプル）</span>`;
+            } else {
+                html += `<span class="source-badge" title="${engineName}で${source.position}位">${engineName} #${source.position}</span>`;
+            }
+        });
+        html += `<span class="merged-score">スコア ${item.score.toFixed(3)}</span>`;
+        html += '</div>';
+
+        html += '</div>';
+
+        return html;
+    }
+
     /**
      * 個別の結果項目をレンダリング
+     * サンプル結果（source: 'mock'）は実際の結果と区別できるように表示する
      */
-    renderResultItem(result, index, engine) {
+    renderResultItem(result, index, engine, source = null) {
         const title = this.escapeHtml(result.title || '');
-        const url = result.url || '#';
+        const url = this.escapeHtml(result.url || '#');
         const snippet = this.escapeHtml(result.snippet || '');
-        const displayUrl = this.escapeHtml(result.displayUrl || url);
+        const displayUrl = this.escapeHtml(result.displayUrl || result.url || '#');
 
-        let html = '<div class="result-item">';
+        let html = source === 'mock' ? '<div class="result-item mock-result" title="サンプル結果">' : '<div class="result-item">';
         
         // タイトル
         html += '<div class="result-title">';
         html += `<a href="${url}" target="_blank" rel="noopener noreferrer">${title}</a>`;
         html += '</div>';
         
-        // URL
-        html += `<div class="result-url">${displayUrl}</div>`;
+        // URL（Naverのブログ・ニュースのセクションの結果はセクション名を添える）
+        const sectionLabels = { blog: 'ブログ', news: 'ニュース' };
+        const sectionLabel = sectionLabels[result.section] ? `<span class="result-section">${sectionLabels[result.section]}</span>` : '';
+        html += `<div class="result-url">${sectionLabel}${displayUrl}${this.renderResultDate(result.publishedDate)}</div>`;
         
         // スニペット
         if (snippet) {
@@ -226,21 +844,54 @@ class UIManager {
         return html;
     }
 
+    /**
+     * 結果の日付（SearXNG・JSON APIなど、publishedDateを返すエンジンのみ）のHTMLを生成
+     * 日付として解釈できない値は表示しない
+     */
+    renderResultDate(value) {
+        if (!value) return '';
+
+        const time = Date.parse(value);
+        if (Number.isNaN(time)) return '';
+
+        const date = new Date(time);
+        const text = `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+        return ` <time class="result-date" datetime="${this.escapeHtml(date.toISOString())}">${text}</time>`;
+    }
+
     /**
      * エラーメッセージの表示
+     * subtype が selector_drift の場合は、解析処理が古くなっている可能性がある旨の警告として表示する
      */
-    displayError(engine, errorMessage) {
+    displayError(engine, errorMessage, searchId = null, subtype = null) {
+        if (!this.isCurrentSearch(searchId)) return;
+
         const container = document.getElementById(`${engine}Results`);
         if (!container) return;
 
         this.hideLoading(engine);
+        this.updateSourceBadge(engine, null);
 
         const errorElement = container.querySelector('.error');
         const resultsElement = container.querySelector('.results');
 
         if (errorElement) {
+            const isSelectorDrift = subtype === 'selector_drift';
             errorElement.style.display = 'block';
-            errorElement.textContent = errorMessage || `${this.engineNames[engine]} で検索エラーが発生しました`;
+            errorElement.classList.toggle('selector-drift', isSelectorDrift);
+            errorElement.textContent = '';
+
+            if (isSelectorDrift) {
+                const heading = document.createElement('strong');
+                heading.className = 'selector-drift-title';
+                heading.textContent = '⚠ パーサーが古い可能性があります';
+                errorElement.appendChild(heading);
+            }
+
+            errorElement.appendChild(document.createTextNode(
+                errorMessage || `${this.getEngineDisplayName(engine)} で検索エラーが発生しました`
+            ));
+            errorElement.title = isSelectorDrift ? '一致しなかったページの構造はコンソールのログで確認できます' : '';
         }
 
         if (resultsElement) {
@@ -252,7 +903,14 @@ class UIManager {
      * すべての結果をクリア
      */
     clearResults() {
+        this.currentEngineResults = {};
+        this.pagination = {};
+        this.renderSummaryCard(null);
+        this.renderMergedResults();
+
         this.engines.forEach(engine => {
+            this.updateLoadMoreControl(engine);
+
             const container = document.getElementById(`${engine}Results`);
             if (!container) return;
 
@@ -280,7 +938,330 @@ class UIManager {
                     existingLink.remove();
                 }
             }
+
+            this.updateSourceBadge(engine, null);
+        });
+    }
+
+    /**
+     * 検索履歴パネルのレンダリング
+     * 絞り込み条件は履歴パネルの入力欄から読み取る
+     */
+    renderHistory() {
+        const historyList = document.getElementById('historyList');
+        if (!historyList || !this.searchManager) return;
+
+        const filterInput = document.getElementById('historyFilter');
+        const languageSelect = document.getElementById('historyLanguage');
+        const periodSelect = document.getElementById('historyPeriod');
+        const historyCount = document.getElementById('historyCount');
+
+        const facets = this.searchManager.getHistoryFacets();
+        this.renderHistoryFacets(languageSelect, periodSelect, facets);
+
+        const entries = this.searchManager.getSearchHistory({
+            text: filterInput ? filterInput.value : '',
+            language: languageSelect ? languageSelect.value : '',
+            period: periodSelect ? periodSelect.value : ''
+        });
+
+        if (historyCount) {
+            historyCount.textContent = String(this.searchManager.getSearchHistory().length);
+        }
+
+        if (entries.length === 0) {
+            historyList.innerHTML = '<li class="history-empty">検索履歴はありません</li>';
+            return;
+        }
+
+        historyList.innerHTML = entries.map(entry => this.renderHistoryItem(entry)).join('');
+    }
+
+    /**
+     * 検索履歴の絞り込み候補（言語・期間ごとの件数）を更新
+     */
+    renderHistoryFacets(languageSelect, periodSelect, facets) {
+        if (languageSelect) {
+            const selected = languageSelect.value;
+            const languageManager = new LanguageManager();
+            let html = '<option value="">すべての言語</option>';
+
+            Object.entries(facets.languages).forEach(([code, count]) => {
+                const name = languageManager.getLanguageDisplayName(code);
+                html += `<option value="${this.escapeHtml(code)}">${this.escapeHtml(name)} (${count})</option>`;
+            });
+
+            languageSelect.innerHTML = html;
+            // 選択中の言語の履歴がなくなった場合は「すべての言語」に戻す
+            languageSelect.value = facets.languages[selected] ? selected : '';
+        }
+
+        if (periodSelect) {
+            Array.from(periodSelect.querySelectorAll('option')).forEach(option => {
+                if (!option.dataset.label) {
+                    option.dataset.label = option.textContent;
+                }
+                const count = facets.periods[option.value];
+                option.textContent = count !== undefined ? `${option.dataset.label} (${count})` : option.dataset.label;
+            });
+        }
+    }
+
+    /**
+     * 検索履歴の項目をレンダリング
+     */
+    renderHistoryItem(entry) {
+        const languageManager = new LanguageManager();
+        const languageName = languageManager.getLanguageDisplayName(entry.language);
+        const engineNames = (entry.engines || []).map(engine => this.getEngineDisplayName(engine)).join(', ');
+        const timestamp = new Date(entry.timestamp).toLocaleString();
+        const id = this.escapeHtml(entry.id);
+
+        return `
+            <li class="history-item" data-id="${id}">
+                <div class="history-query">${this.escapeHtml(entry.query)}</div>
+                <div class="history-meta">
+                    <span>${this.escapeHtml(languageName)}</span>
+                    <span>${this.escapeHtml(timestamp)}</span>
+                    <span title="${this.escapeHtml(engineNames)}">${(entry.engines || []).length}エンジン</span>
+                </div>
+                <div class="history-actions">
+                    <button type="button" data-action="rerun" data-id="${id}">再実行</button>
+                    <button type="button" data-action="delete" data-id="${id}" aria-label="「${this.escapeHtml(entry.query)}」を履歴から削除">削除</button>
+                </div>
+            </li>
+        `;
+    }
+
+    /**
+     * エンジン統計パネルのレンダリング
+     * 成功率・エラー内訳・キャッシュヒット率・応答時間（p50/p90/p99）をエンジンごとに表示する
+     */
+    renderStats() {
+        const statsPanel = document.getElementById('statsPanel');
+        if (!statsPanel || !this.searchManager) return;
+
+        const stats = this.searchManager.getSearchStats();
+        const formatRatio = ratio => ratio === null ? '-' : `${Math.round(ratio * 100)}%`;
+        const formatTime = time => time === null ? '-' : `${time}ms`;
+
+        const rows = Object.entries(stats.engineStats).map(([engine, engineStats]) => {
+            const errors = Object.entries(engineStats.errorsByType)
+                .map(([type, count]) => `${this.escapeHtml(type)}: ${count}`)
+                .join(', ') || '-';
+            const rowClass = engine === stats.slowestEngine ? ' class="stats-slowest"' : '';
+
+            return `
+                <tr${rowClass}>
+                    <th scope="row">${this.escapeHtml(this.getEngineDisplayName(engine))}</th>
+                    <td>${formatRatio(engineStats.successRate)} (${engineStats.successCount}/${engineStats.totalAttempts})</td>
+                    <td>${errors}</td>
+                    <td>${formatRatio(engineStats.cacheHitRatio)}</td>
+                    <td>${formatTime(engineStats.latency.p50)}</td>
+                    <td>${formatTime(engineStats.latency.p90)}</td>
+                    <td>${formatTime(engineStats.latency.p99)}</td>
+                </tr>
+            `;
+        }).join('');
+
+        statsPanel.innerHTML = `
+            <table class="stats-table">
+                <thead>
+                    <tr>
+                        <th scope="col">エンジン</th>
+                        <th scope="col">成功率</th>
+                        <th scope="col">エラー内訳</th>
+                        <th scope="col">キャッシュヒット率</th>
+                        <th scope="col">p50</th>
+                        <th scope="col">p90</th>
+                        <th scope="col">p99</th>
+                    </tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>
+            <p class="stats-summary">
+                検索回数: ${stats.totalSearches}回 / 平均検索時間: ${stats.averageResponseTime}ms
+                ${stats.slowestEngine ? ` / 最も遅いエンジン（p90）: ${this.escapeHtml(this.getEngineDisplayName(stats.slowestEngine))}` : ''}
+            </p>
+        `;
+    }
+
+    /**
+     * 設定パネルのレンダリング
+     * detectedProxyUrl は同じオリジンで自動検出したプロキシのURL
+     */
+    renderSettings(settings, detectedProxyUrl = null) {
+        const proxyInput = document.getElementById('proxyUrl');
+        const proxyHint = document.getElementById('proxyHint');
+        const demoModeInput = document.getElementById('demoMode');
+        const demoModeBanner = document.getElementById('demoModeBanner');
+
+        if (demoModeInput) {
+            demoModeInput.checked = !!settings.demoMode;
+        }
+
+        if (demoModeBanner) {
+            demoModeBanner.hidden = !settings.demoMode;
+        }
+
+        const fixtureModeSelect = document.getElementById('fixtureMode');
+        if (fixtureModeSelect) {
+            fixtureModeSelect.value = settings.fixtureMode || 'off';
+        }
+        this.renderFixtureCount();
+
+        const wikipediaApiInput = document.getElementById('wikipediaApiUrl');
+        if (wikipediaApiInput) {
+            wikipediaApiInput.value = (settings.wikipedia && settings.wikipedia.apiUrl) || '';
+        }
+
+        const scheduler = settings.requestScheduler || RequestScheduler.defaultSettings;
+        [['maxConcurrentRequests', 'maxConcurrent'], ['requestRate', 'rate'], ['requestBurst', 'burst']].forEach(([id, key]) => {
+            const input = document.getElementById(id);
+            if (input) {
+                input.value = String(scheduler[key]);
+            }
         });
+
+        const cacheQuotaInput = document.getElementById('cacheQuota');
+        if (cacheQuotaInput) {
+            const cacheQuota = settings.cacheQuota !== undefined ? settings.cacheQuota : IndexedDbCacheStore.defaultQuota;
+            cacheQuotaInput.value = String(Math.round(cacheQuota / 1024 / 1024 * 10) / 10);
+        }
+
+        if (proxyInput) {
+            proxyInput.value = settings.proxyUrl || '';
+            if (detectedProxyUrl) {
+                proxyInput.placeholder = detectedProxyUrl;
+            }
+        }
+
+        if (proxyHint) {
+            if (settings.proxyUrl) {
+                proxyHint.textContent = `検索エンジンへのリクエストは ${settings.proxyUrl} を経由します`;
+            } else if (detectedProxyUrl) {
+                proxyHint.textContent = `未設定のため、自動検出したプロキシ（${detectedProxyUrl}）を使用します`;
+            } else {
+                proxyHint.textContent = 'プロキシが未設定のため、CORS制限で取得できない場合はサンプル結果を表示します（npm start でプロキシを起動できます）';
+            }
+        }
+    }
+
+    /**
+     * セレクター設定のレンダリング
+     * overrides は保存済みの上書き設定（nullの場合は既定の設定）
+     */
+    renderSelectorSettings(overrides) {
+        const configInput = document.getElementById('selectorConfigInput');
+        const engineSelect = document.getElementById('selectorTestEngine');
+
+        if (configInput) {
+            configInput.value = overrides ? JSON.stringify(overrides, null, 2) : '';
+            configInput.placeholder = JSON.stringify({ version: SelectorConfig.formatVersion, engines: { google: { result: ['div.g', '#rso > div'] } } }, null, 2);
+        }
+
+        if (engineSelect && this.searchManager) {
+            const selected = engineSelect.value;
+            const engines = Object.values(this.searchManager.adapters).filter(adapter => adapter.selectors);
+            engineSelect.innerHTML = engines
+                .map(adapter => `<option value="${this.escapeHtml(adapter.name)}">${this.escapeHtml(adapter.displayName)}</option>`)
+                .join('');
+            if (engines.some(adapter => adapter.name === selected)) {
+                engineSelect.value = selected;
+            }
+        }
+    }
+
+    /**
+     * カスタムエンジンの一覧のレンダリング
+     */
+    renderCustomEngines(definitions) {
+        const list = document.getElementById('customEngineList');
+        if (!list) return;
+
+        if (!definitions || definitions.length === 0) {
+            list.innerHTML = '<li class="custom-engine-empty">カスタムエンジンはありません</li>';
+            return;
+        }
+
+        list.innerHTML = definitions.map(definition => {
+            const adapter = this.searchManager && this.searchManager.adapters[definition.name];
+            const mode = !adapter ? '登録できませんでした' :
+                typeof adapter.describeMode === 'function' ? this.escapeHtml(adapter.describeMode()) : '';
+
+            return `
+                <li class="custom-engine-item">
+                    <strong>${this.escapeHtml(definition.displayName)}</strong>
+                    <code>${this.escapeHtml(definition.name)}</code>
+                    <span class="custom-engine-mode">${mode}</span>
+                    ${definition.description ? `<span class="custom-engine-description">${this.escapeHtml(definition.description)}</span>` : ''}
+                    <button type="button" data-action="export" data-name="${this.escapeHtml(definition.name)}">エクスポート</button>
+                    <button type="button" data-action="remove" data-name="${this.escapeHtml(definition.name)}">削除</button>
+                </li>
+            `;
+        }).join('');
+    }
+
+    /**
+     * セレクター設定のテスト結果を表示
+     */
+    renderSelectorTestResult(report, errorMessage = null) {
+        const container = document.getElementById('selectorTestResult');
+        if (!container) return;
+
+        if (!report) {
+            container.innerHTML = `<p class="selector-test-error">${this.escapeHtml(errorMessage || 'テストを実行できませんでした')}</p>`;
+            return;
+        }
+
+        const match = report.match ?
+            `結果の要素: ${report.match.index + 1}番目のセレクター <code>${this.escapeHtml(report.match.selector)}</code> に${report.match.count}件一致` :
+            `結果の要素: どのセレクターにも一致しませんでした（<code>${this.escapeHtml(report.selectors.result.join(' | '))}</code>）`;
+
+        let html = `<p class="selector-test-match">${match}</p>`;
+
+        if (report.error) {
+            html += `<p class="selector-test-error">${this.escapeHtml(report.error.selectorDrift ?
+                '結果を取り出せず、「結果なし」の表示も見つかりませんでした。ページの構造:' :
+                report.error.message)}</p>`;
+            if (report.error.structureSample) {
+                html += `<pre class="selector-test-structure">${this.escapeHtml(report.error.structureSample)}</pre>`;
+            }
+        } else if (report.results.length === 0) {
+            html += '<p>「結果なし」のページとして解析されました（0件）</p>';
+        } else {
+            const items = report.results.map(result => `
+                <li>
+                    <strong>${this.escapeHtml(result.title)}</strong>
+                    <span class="selector-test-url">${this.escapeHtml(result.url)}</span>
+                    ${result.snippet ? `<span>${this.escapeHtml(result.snippet)}</span>` : ''}
+                </li>
+            `).join('');
+            html += `<p>${report.results.length}件の結果を取り出しました</p><ol class="selector-test-results">${items}</ol>`;
+        }
+
+        container.innerHTML = html;
+    }
+
+    /**
+     * 記録済みフィクスチャの件数を表示
+     */
+    renderFixtureCount() {
+        const fixtureCount = document.getElementById('fixtureCount');
+        if (!fixtureCount || !this.searchManager) return;
+
+        fixtureCount.textContent = `記録 ${this.searchManager.fixtureRecorder.list().length}件`;
+    }
+
+    /**
+     * 設定の保存結果を表示
+     */
+    showSettingsStatus(message, isError = false) {
+        const status = document.getElementById('settingsStatus');
+        if (!status) return;
+
+        status.textContent = message;
+        status.classList.toggle('error', isError);
     }
 
     /**
@@ -292,7 +1273,7 @@ class UIManager {
 
         const header = container.querySelector('h3');
         if (header && stats) {
-            let headerText = this.engineNames[engine];
+            let headerText = this.getEngineDisplayName(engine);
             if (stats.count !== undefined) {
                 headerText += ` (${stats.count}件)`;
             }
@@ -309,7 +1290,8 @@ class UIManager {
     escapeHtml(text) {
         const div = document.createElement('div');
         div.textContent = text;
-        return div.innerHTML;
+        // 属性値（href="..."など）にも使うため、引用符もエスケープする
+        return div.innerHTML.replace(/"/g, '&quot;').replace(/'/g, '&#39;');
     }
 
     /**
@@ -356,12 +1338,12 @@ class UIManager {
      * 検索エンジンの直接リンクを生成
      */
     generateSearchEngineLink(engine, query, language) {
-        if (!query || !window.multiSearchApp || !window.multiSearchApp.searchManager) {
+        if (!query || !this.searchManager) {
             return '#';
         }
 
         try {
-            const adapter = window.multiSearchApp.searchManager.adapters[engine];
+            const adapter = this.searchManager.adapters[engine];
             if (adapter && adapter.getDirectSearchUrl) {
                 return adapter.getDirectSearchUrl(query, language);
             }
@@ -399,8 +1381,8 @@ class UIManager {
                     linkElement.rel = 'noopener noreferrer';
                     linkElement.className = 'engine-direct-link';
                     linkElement.innerHTML = ' <span class="link-icon">🔗</span>';
-                    linkElement.title = `${this.engineNames[engine]}で直接検索`;
-                    linkElement.setAttribute('aria-label', `${this.engineNames[engine]}で直接検索（新しいタブで開く）`);
+                    linkElement.title = `${this.getEngineDisplayName(engine)}で直接検索`;
+                    linkElement.setAttribute('aria-label', `${this.getEngineDisplayName(engine)}で直接検索（新しいタブで開く）`);
                     
                     header.appendChild(linkElement);
                 }
@@ -427,7 +1409,7 @@ class UIManager {
         this.engines.forEach(engine => {
             const container = document.getElementById(`${engine}Results`);
             if (container) {
-                container.setAttribute('aria-label', `${this.engineNames[engine]}の検索結果`);
+                container.setAttribute('aria-label', `${this.getEngineDisplayName(engine)}の検索結果`);
                 container.setAttribute('role', 'region');
             }
         });
@@ -0,0 +1,116 @@
+/**
+ * ローカルプロキシサーバーの設定
+ * 既定値に設定ファイル（KIRO_PROXY_CONFIG）と環境変数（HOST・PORT）を重ねて読み込む
+ */
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_CONFIG = {
+    host: '127.0.0.1',
+    port: 8000,
+    // 転送を許可するホスト（8つの組み込み検索エンジン。Wikipediaは検索言語ごとのホスト）
+    allowedHosts: [
+        'www.google.com',
+        'www.bing.com',
+        'search.yahoo.co.jp',
+        'duckduckgo.com',
+        'html.duckduckgo.com',
+        'api.duckduckgo.com',
+        'www.youtube.com',
+        'www.baidu.com',
+        'search.naver.com',
+        'ja.wikipedia.org',
+        'en.wikipedia.org',
+        'zh.wikipedia.org',
+        'ko.wikipedia.org'
+    ],
+    // 検索エンジンへのリクエストに付与するヘッダー
+    upstreamHeaders: {
+        'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
+        'Accept': 'text/html,application/xhtml+xml,application/json;q=0.9,*/*;q=0.8',
+        'Accept-Language': 'ja,en-US;q=0.8,en;q=0.6'
+    },
+    maxResponseBytes: 2 * 1024 * 1024, // 応答サイズの上限（2MB）
+    timeout: 10000, // 検索エンジンの応答待ち時間（10秒）
+    maxRedirects: 5,
+    // CORSで許可するオリジン（'*' ですべて許可）。ループバックのオリジンは常に許可する
+    allowedOrigins: []
+};
+
+/**
+ * 設定値の検証
+ */
+function validateConfig(config) {
+    if (!Array.isArray(config.allowedHosts) || config.allowedHosts.some(host => typeof host !== 'string' || host === '')) {
+        throw new Error('allowedHosts にはホスト名の配列を指定してください');
+    }
+
+    if (!config.upstreamHeaders || typeof config.upstreamHeaders !== 'object' || Array.isArray(config.upstreamHeaders)) {
+        throw new Error('upstreamHeaders にはヘッダー名と値のオブジェクトを指定してください');
+    }
+
+    ['port', 'maxResponseBytes', 'timeout'].forEach(key => {
+        if (!Number.isInteger(config[key]) || config[key] <= 0) {
+            throw new Error(`${key} には1以上の整数を指定してください`);
+        }
+    });
+
+    if (!Number.isInteger(config.maxRedirects) || config.maxRedirects < 0) {
+        throw new Error('maxRedirects には0以上の整数を指定してください');
+    }
+
+    if (!Array.isArray(config.allowedOrigins)) {
+        throw new Error('allowedOrigins にはオリジンの配列を指定してください');
+    }
+
+    return config;
+}
+
+/**
+ * 設定の読み込み
+ * upstreamHeaders は既定のヘッダーに上書きで追加する（値に null を指定すると送信しない）
+ */
+function loadConfig(env = process.env) {
+    let fileConfig = {};
+
+    if (env.KIRO_PROXY_CONFIG) {
+        const configPath = path.resolve(env.KIRO_PROXY_CONFIG);
+        try {
+            fileConfig = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+        } catch (error) {
+            throw new Error(`設定ファイルを読み込めません (${configPath}): ${error.message}`);
+        }
+    }
+
+    const upstreamHeaders = { ...DEFAULT_CONFIG.upstreamHeaders, ...(fileConfig.upstreamHeaders || {}) };
+    Object.keys(upstreamHeaders).forEach(name => {
+        if (upstreamHeaders[name] === null) {
+            delete upstreamHeaders[name];
+        }
+    });
+
+    const config = {
+        ...DEFAULT_CONFIG,
+        ...fileConfig,
+        upstreamHeaders: upstreamHeaders
+    };
+
+    if (env.HOST) {
+        config.host = env.HOST;
+    }
+
+    if (env.PORT) {
+        config.port = Number(env.PORT);
+    }
+
+    validateConfig(config);
+    config.allowedHosts = config.allowedHosts.map(host => host.toLowerCase());
+
+    return config;
+}
+
+module.exports = {
+    DEFAULT_CONFIG,
+    loadConfig,
+    validateConfig
+};
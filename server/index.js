@@ -0,0 +1,339 @@
+#!/usr/bin/env node
+/**
+ * ローカルプロキシサーバー
+ * アプリの静的ファイルを配信し、/proxy で検索エンジンへのリクエストを中継する
+ *
+ * ブラウザから検索エンジンへ直接アクセスするとCORS制限で失敗するため、
+ * 許可リストのホストに限ってサーバー側で取得し、CORSヘッダーを付けて返す
+ *
+ * エンドポイント:
+ *   GET /proxy?url=<エンコード済みURL>  検索エンジンの応答を中継
+ *   GET /proxy/status                  プロキシの状態（アプリの自動検出に使用）
+ */
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const { loadConfig } = require('./config');
+
+const ROOT_DIR = path.resolve(__dirname, '..');
+const SERVICE_NAME = 'kiro-search-proxy';
+
+// 配信する静的ファイル（リポジトリ内のその他のファイルは配信しない）
+const STATIC_ENTRIES = ['index.html', 'css', 'js', 'assets'];
+
+const MIME_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.svg': 'image/svg+xml',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.ico': 'image/x-icon'
+};
+
+/**
+ * ステータスコードを持つエラーを作成
+ */
+function proxyError(status, message) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+}
+
+/**
+ * 転送先URLの検証
+ * httpsかつ許可リストのホストのみ受け付ける
+ */
+function validateTarget(value, config) {
+    let target;
+    try {
+        target = new URL(value);
+    } catch (error) {
+        throw proxyError(400, `不正なURLです: ${value}`);
+    }
+
+    if (target.protocol !== 'https:' || target.port !== '' || target.username || target.password) {
+        throw proxyError(403, `許可されていないURLです: ${target.origin}`);
+    }
+
+    if (!config.allowedHosts.includes(target.hostname.toLowerCase())) {
+        throw proxyError(403, `許可されていないホストです: ${target.hostname}`);
+    }
+
+    return target;
+}
+
+/**
+ * CORSで許可するオリジンかチェック
+ * ループバックアドレスのオリジンは常に許可する
+ */
+function isAllowedOrigin(origin, config) {
+    if (!origin) return false;
+    if (config.allowedOrigins.includes('*') || config.allowedOrigins.includes(origin)) {
+        return true;
+    }
+
+    try {
+        const { hostname } = new URL(origin);
+        return ['localhost', '127.0.0.1', '[::1]'].includes(hostname);
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * CORSヘッダーの作成
+ */
+function corsHeaders(req, config) {
+    const origin = req.headers.origin;
+    if (!isAllowedOrigin(origin, config)) {
+        return {};
+    }
+
+    return {
+        'Access-Control-Allow-Origin': origin,
+        'Access-Control-Allow-Methods': 'GET, OPTIONS',
+        'Access-Control-Allow-Headers': 'Content-Type',
+        'Vary': 'Origin'
+    };
+}
+
+/**
+ * 応答本文をサイズ上限まで読み込む
+ */
+async function readLimitedBody(response, maxBytes) {
+    const declaredLength = Number(response.headers.get('content-length'));
+    if (declaredLength > maxBytes) {
+        throw proxyError(502, `応答サイズが上限（${maxBytes}バイト）を超えています`);
+    }
+
+    if (!response.body) {
+        return Buffer.alloc(0);
+    }
+
+    const reader = response.body.getReader();
+    const chunks = [];
+    let total = 0;
+
+    while (true) {
+        const { done, value } = await reader.read();
+        if (done) break;
+
+        total += value.byteLength;
+        if (total > maxBytes) {
+            await reader.cancel();
+            throw proxyError(502, `応答サイズが上限（${maxBytes}バイト）を超えています`);
+        }
+        chunks.push(Buffer.from(value));
+    }
+
+    return Buffer.concat(chunks, total);
+}
+
+/**
+ * 検索エンジンへリクエストを転送
+ * リダイレクトは許可リストのホストに限って追跡する
+ */
+async function fetchUpstream(targetUrl, config, signal, fetchImpl = globalThis.fetch) {
+    let target = validateTarget(targetUrl, config);
+
+    for (let redirects = 0; ; redirects++) {
+        const response = await fetchImpl(target.href, {
+            headers: config.upstreamHeaders,
+            redirect: 'manual',
+            signal: signal
+        });
+
+        const location = response.headers.get('location');
+        if (response.status >= 300 && response.status < 400 && location) {
+            if (redirects >= config.maxRedirects) {
+                throw proxyError(502, 'リダイレクトの回数が上限を超えました');
+            }
+            target = validateTarget(new URL(location, target).href, config);
+            continue;
+        }
+
+        return {
+            status: response.status,
+            contentType: response.headers.get('content-type'),
+            retryAfter: response.headers.get('retry-after'),
+            finalUrl: target.href,
+            body: await readLimitedBody(response, config.maxResponseBytes)
+        };
+    }
+}
+
+/**
+ * JSON形式で応答
+ */
+function sendJson(res, status, body, headers = {}) {
+    res.writeHead(status, {
+        'Content-Type': 'application/json; charset=utf-8',
+        'Cache-Control': 'no-store',
+        ...headers
+    });
+    res.end(JSON.stringify(body));
+}
+
+/**
+ * /proxy へのリクエストの処理
+ */
+async function handleProxy(req, res, requestUrl, config, fetchImpl) {
+    const headers = corsHeaders(req, config);
+
+    if (req.method === 'OPTIONS') {
+        res.writeHead(204, headers);
+        res.end();
+        return;
+    }
+
+    if (requestUrl.pathname === '/proxy/status') {
+        sendJson(res, 200, {
+            service: SERVICE_NAME,
+            allowedHosts: config.allowedHosts,
+            maxResponseBytes: config.maxResponseBytes
+        }, headers);
+        return;
+    }
+
+    const targetUrl = requestUrl.searchParams.get('url');
+    if (!targetUrl) {
+        sendJson(res, 400, { error: 'url パラメータを指定してください' }, headers);
+        return;
+    }
+
+    // タイムアウトまたはクライアントの切断で転送を中断する
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), config.timeout);
+    const abortOnClose = () => {
+        if (!res.writableEnded) controller.abort();
+    };
+    res.on('close', abortOnClose);
+
+    try {
+        const upstream = await fetchUpstream(targetUrl, config, controller.signal, fetchImpl);
+        const responseHeaders = {
+            ...headers,
+            'Content-Type': upstream.contentType || 'application/octet-stream',
+            'Content-Length': upstream.body.length,
+            'Cache-Control': 'no-store',
+            'X-Proxy-Final-Url': upstream.finalUrl
+        };
+        if (upstream.retryAfter) {
+            responseHeaders['Retry-After'] = upstream.retryAfter;
+        }
+
+        res.writeHead(upstream.status, responseHeaders);
+        res.end(req.method === 'HEAD' ? undefined : upstream.body);
+        console.log(`転送: ${upstream.status} ${upstream.finalUrl} (${upstream.body.length}バイト)`);
+
+    } catch (error) {
+        if (res.destroyed) return;
+
+        const status = error.status || (controller.signal.aborted ? 504 : 502);
+        const message = error.status ? error.message :
+            (controller.signal.aborted ? '検索エンジンの応答がタイムアウトしました' : `転送に失敗しました: ${error.message}`);
+        console.warn(`転送エラー: ${status} ${targetUrl} - ${message}`);
+        sendJson(res, status, { error: message }, headers);
+
+    } finally {
+        clearTimeout(timeoutId);
+        res.removeListener('close', abortOnClose);
+    }
+}
+
+/**
+ * 静的ファイルの配信
+ */
+async function handleStatic(req, res, requestUrl) {
+    let pathname;
+    try {
+        pathname = decodeURIComponent(requestUrl.pathname);
+    } catch (error) {
+        sendJson(res, 400, { error: '不正なパスです' });
+        return;
+    }
+
+    if (pathname === '/') {
+        pathname = '/index.html';
+    }
+
+    const filePath = path.resolve(ROOT_DIR, `.${pathname}`);
+    const entry = path.relative(ROOT_DIR, filePath).split(path.sep)[0];
+
+    if (!STATIC_ENTRIES.includes(entry)) {
+        sendJson(res, 404, { error: 'ファイルが見つかりません' });
+        return;
+    }
+
+    try {
+        const content = await fs.promises.readFile(filePath);
+        res.writeHead(200, {
+            'Content-Type': MIME_TYPES[path.extname(filePath).toLowerCase()] || 'application/octet-stream',
+            'Content-Length': content.length,
+            'Cache-Control': 'no-cache'
+        });
+        res.end(req.method === 'HEAD' ? undefined : content);
+    } catch (error) {
+        sendJson(res, error.code === 'ENOENT' || error.code === 'EISDIR' ? 404 : 500, {
+            error: 'ファイルが見つかりません'
+        });
+    }
+}
+
+/**
+ * プロキシサーバーを作成
+ * options.fetch で転送に使うfetchを差し替えられる
+ */
+function createServer(config = loadConfig(), options = {}) {
+    const fetchImpl = options.fetch || globalThis.fetch;
+    if (typeof fetchImpl !== 'function') {
+        throw new Error('fetch が利用できません。Node.js 18 以降で実行してください');
+    }
+
+    return http.createServer((req, res) => {
+        const requestUrl = new URL(req.url, 'http://localhost');
+
+        if (!['GET', 'HEAD', 'OPTIONS'].includes(req.method)) {
+            sendJson(res, 405, { error: '許可されていないメソッドです' }, { 'Allow': 'GET, HEAD, OPTIONS' });
+            return;
+        }
+
+        const handler = requestUrl.pathname === '/proxy' || requestUrl.pathname === '/proxy/status' ?
+            handleProxy(req, res, requestUrl, config, fetchImpl) :
+            handleStatic(req, res, requestUrl);
+
+        handler.catch(error => {
+            console.error('リクエスト処理エラー:', error);
+            if (!res.headersSent) {
+                sendJson(res, 500, { error: 'サーバーエラーが発生しました' });
+            } else {
+                res.destroy();
+            }
+        });
+    });
+}
+
+if (require.main === module) {
+    let config;
+    try {
+        config = loadConfig();
+    } catch (error) {
+        console.error(error.message);
+        process.exit(1);
+    }
+
+    createServer(config).listen(config.port, config.host, () => {
+        console.log(`マルチサーチエンジン: http://${config.host}:${config.port}/`);
+        console.log(`プロキシ: http://${config.host}:${config.port}/proxy`);
+    });
+}
+
+module.exports = {
+    createServer,
+    fetchUpstream,
+    validateTarget,
+    isAllowedOrigin,
+    SERVICE_NAME
+};
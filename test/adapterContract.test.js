@@ -0,0 +1,156 @@
+/**
+ * アダプターの契約のテスト
+ * すべての組み込みアダプターが AdapterRegistry の契約と共通の結果形式を満たすかを検証する
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    loadRuntime,
+    createBuiltinAdapters,
+    readPage,
+    readApiResponse,
+    toPlain,
+    pickNormalizedFields
+} = require('./helpers');
+
+// 各エンジンの検索ページのホスト
+const HOSTS = {
+    google: 'www.google.com',
+    bing: 'www.bing.com',
+    yahoo: 'search.yahoo.co.jp',
+    duckduckgo: 'duckduckgo.com',
+    youtube: 'www.youtube.com',
+    baidu: 'www.baidu.com',
+    naver: 'search.naver.com',
+    wikipedia: 'ja.wikipedia.org'
+};
+
+/**
+ * 保存済みの検索結果ページの本文を読み込み
+ * HTMLを解析しないアダプター（セレクター設定を持たないもの）はAPIの応答（test/fixtures/api/）を読み込む
+ */
+function readSavedBody(adapter) {
+    return adapter.selectors ? readPage(adapter.name) : JSON.stringify(readApiResponse(adapter.name));
+}
+
+/**
+ * 保存済みの検索結果ページを解析
+ */
+function parseSaved(adapter) {
+    if (!adapter.selectors) {
+        return adapter.parse(readApiResponse(adapter.name), { query: 'JavaScript', language: 'ja', page: 1 });
+    }
+    return adapter.parseResults(readPage(adapter.name));
+}
+
+/**
+ * 保存済みの検索結果ページを返すfetchを作成
+ * DuckDuckGoのInstant Answer APIには結果のない応答を返す
+ */
+function createPageFetch(requests) {
+    return async url => {
+        requests.push(url);
+        const { hostname } = new URL(url);
+
+        if (hostname === 'api.duckduckgo.com') {
+            return new Response('{}', { status: 200, headers: { 'Content-Type': 'application/json' } });
+        }
+
+        const adapter = adapters.find(item => HOSTS[item.name] === hostname);
+        if (!adapter) {
+            throw new Error(`想定外のホストです: ${hostname}`);
+        }
+        const contentType = adapter.selectors ? 'text/html; charset=utf-8' : 'application/json';
+        return new Response(readSavedBody(adapter), { status: 200, headers: { 'Content-Type': contentType } });
+    };
+}
+
+const requests = [];
+const runtime = loadRuntime({ fetch: createPageFetch(requests) });
+const AdapterRegistry = runtime.lookup('AdapterRegistry');
+const adapters = createBuiltinAdapters(runtime);
+
+test.it('組み込みアダプターの名前が重複していない', () => {
+    const names = adapters.map(adapter => adapter.name);
+    assert.equal(new Set(names).size, names.length);
+});
+
+adapters.forEach(adapter => {
+    test.describe(`${adapter.displayName} の契約`, () => {
+        test.it('AdapterRegistryの検証を通過する', () => {
+            const registry = new AdapterRegistry();
+            assert.deepEqual(toPlain(registry.validate(adapter)), []);
+            assert.equal(registry.register(adapter), adapter);
+        });
+
+        test.it('保存済みの検索結果ページがある', () => {
+            assert.doesNotThrow(() => readSavedBody(adapter), `test/fixtures/pages/${adapter.name}.html（APIの場合は test/fixtures/api/${adapter.name}.json）を追加してください`);
+            assert.ok(HOSTS[adapter.name], `${adapter.name} の検索ホストを HOSTS に追加してください`);
+        });
+
+        test.it('解析用のメソッドを実装している', () => {
+            ['parseResults', 'cleanUrl', 'formatResults', 'getMockResults'].forEach(method => {
+                assert.equal(typeof adapter[method], 'function', `${method}()が実装されていません`);
+            });
+            assert.equal(new URL(adapter.baseUrl).protocol, 'https:');
+            assert.ok(Number.isInteger(adapter.pageSize) && adapter.pageSize > 0);
+        });
+
+        test.it('サンプル結果が共通形式で source: mock を持つ', () => {
+            const response = adapter.getMockResults('JavaScript', 'ja');
+
+            assert.equal(response.engine, adapter.name);
+            assert.equal(response.status, 'success');
+            assert.equal(response.source, 'mock');
+            assert.equal(response.totalResults, response.results.length);
+            assert.deepEqual(pickNormalizedFields(response.results), pickNormalizedFields(adapter.formatResults(response.results)));
+        });
+
+        test.it('search() は保存済みページの解析結果を source: live で返す', async () => {
+            requests.length = 0;
+            const response = await adapter.search('JavaScript', 'ja');
+
+            assert.equal(response.engine, adapter.name);
+            assert.equal(response.status, 'success');
+            assert.equal(response.source, 'live', 'サンプル結果にフォールバックしています');
+            assert.deepEqual(response.results, parseSaved(adapter));
+            assert.equal(response.totalResults, response.results.length);
+            assert.ok(requests.some(url => new URL(url).hostname === HOSTS[adapter.name]));
+        });
+
+        test.it('デモモードではリクエストせずにサンプル結果を返す', async () => {
+            requests.length = 0;
+            const response = await adapter.search('JavaScript', 'ja', { demoMode: true });
+
+            assert.equal(response.source, 'mock');
+            assert.deepEqual(requests, []);
+        });
+    });
+});
+
+test.describe('契約違反のアダプター', () => {
+    const validAdapter = {
+        name: 'broken-engine',
+        displayName: 'Broken',
+        search: async () => ({ results: [] }),
+        getDirectSearchUrl: () => 'https://example.com/'
+    };
+
+    [
+        ['search()がない', { search: undefined }],
+        ['getDirectSearchUrl()がない', { getDirectSearchUrl: 'https://example.com/' }],
+        ['nameが不正な', { name: 'Broken Engine' }],
+        ['displayNameが空の', { displayName: ' ' }],
+        ['checkRateLimitがメソッドではない', { checkRateLimit: true }],
+        ['queryCapabilitiesがオブジェクトではない', { queryCapabilities: null }]
+    ].forEach(([label, overrides]) => {
+        test.it(`${label}場合は登録できない`, () => {
+            const registry = new AdapterRegistry();
+            assert.throws(
+                () => registry.register({ ...validAdapter, ...overrides }),
+                error => Array.isArray(error.validationErrors) && error.validationErrors.length === 1
+            );
+            assert.equal(registry.has('broken-engine'), false);
+        });
+    });
+});
@@ -0,0 +1,260 @@
+/**
+ * 検索アダプターの基底クラス（BaseSearchAdapter）と雛形の作成（cli/create-adapter.js）のテスト
+ * 組み込みアダプターが共通の処理（リクエスト・タイムアウト・レート制限・エラー処理）を共有しているか、
+ * SearchManager で次のページを取得する際のエラーと中断、作成した雛形がそのまま登録・検索できるかを検証する
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const vm = require('vm');
+const { loadRuntime, createBuiltinAdapters, toPlain } = require('./helpers');
+const {
+    main,
+    parseArgs,
+    toClassName,
+    toFileName,
+    createAdapterSource,
+    addScriptTag,
+    EXIT_USAGE
+} = require('../cli/create-adapter');
+
+// 基底クラスにまとめた処理（組み込みアダプターでは再定義しない）
+const SHARED_METHODS = [
+    'fetchWithTimeout',
+    'sendRequest',
+    'buildRequestUrl',
+    'formatResults',
+    'handleError',
+    'isAvailable',
+    'getDirectSearchUrl',
+    'checkRateLimit'
+];
+
+/**
+ * リクエストを記録し、指定した本文を返すfetchを作成
+ */
+function createRecordingFetch(requests, body = '<html><body><p class="nors">no results</p></body></html>') {
+    return async (url, init) => {
+        requests.push({ url, headers: init.headers });
+        return new Response(body, { status: 200 });
+    };
+}
+
+test.describe('組み込みアダプターの共通処理', () => {
+    const runtime = loadRuntime();
+    const BaseSearchAdapter = runtime.lookup('BaseSearchAdapter');
+
+    createBuiltinAdapters(runtime).forEach(adapter => {
+        test.it(`${adapter.displayName} は BaseSearchAdapter を継承し、共通の処理を再定義しない`, () => {
+            assert.ok(adapter instanceof BaseSearchAdapter);
+            const own = Object.getOwnPropertyNames(Object.getPrototypeOf(adapter));
+            assert.deepEqual(SHARED_METHODS.filter(method => own.includes(method)), []);
+        });
+    });
+
+    test.it('テキストは空白をまとめ、ゼロ幅文字を除去して maxTextLength 文字までにする', () => {
+        const [google, youtube] = ['google', 'youtube'].map(name => createBuiltinAdapters(runtime).find(adapter => adapter.name === name));
+        assert.equal(google.cleanText('  Java\u200BScript \n  入門  '), 'JavaScript 入門');
+        assert.equal(google.cleanText('あ'.repeat(300)).length, 200);
+        assert.equal(youtube.cleanText('あ'.repeat(300)).length, 100);
+    });
+
+    test.it('エラーメッセージに表示名を使う', () => {
+        const yahoo = createBuiltinAdapters(runtime).find(adapter => adapter.name === 'yahoo');
+        assert.throws(() => yahoo.handleError(new Error('parse failed')), /^Error: Yahoo Japan検索エラー: parse failed$/);
+        const timeout = new Error('aborted');
+        timeout.name = 'AbortError';
+        assert.throws(() => yahoo.handleError(timeout), /Yahoo Japan検索がタイムアウトしました/);
+    });
+});
+
+test.describe('BaseSearchAdapter のリクエスト', () => {
+    test.it('User-Agentとエンジン固有のヘッダーを送信し、プロキシ経由のURLにする', async () => {
+        const requests = [];
+        const runtime = loadRuntime({ fetch: createRecordingFetch(requests) });
+        const baidu = createBuiltinAdapters(runtime).find(adapter => adapter.name === 'baidu');
+        baidu.proxyUrl = 'http://localhost:8000/proxy';
+
+        const response = await baidu.search('JavaScript', 'zh');
+        assert.equal(response.source, 'live');
+        assert.equal(requests.length, 1);
+
+        const { url, headers } = requests[0];
+        assert.ok(url.startsWith('http://localhost:8000/proxy?url=https%3A%2F%2Fwww.baidu.com%2Fs%3Fwd%3DJavaScript'));
+        assert.equal(headers['Accept-Language'], 'zh-CN,zh;q=0.9,en;q=0.8');
+        assert.match(headers['User-Agent'], /^Mozilla\/5\.0/);
+    });
+
+    test.it('タイムアウトした場合はリクエストを中断する', async () => {
+        const runtime = loadRuntime({
+            fetch: (url, init) => new Promise((resolve, reject) => {
+                init.signal.addEventListener('abort', () => {
+                    const error = new Error('The operation was aborted');
+                    error.name = 'AbortError';
+                    reject(error);
+                });
+            })
+        });
+        const bing = createBuiltinAdapters(runtime).find(adapter => adapter.name === 'bing');
+        bing.timeout = 20;
+
+        await assert.rejects(bing.search('JavaScript', 'ja'), error => error.name === 'AbortError');
+    });
+
+    test.it('最小間隔以内の連続リクエストを制限する', () => {
+        const runtime = loadRuntime();
+        const google = createBuiltinAdapters(runtime).find(adapter => adapter.name === 'google');
+        assert.equal(google.checkRateLimit(), true);
+        assert.equal(google.checkRateLimit(), false);
+
+        google.rateLimitInterval = 0;
+        assert.equal(google.checkRateLimit(), true);
+    });
+});
+
+test.describe('SearchManager の次のページの取得', () => {
+    test.it('失敗した場合はエラー情報（errorInfo）を付けたエラーを投げる', async () => {
+        const runtime = loadRuntime({ fetch: async () => new Response('', { status: 503 }) });
+        const searchManager = runtime.createSearchManager();
+        try {
+            await assert.rejects(searchManager.loadMore('google', 'JavaScript', 'ja', 1), error => {
+                assert.equal(typeof error.message, 'string');
+                assert.equal(typeof error.stack, 'string');
+                assert.equal(error.errorInfo.engine, 'google');
+                assert.ok(error.errorInfo.userMessage);
+                return true;
+            });
+        } finally {
+            searchManager.cleanup();
+        }
+    });
+
+    test.it('signal で中断した場合はリクエストを中断し、エラーとして記録しない', async () => {
+        const requests = [];
+        const runtime = loadRuntime({
+            fetch: (url, init) => new Promise((resolve, reject) => {
+                requests.push(init.signal);
+                init.signal.addEventListener('abort', () => reject(new DOMException('中断', 'AbortError')));
+            })
+        });
+        const searchManager = runtime.createSearchManager();
+        try {
+            const controller = new AbortController();
+            const loading = searchManager.loadMore('google', 'JavaScript', 'ja', 1, { signal: controller.signal });
+            await new Promise(resolve => setTimeout(resolve, 10));
+            controller.abort();
+
+            await assert.rejects(loading, { name: 'AbortError' });
+            await new Promise(resolve => setTimeout(resolve, 10));
+            assert.equal(requests.length, 1);
+            assert.equal(requests[0].aborted, true);
+
+            // 中断はエラーとして記録しない
+            assert.equal(searchManager.errorHandler.errorLog.length, 0);
+            assert.equal(searchManager.getSearchStats().engineStats.google.errorCount, 0);
+        } finally {
+            searchManager.cleanup();
+        }
+    });
+});
+
+test.describe('create-adapter の引数', () => {
+    test.it('クラス名とファイル名をエンジン名から作成する', () => {
+        assert.equal(toClassName('my-wiki'), 'MyWikiSearchAdapter');
+        assert.equal(toClassName('intranet_docs'), 'IntranetDocsSearchAdapter');
+        assert.equal(toClassName('9gag'), 'Engine9gagSearchAdapter');
+        assert.equal(toFileName('my-wiki'), 'myWikiSearchAdapter.js');
+    });
+
+    const invalidArgs = [
+        ['引数が足りない', ['my-wiki', '社内Wiki']],
+        ['nameが不正な', ['My Wiki', '社内Wiki', 'https://wiki.example.com/search']],
+        ['URLにクエリ文字列がある', ['my-wiki', '社内Wiki', 'https://wiki.example.com/search?q=']],
+        ['http(s)でないURL', ['my-wiki', '社内Wiki', 'ftp://wiki.example.com/']],
+        ['応答の形式が不明な', ['my-wiki', '社内Wiki', 'https://wiki.example.com/search', '--type', 'xml']]
+    ];
+
+    invalidArgs.forEach(([name, argv]) => {
+        test.it(`${name}場合は引数の誤りとなる`, () => {
+            assert.throws(() => parseArgs(argv), error => error.usage === true);
+
+            const output = { stdout: '', stderr: '' };
+            const io = {
+                stdout: { write: text => { output.stdout += text; } },
+                stderr: { write: text => { output.stderr += text; } }
+            };
+            assert.equal(main(argv, io, '/nonexistent'), EXIT_USAGE);
+            assert.match(output.stderr, /使い方: create-adapter/);
+        });
+    });
+
+    test.it('最後のアダプターのスクリプトタグの後にスクリプトタグを追加する', () => {
+        const html = [
+            '    <script src="js/adapters/baseSearchAdapter.js"></script>',
+            '    <script src="js/adapters/googleSearchAdapter.js"></script>',
+            '    <script src="js/searchManager.js"></script>',
+            ''
+        ].join('\n');
+
+        const updated = addScriptTag(html, 'myWikiSearchAdapter.js');
+        assert.deepEqual(updated.split('\n'), [
+            '    <script src="js/adapters/baseSearchAdapter.js"></script>',
+            '    <script src="js/adapters/googleSearchAdapter.js"></script>',
+            '    <script src="js/adapters/myWikiSearchAdapter.js"></script>',
+            '    <script src="js/searchManager.js"></script>',
+            ''
+        ]);
+        assert.equal(addScriptTag(updated, 'myWikiSearchAdapter.js'), updated);
+    });
+});
+
+test.describe('create-adapter で作成したアダプター', () => {
+    const cases = [
+        {
+            type: 'html',
+            body: '<html><body><div class="result"><h3><a href="/docs/getting-started">はじめに</a></h3><p class="snippet">社内Wikiの使い方</p></div></body></html>',
+            expected: [{
+                title: 'はじめに',
+                url: 'https://wiki.example.com/docs/getting-started',
+                snippet: '社内Wikiの使い方',
+                displayUrl: 'wiki.example.com/docs/getting-started'
+            }]
+        },
+        {
+            type: 'json',
+            body: JSON.stringify({ items: [{ title: 'はじめに', url: 'https://wiki.example.com/docs/getting-started', snippet: '社内Wikiの使い方' }] }),
+            expected: [{
+                title: 'はじめに',
+                url: 'https://wiki.example.com/docs/getting-started',
+                snippet: '社内Wikiの使い方',
+                displayUrl: 'wiki.example.com/docs/getting-started'
+            }]
+        }
+    ];
+
+    cases.forEach(({ type, body, expected }) => {
+        test.it(`${type}: 登録時の検証を通過し、検索結果を解析する`, async () => {
+            const requests = [];
+            const runtime = loadRuntime({ fetch: createRecordingFetch(requests, body) });
+            const source = createAdapterSource(parseArgs(['my-wiki', '社内Wiki', 'https://wiki.example.com/search', '--type', type, '-q', 'query']));
+            vm.runInContext(source, runtime.context);
+
+            const searchManager = runtime.createSearchManager();
+            try {
+                const adapter = searchManager.adapters['my-wiki'];
+                assert.ok(adapter, '組み込みアダプターとして登録される');
+                assert.equal(adapter.displayName, '社内Wiki');
+
+                const response = await adapter.search('Wiki', 'ja', { page: 2 });
+                assert.equal(requests[0].url, 'https://wiki.example.com/search?query=Wiki&page=2');
+                assert.equal(response.source, 'live');
+                assert.deepEqual(toPlain(adapter.formatResults(response.results)), expected);
+
+                const mock = adapter.getMockResults('Wiki', 'ja');
+                assert.equal(mock.source, 'mock');
+                assert.equal(mock.results[0].url, 'https://wiki.example.com/search?query=Wiki');
+            } finally {
+                searchManager.cleanup();
+            }
+        });
+    });
+});
@@ -0,0 +1,226 @@
+/**
+ * サーキットブレーカー（CircuitBreaker）と再試行の判定（ErrorHandler.shouldRetry / getRetryDelay）のテスト
+ * closed → open → half-open → closed の状態の変化と試行枠の解放、ジッター付きの指数バックオフの範囲、
+ * Retry-After（秒数・HTTP日付）の扱いを検証する。時刻は引数で、乱数は Math.random の差し替えで与える
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const vm = require('vm');
+const { loadRuntime, toPlain } = require('./helpers');
+
+const runtime = loadRuntime();
+const CircuitBreaker = runtime.lookup('CircuitBreaker');
+const ErrorHandler = runtime.lookup('ErrorHandler');
+
+/**
+ * 状態の変化を記録するサーキットブレーカーを作成
+ */
+function createBreaker(options = { failureThreshold: 3, cooldown: 1000 }) {
+    const breaker = new CircuitBreaker(options);
+    const changes = [];
+    breaker.on('change', ({ engine, previousState, state, retryAt }) => changes.push([engine, previousState, state, retryAt]));
+    return { breaker, changes };
+}
+
+test.describe('CircuitBreaker の状態の変化', () => {
+    test.it('連続失敗が閾値に達するとopenにし、cooldownの間はリクエストを許可しない', () => {
+        const { breaker, changes } = createBreaker();
+
+        breaker.recordFailure('google', 100);
+        breaker.recordFailure('google', 200);
+        assert.equal(breaker.canRequest('google', 200), true);
+        assert.deepEqual(toPlain(breaker.getState('google')), { state: 'closed', failures: 2, retryAt: null });
+
+        breaker.recordFailure('google', 300);
+        assert.deepEqual(toPlain(breaker.getState('google')), { state: 'open', failures: 3, retryAt: 1300 });
+        assert.deepEqual(changes, [['google', 'closed', 'open', 1300]]);
+        assert.equal(breaker.canRequest('google', 1299), false);
+        assert.equal(breaker.getState('bing').state, 'closed', 'エンジンごとに記録する');
+    });
+
+    test.it('成功すると連続失敗の回数を0に戻す', () => {
+        const { breaker } = createBreaker();
+        breaker.recordFailure('google', 100);
+        breaker.recordFailure('google', 200);
+        breaker.recordSuccess('google');
+        breaker.recordFailure('google', 300);
+        assert.deepEqual(toPlain(breaker.getState('google')), { state: 'closed', failures: 1, retryAt: null });
+    });
+
+    test.it('cooldownの経過後はhalf-openにして試行リクエストを1件だけ許可し、成功すればclosedに戻す', () => {
+        const { breaker, changes } = createBreaker();
+        [100, 200, 300].forEach(now => breaker.recordFailure('google', now));
+
+        assert.equal(breaker.canRequest('google', 1300), true);
+        assert.equal(breaker.getState('google').state, 'half-open');
+        assert.equal(breaker.canRequest('google', 1301), false, '試行中は他のリクエストを許可しない');
+
+        breaker.recordSuccess('google');
+        assert.deepEqual(toPlain(breaker.getState('google')), { state: 'closed', failures: 0, retryAt: null });
+        assert.deepEqual(changes.map(([, previousState, state]) => `${previousState}→${state}`), [
+            'closed→open', 'open→half-open', 'half-open→closed'
+        ]);
+        assert.equal(breaker.canRequest('google', 1302), true);
+    });
+
+    test.it('half-openの試行リクエストが失敗した場合は再びopenにする', () => {
+        const { breaker } = createBreaker();
+        [100, 200, 300].forEach(now => breaker.recordFailure('google', now));
+        breaker.canRequest('google', 1300);
+
+        breaker.recordFailure('google', 1400);
+        assert.deepEqual(toPlain(breaker.getState('google')), { state: 'open', failures: 4, retryAt: 2400 });
+        assert.equal(breaker.canRequest('google', 2399), false);
+        assert.equal(breaker.canRequest('google', 2400), true);
+    });
+
+    test.it('releaseTrial() は状態を変えずに試行枠を解放する', () => {
+        const { breaker } = createBreaker();
+        [100, 200, 300].forEach(now => breaker.recordFailure('google', now));
+        assert.equal(breaker.canRequest('google', 1300), true);
+
+        // 試行リクエストがキャンセルされた場合
+        breaker.releaseTrial('google');
+        assert.equal(breaker.getState('google').state, 'half-open');
+        assert.equal(breaker.canRequest('google', 1301), true);
+        assert.equal(breaker.canRequest('google', 1302), false);
+    });
+
+    test.it('reset() はopenのエンジンをclosedとして通知し、設定は正の値のみ反映する', () => {
+        const { breaker, changes } = createBreaker();
+        [100, 200, 300].forEach(now => breaker.recordFailure('google', now));
+        breaker.recordFailure('bing', 100);
+
+        breaker.reset();
+        assert.deepEqual(changes.slice(1), [['google', 'open', 'closed', null]]);
+        assert.deepEqual(toPlain(breaker.getState('google')), { state: 'closed', failures: 0, retryAt: null });
+
+        breaker.updateSettings({ failureThreshold: 0, cooldown: 5000 });
+        assert.equal(breaker.failureThreshold, 3);
+        assert.equal(breaker.cooldown, 5000);
+    });
+});
+
+test.describe('再試行の遅延', () => {
+    /**
+     * 実行環境の Math.random を固定値に差し替える
+     */
+    function mockRandom(t, value) {
+        t.mock.method(vm.runInContext('Math', runtime.context), 'random', () => value);
+    }
+
+    test.it('ジッター付きの指数バックオフは backoff/2 以上 backoff 以下で、上限を超えない', t => {
+        const errorHandler = new ErrorHandler();
+        const bounds = [];
+
+        for (let attempts = 0; attempts < 6; attempts++) {
+            errorHandler.retryAttempts.set('google', attempts);
+            mockRandom(t, 0);
+            const min = errorHandler.getRetryDelay('google');
+            mockRandom(t, 0.999999);
+            const max = errorHandler.getRetryDelay('google');
+            bounds.push([min, max]);
+        }
+
+        assert.deepEqual(bounds, [
+            [500, 1000],
+            [1000, 2000],
+            [2000, 4000],
+            [4000, 8000],
+            [5000, 10000],
+            [5000, 10000]
+        ]);
+    });
+
+    test.it('Retry-Afterがある場合はバックオフの代わりにその時間待つ', t => {
+        const errorHandler = new ErrorHandler();
+        mockRandom(t, 0.5);
+
+        assert.equal(errorHandler.getRetryDelay('google', { retryAfter: 0 }), 0);
+        assert.equal(errorHandler.getRetryDelay('google', { retryAfter: 30000 }), 30000);
+        assert.equal(errorHandler.getRetryDelay('google', { retryAfter: 120000 }), errorHandler.maxRetryAfter);
+        assert.equal(errorHandler.getRetryDelay('google', { retryAfter: null }), 750);
+    });
+});
+
+test.describe('Retry-After と再試行の判定', () => {
+    test.it('秒数とHTTP日付の形式をミリ秒に変換し、解釈できない値はnullとする', () => {
+        const now = Date.parse('2026-10-19T00:00:00Z');
+
+        assert.equal(ErrorHandler.parseRetryAfter('120', now), 120000);
+        assert.equal(ErrorHandler.parseRetryAfter(' 0 ', now), 0);
+        assert.equal(ErrorHandler.parseRetryAfter('Mon, 19 Oct 2026 00:00:30 GMT', now), 30000);
+        assert.equal(ErrorHandler.parseRetryAfter('Sun, 18 Oct 2026 23:59:00 GMT', now), 0, '過去の日時は0とする');
+        ['', null, undefined, 'soon', '-5', '1.5'].forEach(value => {
+            assert.equal(ErrorHandler.parseRetryAfter(value, now), null, String(value));
+        });
+    });
+
+    test.it('HTTPエラーにステータスとRetry-Afterを保持する', () => {
+        const error = ErrorHandler.createHttpError(new Response('', {
+            status: 429,
+            statusText: 'Too Many Requests',
+            headers: { 'Retry-After': '5' }
+        }));
+        assert.equal(error.status, 429);
+        assert.equal(error.retryAfter, 5000);
+    });
+
+    test.it('408・429・5xxのみ再試行し、長すぎるRetry-Afterと回数の上限を超える場合は再試行しない', () => {
+        const errorHandler = new ErrorHandler();
+
+        assert.equal(errorHandler.shouldRetry('google', 'api', { statusCode: 429, retryAfter: 5000 }), true);
+        assert.equal(errorHandler.shouldRetry('google', 'api', { statusCode: 408 }), true);
+        assert.equal(errorHandler.shouldRetry('google', 'api', { statusCode: 503 }), true);
+        assert.equal(errorHandler.shouldRetry('google', 'api', { statusCode: 404 }), false);
+        assert.equal(errorHandler.shouldRetry('google', 'parsing'), false);
+        assert.equal(errorHandler.shouldRetry('google', 'api', { statusCode: 429, retryAfter: errorHandler.maxRetryAfter + 1 }), false);
+        assert.equal(errorHandler.shouldRetry('google', 'network'), true);
+
+        for (let i = 0; i < errorHandler.maxRetries; i++) {
+            errorHandler.recordRetryAttempt('google');
+        }
+        assert.equal(errorHandler.shouldRetry('google', 'network'), false);
+        assert.equal(errorHandler.shouldRetry('bing', 'network'), true, 'エンジンごとに数える');
+
+        errorHandler.resetRetryAttempts('google');
+        assert.equal(errorHandler.shouldRetry('google', 'timeout'), true);
+    });
+
+    test.it('HTTPエラーのRetry-Afterを再試行の遅延に使う', () => {
+        const errorHandler = new ErrorHandler();
+        const error = ErrorHandler.createHttpError(new Response('', { status: 503, headers: { 'Retry-After': '2' } }));
+        const errorInfo = errorHandler.handleEngineError(error, 'google');
+
+        assert.equal(errorInfo.type, 'api');
+        assert.equal(errorInfo.shouldRetry, true);
+        assert.equal(errorInfo.retryDelay, 2000);
+    });
+});
+
+test.describe('SearchManager のサーキットブレーカー', () => {
+    test.it('openの間はリクエストせずに circuit_open のエラーとし、再試行しない', async () => {
+        const requests = [];
+        const searchRuntime = loadRuntime({
+            fetch: async url => {
+                requests.push(url);
+                return new Response('', { status: 500, statusText: 'Internal Server Error' });
+            }
+        });
+        const searchManager = searchRuntime.createSearchManager();
+        try {
+            searchManager.circuitBreaker.updateSettings({ failureThreshold: 1, cooldown: 60000 });
+            await assert.rejects(searchManager.searchEngine('google', 'first', 'ja'));
+            assert.equal(searchManager.circuitBreaker.getState('google').state, 'open');
+
+            await assert.rejects(searchManager.searchEngine('google', 'second', 'ja'), error => {
+                assert.equal(error.errorInfo.type, 'circuit_open');
+                assert.equal(error.errorInfo.shouldRetry, undefined);
+                return true;
+            });
+            assert.equal(requests.length, 1);
+        } finally {
+            searchManager.cleanup();
+        }
+    });
+});
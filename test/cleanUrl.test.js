@@ -0,0 +1,72 @@
+/**
+ * cleanUrl() のテスト
+ * 検索エンジンのリダイレクトURLの展開と相対URLの絶対URL化を検証する
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadRuntime, createBuiltinAdapters } = require('./helpers');
+
+const TARGET_URL = 'https://developer.mozilla.org/ja/docs/Web/JavaScript';
+const ENCODED_TARGET_URL = encodeURIComponent(TARGET_URL);
+
+// エンジンごとの [入力, 期待する結果]
+const CASES = {
+    google: [
+        [`/url?q=${TARGET_URL}&sa=U&ved=2ahUKEwi`, TARGET_URL],
+        [`https://www.google.com/url?q=${ENCODED_TARGET_URL}&sa=U`, TARGET_URL],
+        [TARGET_URL, TARGET_URL]
+    ],
+    bing: [
+        ['/search?q=JavaScript&FORM=QSRE1', 'https://www.bing.com/search?q=JavaScript&FORM=QSRE1'],
+        [TARGET_URL, TARGET_URL]
+    ],
+    yahoo: [
+        [`https://search.yahoo.co.jp/url?url=${ENCODED_TARGET_URL}&ri=1`, TARGET_URL],
+        ['/search?p=JavaScript', 'https://search.yahoo.co.jp/search?p=JavaScript'],
+        [TARGET_URL, TARGET_URL]
+    ],
+    duckduckgo: [
+        [`//duckduckgo.com/l/?uddg=${ENCODED_TARGET_URL}&rut=5c1f`, TARGET_URL],
+        [`https://duckduckgo.com/l/?uddg=${ENCODED_TARGET_URL}`, TARGET_URL],
+        ['/?q=JavaScript', 'https://duckduckgo.com/?q=JavaScript'],
+        [TARGET_URL, TARGET_URL]
+    ],
+    youtube: [
+        ['/watch?v=W6NZfCO5SIk', 'https://www.youtube.com/watch?v=W6NZfCO5SIk'],
+        ['https://www.youtube.com/watch?v=W6NZfCO5SIk', 'https://www.youtube.com/watch?v=W6NZfCO5SIk']
+    ],
+    baidu: [
+        [`https://www.baidu.com/link?url=${ENCODED_TARGET_URL}&wd=&eqid=f0c3`, TARGET_URL],
+        ['/s?wd=JavaScript', 'https://www.baidu.com/s?wd=JavaScript'],
+        [TARGET_URL, TARGET_URL]
+    ],
+    naver: [
+        ['/search.naver?where=nexearch&query=JavaScript', 'https://search.naver.com/search.naver?where=nexearch&query=JavaScript'],
+        [TARGET_URL, TARGET_URL]
+    ],
+    wikipedia: [
+        ['https://ja.wikipedia.org/wiki/JavaScript', 'https://ja.wikipedia.org/wiki/JavaScript'],
+        [TARGET_URL, TARGET_URL]
+    ]
+};
+
+const runtime = loadRuntime();
+
+createBuiltinAdapters(runtime).forEach(adapter => {
+    test.describe(`${adapter.displayName} のURLクリーニング`, () => {
+        test.it('テストケースが定義されている', () => {
+            assert.ok(CASES[adapter.name], `${adapter.name} の cleanUrl() のテストケースを追加してください`);
+        });
+
+        (CASES[adapter.name] || []).forEach(([input, expected]) => {
+            test.it(input, () => {
+                assert.equal(adapter.cleanUrl(input), expected);
+            });
+        });
+
+        test.it('空のURLは空文字列を返す', () => {
+            assert.equal(adapter.cleanUrl(''), '');
+            assert.equal(adapter.cleanUrl(null), '');
+        });
+    });
+});
@@ -0,0 +1,77 @@
+/**
+ * getDirectSearchUrl() のテスト
+ * LanguageManager のすべての言語について、クエリと言語パラメータを含む検索URLになるかと、
+ * LanguageManager が渡されたレジストリのアダプターの言語パラメータを返すかを検証する
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { QUERY_PARAMETERS, loadRuntime, createBuiltinAdapters, toPlain } = require('./helpers');
+
+const QUERY = 'JavaScript 入門';
+
+const runtime = loadRuntime();
+const LanguageManager = runtime.lookup('LanguageManager');
+const languageManager = new LanguageManager();
+const languages = Object.keys(languageManager.supportedLanguages);
+
+test.it('LanguageManagerに言語が定義されている', () => {
+    assert.ok(languages.length > 0);
+});
+
+createBuiltinAdapters(runtime).forEach(adapter => {
+    test.describe(`${adapter.displayName} の直接検索URL`, () => {
+        const queryParameter = QUERY_PARAMETERS[adapter.name];
+
+        test.it('クエリのパラメータ名が定義されている', () => {
+            assert.ok(queryParameter, `${adapter.name} のクエリのパラメータ名を QUERY_PARAMETERS に追加してください`);
+        });
+
+        languages.forEach(language => {
+            test.it(language, () => {
+                const url = new URL(adapter.getDirectSearchUrl(QUERY, language));
+                const baseUrl = new URL(adapter.baseUrl);
+
+                assert.equal(url.origin + url.pathname, baseUrl.origin + baseUrl.pathname);
+                assert.equal(url.searchParams.get(queryParameter), QUERY);
+
+                const parameters = adapter.getLanguageParameters(language);
+                assert.ok(Object.keys(parameters).length > 0, `${adapter.name} の languageParameters に ${language} のパラメータがありません`);
+                Object.entries(parameters).forEach(([name, value]) => {
+                    assert.equal(url.searchParams.get(name), value, `${name} パラメータが一致しません`);
+                });
+            });
+        });
+
+        test.it('言語を省略した場合も検索URLを返す', () => {
+            const url = new URL(adapter.getDirectSearchUrl(QUERY));
+            assert.equal(url.searchParams.get(queryParameter), QUERY);
+        });
+    });
+});
+
+test.describe('LanguageManager の言語パラメータ', () => {
+    test.it('渡されたレジストリのアダプターのパラメータを返し、他のSearchManagerの登録解除の影響を受けない', () => {
+        const unregistered = runtime.createSearchManager();
+        const other = runtime.createSearchManager();
+        try {
+            unregistered.unregisterAdapter('google');
+
+            const otherLanguages = new LanguageManager(other.registry);
+            assert.equal(otherLanguages.getSearchParameters('en', 'google').hl, 'en');
+            assert.equal(otherLanguages.isEngineSupported('en', 'google'), true);
+
+            const unregisteredLanguages = new LanguageManager(unregistered.registry);
+            assert.deepEqual(toPlain(unregisteredLanguages.getSearchParameters('en', 'google')), {});
+            assert.equal(unregisteredLanguages.isEngineSupported('en', 'google'), false);
+            assert.equal(unregisteredLanguages.getSearchParameters('en', 'bing').setlang, 'en');
+        } finally {
+            unregistered.cleanup();
+            other.cleanup();
+        }
+    });
+
+    test.it('レジストリを渡さない場合はどのエンジンも空のパラメータとする', () => {
+        assert.deepEqual(toPlain(languageManager.getSearchParameters('ja', 'google')), {});
+        assert.equal(languageManager.isEngineSupported('ja', 'google'), false);
+    });
+});
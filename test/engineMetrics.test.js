@@ -0,0 +1,139 @@
+/**
+ * エンジン計測（EngineMetrics）のテスト
+ * エンジンごとの成功・エラー（種別ごと）の件数、キャッシュの参照結果、応答時間の集計（平均・パーセンタイル）とリセットを検証する
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadRuntime, readPage, toPlain } = require('./helpers');
+
+const runtime = loadRuntime();
+const EngineMetrics = runtime.lookup('EngineMetrics');
+
+test.describe('件数の記録', () => {
+    test.it('未記録のエンジンは0件・率はnullとする', () => {
+        const stats = toPlain(new EngineMetrics().getStats('google'));
+        assert.deepEqual(stats, {
+            totalAttempts: 0,
+            successCount: 0,
+            errorCount: 0,
+            successRate: null,
+            errorsByType: {},
+            cacheHits: 0,
+            cacheMisses: 0,
+            cacheHitRatio: null,
+            averageResponseTime: 0,
+            latency: { samples: 0, p50: null, p90: null, p99: null }
+        });
+    });
+
+    test.it('成功・エラーの件数と成功率、エラー種別ごとの件数をエンジンごとに記録する', () => {
+        const metrics = new EngineMetrics();
+        metrics.recordSuccess('google', 100);
+        metrics.recordSuccess('google', 200);
+        metrics.recordSuccess('google', 300);
+        metrics.recordError('google', 'timeout', 5000);
+        metrics.recordError('bing', 'api');
+        metrics.recordError('bing', null);
+
+        const google = metrics.getStats('google');
+        assert.equal(google.totalAttempts, 4);
+        assert.equal(google.successCount, 3);
+        assert.equal(google.errorCount, 1);
+        assert.equal(google.successRate, 0.75);
+        assert.deepEqual(toPlain(google.errorsByType), { timeout: 1 });
+
+        const bing = metrics.getStats('bing');
+        assert.equal(bing.successRate, 0);
+        assert.deepEqual(toPlain(bing.errorsByType), { api: 1, general: 1 });
+        assert.equal(bing.latency.samples, 0, '応答時間のないエラーは応答時間に含めない');
+    });
+
+    test.it('キャッシュのヒット率を記録する', () => {
+        const metrics = new EngineMetrics();
+        [true, false, false, true].forEach(hit => metrics.recordCacheLookup('yahoo', hit));
+
+        const stats = metrics.getStats('yahoo');
+        assert.equal(stats.cacheHits, 2);
+        assert.equal(stats.cacheMisses, 2);
+        assert.equal(stats.cacheHitRatio, 0.5);
+        assert.equal(stats.totalAttempts, 0, 'キャッシュの参照は検索の件数に含めない');
+    });
+});
+
+test.describe('応答時間の集計', () => {
+    test.it('平均とパーセンタイル（最近順位法）を算出する', () => {
+        const metrics = new EngineMetrics();
+        // 記録した順序によらず集計する
+        [10, 1, 9, 2, 8, 3, 7, 4, 6, 5].forEach(value => metrics.recordSuccess('google', value * 100));
+
+        const stats = metrics.getStats('google');
+        assert.equal(stats.averageResponseTime, 550);
+        assert.deepEqual(toPlain(stats.latency), { samples: 10, p50: 500, p90: 900, p99: 1000 });
+    });
+
+    test.it('不正な応答時間は記録せず、上限を超えた古い計測値から破棄する', () => {
+        const metrics = new EngineMetrics({ maxSamples: 3 });
+        [-1, NaN, Infinity, '100', null].forEach(value => metrics.recordSuccess('bing', value));
+        assert.equal(metrics.getStats('bing').latency.samples, 0);
+        assert.equal(metrics.getStats('bing').successCount, 5);
+
+        [1000, 10, 20, 30].forEach(value => metrics.recordSuccess('bing', value));
+        const stats = metrics.getStats('bing');
+        assert.equal(stats.latency.samples, 3);
+        assert.equal(stats.latency.p99, 30);
+        assert.equal(stats.averageResponseTime, 20);
+    });
+});
+
+test.describe('リセット', () => {
+    test.it('指定したエンジン、または全エンジンの計測値をリセットする', () => {
+        const metrics = new EngineMetrics();
+        metrics.recordSuccess('google', 100);
+        metrics.recordError('bing', 'network', 200);
+        metrics.recordCacheLookup('bing', true);
+
+        metrics.reset('google');
+        assert.equal(metrics.getStats('google').totalAttempts, 0);
+        assert.equal(metrics.getStats('bing').totalAttempts, 1);
+
+        metrics.reset();
+        assert.equal(metrics.getStats('bing').totalAttempts, 0);
+        assert.equal(metrics.getStats('bing').cacheHitRatio, null);
+    });
+});
+
+test.describe('SearchManager の計測', () => {
+    test.it('検索の成功とキャッシュの参照を記録し、統計に含め、リセットする', async () => {
+        const runtime = loadRuntime({
+            fetch: async () => new Response(readPage('google'), { status: 200, headers: { 'Content-Type': 'text/html' } })
+        });
+        const searchManager = runtime.createSearchManager();
+        try {
+            await searchManager.searchEngine('google', 'JavaScript', 'ja');
+            await searchManager.searchEngine('google', 'JavaScript', 'ja');
+
+            const stats = searchManager.getSearchStats().engineStats.google;
+            assert.equal(stats.successCount, 1);
+            assert.equal(stats.cacheHits, 1);
+            assert.equal(stats.cacheMisses, 1);
+            assert.equal(stats.latency.samples, 1);
+            assert.equal(stats.circuit.state, 'closed');
+
+            searchManager.resetEngineStats('google');
+            assert.equal(searchManager.getSearchStats().engineStats.google.totalAttempts, 0);
+        } finally {
+            searchManager.cleanup();
+        }
+    });
+
+    test.it('検索の失敗をErrorHandlerが判定したエラー種別で記録する', async () => {
+        const runtime = loadRuntime({ fetch: async () => new Response('', { status: 404, statusText: 'Not Found' }) });
+        const searchManager = runtime.createSearchManager();
+        try {
+            await assert.rejects(searchManager.searchEngine('google', 'JavaScript', 'ja'));
+            assert.deepEqual(toPlain(searchManager.getSearchStats().engineStats.google.errorsByType), { api: 1 });
+        } finally {
+            searchManager.cleanup();
+        }
+    });
+});
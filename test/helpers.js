@@ -0,0 +1,106 @@
+/**
+ * テスト用の共通処理
+ * CLIと同じ実行環境（cli/runtime.js）にブラウザ向けのスクリプトを読み込み、保存済みの検索結果ページ・APIの応答を扱う
+ */
+const fs = require('fs');
+const path = require('path');
+const { createRuntime } = require('../cli/runtime');
+
+const PAGES_DIR = path.join(__dirname, 'fixtures', 'pages');
+const API_DIR = path.join(__dirname, 'fixtures', 'api');
+
+// 各エンジンの検索URLでクエリを渡すパラメータ名
+const QUERY_PARAMETERS = {
+    google: 'q',
+    bing: 'q',
+    yahoo: 'p',
+    duckduckgo: 'q',
+    youtube: 'search_query',
+    baidu: 'wd',
+    naver: 'query',
+    wikipedia: 'search'
+};
+
+/**
+ * 実行環境を作成
+ * ネットワークにはアクセスしないよう、fetchを指定しない場合は常に失敗させる
+ */
+function loadRuntime(options = {}) {
+    return createRuntime({
+        fetch: async url => {
+            throw new Error(`テスト中にネットワークへアクセスしようとしました: ${url}`);
+        },
+        ...options
+    });
+}
+
+/**
+ * 組み込みアダプターのインスタンスを作成
+ */
+function createBuiltinAdapters(runtime) {
+    return runtime.lookup('AdapterRegistry').getBuiltins().map(AdapterClass => new AdapterClass());
+}
+
+/**
+ * HTMLの検索結果ページを解析する組み込みアダプター（セレクター設定を持つもの）のインスタンスを作成
+ */
+function createHtmlAdapters(runtime) {
+    return createBuiltinAdapters(runtime).filter(adapter => adapter.selectors);
+}
+
+/**
+ * APIの応答（JSON）を解析する組み込みアダプターのインスタンスを作成
+ */
+function createApiAdapters(runtime) {
+    return createBuiltinAdapters(runtime).filter(adapter => !adapter.selectors);
+}
+
+/**
+ * 保存済みの検索結果ページを読み込み
+ */
+function readPage(engine) {
+    return fs.readFileSync(path.join(PAGES_DIR, `${engine}.html`), 'utf8');
+}
+
+/**
+ * 検索結果ページの期待する解析結果を読み込み
+ */
+function readExpectedResults(engine) {
+    return JSON.parse(fs.readFileSync(path.join(PAGES_DIR, `${engine}.expected.json`), 'utf8'));
+}
+
+/**
+ * 保存済みのAPIの応答（test/fixtures/api/<name>.json）を読み込み
+ * 期待する解析結果は <エンジン>.expected、結果のない応答は <エンジン>.no-results
+ */
+function readApiResponse(name) {
+    return JSON.parse(fs.readFileSync(path.join(API_DIR, `${name}.json`), 'utf8'));
+}
+
+/**
+ * 実行環境（vmコンテキスト）で作成された値をこのコンテキストの値に変換
+ * 配列やオブジェクトはコンテキストごとにプロトタイプが異なり、assert.deepEqual で一致しないため
+ */
+function toPlain(value) {
+    return JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * 検索結果を共通の形式（title・url・snippet・displayUrl）に絞り込む
+ */
+function pickNormalizedFields(results) {
+    return toPlain(results.map(({ title, url, snippet, displayUrl }) => ({ title, url, snippet, displayUrl })));
+}
+
+module.exports = {
+    QUERY_PARAMETERS,
+    loadRuntime,
+    createBuiltinAdapters,
+    createHtmlAdapters,
+    createApiAdapters,
+    readPage,
+    readExpectedResults,
+    readApiResponse,
+    toPlain,
+    pickNormalizedFields
+};
@@ -0,0 +1,160 @@
+/**
+ * JSON API検索アダプター（JsonApiSearchAdapter）のテスト
+ * URL・本文のテンプレートの展開、結果の配列のパスとフィールドの対応による解析、
+ * 定義の検証、定義のJSONからの読み込みと設定からの登録を検証する
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadRuntime, readApiResponse, toPlain } = require('./helpers');
+
+const DEFINITION = {
+    type: 'jsonapi',
+    name: 'team-wiki',
+    displayName: 'Team Wiki',
+    method: 'GET',
+    urlTemplate: 'https://wiki.example.com/api/search?q={searchTerms}&page={page}&lang={language}',
+    resultsPath: 'data.items',
+    fields: { title: 'title', url: 'links[0].href', snippet: 'excerpt', date: 'updatedAt' }
+};
+
+const POST_DEFINITION = {
+    ...DEFINITION,
+    name: 'tickets',
+    displayName: 'Tickets',
+    method: 'POST',
+    urlTemplate: 'https://tickets.example.com/api/search',
+    bodyTemplate: '{"query": "{searchTerms}", "from": {offset}, "size": {count}}',
+    headers: { Authorization: 'Bearer token' },
+    searchUrlTemplate: 'https://tickets.example.com/search?text={searchTerms}',
+    useProxy: false
+};
+
+/**
+ * 保存済みの応答を返し、リクエスト（URL・fetchのオプション）を記録するfetchを作成
+ */
+function createApiFetch(requests, body = readApiResponse('jsonapi')) {
+    return async (url, init = {}) => {
+        requests.push({ url, init });
+        return new Response(JSON.stringify(body), { status: 200, headers: { 'Content-Type': 'application/json' } });
+    };
+}
+
+/**
+ * JSON API検索アダプターを作成
+ */
+function createJsonApi(runtime, definition = DEFINITION) {
+    const JsonApiSearchAdapter = runtime.lookup('JsonApiSearchAdapter');
+    return new JsonApiSearchAdapter(definition);
+}
+
+test.describe('JSON APIへのリクエスト', () => {
+    test.it('GETのURLテンプレートに検索キーワード・ページ・言語を埋め込み、プロキシを経由する', async () => {
+        const requests = [];
+        const adapter = createJsonApi(loadRuntime({ fetch: createApiFetch(requests) }));
+        adapter.proxyUrl = 'http://localhost:8000/proxy';
+        await adapter.search('社内 Wiki', 'ja', { page: 2 });
+
+        const url = new URL(new URL(requests[0].url).searchParams.get('url'));
+        assert.equal(url.searchParams.get('q'), '社内 Wiki');
+        assert.equal(url.searchParams.get('page'), '2');
+        assert.equal(url.searchParams.get('lang'), 'ja');
+        assert.equal(requests[0].init.method, 'GET');
+        assert.equal(adapter.getDirectSearchUrl('JavaScript', 'ja'), 'https://wiki.example.com/api/search?q=JavaScript&page=1&lang=ja');
+    });
+
+    test.it('POSTは本文のテンプレートにJSONとしてエスケープした値を埋め込み、ヘッダーを付けて直接リクエストする', async () => {
+        const requests = [];
+        const adapter = createJsonApi(loadRuntime({ fetch: createApiFetch(requests) }), POST_DEFINITION);
+        adapter.proxyUrl = 'http://localhost:8000/proxy';
+        await adapter.search('"quoted" text', 'ja', { page: 3 });
+
+        assert.equal(requests[0].url, 'https://tickets.example.com/api/search');
+        assert.equal(requests[0].init.method, 'POST');
+        assert.equal(requests[0].init.headers.Authorization, 'Bearer token');
+        assert.equal(requests[0].init.headers['Content-Type'], 'application/json');
+        assert.deepEqual(JSON.parse(requests[0].init.body), { query: '"quoted" text', from: 20, size: 10 });
+        assert.equal(adapter.getDirectSearchUrl('JavaScript', 'ja'), 'https://tickets.example.com/search?text=JavaScript');
+    });
+
+    test.it('テンプレートにページ・開始位置がないAPIは2ページ目以降を取得しない', () => {
+        const adapter = createJsonApi(loadRuntime(), { ...DEFINITION, urlTemplate: 'https://wiki.example.com/api/search?q={searchTerms}' });
+        assert.equal(adapter.supportsPagination, false);
+    });
+});
+
+test.describe('JSON APIの応答の解析', () => {
+    test.it('結果の配列のパスとフィールドの対応で結果を取り出す', async () => {
+        const adapter = createJsonApi(loadRuntime({ fetch: createApiFetch([]) }));
+        const response = await adapter.search('JavaScript', 'ja');
+
+        assert.equal(response.source, 'live');
+        assert.deepEqual(toPlain(response.results.map(result => [result.title, result.url, result.snippet, result.publishedDate])), [
+            ['デプロイ手順 JavaScript', 'https://wiki.example.com/pages/deploy', '社内の JavaScript アプリのデプロイ手順です。', '2025-03-10T09:00:00Z'],
+            ['コーディング規約', 'https://wiki.example.com/pages/style', '', '1735689600000']
+        ]);
+    });
+
+    test.it('結果の配列のパスが最上位の配列を指すこともできる', () => {
+        const adapter = createJsonApi(loadRuntime(), { ...DEFINITION, resultsPath: '' });
+        const results = adapter.parse(readApiResponse('jsonapi').data.items, { page: 1 });
+        assert.equal(results.length, 2);
+    });
+
+    test.it('結果の配列がない応答はエラーとなる', () => {
+        const adapter = createJsonApi(loadRuntime());
+        assert.throws(() => adapter.parse({ data: {} }, { page: 1 }), /resultsPath: data\.items/);
+    });
+});
+
+test.describe('JSON APIのカスタムエンジンの定義', () => {
+    const invalidCases = [
+        ['URLテンプレートがhttp(s)でない', { urlTemplate: 'ftp://wiki.example.com/?q={searchTerms}' }, /urlTemplate/],
+        ['GETのURLテンプレートに検索キーワードがない', { urlTemplate: 'https://wiki.example.com/api/search' }, /\{searchTerms\}/],
+        ['titleのパスがない', { fields: { url: 'url' } }, /fields\.title/],
+        ['POSTの本文がJSONにならない', { ...POST_DEFINITION, bodyTemplate: '{query: {searchTerms}}' }, /bodyTemplate/],
+        ['ヘッダーを使うのにプロキシを経由する', { headers: { Authorization: 'Bearer token' } }, /useProxy/],
+        ['メソッドがGET・POST以外の', { method: 'PUT' }, /method/]
+    ];
+    invalidCases.forEach(([name, override, pattern]) => {
+        test.it(`${name}場合はエラーとなる`, () => {
+            const JsonApiSearchAdapter = loadRuntime().lookup('JsonApiSearchAdapter');
+            assert.throws(() => JsonApiSearchAdapter.normalizeDefinition({ ...DEFINITION, ...override }), pattern);
+        });
+    });
+
+    test.it('エクスポートした定義のJSONを読み込み、typeを省略した定義はJSON APIとして重複しない名前を付ける', () => {
+        const runtime = loadRuntime();
+        const searchManager = runtime.createSearchManager();
+        try {
+            const { type, name, ...withoutType } = DEFINITION;
+            const definitions = searchManager.importCustomEngines(JSON.stringify([withoutType, { ...DEFINITION, name: 'google' }]));
+
+            assert.deepEqual(toPlain(definitions.map(definition => [definition.type, definition.name])), [
+                ['jsonapi', 'team-wiki'],
+                ['jsonapi', 'team-wiki-2']
+            ]);
+            assert.deepEqual(toPlain(definitions[0].fields), { ...DEFINITION.fields });
+            assert.throws(() => searchManager.importCustomEngines('{'), /JSONを解析できません/);
+            assert.throws(() => searchManager.importCustomEngines('[{ "type": "jsonapi", "displayName": "x" }]'), /urlTemplate/);
+        } finally {
+            searchManager.cleanup();
+        }
+    });
+
+    test.it('設定に保存した定義をSearchManagerがカスタムエンジンとして登録する', () => {
+        const runtime = loadRuntime();
+        const SettingsManager = runtime.lookup('SettingsManager');
+        const settingsManager = new SettingsManager({ storageKey: 'test-jsonapi-settings' });
+        const searchManager = runtime.createSearchManager();
+        try {
+            settingsManager.update({ customEngines: [DEFINITION, POST_DEFINITION] });
+            searchManager.updateSettings({ customEngines: settingsManager.get('customEngines') });
+
+            assert.equal(searchManager.adapters['team-wiki'].describeMode(), 'JSON API（GET wiki.example.com）');
+            assert.equal(searchManager.adapters.tickets.describeMode(), 'JSON API（POST tickets.example.com、プロキシなし）');
+            assert.equal(searchManager.adapters.tickets.useProxy, false);
+        } finally {
+            searchManager.cleanup();
+        }
+    });
+});
@@ -0,0 +1,77 @@
+/**
+ * コマンドラインインターフェース（cli/kiro-search.js）のテスト
+ * 検索エンジンに接続できない場合にサンプル結果で代替せず、接続の失敗（network）として再試行した上で失敗の終了コードを返すか、
+ * 実際の結果とデモモードのサンプル結果を成功として扱うかを検証する
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { main, EXIT_OK, EXIT_ALL_FAILED } = require('../cli/kiro-search');
+const { readPage } = require('./helpers');
+
+/**
+ * 出力を文字列として記録するio
+ */
+function createIo() {
+    const output = { stdout: '', stderr: '' };
+    return {
+        output,
+        io: {
+            stdout: { write: text => { output.stdout += text; } },
+            stderr: { write: text => { output.stderr += text; } }
+        }
+    };
+}
+
+test.describe('終了コード', () => {
+    test.it('ネットワークに接続できない（fetchがTypeErrorとなる）場合はサンプル結果を出力せず失敗とする', async () => {
+        const { io, output } = createIo();
+        const requests = [];
+        const code = await main(['test query', '--engines', 'google,bing', '--format', 'json'], io, {
+            fetch: async url => {
+                requests.push(url);
+                throw new TypeError('fetch failed');
+            }
+        });
+
+        const report = JSON.parse(output.stdout);
+        assert.equal(code, EXIT_ALL_FAILED);
+        assert.deepEqual(report.engines.map(engine => [engine.engine, engine.status, engine.results.length]), [
+            ['google', 'error', 0],
+            ['bing', 'error', 0]
+        ]);
+        assert.ok(report.engines.every(engine => engine.source !== 'mock'));
+        assert.equal(report.summary.successful, 0);
+        assert.equal(report.summary.failed, 2);
+
+        // ブラウザのCORSではなく接続の失敗として扱い、再試行する
+        assert.ok(report.engines.every(engine => engine.errorType === 'network'), JSON.stringify(report.engines));
+        assert.ok(report.engines.every(engine => !engine.error.includes('代替データ')));
+        assert.ok(requests.length > 2, '接続の失敗は再試行する');
+    });
+
+    test.it('--demoの場合はサンプル結果を成功とする', async () => {
+        const { io, output } = createIo();
+        const code = await main(['test query', '--engines', 'google', '--format', 'json', '--demo'], io, {
+            fetch: async () => {
+                throw new TypeError('fetch failed');
+            }
+        });
+
+        const report = JSON.parse(output.stdout);
+        assert.equal(code, EXIT_OK);
+        assert.equal(report.engines[0].status, 'success');
+        assert.equal(report.engines[0].source, 'mock');
+    });
+
+    test.it('実際の検索結果を取得できたエンジンがあれば成功とする', async () => {
+        const { io, output } = createIo();
+        const code = await main(['test query', '--engines', 'google', '--format', 'json'], io, {
+            fetch: async () => new Response(readPage('google'), { status: 200, headers: { 'Content-Type': 'text/html' } })
+        });
+
+        const report = JSON.parse(output.stdout);
+        assert.equal(code, EXIT_OK);
+        assert.equal(report.engines[0].source, 'live');
+        assert.ok(report.engines[0].results.length > 0);
+    });
+});
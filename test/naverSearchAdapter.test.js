@@ -0,0 +1,52 @@
+/**
+ * Naver検索アダプター（NaverSearchAdapter）のテスト
+ * 統合検索のセクション（ウェブサイト・ブログ・ニュース）の解析、2ページ目以降のURL、
+ * 韓国語の検索でのみ既定で使用されるかを検証する
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadRuntime, createBuiltinAdapters, readPage, toPlain } = require('./helpers');
+
+test.describe('Naverの検索結果', () => {
+    const runtime = loadRuntime();
+    const naver = createBuiltinAdapters(runtime).find(adapter => adapter.name === 'naver');
+
+    test.it('結果ごとにセクション（news・blog・web）を返す', () => {
+        const results = naver.formatResults(naver.parseResults(readPage('naver')));
+        assert.deepEqual(toPlain(results.map(result => result.section)), ['news', 'blog', 'web', 'web', 'web']);
+    });
+
+    test.it('モックデータもセクションを持つ', () => {
+        const response = naver.getMockResults('자바스크립트', 'ko');
+        assert.deepEqual(toPlain(response.results.map(result => result.section)), ['web', 'blog', 'news']);
+    });
+
+    test.it('2ページ目以降はウェブサイトのセクションを結果の位置で取得する', () => {
+        const url = new URL(naver.buildSearchUrl('자바스크립트', 'ko', { page: 2 }));
+        assert.equal(url.searchParams.get('query'), '자바스크립트');
+        assert.equal(url.searchParams.get('where'), 'web');
+        assert.equal(url.searchParams.get('start'), String(naver.pageSize + 1));
+    });
+});
+
+test.describe('言語ごとの既定のエンジン', () => {
+    test.it('Naverは韓国語の検索でのみ既定で使用し、指定した場合は他の言語でも使用する', () => {
+        const searchManager = loadRuntime().createSearchManager();
+        try {
+            assert.ok(searchManager.resolveEngines(null, 'ko').includes('naver'));
+            assert.ok(!searchManager.resolveEngines(null, 'ja').includes('naver'));
+            assert.ok(searchManager.resolveEngines(null, 'ja').includes('google'));
+            assert.deepEqual(toPlain(searchManager.resolveEngines(['naver'], 'ja')), ['naver']);
+        } finally {
+            searchManager.cleanup();
+        }
+    });
+
+    test.it('enabledLanguagesが文字列の配列でないアダプターは登録時の検証でエラーになる', () => {
+        const runtime = loadRuntime();
+        const AdapterRegistry = runtime.lookup('AdapterRegistry');
+        const naver = createBuiltinAdapters(runtime).find(adapter => adapter.name === 'naver');
+        naver.enabledLanguages = 'ko';
+        assert.deepEqual(toPlain(new AdapterRegistry().validate(naver)), ['enabledLanguagesは言語コードの配列である必要があります']);
+    });
+});
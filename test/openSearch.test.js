@@ -0,0 +1,307 @@
+/**
+ * OpenSearch記述ドキュメントから作成するカスタムエンジン（OpenSearchAdapter）のテスト
+ * 記述ドキュメントの解析、URLテンプレートの展開、RSS・Atom・JSONの結果の解析、
+ * SearchManagerへの登録と設定への保存を検証する
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadRuntime, toPlain } = require('./helpers');
+
+// 結果ページ（text/html）・RSS・検索候補・POSTのURLテンプレートを持つ記述ドキュメント
+const DESCRIPTION = `<?xml version="1.0" encoding="UTF-8"?>
+<OpenSearchDescription xmlns="http://a9.com/-/spec/opensearch/1.1/" xmlns:moz="http://www.mozilla.org/2006/browser/search/">
+  <ShortName>Example Docs</ShortName>
+  <Description>Search the Example documentation</Description>
+  <InputEncoding>UTF-8</InputEncoding>
+  <Url type="text/html" method="get" template="https://docs.example.com/search?q={searchTerms}&amp;lang={language?}"/>
+  <Url type="application/rss+xml" template="https://docs.example.com/feed?q={searchTerms}&amp;page={startPage?}&amp;n={count?}" pageOffset="0"/>
+  <Url type="application/x-suggestions+json" template="https://docs.example.com/suggest?q={searchTerms}"/>
+  <Url type="text/html" method="post" template="https://docs.example.com/post-search"/>
+</OpenSearchDescription>`;
+
+// 結果ページのURLテンプレートのみを持つ記述ドキュメント
+const LINK_ONLY_DESCRIPTION = `<OpenSearchDescription xmlns="http://a9.com/-/spec/opensearch/1.1/">
+  <ShortName>社内Wiki</ShortName>
+  <Url type="text/html" template="https://wiki.example.com/w/index.php?search={searchTerms}&amp;from={startIndex?}" indexOffset="0">
+    <Param name="fulltext" value="1"/>
+  </Url>
+</OpenSearchDescription>`;
+
+const RSS_FEED = `<?xml version="1.0"?>
+<rss version="2.0"><channel><title>Example Docs</title>
+  <item><title>Getting started &amp; setup</title><link>https://docs.example.com/start</link><description>&lt;p&gt;Install and &lt;b&gt;configure&lt;/b&gt;&lt;/p&gt;</description></item>
+  <item><title>API reference</title><link>/api</link><description>All endpoints</description></item>
+  <item><title></title><link>https://docs.example.com/untitled</link></item>
+</channel></rss>`;
+
+const ATOM_FEED = `<feed xmlns="http://www.w3.org/2005/Atom">
+  <entry><title>Getting started</title><link rel="edit" href="https://docs.example.com/edit/start"/><link href="https://docs.example.com/start"/><summary>Install</summary></entry>
+</feed>`;
+
+/**
+ * 記述ドキュメントのURLテンプレートを差し替えた定義を作成
+ */
+function createDefinition(runtime, urls) {
+    const OpenSearchAdapter = runtime.lookup('OpenSearchAdapter');
+    return { ...toPlain(OpenSearchAdapter.parseDescription(DESCRIPTION)), urls: urls };
+}
+
+/**
+ * リクエストを記録し、指定した本文を返すfetchを作成
+ */
+function createRecordingFetch(requests, body) {
+    return async (url, init = {}) => {
+        requests.push({ url, headers: init.headers });
+        return new Response(body, { status: 200 });
+    };
+}
+
+test.describe('OpenSearch記述ドキュメントの解析', () => {
+    const runtime = loadRuntime();
+    const OpenSearchAdapter = runtime.lookup('OpenSearchAdapter');
+
+    test.it('GETのURLテンプレートと表示名から定義を作成する', () => {
+        const definition = OpenSearchAdapter.parseDescription(DESCRIPTION, { sourceUrl: 'https://docs.example.com/opensearch.xml' });
+        assert.deepEqual(toPlain(definition), {
+            type: 'opensearch',
+            name: 'example-docs',
+            displayName: 'Example Docs',
+            description: 'Search the Example documentation',
+            sourceUrl: 'https://docs.example.com/opensearch.xml',
+            urls: [
+                {
+                    type: 'text/html',
+                    template: 'https://docs.example.com/search?q={searchTerms}&lang={language?}',
+                    rel: 'results',
+                    indexOffset: 1,
+                    pageOffset: 1,
+                    params: []
+                },
+                {
+                    type: 'application/rss+xml',
+                    template: 'https://docs.example.com/feed?q={searchTerms}&page={startPage?}&n={count?}',
+                    rel: 'results',
+                    indexOffset: 1,
+                    pageOffset: 0,
+                    params: []
+                }
+            ]
+        });
+    });
+
+    test.it('使用済みのエンジン名と重ならない名前にする', () => {
+        const names = ['google', 'example-docs', 'example-docs-2'];
+        assert.equal(OpenSearchAdapter.parseDescription(DESCRIPTION, { existingNames: names }).name, 'example-docs-3');
+        assert.equal(OpenSearchAdapter.createUniqueName('Google', names), 'google-2');
+        assert.equal(OpenSearchAdapter.createUniqueName('社内Wiki'), 'wiki');
+        assert.equal(OpenSearchAdapter.createUniqueName('日本語'), 'opensearch');
+    });
+
+    const invalidDocuments = [
+        ['記述ドキュメントでない', '<html><body>Not found</body></html>', /OpenSearch記述ドキュメントではありません/],
+        ['GETのURLテンプレートがない', '<OpenSearchDescription><ShortName>A</ShortName><Url type="text/html" method="post" template="https://a.example.com/?q={searchTerms}"/></OpenSearchDescription>', /URLテンプレート/],
+        ['{searchTerms} がない', '<OpenSearchDescription><ShortName>A</ShortName><Url type="text/html" template="https://a.example.com/"/></OpenSearchDescription>', /\{searchTerms\}/],
+        ['http(s)でないURL', '<OpenSearchDescription><ShortName>A</ShortName><Url type="text/html" template="ftp://a.example.com/{searchTerms}"/></OpenSearchDescription>', /http\(s\)/]
+    ];
+
+    invalidDocuments.forEach(([name, xml, pattern]) => {
+        test.it(`${name}場合はエラーとなる`, () => {
+            assert.throws(() => OpenSearchAdapter.parseDescription(xml), pattern);
+        });
+    });
+
+    test.it('省略可能なパラメータと値のないパラメータは空文字列にする', () => {
+        assert.equal(
+            OpenSearchAdapter.fillTemplate('https://a.example.com/?q={searchTerms}&p={startPage?}&c={count}&s={moz:searchForm}', { searchTerms: 'a&b c' }),
+            'https://a.example.com/?q=a%26b%20c&p=&c=&s='
+        );
+    });
+});
+
+test.describe('OpenSearchAdapter の検索', () => {
+    test.it('結果ページのテンプレートのみの場合はリクエストせずにリンクを返す', async () => {
+        const runtime = loadRuntime();
+        const OpenSearchAdapter = runtime.lookup('OpenSearchAdapter');
+        const adapter = new OpenSearchAdapter(OpenSearchAdapter.parseDescription(LINK_ONLY_DESCRIPTION));
+
+        const directUrl = 'https://wiki.example.com/w/index.php?search=%E5%85%A5%E9%96%80&from=0&fulltext=1';
+        assert.equal(adapter.getDirectSearchUrl('入門', 'ja'), directUrl);
+        assert.equal(adapter.supportsPagination, false);
+
+        const response = await adapter.search('入門', 'ja');
+        assert.equal(response.source, 'link');
+        assert.equal(response.directUrl, directUrl);
+        assert.deepEqual(toPlain(response.results), []);
+    });
+
+    test.it('RSSのテンプレートで結果を取得し、ページの開始位置を埋め込む', async () => {
+        const requests = [];
+        const runtime = loadRuntime({ fetch: createRecordingFetch(requests, RSS_FEED) });
+        const OpenSearchAdapter = runtime.lookup('OpenSearchAdapter');
+        const adapter = new OpenSearchAdapter(OpenSearchAdapter.parseDescription(DESCRIPTION));
+
+        assert.equal(adapter.getDirectSearchUrl('setup', 'en'), 'https://docs.example.com/search?q=setup&lang=en');
+
+        const response = await adapter.search('setup', 'en', { page: 2 });
+        assert.equal(requests[0].url, 'https://docs.example.com/feed?q=setup&page=1&n=10');
+        assert.match(requests[0].headers.Accept, /^application\/rss\+xml/);
+        assert.equal(response.source, 'live');
+        assert.equal(response.page, 2);
+        assert.deepEqual(toPlain(adapter.formatResults(response.results)), [
+            {
+                title: 'Getting started & setup',
+                url: 'https://docs.example.com/start',
+                snippet: 'Install and configure',
+                displayUrl: 'docs.example.com/start'
+            },
+            {
+                title: 'API reference',
+                url: 'https://docs.example.com/api',
+                snippet: 'All endpoints',
+                displayUrl: 'docs.example.com/api'
+            }
+        ]);
+    });
+
+    test.it('Atomのフィードは rel="alternate"（または rel なし）のリンクを使う', () => {
+        const runtime = loadRuntime();
+        const OpenSearchAdapter = runtime.lookup('OpenSearchAdapter');
+        const adapter = new OpenSearchAdapter(createDefinition(runtime, [
+            { type: 'application/atom+xml', template: 'https://docs.example.com/atom?q={searchTerms}' }
+        ]));
+
+        assert.deepEqual(toPlain(adapter.parse(ATOM_FEED)), [{
+            title: 'Getting started',
+            url: 'https://docs.example.com/start',
+            snippet: 'Install',
+            displayUrl: 'docs.example.com/start'
+        }]);
+        assert.throws(() => adapter.parse('<html><body></body></html>'), /RSS・Atomのフィードではありません/);
+    });
+
+    test.it('JSONの結果の配列と検索候補の形式を解析する', () => {
+        const runtime = loadRuntime();
+        const OpenSearchAdapter = runtime.lookup('OpenSearchAdapter');
+        const adapter = new OpenSearchAdapter(createDefinition(runtime, [
+            { type: 'application/json', template: 'https://docs.example.com/api/search?q={searchTerms}&start={startIndex}' }
+        ]));
+        assert.equal(adapter.supportsPagination, true);
+
+        const items = adapter.parse(JSON.stringify({ results: [{ name: 'Start', link: 'https://docs.example.com/start', summary: 'Install' }, { name: 'No URL' }] }));
+        assert.deepEqual(toPlain(items.map(item => [item.title, item.url, item.snippet])), [['Start', 'https://docs.example.com/start', 'Install']]);
+
+        const suggestions = adapter.parse(JSON.stringify(['sta', ['Start', 'Status'], ['Install', ''], ['https://docs.example.com/start', 'https://docs.example.com/status']]));
+        assert.deepEqual(toPlain(suggestions.map(item => item.url)), ['https://docs.example.com/start', 'https://docs.example.com/status']);
+
+        assert.throws(() => adapter.parse('<html>'), /JSONとして読み込めません/);
+    });
+
+    test.it('フィード・JSONの結果のうちhttp(s)以外のURLの項目は除き、URLを正規化する', () => {
+        const runtime = loadRuntime();
+        const OpenSearchAdapter = runtime.lookup('OpenSearchAdapter');
+        const rss = new OpenSearchAdapter(createDefinition(runtime, [
+            { type: 'application/rss+xml', template: 'https://docs.example.com/feed?q={searchTerms}' }
+        ]));
+        const json = new OpenSearchAdapter(createDefinition(runtime, [
+            { type: 'application/json', template: 'https://docs.example.com/api/search?q={searchTerms}' }
+        ]));
+
+        const feed = `<rss version="2.0"><channel>
+  <item><title>Script</title><link>javascript:alert(document.domain)</link></item>
+  <item><title>Data</title><link>data:text/html,&lt;script&gt;alert(1)&lt;/script&gt;</link></item>
+  <item><title>Quote</title><link>https://x.example/" onmouseover="alert(1)</link></item>
+</channel></rss>`;
+        assert.deepEqual(toPlain(rss.parse(feed).map(item => [item.title, item.url])), [
+            ['Quote', 'https://x.example/%22%20onmouseover=%22alert(1)']
+        ]);
+
+        const items = json.parse(JSON.stringify({ results: [
+            { title: 'Script', url: 'javascript:alert(document.domain)' },
+            { title: 'Vbscript', url: 'VBScript:msgbox(1)' },
+            { title: 'Start', url: 'https://docs.example.com/start' }
+        ] }));
+        assert.deepEqual(toPlain(items.map(item => item.url)), ['https://docs.example.com/start']);
+    });
+});
+
+test.describe('SearchManager のカスタムエンジン', () => {
+    test.it('設定した定義のエンジンを登録し、定義がなくなると登録を解除する', async () => {
+        const runtime = loadRuntime();
+        const OpenSearchAdapter = runtime.lookup('OpenSearchAdapter');
+        const searchManager = runtime.createSearchManager();
+        const events = [];
+        searchManager.on('adapter:registered', ({ engine }) => events.push(`+${engine}`));
+        searchManager.on('adapter:unregistered', ({ engine }) => events.push(`-${engine}`));
+
+        try {
+            const definition = OpenSearchAdapter.parseDescription(LINK_ONLY_DESCRIPTION);
+            searchManager.updateSettings({ customEngines: [definition] });
+            assert.ok(searchManager.registry.getNames().includes('wiki'));
+
+            const results = await searchManager.searchAll('入門', 'ja', { engines: ['wiki'] });
+            assert.equal(results.engines.wiki.status, 'success');
+            assert.equal(results.engines.wiki.source, 'link');
+
+            // 同じ定義では登録し直さない
+            searchManager.updateSettings({ customEngines: [definition] });
+            searchManager.updateSettings({ customEngines: [] });
+            assert.equal(searchManager.registry.has('wiki'), false);
+            assert.deepEqual(events, ['+wiki', '-wiki']);
+        } finally {
+            searchManager.cleanup();
+        }
+    });
+
+    test.it('組み込みエンジンと同じ名前の定義は登録しない', () => {
+        const runtime = loadRuntime();
+        const searchManager = runtime.createSearchManager();
+        try {
+            const google = searchManager.adapters.google;
+            searchManager.setCustomEngines([{ ...createDefinition(runtime, [{ type: 'text/html', template: 'https://a.example.com/?q={searchTerms}' }]), name: 'google' }]);
+            assert.equal(searchManager.adapters.google, google);
+            assert.deepEqual(toPlain(searchManager.customEngines), []);
+        } finally {
+            searchManager.cleanup();
+        }
+    });
+
+    test.it('URLの記述ドキュメントはプロキシ経由で取得する', async () => {
+        const requests = [];
+        const runtime = loadRuntime({ fetch: createRecordingFetch(requests, DESCRIPTION) });
+        const searchManager = runtime.createSearchManager();
+        try {
+            searchManager.updateSettings({ proxyUrl: 'http://localhost:8000/proxy' });
+            const definition = await searchManager.createOpenSearchEngine(' https://docs.example.com/opensearch.xml ');
+            assert.equal(requests[0].url, 'http://localhost:8000/proxy?url=https%3A%2F%2Fdocs.example.com%2Fopensearch.xml');
+            assert.equal(definition.sourceUrl, 'https://docs.example.com/opensearch.xml');
+            assert.equal(definition.name, 'example-docs');
+
+            await assert.rejects(searchManager.createOpenSearchEngine('  '), /URLまたはXMLを入力してください/);
+        } finally {
+            searchManager.cleanup();
+        }
+    });
+});
+
+test.describe('SettingsManager のカスタムエンジン', () => {
+    const runtime = loadRuntime();
+    const SettingsManager = runtime.lookup('SettingsManager');
+    const OpenSearchAdapter = runtime.lookup('OpenSearchAdapter');
+
+    test.it('検証した定義を保存する', () => {
+        const definition = toPlain(OpenSearchAdapter.parseDescription(DESCRIPTION));
+        const settingsManager = new SettingsManager({ storageKey: 'test-custom-engines' });
+        settingsManager.update({ customEngines: [definition] });
+        assert.deepEqual(toPlain(new SettingsManager({ storageKey: 'test-custom-engines' }).get('customEngines')), [definition]);
+    });
+
+    test.it('不明な種類・不正な定義・重複した名前は保存しない', () => {
+        const definition = toPlain(OpenSearchAdapter.parseDescription(DESCRIPTION));
+        const settingsManager = new SettingsManager({ storageKey: 'test-invalid-custom-engines' });
+
+        assert.throws(() => settingsManager.update({ customEngines: [{ ...definition, type: 'unknown' }] }), /不明なカスタムエンジンの種類/);
+        assert.throws(() => settingsManager.update({ customEngines: [{ ...definition, urls: [] }] }), error => error.validationErrors.length === 1);
+        assert.throws(() => settingsManager.update({ customEngines: [definition, definition] }), /重複/);
+        assert.deepEqual(toPlain(settingsManager.get('customEngines')), []);
+    });
+});
@@ -0,0 +1,86 @@
+/**
+ * parseResults() / parse() のテスト
+ * 保存済みの検索結果ページ・APIの応答を解析し、共通形式の結果が期待どおりかを検証する
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    loadRuntime,
+    createHtmlAdapters,
+    createApiAdapters,
+    readPage,
+    readExpectedResults,
+    readApiResponse,
+    toPlain,
+    pickNormalizedFields
+} = require('./helpers');
+
+const runtime = loadRuntime();
+
+createHtmlAdapters(runtime).forEach(adapter => {
+    test.describe(`${adapter.displayName} の結果解析`, () => {
+        const html = readPage(adapter.name);
+
+        test.it('保存済みページから期待どおりの結果を取得する', () => {
+            const results = adapter.parseResults(html);
+            assert.deepEqual(pickNormalizedFields(results), readExpectedResults(adapter.name));
+        });
+
+        test.it('すべての結果が共通形式の文字列フィールドを持つ', () => {
+            const results = adapter.parseResults(html);
+            assert.ok(results.length > 0, '結果が1件も取得できません（セレクターが一致していない可能性があります）');
+
+            results.forEach((result, index) => {
+                ['title', 'url', 'snippet', 'displayUrl'].forEach(field => {
+                    assert.equal(typeof result[field], 'string', `${index}件目の${field}が文字列ではありません`);
+                });
+                assert.notEqual(result.title, '', `${index}件目のtitleが空です`);
+                assert.match(result.url, /^https:\/\//, `${index}件目のurlが絶対URLではありません: ${result.url}`);
+            });
+        });
+
+        test.it('1ページの件数を超えて返さない', () => {
+            const results = adapter.parseResults(html);
+            assert.ok(results.length <= adapter.pageSize);
+        });
+
+        test.it('「結果なし」のページでは空の配列を返す', () => {
+            assert.deepEqual(toPlain(adapter.parseResults(readPage(`${adapter.name}.no-results`))), []);
+        });
+
+        test.it('formatResults() は解析結果を変えない', () => {
+            const results = adapter.parseResults(html);
+            assert.deepEqual(pickNormalizedFields(adapter.formatResults(results)), pickNormalizedFields(results));
+        });
+    });
+});
+
+createApiAdapters(runtime).forEach(adapter => {
+    test.describe(`${adapter.displayName} のAPIの応答の解析`, () => {
+        const parse = name => adapter.parse(readApiResponse(name), { query: 'JavaScript', language: 'ja', page: 1 });
+
+        test.it('保存済みの応答から期待どおりの結果を取得する', () => {
+            assert.deepEqual(pickNormalizedFields(parse(adapter.name)), readApiResponse(`${adapter.name}.expected`));
+        });
+
+        test.it('すべての結果が共通形式の文字列フィールドを持ち、1ページの件数を超えない', () => {
+            const results = parse(adapter.name);
+            assert.ok(results.length > 0 && results.length <= adapter.pageSize);
+
+            results.forEach((result, index) => {
+                ['title', 'url', 'snippet', 'displayUrl'].forEach(field => {
+                    assert.equal(typeof result[field], 'string', `${index}件目の${field}が文字列ではありません`);
+                });
+                assert.match(result.url, /^https:\/\//, `${index}件目のurlが絶対URLではありません: ${result.url}`);
+            });
+        });
+
+        test.it('結果のない応答では空の配列を返す', () => {
+            assert.deepEqual(toPlain(parse(`${adapter.name}.no-results`)), []);
+        });
+
+        test.it('APIの形式でない応答はエラーとなる', () => {
+            assert.throws(() => adapter.parse({ unexpected: true }, { query: 'JavaScript', language: 'ja', page: 1 }));
+        });
+    });
+});
@@ -0,0 +1,166 @@
+/**
+ * ローカルプロキシサーバー（server/index.js・server/config.js）のテスト
+ * 許可していないメソッド・ホスト・リダイレクト先の拒否、応答サイズの上限、/proxy/status と設定の読み込みを検証する
+ * 検索エンジンへの転送にはネットワークを使わず、createServer() の options.fetch で差し替えた応答を返す
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createServer, SERVICE_NAME } = require('../server/index');
+const { loadConfig, DEFAULT_CONFIG } = require('../server/config');
+
+/**
+ * プロキシサーバーを起動し、URLと転送先へのリクエストの記録を返す
+ * upstream(url) が転送先の応答を返す。サーバーはテストの終了時に停止する
+ */
+async function startServer(t, upstream, configOverrides = {}) {
+    const requests = [];
+    const config = { ...loadConfig({}), ...configOverrides };
+    const server = createServer(config, {
+        fetch: async (url, init) => {
+            requests.push({ url, init });
+            return upstream(url);
+        }
+    });
+
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    t.after(() => new Promise(resolve => {
+        server.closeAllConnections();
+        server.close(resolve);
+    }));
+
+    return { baseUrl: `http://127.0.0.1:${server.address().port}`, requests };
+}
+
+/**
+ * 転送先URLを指定した /proxy のURLを作成
+ */
+function proxyUrl(baseUrl, target) {
+    return `${baseUrl}/proxy?url=${encodeURIComponent(target)}`;
+}
+
+/**
+ * 呼び出された場合に失敗する転送先
+ */
+function unexpectedUpstream(url) {
+    throw new Error(`転送されないはずのURLです: ${url}`);
+}
+
+// テスト中のサーバーのログを出力しない
+test.before(() => {
+    test.mock.method(console, 'log', () => {});
+    test.mock.method(console, 'warn', () => {});
+});
+
+test.describe('リクエストの検証', () => {
+    test.it('GET・HEAD・OPTIONS以外のメソッドは405とする', async t => {
+        const { baseUrl, requests } = await startServer(t, unexpectedUpstream);
+
+        for (const method of ['POST', 'PUT', 'DELETE']) {
+            const response = await fetch(proxyUrl(baseUrl, 'https://www.google.com/search?q=test'), { method });
+            assert.equal(response.status, 405, method);
+            assert.equal(response.headers.get('allow'), 'GET, HEAD, OPTIONS');
+            assert.match((await response.json()).error, /許可されていないメソッド/);
+        }
+        assert.equal(requests.length, 0);
+    });
+
+    test.it('許可リストにないホスト・https以外のURLは転送せずに403とする', async t => {
+        const { baseUrl, requests } = await startServer(t, unexpectedUpstream);
+
+        const targets = ['https://evil.example/search?q=test', 'http://www.google.com/search?q=test', 'https://www.google.com:8443/search'];
+        for (const target of targets) {
+            const response = await fetch(proxyUrl(baseUrl, target));
+            assert.equal(response.status, 403, target);
+        }
+
+        const invalid = await fetch(proxyUrl(baseUrl, 'not a url'));
+        assert.equal(invalid.status, 400);
+        assert.equal((await fetch(`${baseUrl}/proxy`)).status, 400, 'url パラメータがない');
+        assert.equal(requests.length, 0);
+    });
+
+    test.it('許可リストにないホストへのリダイレクトは追跡せずに403とする', async t => {
+        const { baseUrl, requests } = await startServer(t, () => new Response(null, {
+            status: 302,
+            headers: { Location: 'https://evil.example/steal' }
+        }));
+
+        const response = await fetch(proxyUrl(baseUrl, 'https://www.bing.com/search?q=test'));
+        assert.equal(response.status, 403);
+        assert.match((await response.json()).error, /evil\.example/);
+        assert.deepEqual(requests.map(request => request.url), ['https://www.bing.com/search?q=test']);
+        assert.equal(requests[0].init.redirect, 'manual');
+    });
+
+    test.it('許可リストのホストへのリダイレクトは追跡し、最終的なURLを返す', async t => {
+        const { baseUrl, requests } = await startServer(t, url => url.includes('/redirect') ?
+            new Response(null, { status: 301, headers: { Location: '/search?q=test' } }) :
+            new Response('<html>ok</html>', { status: 200, headers: { 'Content-Type': 'text/html' } }));
+
+        const response = await fetch(proxyUrl(baseUrl, 'https://www.bing.com/redirect'));
+        assert.equal(response.status, 200);
+        assert.equal(await response.text(), '<html>ok</html>');
+        assert.equal(response.headers.get('x-proxy-final-url'), 'https://www.bing.com/search?q=test');
+        assert.equal(requests.length, 2);
+    });
+});
+
+test.describe('応答サイズの上限', () => {
+    test.it('上限を超える応答は502とする（Content-Lengthあり・なし）', async t => {
+        const body = 'x'.repeat(100);
+        const { baseUrl } = await startServer(t, url => new Response(body, {
+            status: 200,
+            headers: url.includes('declared') ? { 'Content-Length': String(body.length) } : {}
+        }), { maxResponseBytes: 50 });
+
+        for (const target of ['https://www.google.com/search?q=declared', 'https://www.google.com/search?q=streamed']) {
+            const response = await fetch(proxyUrl(baseUrl, target));
+            assert.equal(response.status, 502, target);
+            assert.match((await response.json()).error, /上限（50バイト）/);
+        }
+    });
+
+    test.it('上限以内の応答はステータス・Content-Typeとともに中継する', async t => {
+        const { baseUrl } = await startServer(t, () => new Response('{"ok":true}', {
+            status: 429,
+            headers: { 'Content-Type': 'application/json', 'Retry-After': '30' }
+        }), { maxResponseBytes: 50 });
+
+        const response = await fetch(proxyUrl(baseUrl, 'https://api.duckduckgo.com/?q=test'));
+        assert.equal(response.status, 429);
+        assert.equal(response.headers.get('content-type'), 'application/json');
+        assert.equal(response.headers.get('retry-after'), '30');
+        assert.deepEqual(await response.json(), { ok: true });
+    });
+});
+
+test.describe('/proxy/status', () => {
+    test.it('サービス名・許可リスト・応答サイズの上限を返し、ループバックのオリジンにCORSを許可する', async t => {
+        const { baseUrl, requests } = await startServer(t, unexpectedUpstream);
+
+        const response = await fetch(`${baseUrl}/proxy/status`, { headers: { Origin: 'http://localhost:8080' } });
+        assert.equal(response.status, 200);
+        assert.equal(response.headers.get('access-control-allow-origin'), 'http://localhost:8080');
+        assert.deepEqual(await response.json(), {
+            service: SERVICE_NAME,
+            allowedHosts: DEFAULT_CONFIG.allowedHosts,
+            maxResponseBytes: DEFAULT_CONFIG.maxResponseBytes
+        });
+
+        const other = await fetch(`${baseUrl}/proxy/status`, { headers: { Origin: 'https://evil.example' } });
+        assert.equal(other.headers.get('access-control-allow-origin'), null);
+        assert.equal(requests.length, 0);
+    });
+});
+
+test.describe('設定の読み込み', () => {
+    test.it('環境変数でホスト・ポートを上書きし、不正な値はエラーとする', () => {
+        const config = loadConfig({ HOST: '0.0.0.0', PORT: '9000' });
+        assert.equal(config.host, '0.0.0.0');
+        assert.equal(config.port, 9000);
+        assert.deepEqual(config.upstreamHeaders, DEFAULT_CONFIG.upstreamHeaders);
+
+        assert.throws(() => loadConfig({ PORT: 'abc' }), /port には1以上の整数/);
+        assert.throws(() => loadConfig({ KIRO_PROXY_CONFIG: '/nonexistent/proxy.json' }), /設定ファイルを読み込めません/);
+    });
+});
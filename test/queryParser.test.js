@@ -0,0 +1,182 @@
+/**
+ * 検索クエリ解析（QueryParser）のテスト
+ * 完全一致フレーズ・除外・site:・OR などの演算子の解析と、組み込みアダプターごとの対応演算子に合わせた変換、
+ * 未対応の演算子を結果の絞り込みで代替する処理を検証する
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadRuntime, createBuiltinAdapters, toPlain } = require('./helpers');
+
+const runtime = loadRuntime();
+const QueryParser = runtime.lookup('QueryParser');
+const adapters = createBuiltinAdapters(runtime);
+const parser = new QueryParser();
+
+/**
+ * クエリを解析した句の一覧
+ */
+function parseClauses(input) {
+    return toPlain(parser.parse(input).clauses);
+}
+
+test.describe('演算子の解析', () => {
+    test.it('引用符で囲まれた語を完全一致フレーズにする', () => {
+        assert.deepEqual(parseClauses('"machine learning" python'), [
+            { type: 'phrase', value: 'machine learning', negated: false },
+            { type: 'term', value: 'python', negated: false }
+        ]);
+        // 閉じ引用符がない場合は末尾までをフレーズとする
+        assert.deepEqual(parseClauses('"open ended'), [{ type: 'phrase', value: 'open ended', negated: false }]);
+        assert.deepEqual(parseClauses('""'), []);
+    });
+
+    test.it('-で始まる語・フレーズ・演算子を除外にする', () => {
+        assert.deepEqual(parseClauses('python -snake -"monty python" -site:example.com'), [
+            { type: 'term', value: 'python', negated: false },
+            { type: 'term', value: 'snake', negated: true },
+            { type: 'phrase', value: 'monty python', negated: true },
+            { type: 'operator', name: 'site', value: 'example.com', negated: true }
+        ]);
+        // 単独の - は通常の語として扱う
+        assert.deepEqual(parseClauses('a - b').map(clause => clause.value), ['a', '-', 'b']);
+    });
+
+    test.it('site:・filetype:・intitle: を演算子にし、引用符で囲まれた値に対応する', () => {
+        assert.deepEqual(parseClauses('SITE:example.com filetype:pdf intitle:"user guide"'), [
+            { type: 'operator', name: 'site', value: 'example.com', negated: false },
+            { type: 'operator', name: 'filetype', value: 'pdf', negated: false },
+            { type: 'operator', name: 'intitle', value: 'user guide', negated: false }
+        ]);
+        // 未知の演算子・値のない演算子は通常の語として扱う
+        assert.deepEqual(parseClauses('inurl:docs site:'), [
+            { type: 'term', value: 'inurl:docs', negated: false },
+            { type: 'term', value: 'site:', negated: false }
+        ]);
+    });
+
+    test.it('OR・| で前後の句をまとめ、連続するORは1つの句にする', () => {
+        assert.deepEqual(parseClauses('python OR rust | "go lang" tutorial'), [
+            {
+                type: 'or',
+                clauses: [
+                    { type: 'term', value: 'python', negated: false },
+                    { type: 'term', value: 'rust', negated: false },
+                    { type: 'phrase', value: 'go lang', negated: false }
+                ]
+            },
+            { type: 'term', value: 'tutorial', negated: false }
+        ]);
+        // 先頭・末尾のOR、小文字のorは通常の語として扱う
+        assert.deepEqual(parseClauses('OR python or rust OR').map(clause => clause.value), ['OR', 'python', 'or', 'rust', 'OR']);
+    });
+});
+
+test.describe('エンジンごとの変換', () => {
+    const query = '"machine learning" -tutorial site:example.com python OR rust filetype:pdf intitle:guide';
+    const expected = {
+        google: { query: query, unsupported: [] },
+        bing: { query: query, unsupported: [] },
+        duckduckgo: { query: query, unsupported: [] },
+        // Baiduは | をORとして使う
+        baidu: { query: '"machine learning" -tutorial site:example.com python | rust filetype:pdf intitle:guide', unsupported: [] },
+        yahoo: {
+            query: '"machine learning" -tutorial site:example.com python OR rust intitle:guide',
+            unsupported: ['filetype']
+        },
+        wikipedia: {
+            query: '"machine learning" -tutorial python OR rust intitle:guide',
+            unsupported: ['site', 'filetype']
+        },
+        // intitle: は演算子を外した語として検索する
+        youtube: {
+            query: '"machine learning" -tutorial python OR rust guide',
+            unsupported: ['site', 'filetype', 'intitle']
+        },
+        // ORに未対応の場合は最初の候補のみで検索する
+        naver: {
+            query: '"machine learning" -tutorial site:example.com python guide',
+            unsupported: ['or', 'filetype', 'intitle']
+        }
+    };
+
+    test.it('すべての組み込みアダプターの期待値がある', () => {
+        assert.deepEqual(toPlain(adapters.map(adapter => adapter.name)).sort(), Object.keys(expected).sort());
+    });
+
+    adapters.forEach(adapter => {
+        test.it(`${adapter.displayName}: 対応していない演算子をクエリから外す`, () => {
+            const translation = parser.translate(query, adapter.queryCapabilities);
+            assert.equal(translation.query, expected[adapter.name].query);
+            assert.deepEqual(toPlain(translation.unsupported.map(item => item.feature)), expected[adapter.name].unsupported);
+        });
+    });
+
+    test.it('除外・フレーズに未対応の場合は除外の句を外し、フレーズは引用符を外す', () => {
+        const translation = parser.translate('"exact phrase" -skip keep', { phrase: false, exclude: false });
+        assert.equal(translation.query, 'exact phrase keep');
+        assert.deepEqual(toPlain(translation.unsupported.map(({ feature, emulated }) => [feature, emulated])), [
+            ['phrase', true],
+            ['exclude', true]
+        ]);
+    });
+
+    test.it('ORの候補のうち未対応の演算子は語として残す', () => {
+        const translation = parser.translate('site:a.example OR docs', { site: false });
+        assert.equal(translation.query, 'a.example OR docs');
+    });
+});
+
+test.describe('未対応の演算子の代替', () => {
+    const results = [
+        { title: 'Guide to Rust', url: 'https://example.com/docs/rust.pdf', snippet: 'tutorial' },
+        { title: 'Rust', url: 'https://blog.example.com/rust.html', snippet: 'news' },
+        { title: 'Guide', url: 'https://other.example/guide.pdf', snippet: '' }
+    ];
+
+    test.it('site:・filetype:・intitle:・除外を結果の絞り込みで代替し、除外した件数を通知する', () => {
+        const unsupportedFor = input => parser.translate(input, {
+            site: false, filetype: false, intitle: false, exclude: false
+        }).unsupported;
+        const titles = input => toPlain(parser.applyPostFilters(results, unsupportedFor(input)).results.map(result => result.title));
+
+        assert.deepEqual(titles('site:example.com'), ['Guide to Rust', 'Rust']);
+        assert.deepEqual(titles('site:example.com/docs'), ['Guide to Rust']);
+        assert.deepEqual(titles('filetype:pdf'), ['Guide to Rust', 'Guide']);
+        assert.deepEqual(titles('intitle:guide'), ['Guide to Rust', 'Guide']);
+        assert.deepEqual(titles('-tutorial'), ['Rust', 'Guide']);
+        assert.deepEqual(titles('-site:example.com'), ['Guide']);
+
+        const { notices } = parser.applyPostFilters(results, unsupportedFor('filetype:pdf'));
+        assert.deepEqual(toPlain(notices), [{
+            feature: 'filetype',
+            handling: 'filtered',
+            removed: 1,
+            message: 'filetype:演算子に未対応のため、結果を絞り込みました（1件除外）'
+        }]);
+    });
+
+    test.it('ORに未対応の場合は絞り込まずに通知する', () => {
+        const { unsupported } = parser.translate('rust OR go', { or: false });
+        const filtered = parser.applyPostFilters(results, unsupported);
+
+        assert.equal(filtered.results.length, results.length);
+        assert.deepEqual(toPlain(filtered.notices.map(notice => [notice.feature, notice.handling])), [['or', 'ignored']]);
+    });
+
+    test.it('SearchManager はアダプターが未対応の演算子を実際の結果にのみ適用する', () => {
+        const searchManager = runtime.createSearchManager();
+        try {
+            const live = searchManager.applyQueryTranslation('youtube', 'rust site:example.com', {
+                engine: 'youtube', source: 'live', results: results
+            });
+            assert.equal(live.results.length, 2);
+            assert.equal(live.totalResults, 2);
+            assert.deepEqual(toPlain(live.queryNotices.map(notice => notice.feature)), ['site']);
+
+            const mock = { engine: 'youtube', source: 'mock', results: results };
+            assert.equal(searchManager.applyQueryTranslation('youtube', 'rust site:example.com', mock), mock);
+        } finally {
+            searchManager.cleanup();
+        }
+    });
+});
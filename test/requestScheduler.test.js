@@ -0,0 +1,196 @@
+/**
+ * リクエストスケジューラー（RequestScheduler）のテスト
+ * エンジンごとのトークンバケット、全体の同時リクエスト数の上限、待機中の順番の通知とキャンセル、
+ * 設定の検証と、SearchManagerが連続したリクエストをエラーにせず待機させるか、検索の2回目以降のリクエストにもトークンを使うかを検証する
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadRuntime, readPage, toPlain } = require('./helpers');
+
+/**
+ * 外部から完了させられるタスクを作成
+ */
+function createDeferredTask(started, name) {
+    let finish;
+    const done = new Promise(resolve => {
+        finish = resolve;
+    });
+    return {
+        task: () => {
+            started.push(name);
+            return done.then(() => name);
+        },
+        finish: () => finish()
+    };
+}
+
+test.describe('トークンバケット', () => {
+    test.it('burst件までは待たずに実行し、それ以降はトークンの補充を待ってから実行する', async () => {
+        const RequestScheduler = loadRuntime().lookup('RequestScheduler');
+        const scheduler = new RequestScheduler({ settings: { rate: 20, burst: 2 } });
+        const events = [];
+        scheduler.on('queue', payload => events.push(['queue', payload.engine, payload.position]));
+        scheduler.on('start', payload => events.push(['start', payload.engine]));
+
+        const startedAt = Date.now();
+        const results = await Promise.all([1, 2, 3].map(index => scheduler.schedule('google', async () => index)));
+
+        assert.deepEqual(results, [1, 2, 3]);
+        assert.ok(Date.now() - startedAt >= 40, '3件目はトークンの補充（50ms）を待つ');
+        assert.deepEqual(events, [['start', 'google'], ['start', 'google'], ['queue', 'google', 1], ['start', 'google']]);
+    });
+
+    test.it('トークンがないエンジンのリクエストは他のエンジンのリクエストを妨げない', async () => {
+        const RequestScheduler = loadRuntime().lookup('RequestScheduler');
+        const scheduler = new RequestScheduler({ settings: { rate: 0.1, burst: 1, engines: { bing: { rate: 50 } } } });
+        const started = [];
+
+        await scheduler.schedule('google', async () => started.push('google-1'));
+        const waiting = scheduler.schedule('google', async () => started.push('google-2'));
+        await scheduler.schedule('bing', async () => started.push('bing-1'));
+        await scheduler.schedule('bing', async () => started.push('bing-2'));
+
+        assert.deepEqual(started, ['google-1', 'bing-1', 'bing-2']);
+        assert.equal(scheduler.getStatus('google').queued, 1);
+        assert.equal(scheduler.getStatus('bing').rate, 50);
+
+        scheduler.clear();
+        await assert.rejects(waiting, error => error.name === 'AbortError');
+    });
+
+    test.it('waitForToken() は実行中のリクエストの追加のリクエストにトークンを使い、ない場合は補充を待つ', async () => {
+        const RequestScheduler = loadRuntime().lookup('RequestScheduler');
+        const scheduler = new RequestScheduler({ settings: { rate: 20, burst: 1, maxConcurrent: 1 } });
+
+        const startedAt = Date.now();
+        await scheduler.schedule('google', () => scheduler.waitForToken('google'));
+        assert.ok(Date.now() - startedAt >= 40, '2回目のリクエストはトークンの補充（50ms）を待つ');
+        assert.equal(scheduler.active, 0);
+
+        const controller = new AbortController();
+        const waiting = scheduler.waitForToken('google', controller.signal);
+        controller.abort();
+        await assert.rejects(waiting, error => error.name === 'AbortError');
+    });
+});
+
+test.describe('同時リクエスト数の上限', () => {
+    test.it('上限に達している間は待機させ、実行中のリクエストが終わると順に実行する', async () => {
+        const RequestScheduler = loadRuntime().lookup('RequestScheduler');
+        const scheduler = new RequestScheduler({ settings: { maxConcurrent: 2, rate: 1, burst: 2 } });
+        const started = [];
+        const positions = [];
+        scheduler.on('queue', ({ engine, position }) => positions.push([engine, position]));
+
+        const tasks = ['google', 'bing', 'yahoo', 'baidu'].map(engine => createDeferredTask(started, engine));
+        const promises = tasks.map((item, index) => scheduler.schedule(['google', 'bing', 'yahoo', 'baidu'][index], item.task));
+        await Promise.resolve();
+
+        assert.deepEqual(started, ['google', 'bing']);
+        assert.deepEqual(positions, [['yahoo', 1], ['baidu', 2]]);
+
+        tasks[0].finish();
+        assert.equal(await promises[0], 'google');
+        await new Promise(resolve => setImmediate(resolve));
+        assert.deepEqual(started, ['google', 'bing', 'yahoo']);
+        assert.deepEqual(positions[positions.length - 1], ['baidu', 1]);
+
+        tasks.slice(1).forEach(item => item.finish());
+        assert.deepEqual(await Promise.all(promises), ['google', 'bing', 'yahoo', 'baidu']);
+    });
+
+    test.it('待機中に中断されたリクエストは実行せずにAbortErrorとする', async () => {
+        const RequestScheduler = loadRuntime().lookup('RequestScheduler');
+        const scheduler = new RequestScheduler({ settings: { maxConcurrent: 1, rate: 1, burst: 1 } });
+        const started = [];
+        const first = createDeferredTask(started, 'google');
+        const controller = new AbortController();
+
+        const running = scheduler.schedule('google', first.task);
+        const waiting = scheduler.schedule('bing', async () => started.push('bing'), { signal: controller.signal });
+        controller.abort();
+
+        await assert.rejects(waiting, error => error.name === 'AbortError');
+        first.finish();
+        await running;
+        assert.deepEqual(started, ['google']);
+        assert.equal(scheduler.queue.length, 0);
+    });
+});
+
+test.describe('リクエストの制御の設定', () => {
+    test.it('範囲外の値はエラーとなり、設定の更新で貯まっているトークンを新しいburstまでにする', () => {
+        const RequestScheduler = loadRuntime().lookup('RequestScheduler');
+        assert.throws(() => RequestScheduler.normalizeSettings({ ...RequestScheduler.defaultSettings, maxConcurrent: 0 }), /同時リクエスト数の上限/);
+        assert.throws(() => RequestScheduler.normalizeSettings({ ...RequestScheduler.defaultSettings, rate: -1 }), /1秒あたり/);
+        assert.throws(() => RequestScheduler.normalizeSettings({ ...RequestScheduler.defaultSettings, engines: { google: { burst: 1.5 } } }), /googleのburst/);
+
+        const scheduler = new RequestScheduler({ settings: { burst: 5 } });
+        assert.equal(scheduler.getStatus('google').tokens, 5);
+        scheduler.updateSettings({ burst: 2 });
+        assert.equal(scheduler.getStatus('google').tokens, 2);
+    });
+
+    test.it('SettingsManagerが設定を検証し、SearchManagerがスケジューラーに適用する', () => {
+        const runtime = loadRuntime();
+        const SettingsManager = runtime.lookup('SettingsManager');
+        const settingsManager = new SettingsManager({ storageKey: 'test-scheduler-settings' });
+
+        assert.deepEqual(toPlain(settingsManager.get('requestScheduler')), { maxConcurrent: 4, rate: 1, burst: 2, engines: {} });
+        assert.throws(() => settingsManager.update({ requestScheduler: { maxConcurrent: 100, rate: 1, burst: 2 } }), /1〜20/);
+        settingsManager.update({ requestScheduler: { maxConcurrent: 2, rate: 0.5, burst: 3, engines: { google: { rate: 2 } } } });
+
+        const searchManager = runtime.createSearchManager();
+        try {
+            searchManager.updateSettings({ requestScheduler: settingsManager.get('requestScheduler') });
+            assert.equal(searchManager.scheduler.maxConcurrent, 2);
+            assert.deepEqual(toPlain(searchManager.scheduler.getLimits('google')), { rate: 2, burst: 3 });
+        } finally {
+            searchManager.cleanup();
+        }
+    });
+});
+
+test.describe('SearchManager のリクエストの待機', () => {
+    test.it('連続したリクエストはレート制限のエラーにせず、順番を通知して待機する', async () => {
+        const html = readPage('google');
+        const runtime = loadRuntime({ fetch: async () => new Response(html, { status: 200 }) });
+        const searchManager = runtime.createSearchManager();
+        const queued = [];
+        searchManager.on('engine:queue', ({ engine, position }) => queued.push([engine, position]));
+        try {
+            searchManager.updateSettings({ requestScheduler: { rate: 20, burst: 1 } });
+            const responses = await Promise.all(['a', 'b', 'c'].map(query => searchManager.searchEngine('google', query, 'ja')));
+
+            assert.deepEqual(toPlain(responses.map(response => response.source)), ['live', 'live', 'live']);
+            assert.ok(queued.some(([engine, position]) => engine === 'google' && position === 2));
+            assert.deepEqual(toPlain(queued[queued.length - 1]), ['google', null]);
+        } finally {
+            searchManager.cleanup();
+        }
+    });
+
+    test.it('1回の検索で複数のリクエストを送るアダプターはリクエストごとにトークンを使う', async () => {
+        const requests = [];
+        const runtime = loadRuntime({
+            fetch: async url => {
+                requests.push(url);
+                // Instant Answer APIの結果がないため、通常の検索も行う
+                return String(url).startsWith('https://api.duckduckgo.com/')
+                    ? new Response(JSON.stringify({ AbstractText: '', RelatedTopics: [] }), { status: 200 })
+                    : new Response(readPage('duckduckgo'), { status: 200 });
+            }
+        });
+        const searchManager = runtime.createSearchManager();
+        try {
+            searchManager.updateSettings({ requestScheduler: { rate: 0.1, burst: 3 } });
+            const response = await searchManager.searchEngine('duckduckgo', 'JavaScript', 'en');
+
+            assert.equal(response.source, 'live');
+            assert.equal(requests.length, 2);
+            assert.equal(searchManager.scheduler.getStatus('duckduckgo').tokens, 1);
+        } finally {
+            searchManager.cleanup();
+        }
+    });
+});
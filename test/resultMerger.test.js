@@ -0,0 +1,161 @@
+/**
+ * 検索結果統合（ResultMerger）のテスト
+ * URLの正規化による重複排除、融合方式ごとの順位、統合した結果のエンジンごとの出典を検証する
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadRuntime, toPlain } = require('./helpers');
+
+const runtime = loadRuntime();
+const ResultMerger = runtime.lookup('ResultMerger');
+
+/**
+ * URLの一覧から検索結果の配列を作成
+ */
+function createResults(urls) {
+    return urls.map((url, index) => ({ title: `${url} の結果`, url: url, snippet: `snippet ${index + 1}` }));
+}
+
+test.describe('URLの正規化', () => {
+    const merger = new ResultMerger();
+
+    test.it('同じページを指すURLを同じキーにする', () => {
+        const urls = [
+            'https://www.example.com/docs/',
+            'http://example.com/docs',
+            'https://m.example.com/docs///',
+            'https://EXAMPLE.com/docs/?utm_source=news&utm_medium=mail',
+            'https://example.com/docs#section'
+        ];
+        assert.deepEqual(urls.map(url => merger.canonicalizeUrl(url)), urls.map(() => 'example.com/docs'));
+
+        assert.equal(merger.canonicalizeUrl('https://example.com/index.html'), 'example.com');
+        assert.equal(merger.canonicalizeUrl('https://example.com/a/index.php'), 'example.com/a');
+        assert.equal(merger.canonicalizeUrl('https://example.com/?b=2&a=1&gclid=x'), 'example.com?a=1&b=2');
+    });
+
+    test.it('パス・パラメータの値が異なるURLは別のキーにする', () => {
+        assert.notEqual(merger.canonicalizeUrl('https://example.com/a'), merger.canonicalizeUrl('https://example.com/b'));
+        assert.notEqual(merger.canonicalizeUrl('https://example.com/?q=1'), merger.canonicalizeUrl('https://example.com/?q=2'));
+        assert.notEqual(merger.canonicalizeUrl('https://docs.example.com/'), merger.canonicalizeUrl('https://example.com/'));
+    });
+
+    test.it('http(s)以外・解釈できないURLはnullとする', () => {
+        ['javascript:alert(1)', 'ftp://example.com/', 'not a url', '', null].forEach(url => {
+            assert.equal(merger.canonicalizeUrl(url), null, String(url));
+        });
+    });
+});
+
+test.describe('重複排除と順位', () => {
+    test.it('複数のエンジンが返したページを1件にまとめ、上位に置く', () => {
+        const merger = new ResultMerger();
+        const merged = merger.merge({
+            google: createResults(['https://a.example/', 'https://b.example/', 'https://c.example/']),
+            bing: { results: createResults(['https://www.b.example/?utm_source=bing', 'https://d.example/']) }
+        });
+
+        assert.deepEqual(toPlain(merged.map(item => [item.rank, item.key])), [
+            [1, 'b.example'],
+            [2, 'a.example'],
+            [3, 'd.example'],
+            [4, 'c.example']
+        ]);
+    });
+
+    test.it('融合方式ごとに順位を計算する', () => {
+        const merger = new ResultMerger();
+        const engineResults = {
+            google: createResults(['https://a.example/', 'https://b.example/', 'https://c.example/', 'https://d.example/']),
+            bing: createResults(['https://d.example/', 'https://e.example/'])
+        };
+        const rank = method => toPlain(merger.merge(engineResults, { method }).map(item => item.key));
+
+        // RRF: 1/(60+r) の合計。両方のエンジンに含まれる d が最上位
+        assert.deepEqual(rank('rrf'), ['d.example', 'a.example', 'b.example', 'e.example', 'c.example']);
+        // Borda: 件数 - r + 1 の合計（a = 4、d = 1 + 2 = 3）。同点の b より多くのエンジンが返した d を上位にする
+        assert.deepEqual(rank('borda'), ['a.example', 'd.example', 'b.example', 'c.example', 'e.example']);
+        // 重み付き: 1 - (r - 1) / 件数 の合計（d = 0.25 + 1 = 1.25、a = 1）。同点の c・e（0.5）は順位が上の e を上位にする
+        assert.deepEqual(rank('weighted'), ['d.example', 'a.example', 'b.example', 'e.example', 'c.example']);
+
+        const scores = toPlain(merger.merge(engineResults, { method: 'rrf' })).map(item => item.score);
+        assert.equal(scores[0], 1 / 61 + 1 / 64);
+    });
+
+    test.it('エンジンの重みを順位に反映し、limit件までにする', () => {
+        const merger = new ResultMerger({ weights: { bing: 3 } });
+        const merged = merger.merge({
+            google: createResults(['https://a.example/']),
+            bing: createResults(['https://x.example/', 'https://y.example/'])
+        }, { limit: 2 });
+
+        assert.deepEqual(toPlain(merged.map(item => item.key)), ['x.example', 'y.example']);
+        const weighted = merger.merge({ google: createResults(['https://a.example/']), bing: createResults(['https://x.example/']) }, {
+            weights: { google: 5 }
+        });
+        assert.deepEqual(toPlain(weighted.map(item => item.key)), ['a.example', 'x.example']);
+    });
+
+    test.it('同じエンジン内の重複は最上位のみ数え、URLのない結果は除く', () => {
+        const merger = new ResultMerger();
+        const merged = merger.merge({
+            google: [
+                { title: 'A', url: 'https://a.example/' },
+                { title: 'URLなし', url: '' },
+                { title: 'A（重複）', url: 'https://www.a.example/' },
+                { title: 'スクリプト', url: 'javascript:void(0)' }
+            ]
+        });
+
+        assert.equal(merged.length, 1);
+        assert.equal(merged[0].title, 'A');
+        assert.deepEqual(toPlain(merged[0].sources), [{ engine: 'google', position: 1 }]);
+    });
+
+    test.it('未知の融合方式はエラーとする', () => {
+        const merger = new ResultMerger();
+        assert.throws(() => merger.merge({}, { method: 'unknown' }), /未知の融合方式: unknown/);
+        assert.throws(() => merger.updateSettings({ method: 'unknown' }), /未知の融合方式/);
+        assert.deepEqual(toPlain(merger.getMethods()), ['rrf', 'borda', 'weighted']);
+    });
+});
+
+test.describe('エンジンごとの出典', () => {
+    test.it('統合した結果に各エンジンの順位を上位順に記録し、最上位のエンジンのタイトル・URLを使う', () => {
+        const merger = new ResultMerger();
+        const [item] = merger.merge({
+            google: [
+                { title: 'その他', url: 'https://other.example/' },
+                { title: 'Googleのタイトル', url: 'https://www.example.com/page', snippet: '' }
+            ],
+            bing: [
+                { title: 'Bingのタイトル', url: 'https://example.com/page/', snippet: 'Bingの説明', displayUrl: 'example.com › page' }
+            ]
+        });
+
+        assert.equal(item.key, 'example.com/page');
+        assert.deepEqual(toPlain(item.sources), [
+            { engine: 'bing', position: 1 },
+            { engine: 'google', position: 2 }
+        ]);
+        assert.equal(item.bestPosition, 1);
+        assert.equal(item.title, 'Bingのタイトル');
+        assert.equal(item.url, 'https://example.com/page/');
+        assert.equal(item.displayUrl, 'example.com › page');
+        assert.equal(item.snippet, 'Bingの説明');
+    });
+
+    test.it('SearchManager.mergeResults() は成功したエンジンの結果を統合する', () => {
+        const searchManager = runtime.createSearchManager();
+        try {
+            const merged = searchManager.mergeResults({
+                google: { engine: 'google', results: createResults(['https://a.example/']) },
+                bing: { engine: 'bing', results: createResults(['https://a.example/']) }
+            });
+            assert.equal(merged.length, 1);
+            assert.deepEqual(toPlain(merged[0].sources).map(source => source.engine), ['google', 'bing']);
+        } finally {
+            searchManager.cleanup();
+        }
+    });
+});
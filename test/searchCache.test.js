@@ -0,0 +1,225 @@
+/**
+ * 検索キャッシュ（SearchCache・IndexedDbCacheStore）のテスト
+ * メモリ上のL1とIndexedDBのL2の取得・昇格、再作成後の永続化、保存量の上限による削除、
+ * エントリの形式の変換、IndexedDBが利用できない場合の動作を検証する
+ * IndexedDBには fake-indexeddb を使う
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { IDBFactory } = require('fake-indexeddb');
+const { loadRuntime, toPlain } = require('./helpers');
+
+/**
+ * 検索結果の例を作成
+ */
+function createResult(engine, title, snippet = '') {
+    return {
+        engine: engine,
+        results: [{ title: title, url: `https://example.com/${encodeURIComponent(title)}`, snippet: snippet }]
+    };
+}
+
+/**
+ * 指定したIndexedDBを使うキャッシュを作成する関数を用意
+ * 作成したキャッシュはテストの終了時に破棄する
+ */
+function createCacheFactory(t, indexedDB, storeOptions = {}) {
+    const runtime = loadRuntime();
+    const SearchCache = runtime.lookup('SearchCache');
+    const IndexedDbCacheStore = runtime.lookup('IndexedDbCacheStore');
+
+    return () => {
+        const store = new IndexedDbCacheStore({ indexedDB, ...storeOptions });
+        const cache = new SearchCache({ store });
+        t.after(() => cache.destroy());
+        return cache;
+    };
+}
+
+test.describe('L1とL2', () => {
+    test.it('L1にない結果はL2から取得してL1に戻す', async t => {
+        const createCache = createCacheFactory(t, new IDBFactory());
+        const cache = createCache();
+        const key = cache.generateCacheKey('google', 'Test', 'ja');
+
+        assert.equal(await cache.set(key, createResult('google', 'テスト')), true);
+        cache.cache.clear();
+
+        assert.deepEqual(toPlain(await cache.get(key)), createResult('google', 'テスト'));
+        assert.ok(cache.cache.has(key), 'L1に戻す');
+        assert.equal(await cache.has(key), true);
+        assert.equal(await cache.get(cache.generateCacheKey('google', 'other', 'ja')), null);
+    });
+
+    test.it('destroy()の後に作成したキャッシュでもL2の結果を使え、clear()はL2も削除する', async t => {
+        const createCache = createCacheFactory(t, new IDBFactory());
+        const first = createCache();
+        const key = first.generateCacheKey('bing', 'persist', 'en');
+        await first.set(key, createResult('bing', 'persist'));
+        first.destroy();
+
+        const second = createCache();
+        assert.deepEqual(toPlain(await second.get(key)), createResult('bing', 'persist'));
+
+        await second.clear();
+        assert.equal(await second.get(key), null);
+        assert.equal(await createCache().get(key), null);
+    });
+
+    test.it('期限切れのエントリはL2からも削除する', async t => {
+        const createCache = createCacheFactory(t, new IDBFactory());
+        const cache = createCache();
+        const key = cache.generateCacheKey('google', 'expired', 'ja');
+        await cache.set(key, createResult('google', 'expired'), 1);
+        await new Promise(resolve => setTimeout(resolve, 5));
+
+        cache.cache.clear();
+        assert.equal(await cache.get(key), null);
+        assert.deepEqual(toPlain(await cache.store.getUsage()), { entries: 0, bytes: 0, quota: cache.store.quota });
+    });
+
+    test.it('delete()・clearEngine()はL1とL2の両方から削除する', async t => {
+        const createCache = createCacheFactory(t, new IDBFactory());
+        const cache = createCache();
+        const keys = ['google', 'google', 'bing'].map((engine, index) => cache.generateCacheKey(engine, `q${index}`, 'ja'));
+        await Promise.all(keys.map((key, index) => cache.set(key, createResult('engine', `r${index}`))));
+        cache.cache.delete(keys[1]); // L2にのみ存在するエントリ
+
+        assert.equal(await cache.clearEngine('google'), 2);
+        assert.equal(await cache.get(keys[0]), null);
+        assert.equal(await cache.get(keys[1]), null);
+
+        assert.equal(await cache.delete(keys[2]), true);
+        assert.equal(await cache.delete(keys[2]), false);
+        assert.equal((await cache.store.getUsage()).entries, 0);
+    });
+});
+
+test.describe('保存量の上限', () => {
+    test.it('上限を超える場合は最終アクセスが古いエントリから削除し、上限を超えるエントリは保存しない', async t => {
+        const result = createResult('google', 'x'.repeat(100));
+        const runtime = loadRuntime();
+        const size = runtime.lookup('IndexedDbCacheStore').calculateSize(result);
+        const createCache = createCacheFactory(t, new IDBFactory(), { quota: size * 2 });
+        const cache = createCache();
+
+        await cache.set('google:ja:1:a', result);
+        await new Promise(resolve => setTimeout(resolve, 2));
+        await cache.set('google:ja:1:b', result);
+        await new Promise(resolve => setTimeout(resolve, 2));
+        cache.cache.clear();
+        await cache.get('google:ja:1:a'); // aの最終アクセスを更新する
+        await cache.set('google:ja:1:c', result);
+
+        cache.cache.clear();
+        assert.ok(await cache.get('google:ja:1:a'));
+        assert.equal(await cache.get('google:ja:1:b'), null);
+        assert.ok(await cache.get('google:ja:1:c'));
+        assert.deepEqual(toPlain(await cache.store.getUsage()), { entries: 2, bytes: size * 2, quota: size * 2 });
+
+        assert.equal(await cache.set('google:ja:1:large', createResult('google', 'x'.repeat(1000))), false);
+        assert.equal((await cache.store.getUsage()).entries, 2);
+    });
+
+    test.it('上限を下げると超えた分を削除し、0の場合は保存しない', async t => {
+        const createCache = createCacheFactory(t, new IDBFactory());
+        const cache = createCache();
+        await cache.set('bing:en:1:a', createResult('bing', 'a'));
+        await cache.set('bing:en:1:b', createResult('bing', 'b'));
+
+        assert.equal(await cache.updateSettings({ persistentQuota: 0 }), 2);
+        assert.equal(await cache.set('bing:en:1:c', createResult('bing', 'c')), false);
+        assert.equal((await cache.store.getUsage()).entries, 0);
+        assert.deepEqual(toPlain(await cache.get('bing:en:1:c')), createResult('bing', 'c'), 'L1には保存する');
+
+        assert.throws(() => cache.updateSettings({ persistentQuota: -1 }), /0以上の整数/);
+    });
+});
+
+test.describe('エントリの形式の変換', () => {
+    test.it('古い形式のエントリは変換して保存し直し、変換できないエントリは削除する', async t => {
+        const indexedDB = new IDBFactory();
+        const oldCache = createCacheFactory(t, indexedDB)();
+        await oldCache.set('google:ja:1:old', { items: ['旧形式'] });
+        await oldCache.store.transaction('readwrite', store => {
+            store.put({ key: 'google:ja:1:future', version: 9, data: {}, expiresAt: Date.now() + 60000 });
+        });
+        oldCache.destroy();
+
+        const migrations = {
+            1: entry => ({ ...entry, data: { engine: 'google', results: entry.data.items.map(title => ({ title })) } })
+        };
+        const cache = createCacheFactory(t, indexedDB, { entryVersion: 2, migrations })();
+
+        assert.deepEqual(toPlain(await cache.get('google:ja:1:old')), { engine: 'google', results: [{ title: '旧形式' }] });
+        assert.equal(await cache.get('google:ja:1:future'), null);
+
+        const stored = await cache.store.transaction('readonly', (store, done) => {
+            const request = store.getAll();
+            request.onsuccess = () => done(request.result);
+        });
+        assert.deepEqual(stored.map(entry => [entry.key, entry.version]), [['google:ja:1:old', 2]]);
+    });
+
+    test.it('形式のバージョンを記録していないエントリは現在の形式として読み込む', async t => {
+        const indexedDB = new IDBFactory();
+        const cache = createCacheFactory(t, indexedDB)();
+        await cache.store.transaction('readwrite', store => {
+            store.put({ key: 'bing:en:1:legacy', data: createResult('bing', 'legacy'), expiresAt: Date.now() + 60000 });
+        });
+
+        assert.deepEqual(toPlain(await cache.get('bing:en:1:legacy')), createResult('bing', 'legacy'));
+        const usage = await cache.store.getUsage();
+        assert.equal(usage.bytes, cache.store.constructor.calculateSize(createResult('bing', 'legacy')));
+    });
+});
+
+test.describe('IndexedDBが利用できない場合', () => {
+    test.it('メモリ上のキャッシュのみで動作する', async t => {
+        const createCache = createCacheFactory(t, null);
+        const cache = createCache();
+        const key = cache.generateCacheKey('google', 'memory', 'ja');
+
+        assert.equal(await cache.set(key, createResult('google', 'memory')), false);
+        assert.deepEqual(toPlain(await cache.get(key)), createResult('google', 'memory'));
+        assert.equal(cache.getStats().persistent, false);
+        assert.equal(await createCache().get(key), null);
+    });
+
+    test.it('開けない場合は警告を出力してメモリ上のキャッシュのみで動作する', async t => {
+        const warnings = [];
+        const runtime = loadRuntime({ console: { log() {}, warn: (...args) => warnings.push(args[0]), error() {} } });
+        const store = new (runtime.lookup('IndexedDbCacheStore'))({
+            indexedDB: { open() { throw new Error('SecurityError'); } }
+        });
+        const cache = new (runtime.lookup('SearchCache'))({ store });
+        t.after(() => cache.destroy());
+
+        await cache.set('google:ja:1:a', createResult('google', 'a'));
+        assert.ok(await cache.get('google:ja:1:a'));
+        assert.equal(store.available, false);
+        assert.equal(warnings.length, 1);
+    });
+});
+
+test.describe('SearchManagerとの連携', () => {
+    test.it('cleanup()の後に作成したSearchManagerが永続キャッシュの結果を使う', async () => {
+        const runtime = loadRuntime({ indexedDB: new IDBFactory() });
+        const first = runtime.createSearchManager();
+        const cacheKey = first.cache.generateCacheKey('google', 'cached query', 'ja');
+        await first.cache.set(cacheKey, createResult('google', 'cached'));
+        first.cleanup();
+
+        const second = runtime.createSearchManager();
+        try {
+            const result = await second.searchEngine('google', 'cached query', 'ja');
+            assert.equal(result.source, 'cache');
+            assert.deepEqual(toPlain(result.results), createResult('google', 'cached').results);
+
+            second.updateSettings({ cacheQuota: 1024 });
+            assert.equal(second.cache.store.quota, 1024);
+        } finally {
+            second.cleanup();
+        }
+    });
+});
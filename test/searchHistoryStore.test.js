@@ -0,0 +1,176 @@
+/**
+ * 検索履歴（SearchHistoryStore）のテスト
+ * ローカルストレージへの保存と再読み込み、同じ検索の重複の削除、個別削除・全削除、
+ * キーワード・言語・期間による絞り込みと件数、再実行に使うエンジンの組み合わせの記録を検証する
+ * ローカルストレージには cli/runtime.js のメモリ上のストレージを使う
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createMemoryStorage } = require('../cli/runtime');
+const { loadRuntime, readPage, toPlain } = require('./helpers');
+
+const STORAGE_KEY = 'multi-search-history';
+
+/**
+ * 共通のストレージを使う履歴ストアを作成する関数を用意
+ */
+function createStoreFactory(storage = createMemoryStorage()) {
+    const runtime = loadRuntime({ storage });
+    const SearchHistoryStore = runtime.lookup('SearchHistoryStore');
+    return (options = {}) => new SearchHistoryStore(options);
+}
+
+/**
+ * 履歴のクエリの一覧
+ */
+function queries(entries) {
+    return toPlain(entries.map(entry => entry.query));
+}
+
+test.describe('保存と読み込み', () => {
+    test.it('追加した履歴をストレージに保存し、作成し直したストアで新しい順に読み込む', () => {
+        const storage = createMemoryStorage();
+        const createStore = createStoreFactory(storage);
+        const store = createStore();
+
+        const first = store.add({ query: 'JavaScript', language: 'ja', engines: ['google', 'bing'] });
+        store.add({ query: 'Rust', language: 'en', engines: ['google'] });
+
+        assert.match(first.id, /^history_/);
+        assert.ok(!Number.isNaN(Date.parse(first.timestamp)));
+        assert.equal(JSON.parse(storage.getItem(STORAGE_KEY)).length, 2);
+
+        const reloaded = createStore();
+        assert.deepEqual(queries(reloaded.getAll()), ['Rust', 'JavaScript']);
+        assert.deepEqual(toPlain(reloaded.get(first.id)), toPlain(first));
+        assert.equal(reloaded.get('history_unknown'), null);
+    });
+
+    test.it('壊れた保存内容・エントリは読み飛ばす', () => {
+        const broken = createStoreFactory(createMemoryStorage({ [STORAGE_KEY]: '{not json' }))();
+        assert.deepEqual(queries(broken.getAll()), []);
+
+        const partial = createStoreFactory(createMemoryStorage({
+            [STORAGE_KEY]: JSON.stringify([
+                { id: 'history_1', query: 'ok', timestamp: '2026-01-01T00:00:00.000Z' },
+                { id: 'history_2', query: '' },
+                null
+            ])
+        }))();
+        assert.deepEqual(queries(partial.getAll()), ['ok']);
+    });
+
+    test.it('保存件数の上限を超えた古い履歴を削除する', () => {
+        const createStore = createStoreFactory();
+        const store = createStore({ maxSize: 3 });
+        ['a', 'b', 'c', 'd'].forEach(query => store.add({ query, language: 'ja' }));
+        assert.deepEqual(queries(store.getAll()), ['d', 'c', 'b']);
+
+        store.setMaxSize(2);
+        assert.deepEqual(queries(createStore().getAll()), ['d', 'c']);
+    });
+});
+
+test.describe('重複・削除', () => {
+    test.it('同じクエリ・言語・エンジンの組み合わせの履歴は新しいもののみ残す', () => {
+        const store = createStoreFactory()();
+        const old = store.add({ query: 'JavaScript', language: 'ja', engines: ['google', 'bing'] });
+        store.add({ query: 'Rust', language: 'ja', engines: ['google'] });
+        const latest = store.add({ query: 'JavaScript', language: 'ja', engines: ['bing', 'google'] });
+
+        assert.deepEqual(queries(store.getAll()), ['JavaScript', 'Rust']);
+        assert.equal(store.getAll()[0].id, latest.id);
+        assert.equal(store.get(old.id), null);
+
+        // 言語・エンジンの組み合わせが異なる場合は別の履歴とする
+        store.add({ query: 'JavaScript', language: 'en', engines: ['google', 'bing'] });
+        store.add({ query: 'JavaScript', language: 'ja', engines: ['google'] });
+        assert.equal(store.getAll().length, 4);
+    });
+
+    test.it('指定した履歴のみを削除し、すべての履歴の削除ではストレージからも削除する', () => {
+        const storage = createMemoryStorage();
+        const createStore = createStoreFactory(storage);
+        const store = createStore();
+        const removed = store.add({ query: 'a', language: 'ja' });
+        store.add({ query: 'b', language: 'ja' });
+
+        assert.equal(store.remove(removed.id), true);
+        assert.equal(store.remove(removed.id), false);
+        assert.deepEqual(queries(createStore().getAll()), ['b']);
+
+        store.clear();
+        assert.deepEqual(queries(store.getAll()), []);
+        assert.equal(storage.getItem(STORAGE_KEY), null);
+        assert.deepEqual(queries(createStore().getAll()), []);
+    });
+});
+
+test.describe('絞り込み', () => {
+    const now = new Date(2026, 9, 19, 12, 0, 0);
+    const daysAgo = days => new Date(now.getTime() - days * 24 * 60 * 60 * 1000).toISOString();
+
+    /**
+     * 日時の異なる履歴を追加したストアを作成
+     */
+    function createFilledStore() {
+        const store = createStoreFactory()();
+        store.add({ query: 'Machine Learning', language: 'en', timestamp: daysAgo(20) });
+        store.add({ query: '機械学習', language: 'ja', timestamp: daysAgo(3) });
+        store.add({ query: 'machine translation', language: 'ja', timestamp: daysAgo(0) });
+        store.add({ query: '古い検索', language: 'ja', timestamp: daysAgo(40) });
+        return store;
+    }
+
+    test.it('キーワード（大文字・小文字を区別しない部分一致）・言語・期間で絞り込む', () => {
+        const store = createFilledStore();
+
+        assert.deepEqual(queries(store.query({ text: ' MACHINE ' })), ['machine translation', 'Machine Learning']);
+        assert.deepEqual(queries(store.query({ language: 'ja' })), ['古い検索', 'machine translation', '機械学習']);
+        assert.deepEqual(queries(store.query({ period: 'today', now })), ['machine translation']);
+        assert.deepEqual(queries(store.query({ period: 'week', now })), ['machine translation', '機械学習']);
+        assert.deepEqual(queries(store.query({ period: 'month', now, text: 'machine' })), ['machine translation', 'Machine Learning']);
+        assert.equal(store.query({}).length, 4);
+    });
+
+    test.it('言語・期間ごとの件数を返す', () => {
+        const store = createFilledStore();
+        assert.deepEqual(toPlain(store.getFacets(now)), {
+            languages: { en: 1, ja: 3 },
+            periods: { today: 1, week: 2, month: 3 }
+        });
+    });
+});
+
+test.describe('SearchManager の検索履歴', () => {
+    test.it('検索したエンジンの組み合わせを記録し、再実行に使える', async () => {
+        const storage = createMemoryStorage();
+        const runtime = loadRuntime({
+            storage,
+            fetch: async () => new Response(readPage('google'), { status: 200, headers: { 'Content-Type': 'text/html' } })
+        });
+        const searchManager = runtime.createSearchManager();
+        const changes = [];
+        searchManager.on('history:change', ({ history }) => changes.push(history.length));
+        try {
+            await searchManager.searchAll('JavaScript', 'en', { engines: ['google'] });
+
+            const [entry] = searchManager.getSearchHistory();
+            assert.equal(entry.query, 'JavaScript');
+            assert.equal(entry.language, 'en');
+            assert.deepEqual(toPlain(entry.engines), ['google']);
+            assert.equal(entry.engineResults.google.source, 'live');
+            assert.deepEqual(toPlain(searchManager.getHistoryEntry(entry.id).engines), ['google']);
+            assert.deepEqual(changes, [1]);
+
+            assert.equal(searchManager.removeFromHistory(entry.id), true);
+            assert.equal(searchManager.getSearchHistory().length, 0);
+            assert.deepEqual(changes, [1, 0]);
+        } finally {
+            searchManager.cleanup();
+        }
+
+        // cleanup() の後も履歴はストレージに残る
+        assert.ok(storage.getItem(STORAGE_KEY));
+    });
+});
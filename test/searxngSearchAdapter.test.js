@@ -0,0 +1,166 @@
+/**
+ * SearXNG検索アダプター（SearxngSearchAdapter）のテスト
+ * インスタンスへのリクエスト（カテゴリー・エンジン・言語の対応）、JSON出力の結果・即答・関連する検索キーワード・
+ * インフォボックスの変換、定義の検証と設定からの登録を検証する
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadRuntime, readApiResponse, toPlain } = require('./helpers');
+
+const DEFINITION = {
+    type: 'searxng',
+    name: 'searxng',
+    displayName: 'SearXNG',
+    instanceUrl: 'https://searx.example.com/searxng/',
+    categories: ['general', 'it'],
+    engines: ['google', 'wikipedia'],
+    languages: { en: 'en-GB' }
+};
+
+/**
+ * 保存済みのJSON出力を返し、リクエストを記録するfetchを作成
+ */
+function createApiFetch(requests, body = readApiResponse('searxng')) {
+    return async url => {
+        requests.push(url);
+        return new Response(JSON.stringify(body), { status: 200, headers: { 'Content-Type': 'application/json' } });
+    };
+}
+
+/**
+ * SearXNG検索アダプターを作成
+ */
+function createSearxng(runtime, definition = DEFINITION) {
+    const SearxngSearchAdapter = runtime.lookup('SearxngSearchAdapter');
+    return new SearxngSearchAdapter(definition);
+}
+
+test.describe('SearXNGへのリクエスト', () => {
+    test.it('インスタンスの /search にカテゴリー・エンジン・言語を指定してJSON出力を要求する', () => {
+        const searxng = createSearxng(loadRuntime());
+        const url = new URL(searxng.buildRequest('JavaScript', 'ja', { page: 2 }).url);
+
+        assert.equal(url.origin + url.pathname, 'https://searx.example.com/searxng/search');
+        assert.equal(url.searchParams.get('q'), 'JavaScript');
+        assert.equal(url.searchParams.get('categories'), 'general,it');
+        assert.equal(url.searchParams.get('engines'), 'google,wikipedia');
+        assert.equal(url.searchParams.get('language'), 'ja-JP');
+        assert.equal(url.searchParams.get('pageno'), '2');
+        assert.equal(url.searchParams.get('format'), 'json');
+    });
+
+    test.it('定義の言語の対応はLanguageManagerの言語コードより優先する', () => {
+        const searxng = createSearxng(loadRuntime());
+        const url = new URL(searxng.getDirectSearchUrl('JavaScript', 'en'));
+
+        assert.equal(url.searchParams.get('language'), 'en-GB');
+        assert.equal(url.searchParams.get('format'), null);
+        assert.equal(searxng.getInstanceLanguage('ko'), 'ko-KR');
+    });
+});
+
+test.describe('SearXNGのJSON出力の変換', () => {
+    test.it('結果・即答・関連する検索キーワード・インフォボックスを応答の形式に変換する', async () => {
+        const requests = [];
+        const searxng = createSearxng(loadRuntime({ fetch: createApiFetch(requests) }));
+        const response = await searxng.search('JavaScript', 'ja');
+
+        assert.equal(response.source, 'live');
+        assert.equal(requests.length, 1);
+        assert.deepEqual(toPlain(response.results.map(result => [result.url, result.engines, result.publishedDate])), [
+            ['https://developer.mozilla.org/ja/docs/Web/JavaScript', ['google', 'duckduckgo'], null],
+            ['https://ja.wikipedia.org/wiki/JavaScript', ['wikipedia'], '2024-05-01T00:00:00']
+        ]);
+        assert.equal(response.results[0].snippet, 'JavaScript (JS) は軽量でインタープリター型の プログラミング言語です。');
+
+        assert.deepEqual(toPlain(response.instantAnswers), [
+            { type: 'answer', content: 'JavaScript は1995年に登場しました', url: null, source: 'SearXNG' },
+            { type: 'answer', content: '最新の仕様は ECMAScript 2024', url: 'https://tc39.es/ecma262/', source: 'tc39' },
+            { type: 'infobox', label: '登場時期', content: '1995年', url: null, source: 'wikidata' },
+            { type: 'infobox', label: '設計者', content: 'ブレンダン・アイク', url: null, source: 'wikidata' }
+        ]);
+        assert.deepEqual(toPlain(response.relatedQueries), ['Java Script', 'JavaScript 入門', 'TypeScript']);
+        assert.deepEqual(toPlain(response.summary), {
+            title: 'JavaScript',
+            extract: 'JavaScriptはプログラミング言語である。',
+            url: 'https://ja.wikipedia.org/wiki/JavaScript',
+            thumbnail: 'https://upload.wikimedia.org/wikipedia/commons/6/6a/JavaScript-logo.png',
+            source: 'wikidata'
+        });
+    });
+
+    test.it('2ページ目以降は即答・関連する検索キーワード・要約を含めない', async () => {
+        const searxng = createSearxng(loadRuntime({ fetch: createApiFetch([]) }));
+        const response = await searxng.search('JavaScript', 'ja', { page: 2 });
+
+        assert.equal(response.results.length, 2);
+        assert.equal('instantAnswers' in response, false);
+        assert.equal('relatedQueries' in response, false);
+        assert.equal('summary' in response, false);
+    });
+
+    test.it('JSON出力が無効なインスタンスの応答はエラーとなる', () => {
+        const searxng = createSearxng(loadRuntime());
+        assert.throws(() => searxng.parse({ error: 'format not allowed' }, { query: 'JavaScript', language: 'ja', page: 1 }), /search\.formats/);
+    });
+});
+
+test.describe('SearXNGのカスタムエンジンの定義', () => {
+    test.it('入力からインスタンスのURL・カンマ区切りの一覧・言語の対応を正規化する', () => {
+        const runtime = loadRuntime();
+        const SearxngSearchAdapter = runtime.lookup('SearxngSearchAdapter');
+        const definition = SearxngSearchAdapter.createDefinition({
+            instanceUrl: ' https://searx.example.com/search ',
+            categories: 'general, news ,',
+            engines: '',
+            languages: 'ja=ja-JP, en = en-US'
+        }, { existingNames: ['google', 'searxng'] });
+
+        assert.deepEqual(toPlain(definition), {
+            type: 'searxng',
+            name: 'searxng-2',
+            displayName: 'SearXNG',
+            instanceUrl: 'https://searx.example.com/',
+            categories: ['general', 'news'],
+            engines: [],
+            languages: { ja: 'ja-JP', en: 'en-US' }
+        });
+    });
+
+    const invalidCases = [
+        ['インスタンスのURLがhttp(s)でない', { instanceUrl: 'ftp://searx.example.com/' }, /instanceUrl/],
+        ['インスタンスのURLにクエリを含む', { instanceUrl: 'https://searx.example.com/?q=a' }, /instanceUrl/],
+        ['カテゴリーが配列でない', { categories: 'general' }, /categories/],
+        ['言語の対応の値が空の', { languages: { ja: '' } }, /languages/]
+    ];
+    invalidCases.forEach(([name, override, pattern]) => {
+        test.it(`${name}場合はエラーとなる`, () => {
+            const SearxngSearchAdapter = loadRuntime().lookup('SearxngSearchAdapter');
+            assert.throws(() => SearxngSearchAdapter.normalizeDefinition({ ...DEFINITION, ...override }), pattern);
+        });
+    });
+
+    test.it('言語の対応の形式が不正な場合はエラーとなる', () => {
+        const SearxngSearchAdapter = loadRuntime().lookup('SearxngSearchAdapter');
+        assert.throws(() => SearxngSearchAdapter.createDefinition({ instanceUrl: 'https://searx.example.com/', languages: 'ja-JP' }), /言語コード=/);
+    });
+
+    test.it('設定に保存した定義をSearchManagerがカスタムエンジンとして登録する', () => {
+        const runtime = loadRuntime();
+        const SettingsManager = runtime.lookup('SettingsManager');
+        const settingsManager = new SettingsManager({ storageKey: 'test-searxng-settings' });
+        const searchManager = runtime.createSearchManager();
+        try {
+            const definition = searchManager.createSearxngEngine({ instanceUrl: 'https://searx.example.com', displayName: 'My SearXNG' });
+            settingsManager.update({ customEngines: [definition] });
+            searchManager.updateSettings({ customEngines: settingsManager.get('customEngines') });
+
+            const adapter = searchManager.adapters['my-searxng'];
+            assert.equal(adapter.displayName, 'My SearXNG');
+            assert.equal(adapter.describeMode(), 'SearXNG（searx.example.com）');
+            assert.throws(() => searchManager.createSearxngEngine({ instanceUrl: ' ' }), /インスタンスのURL/);
+        } finally {
+            searchManager.cleanup();
+        }
+    });
+});
@@ -0,0 +1,184 @@
+/**
+ * セレクター設定（SelectorConfig）のテスト
+ * 設定の検証、フォールバックの順序、上書き設定のアダプターへの適用、設定のテスト機能を検証する
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadRuntime, createHtmlAdapters, readPage, toPlain } = require('./helpers');
+
+const runtime = loadRuntime();
+const SelectorConfig = runtime.lookup('SelectorConfig');
+
+const layoutChangedPage = readPage('layout-changed');
+
+// 変更後のページ構造（layout-changed.html）に合わせたGoogleの上書き設定
+const LAYOUT_CHANGED_OVERRIDES = {
+    version: 1,
+    engines: {
+        google: {
+            result: ['div.missing', 'section.result-card'],
+            title: ['span.result-card__title'],
+            snippet: ['.result-card__body']
+        }
+    }
+};
+
+test.describe('SelectorConfig の既定の設定', () => {
+    createHtmlAdapters(runtime).forEach(adapter => {
+        test.it(`${adapter.displayName} は既定の設定を使い、必須の項目がある`, () => {
+            assert.deepEqual(toPlain(adapter.selectors), toPlain(SelectorConfig.getDefaults(adapter.name)));
+            SelectorConfig.requiredFields.forEach(field => {
+                assert.ok(adapter.selectors[field].length > 0, field);
+            });
+        });
+    });
+
+    test.it('既定の設定はすべて検証を通る', () => {
+        assert.deepEqual(toPlain(SelectorConfig.validate(new SelectorConfig().getAll())), []);
+    });
+
+    test.it('既定の設定がないエンジンは null を返す', () => {
+        assert.equal(new SelectorConfig().get('unknown'), null);
+    });
+});
+
+test.describe('SelectorConfig の検証', () => {
+    const cases = [
+        ['オブジェクトでない', 'google', /オブジェクト/],
+        ['versionが異なる', { version: 2, engines: {} }, /version/],
+        ['enginesがない', { version: 1 }, /engines/],
+        ['対応していないエンジン', { version: 1, engines: { ecosia: { result: ['.r'] } } }, /^ecosia: /],
+        ['不明な項目', { version: 1, engines: { google: { url: ['a'] } } }, /^google\.url: 不明な項目/],
+        ['配列でない', { version: 1, engines: { bing: { result: '.b_algo' } } }, /^bing\.result: /],
+        ['空のセレクター', { version: 1, engines: { bing: { snippet: ['  '] } } }, /^bing\.snippet: /],
+        ['必須の項目が空', { version: 1, engines: { yahoo: { title: [] } } }, /^yahoo\.title: セレクターを1つ以上/],
+        ['構文の誤り', { version: 1, engines: { baidu: { result: ['div[class='] } } }, /^baidu\.result: CSSセレクターの構文/]
+    ];
+
+    cases.forEach(([name, config, pattern]) => {
+        test.it(`${name}設定はエラーとなる`, () => {
+            assert.throws(() => SelectorConfig.normalize(config), error => {
+                assert.equal(error.validationErrors.length, 1);
+                assert.match(error.validationErrors[0], pattern);
+                return true;
+            });
+        });
+    });
+
+    test.it('必須でない項目は空にできる', () => {
+        const config = SelectorConfig.normalize({ version: 1, engines: { google: { noResults: [] } } });
+        assert.deepEqual(toPlain(config.engines.google.noResults), []);
+    });
+
+    test.it('セレクターの前後の空白を除去する', () => {
+        const config = SelectorConfig.normalize({ version: 1, engines: { bing: { result: [' .b_algo '] } } });
+        assert.deepEqual(toPlain(config.engines.bing.result), ['.b_algo']);
+    });
+
+    test.it('JSONとして読み込めない場合はエラーとなる', () => {
+        assert.throws(() => SelectorConfig.parse('{ version: 1 '), /JSONを読み込めません/);
+    });
+
+    test.it('不正な設定を適用しようとしても現在の設定は変わらない', () => {
+        const selectorConfig = new SelectorConfig(LAYOUT_CHANGED_OVERRIDES);
+        assert.throws(() => selectorConfig.setOverrides({ version: 1, engines: { google: { result: [] } } }));
+        assert.deepEqual(toPlain(selectorConfig.getOverrides()), LAYOUT_CHANGED_OVERRIDES);
+    });
+});
+
+test.describe('SelectorConfig のフォールバック', () => {
+    const doc = new (runtime.lookup('DOMParser'))().parseFromString(layoutChangedPage, 'text/html');
+
+    test.it('先頭から順に試して最初に一致したセレクターを使う', () => {
+        assert.equal(SelectorConfig.selectAll(doc, ['div.missing', 'section.result-card', 'main']).length, 3);
+        assert.equal(SelectorConfig.select(doc, ['div.missing', '.result-card__title']).textContent, 'JavaScript | MDN');
+        assert.deepEqual(toPlain(SelectorConfig.findMatchingSelector(doc, ['div.missing', 'section.result-card'])), {
+            selector: 'section.result-card',
+            index: 1,
+            count: 3
+        });
+    });
+
+    test.it('どのセレクターにも一致しない場合は空の結果を返す', () => {
+        assert.equal(SelectorConfig.selectAll(doc, ['div.missing']).length, 0);
+        assert.equal(SelectorConfig.select(doc, []), null);
+        assert.equal(SelectorConfig.findMatchingSelector(doc, ['div.missing']), null);
+    });
+
+    test.it('上書きしていない項目は既定の設定を使う', () => {
+        const selectors = new SelectorConfig(LAYOUT_CHANGED_OVERRIDES).get('google');
+        assert.deepEqual(toPlain(selectors.result), ['div.missing', 'section.result-card']);
+        assert.deepEqual(toPlain(selectors.link), toPlain(SelectorConfig.defaults.google.link));
+    });
+});
+
+test.describe('SearchManager のセレクター設定', () => {
+    test.it('上書き設定をアダプターに適用し、変更後のページから結果を取り出す', () => {
+        const searchManager = runtime.createSearchManager();
+        try {
+            const adapter = searchManager.adapters.google;
+            assert.throws(() => adapter.parseResults(layoutChangedPage), error => error.selectorDrift === true);
+
+            searchManager.updateSettings({ selectorOverrides: LAYOUT_CHANGED_OVERRIDES });
+            const results = adapter.parseResults(layoutChangedPage);
+            assert.deepEqual(toPlain(results.map(result => [result.title, result.url])), [
+                ['JavaScript | MDN', 'https://developer.mozilla.org/ja/docs/Web/JavaScript'],
+                ['JavaScript - Wikipedia', 'https://ja.wikipedia.org/wiki/JavaScript'],
+                ['JavaScript Primer', 'https://jsprimer.net/']
+            ]);
+            assert.equal(results[0].snippet, 'JavaScript (JS) は軽量で、インタープリター型のプログラミング言語です。');
+
+            // 上書き設定を削除すると既定の設定に戻る
+            searchManager.updateSettings({ selectorOverrides: null });
+            assert.deepEqual(toPlain(adapter.selectors), toPlain(SelectorConfig.getDefaults('google')));
+        } finally {
+            searchManager.cleanup();
+        }
+    });
+
+    test.it('testSelectors() は一致したセレクターと結果を返す', () => {
+        const searchManager = runtime.createSearchManager();
+        try {
+            const report = searchManager.testSelectors('google', layoutChangedPage, LAYOUT_CHANGED_OVERRIDES);
+            assert.equal(report.error, null);
+            assert.deepEqual(toPlain(report.match), { selector: 'section.result-card', index: 1, count: 3 });
+            assert.equal(report.results.length, 3);
+
+            // 保存済みの設定（既定の設定）は変わらない
+            assert.deepEqual(toPlain(searchManager.adapters.google.selectors), toPlain(SelectorConfig.getDefaults('google')));
+        } finally {
+            searchManager.cleanup();
+        }
+    });
+
+    test.it('testSelectors() は結果を取り出せない場合にページの構造を返す', () => {
+        const searchManager = runtime.createSearchManager();
+        try {
+            const report = searchManager.testSelectors('bing', layoutChangedPage);
+            assert.equal(report.match, null);
+            assert.equal(report.error.selectorDrift, true);
+            assert.match(report.error.structureSample, /section\.result-card ×3/);
+        } finally {
+            searchManager.cleanup();
+        }
+    });
+});
+
+test.describe('SettingsManager のセレクター設定', () => {
+    const SettingsManager = runtime.lookup('SettingsManager');
+
+    test.it('検証して正規化した設定を保存する', () => {
+        const settingsManager = new SettingsManager({ storageKey: 'test-selector-settings' });
+        settingsManager.update({ selectorOverrides: LAYOUT_CHANGED_OVERRIDES });
+        assert.deepEqual(toPlain(settingsManager.get('selectorOverrides')), LAYOUT_CHANGED_OVERRIDES);
+        assert.deepEqual(toPlain(new SettingsManager({ storageKey: 'test-selector-settings' }).get('selectorOverrides')), LAYOUT_CHANGED_OVERRIDES);
+    });
+
+    test.it('不正な設定は保存しない', () => {
+        const settingsManager = new SettingsManager({ storageKey: 'test-invalid-selector-settings' });
+        assert.throws(() => settingsManager.update({ selectorOverrides: { version: 1, engines: { google: { title: [] } } } }), error => {
+            return error.validationErrors.length === 1;
+        });
+        assert.equal(settingsManager.get('selectorOverrides'), null);
+    });
+});
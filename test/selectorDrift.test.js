@@ -0,0 +1,100 @@
+/**
+ * セレクターのずれ（検索エンジンのページ構造の変更）の検出のテスト
+ * 結果を取り出せないページを「結果なし」と区別し、parsing / selector_drift のエラーとして扱うかを検証する
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadRuntime, createHtmlAdapters, readPage } = require('./helpers');
+
+const layoutChangedPage = readPage('layout-changed');
+
+const runtime = loadRuntime({
+    fetch: async () => new Response(layoutChangedPage, { status: 200, headers: { 'Content-Type': 'text/html' } })
+});
+const ErrorHandler = runtime.lookup('ErrorHandler');
+
+createHtmlAdapters(runtime).forEach(adapter => {
+    test.describe(`${adapter.displayName} のページ構造の変更`, () => {
+        test.it('結果を取り出せないページは selectorDrift のエラーとなる', () => {
+            assert.throws(() => adapter.parseResults(layoutChangedPage), error => {
+                assert.equal(error.selectorDrift, true);
+                assert.equal(error.pageTitle, 'JavaScript - 検索');
+                assert.ok(error.selector);
+                return true;
+            });
+        });
+
+        test.it('「結果なし」のページはエラーにならない', () => {
+            assert.doesNotThrow(() => adapter.parseResults(readPage(`${adapter.name}.no-results`)));
+        });
+
+        test.it('search() はサンプル結果にフォールバックせずにエラーを返す', async () => {
+            // DuckDuckGoはInstant Answer APIのJSONとしても解析できないため、HTML検索に進む
+            await assert.rejects(adapter.search('JavaScript', 'ja'), error => error.selectorDrift === true);
+        });
+    });
+});
+
+test.describe('ErrorHandler', () => {
+    const adapter = createHtmlAdapters(runtime).find(item => item.name === 'google');
+
+    const createDriftError = () => {
+        try {
+            adapter.parseResults(layoutChangedPage);
+        } catch (error) {
+            return error;
+        }
+        throw new Error('selectorDriftのエラーになりませんでした');
+    };
+
+    test.it('parsing の selector_drift として扱い、再試行しない', () => {
+        const errorHandler = new ErrorHandler();
+        const errorInfo = errorHandler.handleEngineError(createDriftError(), 'google');
+
+        assert.equal(errorInfo.type, 'parsing');
+        assert.equal(errorInfo.subtype, 'selector_drift');
+        assert.equal(errorInfo.selector, 'div.g, div[data-ved]');
+        assert.match(errorInfo.userMessage, /解析処理が古くなっている可能性があります/);
+        assert.notEqual(errorInfo.shouldRetry, true);
+        assert.equal(errorHandler.errorLog.length, 1);
+    });
+
+    test.it('ページ構造の概要に一致しなかった要素の階層を含める', () => {
+        const { structureSample } = createDriftError();
+        const lines = structureSample.split('\n');
+
+        assert.equal(lines[0], 'body');
+        assert.ok(lines.includes('  main#results-v2'));
+        // 同じ構造の兄弟要素は1行にまとめる
+        assert.ok(lines.includes('    section.result-card ×3'));
+        assert.ok(!structureSample.includes('script'));
+    });
+
+    test.it('概要の行数を制限する', () => {
+        const { DOMParser } = runtime.context;
+        const items = Array.from({ length: 100 }, (value, index) => `<div class="item-${index}"></div>`).join('');
+        const doc = new DOMParser().parseFromString(`<html><body>${items}</body></html>`, 'text/html');
+        const lines = ErrorHandler.describeHtmlStructure(doc, { maxLines: 10 }).split('\n');
+
+        assert.equal(lines.length, 11);
+        assert.equal(lines[10], '...');
+    });
+
+    test.it('省略した要素がない場合は行数が上限ちょうどでも「...」を付けない', () => {
+        const { DOMParser } = runtime.context;
+        const describe = html => ErrorHandler.describeHtmlStructure(
+            new DOMParser().parseFromString(`<html><body>${html}</body></html>`, 'text/html'),
+            { maxLines: 10 }
+        ).split('\n');
+
+        const items = Array.from({ length: 9 }, (value, index) => `<div class="item-${index}"></div>`).join('');
+        const lines = describe(items);
+        assert.equal(lines.length, 10);
+        assert.ok(!lines.includes('...'));
+
+        // 子要素の途中で上限に達した場合は省略を示す
+        const nested = describe(`<main>${Array.from({ length: 20 }, (value, index) => `<p class="p-${index}"></p>`).join('')}</main>`);
+        assert.equal(nested.length, 11);
+        assert.equal(nested[10], '...');
+    });
+});
@@ -0,0 +1,169 @@
+/**
+ * 実行中のリクエストの共有（SearchManager.joinInFlight）のテスト
+ * 同時に実行した同じ検索が1回のリクエストを共有するか、購読者ごとの中断、最後の購読者がいなくなった場合の遅延した中断と、
+ * 共有したリクエストの失敗を再試行回数として1回だけ数えるかを検証する
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadRuntime, readPage } = require('./helpers');
+
+const googlePage = readPage('google');
+
+/**
+ * 呼び出しを記録し、release() まで応答を返さないfetchを用意
+ */
+function createPendingFetch() {
+    const requests = [];
+    let release;
+    const released = new Promise(resolve => {
+        release = resolve;
+    });
+
+    const fetch = (url, init = {}) => {
+        const request = { url, signal: init.signal };
+        requests.push(request);
+        return new Promise((resolve, reject) => {
+            if (init.signal) {
+                init.signal.addEventListener('abort', () => reject(new DOMException('中断しました', 'AbortError')), { once: true });
+            }
+            released.then(() => resolve(new Response(googlePage, { status: 200, headers: { 'Content-Type': 'text/html' } })));
+        });
+    };
+
+    return { fetch, requests, release: () => release() };
+}
+
+/**
+ * 指定した回数だけ次のタスクまで待つ
+ */
+async function waitForTasks(count = 5) {
+    for (let i = 0; i < count; i++) {
+        await new Promise(resolve => setTimeout(resolve, 0));
+    }
+}
+
+/**
+ * SearchManagerを作成し、テストの終了時に破棄する
+ */
+function createSearchManager(t, fetch) {
+    const searchManager = loadRuntime({ fetch }).createSearchManager();
+    t.after(() => searchManager.cleanup());
+    return searchManager;
+}
+
+/**
+ * googleでの検索（エラーハンドリング付き）を開始
+ */
+function search(searchManager, searchId, controller = new AbortController()) {
+    return searchManager.searchEngineWithErrorHandling('google', 'JavaScript', 'ja', searchId, controller.signal);
+}
+
+test.describe('リクエストの共有', () => {
+    test.it('同時に実行した同じ検索はアダプターへのリクエストを1回だけ行い、結果を共有する', async t => {
+        const pending = createPendingFetch();
+        const searchManager = createSearchManager(t, pending.fetch);
+        const searches = [search(searchManager, 'search_1'), search(searchManager, 'search_2')];
+
+        await waitForTasks();
+        pending.release();
+        const outcomes = await Promise.all(searches);
+
+        assert.equal(pending.requests.length, 1);
+        assert.deepEqual(outcomes.map(outcome => outcome.status), ['fulfilled', 'fulfilled']);
+        assert.equal(outcomes[0].value, outcomes[1].value);
+        assert.equal(searchManager.inFlightRequests.size, 0);
+    });
+
+    test.it('片方の購読者が中断しても、もう片方は共有したリクエストの結果を受け取る', async t => {
+        const pending = createPendingFetch();
+        const searchManager = createSearchManager(t, pending.fetch);
+        const cancelled = new AbortController();
+        const searches = [search(searchManager, 'search_1', cancelled), search(searchManager, 'search_2')];
+
+        await waitForTasks();
+        cancelled.abort();
+        assert.equal((await searches[0]).status, 'cancelled');
+
+        await waitForTasks();
+        assert.equal(pending.requests[0].signal.aborted, false, '購読者が残っている間は中断しない');
+
+        pending.release();
+        const remaining = await searches[1];
+        assert.equal(remaining.status, 'fulfilled');
+        assert.equal(remaining.value.source, 'live');
+        assert.equal(pending.requests.length, 1);
+    });
+
+    test.it('最後の購読者がいなくなった場合は次のタスクでリクエストを中断する', async t => {
+        const pending = createPendingFetch();
+        const searchManager = createSearchManager(t, pending.fetch);
+        const first = new AbortController();
+        const second = new AbortController();
+        const searches = [search(searchManager, 'search_1', first), search(searchManager, 'search_2', second)];
+
+        await waitForTasks();
+        first.abort();
+        second.abort();
+        assert.deepEqual((await Promise.all(searches)).map(outcome => outcome.status), ['cancelled', 'cancelled']);
+        assert.equal(pending.requests[0].signal.aborted, false, '同じタスク内では中断しない');
+
+        await waitForTasks();
+        assert.equal(pending.requests[0].signal.aborted, true);
+        assert.equal(searchManager.inFlightRequests.size, 0);
+    });
+
+    test.it('中断と同じタスクで同じ検索を開始した場合はリクエストを中断せずに共有する', async t => {
+        const pending = createPendingFetch();
+        const searchManager = createSearchManager(t, pending.fetch);
+        const first = new AbortController();
+        const cancelled = search(searchManager, 'search_1', first);
+
+        await waitForTasks();
+        // 再検索: 前の検索を中断し、すぐに同じ検索を開始する
+        first.abort();
+        const rerun = search(searchManager, 'search_2');
+
+        await waitForTasks();
+        pending.release();
+        assert.equal((await cancelled).status, 'cancelled');
+        assert.equal((await rerun).status, 'fulfilled');
+        assert.equal(pending.requests.length, 1);
+        assert.equal(pending.requests[0].signal.aborted, false);
+    });
+});
+
+test.describe('共有したリクエストの再試行', () => {
+    test.it('共有したリクエストの失敗は購読者の数によらず再試行回数を1回だけ数える', async t => {
+        const requests = [];
+        const searchManager = createSearchManager(t, async url => {
+            requests.push(url);
+            // 再試行した両方の検索が同じリクエストに参加するまで応答しない
+            await new Promise(resolve => setTimeout(resolve, 20));
+            return new Response('', { status: 503, statusText: 'Service Unavailable', headers: { 'Retry-After': '0' } });
+        });
+        // サーキットブレーカーではなく再試行の上限で止め、再試行をレート制限で待たせない
+        searchManager.circuitBreaker.failureThreshold = 10;
+        searchManager.updateSettings({ requestScheduler: { rate: 20, burst: 5 } });
+
+        const errorHandler = searchManager.errorHandler;
+        const recorded = [];
+        const recordRetryAttempt = errorHandler.recordRetryAttempt.bind(errorHandler);
+        errorHandler.recordRetryAttempt = engine => {
+            recorded.push(engine);
+            recordRetryAttempt(engine);
+        };
+        const retries = [];
+        searchManager.on('engine:retry', ({ searchId, attempt }) => retries.push([searchId, attempt]));
+
+        const outcomes = await Promise.all([search(searchManager, 'search_1'), search(searchManager, 'search_2')]);
+
+        assert.deepEqual(outcomes.map(outcome => outcome.status), ['rejected', 'rejected']);
+        assert.equal(outcomes[0].reason, outcomes[1].reason, 'エラー情報を共有する');
+        // 最初のリクエストと maxRetries 回の再試行
+        assert.equal(requests.length, 1 + errorHandler.maxRetries);
+        assert.equal(recorded.length, errorHandler.maxRetries);
+        assert.equal(errorHandler.getRetryAttempts('google'), errorHandler.maxRetries);
+        // 再試行の通知は検索ごとに行う
+        assert.deepEqual(retries.slice(0, 2), [['search_1', 1], ['search_2', 1]]);
+    });
+});
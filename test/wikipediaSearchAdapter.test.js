@@ -0,0 +1,146 @@
+/**
+ * Wikipedia検索アダプター（WikipediaSearchAdapter）のテスト
+ * MediaWiki APIのリクエスト、要約（summary）の作成、APIのURLの設定（社内Wikiなど）を検証する
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadRuntime, createBuiltinAdapters, readApiResponse, toPlain } = require('./helpers');
+
+/**
+ * 保存済みのAPIの応答を返し、リクエストを記録するfetchを作成
+ */
+function createApiFetch(requests, body = readApiResponse('wikipedia')) {
+    return async url => {
+        requests.push(url);
+        return new Response(JSON.stringify(body), { status: 200, headers: { 'Content-Type': 'application/json' } });
+    };
+}
+
+/**
+ * Wikipedia検索アダプターを作成
+ */
+function createWikipedia(runtime) {
+    return createBuiltinAdapters(runtime).find(adapter => adapter.name === 'wikipedia');
+}
+
+test.describe('Wikipedia検索のリクエスト', () => {
+    test.it('検索言語のWikipediaのAPIで、1ページ目は先頭の記事の冒頭部分も取得する', () => {
+        const wikipedia = createWikipedia(loadRuntime());
+        const url = new URL(wikipedia.buildRequest('JavaScript', 'ko').url);
+
+        assert.equal(url.origin + url.pathname, 'https://ko.wikipedia.org/w/api.php');
+        assert.equal(url.searchParams.get('list'), 'search');
+        assert.equal(url.searchParams.get('srsearch'), 'JavaScript');
+        assert.equal(url.searchParams.get('sroffset'), '0');
+        assert.equal(url.searchParams.get('generator'), 'search');
+        assert.equal(url.searchParams.get('gsrlimit'), '1');
+        assert.equal(url.searchParams.get('origin'), '*');
+    });
+
+    test.it('2ページ目以降は要約を取得せず、結果の位置を指定する', () => {
+        const wikipedia = createWikipedia(loadRuntime());
+        const url = new URL(wikipedia.buildRequest('JavaScript', 'ja', { page: 3 }).url);
+
+        assert.equal(url.searchParams.get('sroffset'), String(wikipedia.pageSize * 2));
+        assert.equal(url.searchParams.get('generator'), null);
+    });
+
+    test.it('直接検索URLは検索言語のWikipediaの検索ページに転送するURLにする', () => {
+        const wikipedia = createWikipedia(loadRuntime());
+        const url = new URL(wikipedia.getDirectSearchUrl('JavaScript', 'zh'));
+
+        assert.equal(url.origin + url.pathname, 'https://www.wikipedia.org/search-redirect.php');
+        assert.equal(url.searchParams.get('language'), 'zh');
+    });
+});
+
+test.describe('Wikipedia検索の要約', () => {
+    test.it('search() は先頭の記事の冒頭部分を summary として返す', async () => {
+        const requests = [];
+        const wikipedia = createWikipedia(loadRuntime({ fetch: createApiFetch(requests) }));
+        const response = await wikipedia.search('JavaScript', 'ja');
+
+        assert.equal(response.source, 'live');
+        assert.equal(requests.length, 1);
+        assert.deepEqual(toPlain(response.summary), {
+            title: 'JavaScript',
+            extract: readApiResponse('wikipedia').query.pages[0].extract.replace(/\s+/g, ' '),
+            url: 'https://ja.wikipedia.org/wiki/JavaScript',
+            thumbnail: 'https://upload.wikimedia.org/wikipedia/commons/thumb/9/99/Unofficial_JavaScript_logo_2.svg/160px-Unofficial_JavaScript_logo_2.svg.png',
+            source: 'ja.wikipedia.org'
+        });
+    });
+
+    test.it('冒頭部分を取得できない場合は summary を含めない', async () => {
+        const body = readApiResponse('wikipedia');
+        delete body.query.pages;
+        const wikipedia = createWikipedia(loadRuntime({ fetch: createApiFetch([], body) }));
+        const response = await wikipedia.search('JavaScript', 'ja');
+
+        assert.ok(response.results.length > 0);
+        assert.equal('summary' in response, false);
+    });
+
+    test.it('要約は summaryLength 文字までにする', () => {
+        const wikipedia = createWikipedia(loadRuntime());
+        wikipedia.summaryLength = 10;
+        const summary = wikipedia.parseSummary([{ title: 'JavaScript', index: 1, extract: 'あ'.repeat(50) }], 'ja');
+
+        assert.equal(summary.extract, `${'あ'.repeat(10)}…`);
+        assert.equal(summary.url, 'https://ja.wikipedia.org/wiki/JavaScript');
+        assert.equal(summary.thumbnail, null);
+    });
+
+    test.it('要約のリンクはhttp(s)のfullurlのみ使い、それ以外は記事のURLにする', () => {
+        const wikipedia = createWikipedia(loadRuntime());
+        const summarize = fullurl => wikipedia.parseSummary([{ title: 'JavaScript', index: 1, extract: '概要', fullurl }], 'ja').url;
+
+        assert.equal(summarize('https://ja.wikipedia.org/wiki/JavaScript_(言語)'), 'https://ja.wikipedia.org/wiki/JavaScript_(言語)');
+        assert.equal(summarize('javascript:alert(document.domain)'), 'https://ja.wikipedia.org/wiki/JavaScript');
+        assert.equal(summarize('//evil.example/wiki'), 'https://ja.wikipedia.org/wiki/JavaScript');
+    });
+
+    test.it('APIのエラーはサンプル結果にフォールバックせずにエラーとなる', async () => {
+        const body = { error: { code: 'srsearch-text-disabled', info: 'Search is disabled' } };
+        const wikipedia = createWikipedia(loadRuntime({ fetch: createApiFetch([], body) }));
+
+        await assert.rejects(wikipedia.search('JavaScript', 'ja'), /MediaWiki APIエラー: Search is disabled/);
+    });
+});
+
+test.describe('APIのURLの設定', () => {
+    test.it('設定したMediaWikiのAPIで検索し、記事と検索ページはそのWikiのURLにする', async () => {
+        const requests = [];
+        const wikipedia = createWikipedia(loadRuntime({ fetch: createApiFetch(requests) }));
+        wikipedia.updateSettings({ apiUrl: 'https://wiki.example.com/w/api.php' });
+
+        const response = await wikipedia.search('JavaScript', 'ja');
+        assert.ok(requests[0].startsWith('https://wiki.example.com/w/api.php?'));
+        assert.equal(response.results[1].url, 'https://wiki.example.com/w/index.php?title=JavaScript_Object_Notation');
+        assert.equal(wikipedia.getDirectSearchUrl('JavaScript', 'en'), 'https://wiki.example.com/w/index.php?search=JavaScript');
+
+        wikipedia.updateSettings({ apiUrl: '' });
+        assert.ok(wikipedia.buildRequest('JavaScript', 'en').url.startsWith('https://en.wikipedia.org/w/api.php?'));
+    });
+
+    test.it('設定のAPIのURLを検証し、SearchManagerがアダプターに適用する', () => {
+        const runtime = loadRuntime();
+        const SettingsManager = runtime.lookup('SettingsManager');
+        const settingsManager = new SettingsManager({ storageKey: 'test-wikipedia-settings' });
+
+        assert.throws(() => settingsManager.update({ wikipedia: { apiUrl: 'https://wiki.example.com/w/index.php' } }), /api\.php/);
+        assert.throws(() => settingsManager.update({ wikipedia: { apiUrl: 'ftp://wiki.example.com/w/api.php' } }), /api\.php/);
+
+        settingsManager.update({ wikipedia: { apiUrl: ' https://wiki.example.com/w/api.php ' } });
+        assert.deepEqual(toPlain(settingsManager.get('wikipedia')), { apiUrl: 'https://wiki.example.com/w/api.php' });
+        assert.deepEqual(toPlain(settingsManager.update({ wikipedia: { apiUrl: 'https://wiki.example.com/w/api.php' } })), {});
+
+        const searchManager = runtime.createSearchManager();
+        try {
+            searchManager.updateSettings({ wikipedia: settingsManager.get('wikipedia') });
+            assert.equal(searchManager.adapters.wikipedia.apiUrl, 'https://wiki.example.com/w/api.php');
+        } finally {
+            searchManager.cleanup();
+        }
+    });
+});